@@ -1,11 +1,20 @@
 #!/usr/bin/env node
 
 import { parseArgs } from "node:util";
-import { handleCommand, showHelp } from "./src/cli/commands.js";
+import {
+	handleCommand,
+	handleQueryCommand,
+	handleDepthCommand,
+	handleGapsCommand,
+	handleDiffCommand,
+	handleRelateCommand,
+	handleStreamCommand,
+	showHelp,
+} from "./src/cli/commands.js";
 
 const parseCliArgs = () => {
 	try {
-		const { values } = parseArgs({
+		const { values, positionals } = parseArgs({
 			options: {
 				includes: {
 					type: "string",
@@ -21,19 +30,159 @@ const parseCliArgs = () => {
 					type: "string",
 					default: undefined,
 				},
+				expr: {
+					type: "string",
+					default: undefined,
+				},
+				set: {
+					type: "string",
+					multiple: true,
+					default: undefined,
+				},
+				bigint: {
+					type: "boolean",
+					default: false,
+				},
+				continuous: {
+					type: "boolean",
+					default: false,
+				},
+				time: {
+					type: "boolean",
+					default: false,
+				},
+				ip: {
+					type: "boolean",
+					default: false,
+				},
+				cidr: {
+					type: "boolean",
+					default: false,
+				},
+				at: {
+					type: "string",
+					multiple: true,
+					default: undefined,
+				},
+				overlaps: {
+					type: "string",
+					multiple: true,
+					default: undefined,
+				},
+				"min-depth": {
+					type: "string",
+					default: undefined,
+				},
+				domain: {
+					type: "string",
+					default: undefined,
+				},
+				sort: {
+					type: "string",
+					default: undefined,
+				},
+				largest: {
+					type: "string",
+					default: undefined,
+				},
+				relation: {
+					type: "string",
+					multiple: true,
+					default: undefined,
+				},
+				stream: {
+					type: "boolean",
+					default: false,
+				},
+				"exclude-file": {
+					type: "string",
+					default: undefined,
+				},
+				"merge-data": {
+					type: "string",
+					default: undefined,
+				},
+				"merge-gap": {
+					type: "string",
+					default: undefined,
+				},
+				"min-length": {
+					type: "string",
+					default: undefined,
+				},
+				modulo: {
+					type: "string",
+					default: undefined,
+				},
+				"chunk-size": {
+					type: "string",
+					default: undefined,
+				},
+				shards: {
+					type: "string",
+					default: undefined,
+				},
+				explain: {
+					type: "boolean",
+					default: false,
+				},
+				concurrency: {
+					type: "string",
+					default: undefined,
+				},
+				json: {
+					type: "boolean",
+					default: false,
+				},
 				help: {
 					type: "boolean",
 					default: false,
 				},
 			},
 			strict: true,
-			allowPositionals: false,
+			allowPositionals: true,
 		});
 
+		const [command, ...inputs] = positionals;
+
+		if (command === "diff" && inputs.length !== 2 && !values.help) {
+			throw new Error("The diff command compares two inputs: node cli.js diff <before> <after>");
+		}
+		if (command !== undefined && command !== "diff" && (inputs.length > 0 || !["query", "depth", "gaps", "relate"].includes(command))) {
+			throw new Error(`Unknown command '${positionals.join(" ")}'. The commands are 'query', 'depth', 'gaps', 'diff' and 'relate'`);
+		}
+
 		return {
+			command,
+			inputs,
 			includes: values.includes,
 			excludes: values.excludes,
 			file: values.file,
+			expr: values.expr,
+			set: values.set,
+			bigint: values.bigint,
+			continuous: values.continuous,
+			time: values.time,
+			ip: values.ip,
+			cidr: values.cidr,
+			mergeData: values["merge-data"],
+			mergeGap: values["merge-gap"],
+			minLength: values["min-length"],
+			modulo: values.modulo,
+			stream: values.stream,
+			excludeFile: values["exclude-file"],
+			at: values.at,
+			overlaps: values.overlaps,
+			minDepth: values["min-depth"],
+			domain: values.domain,
+			sort: values.sort,
+			largest: values.largest,
+			relation: values.relation,
+			chunkSize: values["chunk-size"],
+			shards: values.shards,
+			explain: values.explain,
+			concurrency: values.concurrency,
+			json: values.json,
 			help: values.help,
 		};
 	} catch (error) {
@@ -61,7 +210,37 @@ const parseCliArgs = () => {
 const main = async () => {
 	const options = parseCliArgs();
 
-	if (options.help || ((options.includes === undefined || options.includes === null) && !options.file)) {
+	if (options.command === "query" && !options.help) {
+		await handleQueryCommand(options);
+		return;
+	}
+
+	if (options.command === "depth" && !options.help) {
+		await handleDepthCommand(options);
+		return;
+	}
+
+	if (options.command === "gaps" && !options.help) {
+		await handleGapsCommand(options);
+		return;
+	}
+
+	if (options.command === "diff" && !options.help) {
+		await handleDiffCommand(options);
+		return;
+	}
+
+	if (options.command === "relate" && !options.help) {
+		await handleRelateCommand(options);
+		return;
+	}
+
+	if (options.stream && !options.help) {
+		await handleStreamCommand(options);
+		return;
+	}
+
+	if (options.help || ((options.includes === undefined || options.includes === null) && !options.file && options.expr === undefined)) {
 		showHelp();
 		process.exit(0);
 	}
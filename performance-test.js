@@ -1,4 +1,5 @@
 import { IntervalProcessor } from './src/core/IntervalProcessor.js';
+import { PackedIntervals } from './src/core/PackedIntervals.js';
 
 /**
  * Generate non-overlapping intervals for performance testing
@@ -21,6 +22,96 @@ function generateNonOverlappingIntervals(count, startRange = 1, spacing = 10) {
     return intervals;
 }
 
+/**
+ * Generate evenly spaced exclude intervals that all fall inside one wide include
+ * @param {number} count - Number of exclude intervals to generate
+ * @param {number} rangeEnd - End of the wide include range
+ * @returns {string[]} Array of interval strings
+ */
+function generateDenseExcludes(count, rangeEnd) {
+    const intervals = [];
+    const step = Math.floor(rangeEnd / count);
+
+    for (let i = 0; i < count; i++) {
+        const start = i * step + 1;
+        intervals.push(`${start}-${start + Math.floor(step / 2)}`);
+    }
+
+    return intervals;
+}
+
+/**
+ * Measure processing time for a growing number of excludes inside one include (0-10,000,000).
+ * With a linear sweep the time per exclude should stay roughly constant as the count grows.
+ */
+function runDenseExcludeBenchmark() {
+    const rangeEnd = 10000000;
+    const sizes = [1000, 10000, 50000, 100000];
+
+    console.log('\n📐 Dense-exclude scaling benchmark');
+    console.log('=' .repeat(50));
+    console.log(`Include: 0-${rangeEnd}`);
+
+    for (const size of sizes) {
+        const testInput = {
+            includes: `0-${rangeEnd}`,
+            excludes: generateDenseExcludes(size, rangeEnd).join(',')
+        };
+
+        const startTime = performance.now();
+        const result = IntervalProcessor.process(testInput);
+        const elapsed = performance.now() - startTime;
+        const perExclude = ((elapsed * 1000) / size).toFixed(2);
+
+        console.log(`⏱️  ${String(size).padStart(6)} excludes → ${String(result.intervals.length).padStart(6)} intervals in ${elapsed.toFixed(2)}ms (${perExclude}µs per exclude)`);
+    }
+}
+
+/**
+ * Generate packed intervals directly into typed arrays, without creating Interval instances
+ * @param {number} count - Number of intervals to generate
+ * @param {number} startRange - Starting point for interval generation
+ * @param {number} spacing - Spacing between intervals
+ * @returns {PackedIntervals} Packed intervals
+ */
+function generatePackedIntervals(count, startRange = 1, spacing = 10) {
+    const starts = new Float64Array(count);
+    const ends = new Float64Array(count);
+    let current = startRange;
+
+    for (let i = 0; i < count; i++) {
+        starts[i] = current;
+        ends[i] = current + Math.floor(Math.random() * 5) + 1; // Random interval size 1-6
+        current = ends[i] + spacing;
+    }
+
+    return new PackedIntervals(starts, ends);
+}
+
+/**
+ * Measure merge, subtract and coverage on packed intervals at sizes where Interval[] would dominate the heap
+ */
+function runPackedBenchmark() {
+    const sizes = [100000, 1000000, 5000000];
+
+    console.log('\n📦 Packed (typed-array) benchmark');
+    console.log('=' .repeat(50));
+
+    for (const size of sizes) {
+        const includes = generatePackedIntervals(size, 1, 10);
+        const excludes = generatePackedIntervals(size, 5, 10);
+
+        const startTime = performance.now();
+        const result = includes.merge().subtract(excludes);
+        const coverage = result.coverage();
+        const elapsed = performance.now() - startTime;
+        const heapUsed = process.memoryUsage().heapUsed / 1024 / 1024;
+        const arrayBuffers = process.memoryUsage().arrayBuffers / 1024 / 1024;
+
+        console.log(`⏱️  ${String(size).padStart(7)} includes/excludes → ${String(result.length).padStart(7)} intervals (coverage ${coverage}) in ${elapsed.toFixed(2)}ms, heap ${heapUsed.toFixed(2)} MB + ${arrayBuffers.toFixed(2)} MB typed arrays`);
+    }
+}
+
 function runPerformanceTest() {
     console.log('🚀 Starting Performance Test');
     console.log('=' .repeat(50));
@@ -61,6 +152,9 @@ function runPerformanceTest() {
     const memUsage = process.memoryUsage();
     console.log(`💾 Heap Used: ${(memUsage.heapUsed / 1024 / 1024).toFixed(2)} MB`);
     
+    runDenseExcludeBenchmark();
+    runPackedBenchmark();
+
     console.log('\n🎉 Performance test completed!');
 }
 
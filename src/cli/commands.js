@@ -1,34 +1,53 @@
 import { readFile } from "node:fs/promises";
+import { createReadStream } from "node:fs";
+import { once } from "node:events";
 import { resolve } from "node:path";
-import { IntervalProcessor } from "../core/IntervalProcessor.js";
+import { availableParallelism } from "node:os";
 import { Interval } from "../core/Interval.js";
-import { parseIntervals } from "../utils/parsers.js";
-import { validateFileInput, validateCliArgs } from "../utils/validators.js";
-import { getComprehensiveStatistics } from "../utils/statistics.js";
-import { formatOutput, formatError, formatSuccess, formatInfo, formatHighlight, formatMuted } from "./formatters.js";
+import { IntervalProcessor } from "../core/IntervalProcessor.js";
+import { IntervalSet } from "../core/IntervalSet.js";
+import { BoxSet } from "../core/BoxSet.js";
+import { IntervalTree } from "../core/IntervalTree.js";
+import { IntervalStream } from "../core/IntervalStream.js";
+import { DepthMap } from "../core/DepthMap.js";
+import {
+	parseIntervals,
+	parseIntervalGroups,
+	parseIntervalString,
+	parsePoint,
+	parseLength,
+	parseModulo,
+	formatIntervals,
+	formatCidrs,
+	parseSetDefinitions,
+	holdsBoxes,
+} from "../utils/parsers.js";
+import { validateFileInput, validateSingleFileObject, validateCliArgs, validateSetExpression, validateIntervalString } from "../utils/validators.js";
+import { getComprehensiveStatistics, getBasicStatistics, getBoxStatistics } from "../utils/statistics.js";
+import { stringifyJSON, joinIntervalList } from "../utils/helpers.js";
+import { formatDuration } from "../utils/time.js";
+import { ALLEN_RELATIONS, ERROR_MESSAGES, REGEX_PATTERNS } from "../utils/constants.js";
+import { processInWorkers } from "./workerPool.js";
+import { formatOutput, formatError, formatRemoved, formatSuccess, formatInfo, formatHighlight, formatMuted } from "./formatters.js";
 
 /**
  * Process intervals from command line arguments with comprehensive statistics.
  * @param {string} includes - Include intervals string
  * @param {string} excludes - Exclude intervals string
+ * @param {Object} [options={}] - Processing options
+ * @param {boolean} [options.bigint=false] - Parse and process values as BigInt
  * @returns {Promise<Object>} Processing result with intervals, formatted output, and comprehensive stats
  * @throws {Error} When validation fails or processing errors occur
  */
-export const processFromArgs = async (includes, excludes) => {
+export const processFromArgs = async (includes, excludes, options = {}) => {
 	try {
-		const validation = validateCliArgs(includes, excludes);
+		const validation = validateCliArgs(includes, excludes, undefined, options);
 
 		if (!validation.valid) {
 			throw new Error(validation.error);
 		}
 
-		const includesIntervals = parseIntervals(includes);
-		const stats = await getComprehensiveStatistics(includesIntervals, () =>
-			IntervalProcessor.process({
-				includes,
-				excludes: excludes ?? "",
-			})
-		);
+		const stats = await processFileObject({ includes, excludes }, options);
 
 		return {
 			...stats.processing.result,
@@ -39,87 +58,588 @@ export const processFromArgs = async (includes, excludes) => {
 	}
 };
 
+/**
+ * Process a set expression over named sets given on the command line.
+ * @param {string} expression - Set expression, e.g. "(weekdays | holidays) - outages"
+ * @param {string|string[]} setDefinitions - Named set definitions of the form "name=10-20,30-40"
+ * @param {Object} [options={}] - Processing options
+ * @param {boolean} [options.bigint=false] - Parse and process values as BigInt
+ * @returns {Promise<Object>} Processing result with intervals, formatted output, and comprehensive stats
+ * @throws {Error} When validation fails or processing errors occur
+ */
+export const processFromExpression = async (expression, setDefinitions, options = {}) => {
+	try {
+		const sets = parseSetDefinitions(setDefinitions ?? []);
+
+		for (const [name, value] of Object.entries(sets)) {
+			const setResult = validateIntervalString(value, options);
+
+			if (!setResult.valid) {
+				throw new Error(`Invalid set "${name}": ${setResult.error}`);
+			}
+		}
+
+		const validation = validateSetExpression(expression, Object.keys(sets));
+
+		if (!validation.valid) {
+			throw new Error(`Invalid expression: ${validation.error}`);
+		}
+
+		const stats = await processFileObject({ sets, expression }, options);
+
+		return {
+			...stats.processing.result,
+			comprehensiveStats: stats,
+		};
+	} catch (error) {
+		throw new Error(`Processing failed: ${error?.message ?? "Unknown error"}`);
+	}
+};
+
+/**
+ * Longest bar, in blocks, drawn next to a segment of the depth table.
+ */
+const MAX_DEPTH_BAR = 40;
+
+/**
+ * Smallest number of sets worth handing to a worker thread; below it, starting the worker costs more than it saves.
+ */
+const MIN_SETS_PER_WORKER = 16;
+
+/**
+ * Processing options that only apply to one-dimensional results, with the command line flags that set them.
+ */
+const INTERVAL_ONLY_OPTIONS = {
+	mergeGap: "--merge-gap",
+	minLength: "--min-length",
+	modulo: "--modulo",
+	explain: "--explain",
+	chunkSize: "--chunk-size",
+	shards: "--shards",
+	cidr: "--cidr",
+};
+
+/**
+ * Subtract the exclude boxes of an includes/excludes object written as boxes from its include boxes (see BoxSet).
+ * Errors are returned like those of IntervalProcessor.process, so they are reported the same way.
+ * @param {Object} item - Validated input object with box includes and excludes
+ * @param {Object} [options={}] - Processing options applied to every dimension (e.g. bigint, continuous, time)
+ * @returns {Object} Object with the result boxes (each an array of interval objects, one per dimension), the formatted
+ * boxes and an empty intervals array, plus the error message if processing failed
+ */
+const processBoxes = (item, options = {}) => {
+	try {
+		const option = Object.keys(INTERVAL_ONLY_OPTIONS).find((key) => ![undefined, false].includes(item[key] ?? options[key]));
+
+		if (option !== undefined) {
+			throw new Error(ERROR_MESSAGES.BOX_OPTION(INTERVAL_ONLY_OPTIONS[option]));
+		}
+
+		const includes = BoxSet.from(joinIntervalList(item.includes), options);
+		const result = includes.difference(BoxSet.from(joinIntervalList(item.excludes ?? ""), options));
+
+		return { intervals: [], boxes: result.toJSON(), formatted: result.toString() };
+	} catch (error) {
+		return { intervals: [], boxes: [], formatted: `(error: ${error.message})`, error: error.message };
+	}
+};
+
+/**
+ * Run the processor for a single input object (includes/excludes or sets/expression) with comprehensive statistics.
+ * Also the unit of work of the worker threads used for array files. The mergeGap and minLength fields of an
+ * includes/excludes object take precedence over the options of the same name. Includes and excludes written as
+ * boxes ("10-20x5-8") are processed with BoxSet; their result has boxes instead of intervals.
+ * @param {Object} item - Validated input object
+ * @param {Object} [options={}] - Processing options (e.g. bigint, mergeGap, minLength)
+ * @returns {Promise<Object>} Comprehensive statistics with the processing result in processing.result
+ */
+export const processFileObject = (item, options = {}) => {
+	if (item.expression !== undefined) {
+		const setIntervals = Object.values(item.sets).flatMap((value) => parseIntervals(value, options));
+
+		return getComprehensiveStatistics(
+			setIntervals,
+			() => IntervalProcessor.processExpression(item.expression, item.sets, { ...options, domain: item.domain }),
+			options
+		);
+	}
+
+	if (holdsBoxes(item.includes, item.excludes)) {
+		return getComprehensiveStatistics([], () => processBoxes(item, options), options);
+	}
+
+	return getComprehensiveStatistics(
+		parseIntervals(item.includes, options),
+		() =>
+			IntervalProcessor.process(
+				{
+					includes: item.includes,
+					excludes: item.excludes ?? "",
+				},
+				{ ...options, mergeGap: item.mergeGap ?? options.mergeGap, minLength: item.minLength ?? options.minLength }
+			),
+		options
+	);
+};
+
 /**
  * Process intervals from a JSON file - supports both single object and array of objects.
  * @param {string} filePath - Path to the JSON file containing interval data
+ * @param {Object} [options={}] - Processing options
+ * @param {string} [options.expression] - Set expression overriding the one in the file (objects must provide "sets")
+ * @param {boolean} [options.bigint=false] - Parse and process values as BigInt
+ * @param {number} [options.concurrency] - Maximum number of worker threads for array files (defaults to the number of CPUs, 1 processes in-process)
  * @returns {Promise<Object[]>} Array of processing results with comprehensive statistics
  * @throws {Error} When file reading, JSON parsing, validation, or processing fails
  */
-export const processFromFile = async (filePath) => {
+export const processFromFile = async (filePath, options = {}) => {
 	try {
-		const absolutePath = resolve(filePath);
-		const content = await readFile(absolutePath, { encoding: "utf8" });
-		let data;
-
-		try {
-			data = JSON.parse(content);
-		} catch {
-			throw new Error("Invalid JSON format in file");
-		}
+		const data = applyExpression(await readJsonFile(filePath), options.expression);
 
-		const validation = validateFileInput(data);
+		const validation = validateFileInput(data, options);
 
 		if (!validation.valid) {
 			throw new Error(validation.error);
 		}
 
 		if (Array.isArray(data)) {
-			return processArrayOfObjects(data);
+			return processArrayOfObjects(data, options);
 		}
 
-		const includesIntervals = parseIntervals(data.includes);
-
-		const stats = await getComprehensiveStatistics(includesIntervals, () =>
-			IntervalProcessor.process({
-				includes: data.includes,
-				excludes: data.excludes ?? "",
-			})
-		);
+		const stats = await processFileObject(data, options);
 
 		return {
 			...stats.processing.result,
 			comprehensiveStats: stats,
 		};
 	} catch (error) {
-		const message = error?.message ?? "Unknown error";
+		throw toFileError(error, filePath);
+	}
+};
 
-		if (error?.code === "ENOENT") {
-			throw new Error(`File not found: ${filePath}`);
-		} else if (error?.code === "EACCES") {
-			throw new Error(`Permission denied: ${filePath}`);
-		} else {
-			throw new Error(`File processing failed: ${message}`);
+/**
+ * Read and parse a JSON input file.
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<any>} Parsed file content
+ * @throws {Error} When the file cannot be read or does not contain valid JSON
+ */
+const readJsonFile = async (filePath) => {
+	const content = await readFile(resolve(filePath), { encoding: "utf8" });
+
+	try {
+		return JSON.parse(content);
+	} catch {
+		throw new Error("Invalid JSON format in file");
+	}
+};
+
+/**
+ * Turn an error raised while handling an input file into a user-facing error.
+ * @param {Error} error - The original error
+ * @param {string} filePath - Path to the file
+ * @returns {Error} Error describing a missing file, a permission problem or the processing failure
+ */
+const toFileError = (error, filePath) => {
+	const message = error?.message ?? "Unknown error";
+
+	if (error?.code === "ENOENT") {
+		return new Error(`File not found: ${filePath}`);
+	} else if (error?.code === "EACCES") {
+		return new Error(`Permission denied: ${filePath}`);
+	}
+	return new Error(`File processing failed: ${message}`);
+};
+
+/**
+ * Load the unmerged intervals of a file or of command line includes, for the query and depth subcommands.
+ * @param {Object} source - Where to load the intervals from
+ * @param {string} [source.file] - JSON file path; the includes of every object (or every named set) are loaded
+ * @param {string} [source.includes] - Include intervals string, used when no file is given
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip)
+ * @returns {Promise<Interval[]>} The intervals as given, in input order
+ * @throws {Error} When the file or the includes are invalid
+ */
+const loadIntervals = async (source, options = {}) => {
+	if (source.file) {
+		try {
+			const data = await readJsonFile(source.file);
+			const validation = validateFileInput(data, options);
+
+			if (!validation.valid) {
+				throw new Error(validation.error);
+			}
+
+			return (Array.isArray(data) ? data : [data]).flatMap((item) =>
+				item.expression !== undefined
+					? Object.values(item.sets).flatMap((value) => parseIntervals(value, options))
+					: parseIntervals(item.includes, options)
+			);
+		} catch (error) {
+			throw toFileError(error, source.file);
 		}
 	}
+
+	const validation = validateIntervalString(source.includes ?? "", options);
+
+	if (!validation.valid) {
+		throw new Error(`Invalid includes: ${validation.error}`);
+	}
+	return parseIntervals(source.includes, options);
 };
 
-const processArrayOfObjects = async (dataArray) => {
-	const allResults = [];
-	const allStats = [];
+/**
+ * Answer point and overlap queries with an IntervalTree built from the intervals of a file or of command line includes.
+ * The intervals are indexed as given (not merged), so every query returns the original intervals.
+ * @param {Object} source - Where to load the intervals from (see loadIntervals)
+ * @param {string} [source.file] - JSON file path; the includes of every object (or every named set) are indexed
+ * @param {string} [source.includes] - Include intervals string, used when no file is given
+ * @param {Object} queries - Queries to answer
+ * @param {string[]} [queries.at=[]] - Points to look up, e.g. "15"
+ * @param {string[]} [queries.overlaps=[]] - Ranges to look up, e.g. "500-600"
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip)
+ * @returns {Promise<Object>} Object with the number of indexed intervals and, per query, its type, text and matching intervals
+ * @throws {Error} When the input or a query is invalid
+ */
+export const processQuery = async (source, { at = [], overlaps = [] }, options = {}) => {
+	const tree = new IntervalTree(await loadIntervals(source, options));
+	const answer = (type, query, matches) => ({
+		type,
+		query,
+		intervals: matches.map((i) => i.toJSON()),
+		formatted: formatIntervals(matches),
+	});
 
-	for (let i = 0; i < dataArray.length; i++) {
-		const item = dataArray[i];
-		const includesIntervals = parseIntervals(item.includes);
+	try {
+		return {
+			indexed: tree.size,
+			queries: [
+				...at.map((point) => answer("point", point, tree.containing(parsePoint(point, options)))),
+				...overlaps.map((range) => answer("overlap", range, tree.overlapping(parseIntervalString(range, options)))),
+			],
+		};
+	} catch (error) {
+		throw new Error(`Invalid query: ${error.message}`);
+	}
+};
 
-		const stats = await getComprehensiveStatistics(includesIntervals, () =>
-			IntervalProcessor.process({
-				includes: item.includes,
-				excludes: item.excludes ?? "",
-			})
-		);
+/**
+ * Compute the coverage depth map of the intervals of a file or of command line includes: how many of the (unmerged)
+ * intervals cover each segment of their range.
+ * @param {Object} source - Where to load the intervals from (see loadIntervals)
+ * @param {string} [source.file] - JSON file path; the includes of every object (or every named set) are counted
+ * @param {string} [source.includes] - Include intervals string, used when no file is given
+ * @param {Object} [query={}] - What to report besides the segments
+ * @param {string} [query.minDepth] - Also report the regions covered at least this many times, e.g. "2"
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip)
+ * @returns {Promise<Object>} Object with the number of counted intervals, the maximum depth, the segments (interval objects
+ * with their depth and text) and, with a minimum depth, the regions covered at least that many times
+ * @throws {Error} When the input is invalid, holds strided intervals or the minimum depth is not a positive integer
+ */
+export const processDepth = async (source, { minDepth } = {}, options = {}) => {
+	if (minDepth !== undefined && !/^[1-9]\d*$/.test(minDepth)) {
+		throw new Error(ERROR_MESSAGES.INVALID_MIN_DEPTH(minDepth));
+	}
 
-		allStats.push(stats);
+	const intervals = await loadIntervals(source, options);
+	const map = new DepthMap(intervals);
+	const result = {
+		counted: intervals.length,
+		maxDepth: map.maxDepth,
+		segments: map.segments.map(({ interval, depth }) => ({ ...interval.toJSON(), depth, formatted: interval.toString() })),
+		formatted: map.toString(),
+	};
 
-		allResults.push({
-			index: i + 1,
-			includes: Array.isArray(item.includes) ? item.includes.join(", ") : item.includes,
-			excludes: item.excludes ? (Array.isArray(item.excludes) ? item.excludes.join(", ") : item.excludes) : "(none)",
-			result: stats.processing.result.formatted,
-			intervals: stats.processing.result.intervals,
-			comprehensiveStats: stats,
-		});
+	if (minDepth === undefined) {
+		return result;
+	}
+
+	const regions = map.atLeast(Number(minDepth));
+
+	return { ...result, atLeast: { depth: Number(minDepth), intervals: regions.toJSON(), formatted: regions.toString() } };
+};
+
+/**
+ * List the gaps left by the intervals of a file or of command line includes within a domain (see IntervalProcessor.gaps).
+ * @param {Object} source - Where to load the used ranges from (see loadIntervals)
+ * @param {string} [source.file] - JSON file path; the includes of every object (or every named set) are used
+ * @param {string} [source.includes] - Include intervals string, used when no file is given
+ * @param {Object} [query={}] - Which gaps to list
+ * @param {string} [query.domain] - Single interval to find the gaps in (defaults to the span of the used ranges)
+ * @param {string} [query.sort] - "position" or "size" (defaults to "size" with largest, "position" otherwise)
+ * @param {string} [query.largest] - Only list this many of the largest gaps, e.g. "3"
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip)
+ * @returns {Promise<Object>} Object with the number of used intervals, the domain, the gaps (interval objects, formatted
+ * text and per-gap { interval, formatted, size }) and their total size
+ * @throws {Error} When the input, the domain, the sort order or the number of gaps is invalid
+ */
+export const processGaps = async (source, { domain, sort, largest } = {}, options = {}) => {
+	if (largest !== undefined && !/^[1-9]\d*$/.test(largest)) {
+		throw new Error(ERROR_MESSAGES.INVALID_LARGEST(largest));
+	}
+
+	const intervals = await loadIntervals(source, options);
+	const result = IntervalProcessor.gaps(intervals, {
+		...options,
+		domain,
+		sort,
+		largest: largest === undefined ? undefined : Number(largest),
+		cidr: false,
+	});
+
+	if (result.error) {
+		throw new Error(result.error);
+	}
+	return { used: intervals.length, ...result };
+};
+
+/**
+ * Load one side of a diff as an interval set. A side is an interval string, or a JSON file optionally followed by
+ * "#n" to pick the n-th set (from 1) of an array file. Input files are processed like the main command processes
+ * them; files written with --json (objects with "formatted" results) are read back from their result text.
+ * @param {string} spec - Interval string, or path of a .json file such as "runs/today.json#2"
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip)
+ * @returns {Promise<IntervalSet>} The covered region
+ * @throws {Error} When the file or the intervals are invalid, or the set index is missing or out of range
+ */
+const loadDiffSide = async (spec, options = {}) => {
+	const match = REGEX_PATTERNS.DIFF_FILE_SPEC.exec(spec.trim());
+
+	if (!match) {
+		const validation = validateIntervalString(spec, options);
+
+		if (!validation.valid) {
+			throw new Error(`Invalid intervals "${spec}": ${validation.error}`);
+		}
+		return IntervalSet.from(spec, options);
+	}
+
+	const [, file, number] = match;
+	const index = number === undefined ? undefined : Number(number);
+
+	try {
+		const data = await readJsonFile(file);
+		const items = Array.isArray(data) ? data : (data?.sets ?? [data]);
+
+		if (index === undefined ? items.length !== 1 : index < 1 || index > items.length) {
+			throw new Error(ERROR_MESSAGES.DIFF_SET_INDEX(file, items.length));
+		}
+
+		const item = items[(index ?? 1) - 1];
+
+		if (typeof item?.formatted === "string") {
+			// "(none)" and "(error: ...)" mark empty and failed results
+			return IntervalSet.from(item.formatted.startsWith("(") ? "" : item.formatted, options);
+		}
+
+		const validation = validateSingleFileObject(item, `Set ${index ?? 1}`, options);
+
+		if (!validation.valid) {
+			throw new Error(validation.error);
+		}
+
+		const result =
+			item.expression !== undefined
+				? IntervalProcessor.processExpression(item.expression, item.sets, { ...options, domain: item.domain, cidr: false })
+				: IntervalProcessor.process(item, {
+						...options,
+						mergeGap: item.mergeGap ?? options.mergeGap,
+						minLength: item.minLength ?? options.minLength,
+						cidr: false,
+					});
+
+		if (result.error) {
+			throw new Error(result.error);
+		}
+		return IntervalSet.from(result.intervals.length === 0 ? "" : result.formatted, options);
+	} catch (error) {
+		throw toFileError(error, file);
+	}
+};
+
+/**
+ * Compare the regions covered by two inputs, e.g. yesterday's and today's result. The added and removed regions
+ * are computed with IntervalSet.difference; a unified list of changes also keeps the unchanged regions in between.
+ * @param {string} before - The older input (see loadDiffSide)
+ * @param {string} after - The newer input (see loadDiffSide)
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip, modulo)
+ * @returns {Promise<Object>} Object with both inputs and their formatted sets, whether they are equal, the added,
+ * removed and unchanged intervals (each with formatted text and coverage) and the changes in ascending order, each
+ * with its type ("added", "removed" or "unchanged"), interval and formatted text
+ * @throws {Error} When an input cannot be loaded
+ */
+export const processDiff = async (before, after, options = {}) => {
+	const [a, b] = [await loadDiffSide(before, options), await loadDiffSide(after, options)];
+	const regions = {
+		added: b.difference(a),
+		removed: a.difference(b),
+		unchanged: a.intersect(b),
+	};
+	const describe = (set) => ({
+		intervals: set.toJSON(),
+		formatted: formatIntervals(set.intervals, options),
+		coverage: getBasicStatistics(set.intervals, options).totalCoverage,
+	});
+	const changes = Object.entries(regions)
+		.flatMap(([type, set]) => set.intervals.map((interval) => ({ type, interval })))
+		.sort((x, y) => Interval.compare(x.interval, y.interval));
+
+	return {
+		before: { source: before, formatted: formatIntervals(a.intervals, options) },
+		after: { source: after, formatted: formatIntervals(b.intervals, options) },
+		equal: regions.added.isEmpty() && regions.removed.isEmpty(),
+		added: describe(regions.added),
+		removed: describe(regions.removed),
+		unchanged: describe(regions.unchanged),
+		changes: changes.map(({ type, interval }) => ({ type, interval: interval.toJSON(), formatted: interval.toString() })),
+	};
+};
+
+/**
+ * Load the named intervals of the relate subcommand, from --set definitions or from the "sets" of a JSON file.
+ * @param {Object} source - Where to load the named intervals from
+ * @param {string} [source.file] - JSON file path of an object with a "sets" field
+ * @param {string[]} [source.set] - Definitions such as "meeting=9-11", used when no file is given
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip)
+ * @returns {Promise<Object>} Object mapping each name to its interval, in definition order
+ * @throws {Error} When the file or a definition is invalid, or a name does not hold exactly one interval
+ */
+const loadNamedIntervals = async (source, options = {}) => {
+	let sets;
+
+	if (source.file) {
+		try {
+			const data = await readJsonFile(source.file);
+
+			if (data === null || typeof data !== "object" || Array.isArray(data) || typeof data.sets !== "object" || data.sets === null) {
+				throw new Error(ERROR_MESSAGES.RELATE_MISSING_SETS());
+			}
+			sets = data.sets;
+		} catch (error) {
+			throw toFileError(error, source.file);
+		}
+	} else {
+		sets = parseSetDefinitions(source.set ?? []);
+	}
+
+	return Object.fromEntries(
+		Object.entries(sets).map(([name, value]) => {
+			const intervals = parseIntervals(value, options);
+
+			if (intervals.length !== 1) {
+				throw new Error(ERROR_MESSAGES.RELATE_SINGLE_INTERVAL(name, intervals.length));
+			}
+			return [name, intervals[0]];
+		})
+	);
+};
+
+/**
+ * Classify every pair of named intervals with Allen's interval algebra (see Interval.relation).
+ * @param {Object} source - Where to load the named intervals from (see loadNamedIntervals)
+ * @param {string} [source.file] - JSON file path of an object with a "sets" field
+ * @param {string[]} [source.set] - Definitions such as "meeting=9-11", used when no file is given
+ * @param {Object} [query={}] - Which pairs to report
+ * @param {string[]} [query.relations=[]] - Only report pairs in one of these relations (all pairs when empty)
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip)
+ * @returns {Promise<Object>} Object with the names, their intervals, the relation matrix (entry [i][j] relates the i-th
+ * interval to the j-th) and the reported pairs, each pair once as { a, b, relation }, oriented so the relation matches
+ * the filter
+ * @throws {Error} When the input is invalid, holds fewer than two names or a relation name is unknown
+ */
+export const processRelations = async (source, { relations = [] } = {}, options = {}) => {
+	const unknown = relations.find((name) => !Object.hasOwn(ALLEN_RELATIONS, name));
+
+	if (unknown !== undefined) {
+		throw new Error(ERROR_MESSAGES.UNKNOWN_RELATION(unknown));
+	}
+
+	const named = await loadNamedIntervals(source, options);
+	const names = Object.keys(named);
+
+	if (names.length < 2) {
+		throw new Error(ERROR_MESSAGES.RELATE_TOO_FEW(names.length));
+	}
+
+	const matrix = Interval.relationMatrix(Object.values(named));
+	const wanted = (relation) => relations.length === 0 || relations.includes(relation);
+	const pairs = names.flatMap((a, i) =>
+		names.slice(i + 1).flatMap((b, k) => {
+			const relation = matrix[i][i + 1 + k];
+
+			if (wanted(relation)) {
+				return [{ a, b, relation }];
+			}
+			// Report "b before a" rather than dropping "a after b" when only "before" is asked for
+			return wanted(ALLEN_RELATIONS[relation]) ? [{ a: b, b: a, relation: ALLEN_RELATIONS[relation] }] : [];
+		})
+	);
+
+	return {
+		names,
+		intervals: Object.fromEntries(names.map((name) => [name, named[name].toString()])),
+		matrix,
+		pairs,
+	};
+};
+
+/**
+ * Apply a command line expression to file data so that every object is evaluated with it.
+ * @param {any} data - Parsed file data (object or array of objects)
+ * @param {string} expression - Set expression to apply
+ * @returns {any} File data with the expression set on each object
+ */
+const applyExpression = (data, expression) => {
+	if (expression === undefined) {
+		return data;
+	}
+	if (Array.isArray(data)) {
+		return data.map((item) => (item && typeof item === "object" ? { ...item, expression } : item));
+	}
+	return data && typeof data === "object" ? { ...data, expression } : data;
+};
+
+/**
+ * Process the objects of an array file, on worker threads when there are enough sets to make it pay off.
+ * Workers only run when at least two of them get MIN_SETS_PER_WORKER sets each; smaller inputs, a concurrency
+ * of 1 and reducer functions as mergeData (which cannot be sent to a worker) are processed in-process.
+ * @param {Object[]} dataArray - Validated input objects
+ * @param {Object} [options={}] - Processing options
+ * @param {number} [options.concurrency] - Maximum number of worker threads (defaults to the number of CPUs)
+ * @returns {Promise<Object[]>} Comprehensive statistics per object, in input order
+ */
+const processSets = async (dataArray, options = {}) => {
+	const { concurrency = availableParallelism(), ...processingOptions } = options;
+	const workers = Math.min(concurrency, Math.floor(dataArray.length / MIN_SETS_PER_WORKER));
+
+	if (workers > 1 && typeof processingOptions.mergeData !== "function") {
+		return processInWorkers(dataArray, processingOptions, workers);
 	}
 
+	const allStats = [];
+
+	for (const item of dataArray) {
+		allStats.push(await processFileObject(item, processingOptions));
+	}
+	return allStats;
+};
+
+const processArrayOfObjects = async (dataArray, options = {}) => {
+	const allStats = await processSets(dataArray, options);
+	const allResults = allStats.map((stats, i) => ({
+		index: i + 1,
+		...describeInput(dataArray[i]),
+		result: stats.processing.result.formatted,
+		intervals: stats.processing.result.intervals,
+		boxes: stats.processing.result.boxes,
+		cidrs: stats.processing.result.cidrs,
+		gapsBridged: stats.processing.result.gapsBridged,
+		fragmentsDropped: stats.processing.result.fragmentsDropped,
+		// The input the lineage indices refer to
+		...(stats.processing.result.lineage && { lineage: stats.processing.result.lineage, source: dataArray[i] }),
+		shards: stats.processing.result.shards,
+		comprehensiveStats: stats,
+	}));
+
 	const combinedIntervals = allResults.flatMap((r) => r.intervals);
 
 	return {
@@ -130,7 +650,166 @@ const processArrayOfObjects = async (dataArray) => {
 	};
 };
 
-const displayMultipleResults = (result) => {
+/**
+ * Describe the input of a file object for display.
+ * @param {Object} item - Validated input object
+ * @returns {Object} Either { expression, sets } or { includes, excludes } display strings
+ */
+const describeInput = (item) => {
+	if (item.expression !== undefined) {
+		return {
+			expression: item.expression,
+			sets: Object.entries(item.sets).map(([name, value]) => `${name}=${joinIntervalList(value, ", ")}`),
+		};
+	}
+
+	return {
+		includes: joinIntervalList(item.includes, ", "),
+		excludes: item.excludes ? joinIntervalList(item.excludes, ", ") : "(none)",
+	};
+};
+
+/**
+ * Statistics of result boxes as listed in a processing result (see getBoxStatistics).
+ * @param {Object[][]} boxes - Boxes, each an array of interval objects (one per dimension)
+ * @param {Object} [options={}] - Statistics options for every dimension (e.g. continuous, time)
+ * @returns {Object} Statistics object with count, total volume and the extent of each dimension
+ */
+const boxStatistics = (boxes, options = {}) =>
+	getBoxStatistics(
+		boxes.map((dimensions) => ({ dimensions })),
+		options
+	);
+
+/**
+ * Number of result boxes over the sets of an array file, which may mix sets of boxes and sets of intervals.
+ * @param {Object[]} results - Results of the sets, with boxes for sets written as boxes
+ * @returns {number} Total number of boxes
+ */
+const countBoxes = (results) => results.reduce((sum, r) => sum + (r.boxes?.length ?? 0), 0);
+
+/**
+ * Statistics over the results of all sets of an array file. In a modular domain every set may end in a wrap-around
+ * interval of its own, so the count adds up the counts of the sets and the range is that of their merged union.
+ * @param {Object[]} results - Results of the sets, each with its intervals
+ * @param {Object[]} intervals - The intervals of all sets, in set order
+ * @param {Object} [options={}] - Statistics options passed to getBasicStatistics (e.g. continuous, modulo)
+ * @returns {Object} Statistics object as returned by getBasicStatistics
+ */
+const overallStatistics = (results, intervals, options = {}) => {
+	if (options.modulo === undefined) {
+		return getBasicStatistics(intervals, options);
+	}
+
+	const continuous = Boolean(options.continuous);
+	const union = IntervalProcessor.mergeIntervals(intervals.map((i) => Interval.fromObject(i, { continuous })));
+	const { minStart, maxEnd } = getBasicStatistics(union, options);
+
+	return {
+		...getBasicStatistics(intervals, { ...options, modulo: undefined }),
+		count: results.reduce((sum, r) => sum + getBasicStatistics(r.intervals, options).count, 0),
+		minStart,
+		maxEnd,
+	};
+};
+
+/**
+ * Counts of bridged gaps and dropped fragments reported by IntervalProcessor.process, summed over all given results.
+ * @param {Object[]} results - Processing results, with gapsBridged and fragmentsDropped when mergeGap and minLength were set
+ * @returns {Object} Object with gapsBridged and fragmentsDropped, each only present if some result reports it
+ */
+const filterCounts = (results) => {
+	const sum = (key) => results.reduce((total, r) => (r[key] === undefined ? total : (total ?? 0) + r[key]), undefined);
+	const gapsBridged = sum("gapsBridged");
+	const fragmentsDropped = sum("fragmentsDropped");
+
+	return {
+		...(gapsBridged !== undefined && { gapsBridged }),
+		...(fragmentsDropped !== undefined && { fragmentsDropped }),
+	};
+};
+
+/**
+ * Print the counts of bridged gaps and dropped fragments, when reported.
+ * @param {Object} counts - Counts returned by filterCounts
+ * @param {boolean} [total=false] - Label the counts as totals over several sets
+ * @returns {void}
+ */
+const displayFilterCounts = ({ gapsBridged, fragmentsDropped }, total = false) => {
+	if (gapsBridged !== undefined) {
+		console.log(formatMuted(`   • ${total ? "Total gaps" : "Gaps"} bridged: ${gapsBridged}`));
+	}
+	if (fragmentsDropped !== undefined) {
+		console.log(formatMuted(`   • ${total ? "Total fragments" : "Fragments"} dropped: ${fragmentsDropped}`));
+	}
+};
+
+/**
+ * Describe a coverage value for display: a count of integers, a length in continuous mode, a duration in time mode
+ * or a number of addresses in IP mode.
+ * @param {number|bigint} coverage - Total coverage from getBasicStatistics
+ * @param {Object} options - Processing options (e.g. continuous, time, ip)
+ * @returns {string} Coverage with its unit, or "∞ (unbounded)" when an interval is unbounded
+ */
+const describeCoverage = (coverage, options) => {
+	if (coverage === Infinity) {
+		return "∞ (unbounded)";
+	}
+	if (options.time) {
+		return `${formatDuration(coverage)} (total duration)`;
+	}
+	if (options.ip) {
+		return `${coverage} addresses`;
+	}
+	return options.continuous ? `${coverage} (total length)` : `${coverage} individual numbers`;
+};
+
+/**
+ * Print the chunks or shards a result was split into, numbered from 1, with their sizes.
+ * @param {Object[]} shards - Parts from IntervalProcessor.process with the chunkSize or shards option
+ * @param {Object} options - Processing options the result was produced with
+ * @param {string} [indent=""] - Prefix for every line
+ * @returns {void}
+ */
+const displayShards = (shards, options, indent = "") => {
+	const label = options.chunkSize !== undefined ? "Chunk" : "Shard";
+
+	console.log(formatInfo(`${indent}🧩 ${label}s: ${shards.length}`));
+	shards.forEach(({ formatted, size }, i) => {
+		console.log(formatMuted(`${indent}   • ${label} ${i + 1}:`), formatOutput(formatted), formatMuted(`· ${describeCoverage(size, options)}`));
+	});
+};
+
+/**
+ * Print the lineage of every result interval as a tree: the includes it holds values of and the excludes that trimmed it.
+ * Entries are numbered from 1, like the entries in parsing errors.
+ * @param {Object[]} lineage - Lineage records from IntervalProcessor.process with the explain option
+ * @param {Object} source - The includes and excludes the result was computed from
+ * @param {Object} options - Processing options the input was parsed with
+ * @param {string} [indent=""] - Prefix for every line
+ * @returns {void}
+ */
+const displayLineage = (lineage, { includes, excludes }, options, indent = "") => {
+	const texts = (input) => parseIntervalGroups(input ?? "", options).map((group) => formatIntervals(group, { ...options, cidr: false }));
+	const [includeTexts, excludeTexts] = [texts(includes), texts(excludes)];
+
+	console.log(formatMuted(`${indent}🧬 Lineage:`));
+	if (lineage.length === 0) {
+		console.log(formatMuted(`${indent}   (none)`));
+	}
+	lineage.forEach((record, i) => {
+		const [branch, trunk] = i === lineage.length - 1 ? ["└─", "   "] : ["├─", "│  "];
+		const sources = [
+			...record.includes.map((index) => formatInfo(`📥 include ${index + 1}: `) + formatOutput(includeTexts[index])),
+			...record.excludes.map((index) => formatInfo(`📤 exclude ${index + 1}: `) + formatOutput(excludeTexts[index])),
+		];
+
+		console.log(`${indent}   ${formatMuted(branch)} ${formatHighlight(record.formatted)}`);
+		sources.forEach((text, k) => console.log(`${indent}   ${formatMuted(`${trunk}${k === sources.length - 1 ? "└─" : "├─"}`)} ${text}`));
+	});
+};
+
+const displayMultipleResults = (result, options = {}) => {
 	console.log("");
 	console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
 	console.log(formatHighlight("                🔢 MULTIPLE INTERVAL SETS RESULTS"));
@@ -139,9 +818,20 @@ const displayMultipleResults = (result) => {
 
 	result.multipleResults.forEach((setResult, index) => {
 		console.log(formatInfo(`📋 Set ${setResult.index}:`));
-		console.log(formatInfo(`   📥 Includes:`), formatOutput(setResult.includes));
-		console.log(formatInfo(`   📤 Excludes:`), formatOutput(setResult.excludes));
+		if (setResult.expression !== undefined) {
+			setResult.sets.forEach((set) => console.log(formatInfo(`   🏷️  Set:`), formatOutput(set)));
+			console.log(formatInfo(`   🧮 Expression:`), formatOutput(setResult.expression));
+		} else {
+			console.log(formatInfo(`   📥 Includes:`), formatOutput(setResult.includes));
+			console.log(formatInfo(`   📤 Excludes:`), formatOutput(setResult.excludes));
+		}
 		console.log(formatSuccess(`   ✨ Result:`), formatHighlight(setResult.result));
+		if (setResult.lineage) {
+			displayLineage(setResult.lineage, setResult.source, options, "   ");
+		}
+		if (setResult.shards) {
+			displayShards(setResult.shards, options, "   ");
+		}
 
 		if (index < result.multipleResults.length - 1) {
 			console.log("");
@@ -149,18 +839,20 @@ const displayMultipleResults = (result) => {
 	});
 
 	// Overall statistics
-	if (result.intervals.length > 0) {
-		const allIntervalObjects = result.intervals.map((i) => Interval.fromObject(i));
+	const boxCount = countBoxes(result.multipleResults);
+
+	if (result.intervals.length > 0 || boxCount > 0) {
+		const overallStats = overallStatistics(result.multipleResults, result.intervals, options);
 
 		console.log("");
 		console.log(formatMuted("📈 OVERALL STATISTICS:"));
 		console.log(formatMuted(`   • Total sets processed: ${result.multipleResults.length}`));
-		console.log(formatMuted(`   • Total intervals: ${allIntervalObjects.length}`));
-		console.log(
-			formatMuted(
-				`   • Total coverage: ${allIntervalObjects.reduce((sum, interval) => sum + (interval.end - interval.start + 1), 0)} individual numbers`
-			)
-		);
+		console.log(formatMuted(`   • Total intervals: ${overallStats.count}`));
+		console.log(formatMuted(`   • Total coverage: ${describeCoverage(overallStats.totalCoverage, options)}`));
+		if (boxCount > 0) {
+			console.log(formatMuted(`   • Total boxes: ${boxCount}`));
+		}
+		displayFilterCounts(filterCounts(result.multipleResults), true);
 
 		// Memory usage summary
 		if (result.allComprehensiveStats && result.allComprehensiveStats.length > 0) {
@@ -181,9 +873,129 @@ const displayMultipleResults = (result) => {
 		}
 	}
 
-	console.log("");
-	console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
-	console.log("");
+	console.log("");
+	console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+	console.log("");
+};
+
+/**
+ * Build the processing options for the selected value domain from command line options.
+ * @param {Object} options - Command line options object
+ * @returns {Object} Processing options with bigint, continuous, time, ip and cidr flags, the payload merge strategy,
+ * and the explain flag, worker thread limit, merge gap, minimum length, modulo, chunk size and number of shards (when given)
+ * @throws {Error} When options for incompatible value domains are combined, the concurrency or number of shards is not a
+ * positive integer, the merge gap, minimum length or chunk size is not a valid size, the modulo is invalid or both a chunk
+ * size and a number of shards are given
+ */
+const resolveProcessingOptions = (options) => {
+	const ip = Boolean(options.ip || options.cidr);
+	const time = Boolean(options.time);
+	// Time mode implies continuous values and IP mode implies BigInt values, so those pairs may be combined
+	const modes = [
+		["BigInt", options.bigint && !ip],
+		["continuous", options.continuous && !time],
+		["time", time],
+		["IP", ip],
+	]
+		.filter(([, enabled]) => enabled)
+		.map(([name]) => name);
+
+	if (modes.length > 1) {
+		throw new Error(ERROR_MESSAGES.INCOMPATIBLE_MODES(modes));
+	}
+	if (options.concurrency !== undefined && !/^[1-9]\d*$/.test(options.concurrency)) {
+		throw new Error(ERROR_MESSAGES.INVALID_CONCURRENCY(options.concurrency));
+	}
+
+	const processingOptions = {
+		bigint: Boolean(options.bigint),
+		continuous: Boolean(options.continuous),
+		time,
+		ip,
+		cidr: Boolean(options.cidr),
+		mergeData: options.mergeData ?? "first",
+		...(options.explain && { explain: true }),
+		...(options.concurrency !== undefined && { concurrency: Number(options.concurrency) }),
+	};
+
+	if (options.mergeGap !== undefined) {
+		processingOptions.mergeGap = parseLength(options.mergeGap, "merge gap", processingOptions);
+	}
+	if (options.minLength !== undefined) {
+		processingOptions.minLength = parseLength(options.minLength, "minimum length", processingOptions);
+	}
+	if (options.modulo !== undefined) {
+		processingOptions.modulo = parseModulo(options.modulo, processingOptions);
+	}
+	if (options.chunkSize !== undefined && options.shards !== undefined) {
+		throw new Error(ERROR_MESSAGES.PARTITION_CONFLICT());
+	}
+	if (options.chunkSize !== undefined) {
+		processingOptions.chunkSize = parseLength(options.chunkSize, "chunk size", processingOptions);
+	}
+	if (options.shards !== undefined) {
+		if (!/^[1-9]\d*$/.test(options.shards)) {
+			throw new Error(ERROR_MESSAGES.INVALID_SHARD_COUNT(options.shards));
+		}
+		processingOptions.shards = Number(options.shards);
+	}
+
+	return processingOptions;
+};
+
+/**
+ * Build the machine-readable representation of a result written as boxes for --json output.
+ * @param {Object[][]} boxes - Result boxes, each an array of interval objects (one per dimension)
+ * @param {string} formatted - The formatted boxes
+ * @param {Object} [options={}] - Processing options the result was produced with (e.g. continuous)
+ * @returns {Object} Object with the boxes, formatted output and box statistics (count, total volume and the extent of each dimension)
+ */
+const buildBoxOutput = (boxes, formatted, options = {}) => ({ boxes, formatted, statistics: boxStatistics(boxes, options) });
+
+/**
+ * Build the machine-readable representation of a processing result for --json output.
+ * @param {Object} result - Result from processFromArgs, processFromExpression or processFromFile
+ * @param {Object} [options={}] - Processing options the result was produced with (e.g. continuous)
+ * @returns {Object} Object with intervals, CIDR blocks (with --cidr), formatted output, lineage (with --explain), chunks or shards
+ * (with --chunk-size or --shards, each with its intervals, formatted text and size) and statistics
+ * (per set for array files), including the bridged gaps and dropped fragments when a merge gap or minimum length was used;
+ * results written as boxes have boxes and box statistics instead (see buildBoxOutput)
+ */
+export const buildJsonOutput = (result, options = {}) => {
+	if (result.multipleResults) {
+		return {
+			sets: result.multipleResults.map((setResult) =>
+				setResult.boxes
+					? { index: setResult.index, ...buildBoxOutput(setResult.boxes, setResult.result, options) }
+					: {
+							index: setResult.index,
+							intervals: setResult.intervals,
+							...(setResult.cidrs && { cidrs: setResult.cidrs }),
+							formatted: setResult.result,
+							...(setResult.lineage && { lineage: setResult.lineage }),
+							...(setResult.shards && { shards: setResult.shards }),
+							statistics: { ...getBasicStatistics(setResult.intervals, options), ...filterCounts([setResult]) },
+						}
+			),
+			statistics: {
+				...overallStatistics(result.multipleResults, result.intervals, options),
+				...(countBoxes(result.multipleResults) > 0 && { boxCount: countBoxes(result.multipleResults) }),
+				...filterCounts(result.multipleResults),
+			},
+		};
+	}
+	if (result.boxes) {
+		return buildBoxOutput(result.boxes, result.formatted, options);
+	}
+
+	return {
+		intervals: result.intervals,
+		...(result.cidrs && { cidrs: result.cidrs }),
+		formatted: result.formatted,
+		...(result.lineage && { lineage: result.lineage }),
+		...(result.shards && { shards: result.shards }),
+		statistics: { ...getBasicStatistics(result.intervals, options), ...filterCounts([result]) },
+	};
 };
 
 /**
@@ -192,6 +1004,22 @@ const displayMultipleResults = (result) => {
  * @param {string} [options.includes] - Include intervals string
  * @param {string} [options.excludes] - Exclude intervals string
  * @param {string} [options.file] - File path for JSON input
+ * @param {string} [options.expr] - Set expression over named sets
+ * @param {string[]} [options.set] - Named set definitions of the form "name=10-20,30-40"
+ * @param {boolean} [options.bigint] - Parse and process values as BigInt
+ * @param {boolean} [options.continuous] - Parse and process values as real-valued intervals
+ * @param {boolean} [options.time] - Parse and process ISO 8601 time intervals
+ * @param {boolean} [options.ip] - Parse and process IPv4/IPv6 ranges and CIDR blocks
+ * @param {boolean} [options.cidr] - Print IP results as a minimal list of CIDR blocks (implies ip)
+ * @param {string} [options.mergeData] - How payloads of merged includes combine ("first" or "all")
+ * @param {string} [options.concurrency] - Maximum number of worker threads for array files
+ * @param {string} [options.mergeGap] - Merge includes separated by gaps of at most this size
+ * @param {string} [options.minLength] - Drop result intervals smaller than this size
+ * @param {string} [options.chunkSize] - Also split the result into chunks of at most this size
+ * @param {string} [options.shards] - Also split the result into this many shards of balanced size
+ * @param {string} [options.modulo] - Treat values as a modular domain of this size, allowing wrap-around intervals
+ * @param {boolean} [options.explain] - Show which includes and excludes produced each result interval
+ * @param {boolean} [options.json] - Print the result as JSON instead of the formatted report
  * @param {boolean} [options.help] - Show help flag
  * @returns {Promise<void>} Resolves when command processing is complete
  * @throws {Error} When processing fails or invalid options provided
@@ -201,30 +1029,47 @@ export const handleCommand = async (options) => {
 		let result;
 		let includesInput = "";
 		let excludesInput = "";
+		let expressionInput = null;
+		// The includes and excludes as given, which the lineage of --explain refers to
+		let source = {};
+		const processingOptions = resolveProcessingOptions(options);
 
 		if (options.file) {
-			console.log(formatInfo(`📁 Reading from file: ${options.file}`));
-			result = await processFromFile(options.file);
+			if (!options.json) {
+				console.log(formatInfo(`📁 Reading from file: ${options.file}`));
+			}
+			result = await processFromFile(options.file, { ...processingOptions, expression: options.expr });
 
 			const { readFile } = await import("node:fs/promises");
 			const { resolve } = await import("node:path");
 			const content = await readFile(resolve(options.file), {
 				encoding: "utf8",
 			});
-			const fileData = JSON.parse(content);
+			const fileData = applyExpression(JSON.parse(content), options.expr);
 
 			if (Array.isArray(fileData)) {
-				return displayMultipleResults(result);
+				return options.json
+					? console.log(stringifyJSON(buildJsonOutput(result, processingOptions), 2))
+					: displayMultipleResults(result, processingOptions);
 			}
 
-			includesInput = Array.isArray(fileData.includes) ? fileData.includes.join(", ") : fileData.includes;
-			excludesInput = fileData.excludes ? (Array.isArray(fileData.excludes) ? fileData.excludes.join(", ") : fileData.excludes) : "";
+			if (fileData.expression !== undefined) {
+				expressionInput = describeInput(fileData);
+			} else {
+				source = fileData;
+				includesInput = joinIntervalList(fileData.includes, ", ");
+				excludesInput = fileData.excludes ? joinIntervalList(fileData.excludes, ", ") : "";
+			}
+		} else if (options.expr !== undefined) {
+			result = await processFromExpression(options.expr, options.set, processingOptions);
+			expressionInput = describeInput({ sets: parseSetDefinitions(options.set ?? []), expression: options.expr });
 		} else if (options.includes !== undefined && options.includes !== null) {
 			includesInput = options.includes;
 			excludesInput = options.excludes || "";
-			result = await processFromArgs(options.includes, options.excludes);
+			source = { includes: options.includes, excludes: options.excludes };
+			result = await processFromArgs(options.includes, options.excludes, processingOptions);
 		} else {
-			throw new Error("No input provided. Use -i for includes or --file for file input.");
+			throw new Error("No input provided. Use -i for includes, --expr for set expressions or --file for file input.");
 		}
 
 		if (result.error) {
@@ -232,6 +1077,11 @@ export const handleCommand = async (options) => {
 			process.exit(1);
 		}
 
+		if (options.json) {
+			console.log(stringifyJSON(buildJsonOutput(result, processingOptions), 2));
+			return;
+		}
+
 		// Display beautiful formatted results
 		console.log("");
 		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
@@ -239,47 +1089,441 @@ export const handleCommand = async (options) => {
 		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
 		console.log("");
 
-		console.log(formatInfo(`📥 Includes:`), formatOutput(includesInput));
-		if (excludesInput) {
-			console.log(formatInfo(`📤 Excludes:`), formatOutput(excludesInput));
+		if (expressionInput) {
+			expressionInput.sets.forEach((set) => console.log(formatInfo(`🏷️  Set:`), formatOutput(set)));
+			console.log(formatInfo(`🧮 Expression:`), formatOutput(expressionInput.expression));
 		} else {
-			console.log(formatMuted(`📤 Excludes: (none)`));
+			console.log(formatInfo(`📥 Includes:`), formatOutput(includesInput));
+			if (excludesInput) {
+				console.log(formatInfo(`📤 Excludes:`), formatOutput(excludesInput));
+			} else {
+				console.log(formatMuted(`📤 Excludes: (none)`));
+			}
 		}
 
 		console.log("");
 		console.log(formatSuccess(`✨ Output:`), formatHighlight(result.formatted));
 
+		if (result.lineage) {
+			console.log("");
+			displayLineage(result.lineage, source, processingOptions);
+		}
+		if (result.shards) {
+			console.log("");
+			displayShards(result.shards, processingOptions);
+		}
+
+		if (result.boxes?.length > 0) {
+			const stats = boxStatistics(result.boxes, processingOptions);
+
+			console.log("");
+			console.log(formatMuted("📊 Statistics:"));
+			console.log(formatMuted(`   • Number of boxes: ${stats.count}`));
+			console.log(formatMuted(`   • Total volume: ${stats.totalVolume}`));
+		}
+
 		if (result.intervals.length > 0) {
-			const stats = result.comprehensiveStats;
+			// The result intervals, as in the statistics of --json (comprehensiveStats describes the includes)
+			const stats = getBasicStatistics(result.intervals, processingOptions);
 			let excludedCoverage = 0;
 
 			if (excludesInput) {
-				const excludeIntervals = parseIntervals(excludesInput);
-				excludedCoverage = excludeIntervals.reduce((sum, interval) => sum + (interval.end - interval.start + 1), 0);
+				excludedCoverage = getBasicStatistics(parseIntervals(excludesInput, processingOptions), processingOptions).totalCoverage;
 			}
 
 			console.log("");
 			console.log(formatMuted("📊 Statistics:"));
-			console.log(formatMuted(`   • Number of intervals: ${stats.intervals.count}`));
-			console.log(formatMuted(`   • Total coverage: ${stats.intervals.totalCoverage} individual numbers`));
+			console.log(formatMuted(`   • Number of intervals: ${stats.count}`));
+			console.log(formatMuted(`   • Total coverage: ${describeCoverage(stats.totalCoverage, processingOptions)}`));
 
 			if (excludedCoverage > 0) {
-				console.log(formatMuted(`   • Total excluded: ${excludedCoverage} individual numbers`));
+				console.log(formatMuted(`   • Total excluded: ${describeCoverage(excludedCoverage, processingOptions)}`));
+			}
+			displayFilterCounts(filterCounts([result]));
+		}
+
+		if ((result.intervals.length > 0 || result.boxes?.length > 0) && result.comprehensiveStats.processing) {
+			const perf = result.comprehensiveStats.processing;
+
+			console.log("");
+			console.log(formatMuted("⚡ Performance:"));
+			console.log(formatMuted(`   • Execution time: ${perf.summary.executionTimeMs} ms`));
+			console.log(formatMuted(`   • Memory growth: ${perf.summary.memoryGrowth} MB`));
+			console.log(formatMuted(`   • Peak heap used: ${perf.summary.peakHeapUsed} MB`));
+
+			if (perf.error) {
+				console.log(formatError(`   • Error occurred: ${perf.error.message}`));
 			}
+		}
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+	} catch (error) {
+		console.log("");
+		console.error(formatError(`❌ ${error?.message ?? "An unexpected error occurred"}`));
+		console.log("");
+		process.exit(1);
+	}
+};
 
-			if (stats.processing) {
-				const perf = stats.processing;
+/**
+ * Read a text stream line by line. The stream is only read while the lines are consumed, so several inputs
+ * can be read side by side without buffering one of them.
+ * @param {import("node:stream").Readable} input - Stream to read
+ * @yields {string} Lines without their line terminators
+ */
+async function* readLines(input) {
+	let buffer = "";
+
+	input.setEncoding("utf8");
+
+	for await (const chunk of input) {
+		const lines = (buffer + chunk).split(/\r?\n/);
+
+		buffer = lines.pop();
+		yield* lines;
+	}
+
+	if (buffer) {
+		yield buffer;
+	}
+}
 
-				console.log("");
-				console.log(formatMuted("⚡ Performance:"));
-				console.log(formatMuted(`   • Execution time: ${perf.summary.executionTimeMs} ms`));
-				console.log(formatMuted(`   • Memory growth: ${perf.summary.memoryGrowth} MB`));
-				console.log(formatMuted(`   • Peak heap used: ${perf.summary.peakHeapUsed} MB`));
+/**
+ * Stream line-delimited input through IntervalStream.process, writing every result interval as soon as it is final.
+ * Input lines hold one interval each ("10-20", "[10,20)") or NDJSON, and must be sorted by start.
+ * @param {Object} source - Where to read the intervals from
+ * @param {string} [source.file] - Includes file; standard input when omitted
+ * @param {string} [source.excludeFile] - Excludes file in the same format
+ * @param {string} [source.excludes] - Exclude intervals string, used when no excludes file is given (sorted before streaming)
+ * @param {import("node:stream").Writable} output - Stream the results are written to, one per line
+ * @param {Object} [options={}] - Processing options (e.g. bigint, continuous, time, ip, cidr, mergeData)
+ * @param {boolean} [options.json=false] - Write results as NDJSON (one Interval.toJSON object per line)
+ * @returns {Promise<number>} Number of result intervals written
+ * @throws {Error} When an input cannot be read, a line is invalid or an input is not sorted
+ */
+export const processFromStream = async (source, output, options = {}) => {
+	const openLines = (filePath) => readLines(filePath ? createReadStream(resolve(filePath)) : process.stdin);
+	const format = (interval) => {
+		if (options.json) {
+			return stringifyJSON(interval.toJSON());
+		}
+		return options.cidr ? formatCidrs([interval]).join("\n") : interval.toString();
+	};
+	let count = 0;
 
-				if (perf.error) {
-					console.log(formatError(`   • Error occurred: ${perf.error.message}`));
-				}
+	try {
+		const includes = IntervalStream.fromLines(openLines(source.file), options);
+		const excludes = source.excludeFile
+			? IntervalStream.fromLines(openLines(source.excludeFile), options)
+			: parseIntervals(source.excludes ?? "", options).sort(Interval.compare);
+
+		for await (const interval of IntervalStream.process(includes, excludes, options)) {
+			if (!output.write(`${format(interval)}\n`)) {
+				await once(output, "drain");
 			}
+			count++;
+		}
+	} catch (error) {
+		throw error?.code ? toFileError(error, error.path) : new Error(`Stream processing failed: ${error?.message ?? "Unknown error"}`);
+	}
+
+	return count;
+};
+
+/**
+ * Handler for the "query" subcommand: index intervals and print the answers to point and overlap queries.
+ * @param {Object} options - Command line options object
+ * @param {string} [options.file] - JSON file to index
+ * @param {string} [options.includes] - Include intervals to index when no file is given
+ * @param {string[]} [options.at] - Points to look up
+ * @param {string[]} [options.overlaps] - Ranges to look up
+ * @param {boolean} [options.json] - Print the answers as JSON instead of the formatted report
+ * @returns {Promise<void>} Resolves when all queries are answered
+ */
+export const handleQueryCommand = async (options) => {
+	try {
+		const processingOptions = resolveProcessingOptions(options);
+
+		if (!options.file && (options.includes === undefined || options.includes === null)) {
+			throw new Error("No input provided. Use --file or -i to give the intervals to query.");
+		}
+		if (!options.at?.length && !options.overlaps?.length) {
+			throw new Error("No queries provided. Use --at <point> or --overlaps <range>.");
+		}
+
+		const result = await processQuery(
+			{ file: options.file, includes: options.includes },
+			{ at: options.at ?? [], overlaps: options.overlaps ?? [] },
+			processingOptions
+		);
+
+		if (options.json) {
+			console.log(stringifyJSON(result, 2));
+			return;
+		}
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log(formatHighlight("                    🔎 INTERVAL QUERY RESULTS"));
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+		console.log(formatInfo(`🗂️  Indexed intervals: ${result.indexed}`));
+
+		result.queries.forEach((query) => {
+			console.log("");
+			console.log(
+				formatInfo(query.type === "point" ? `📍 Containing ${query.query}:` : `↔️  Overlapping ${query.query}:`),
+				formatHighlight(query.formatted)
+			);
+			console.log(formatMuted(`   • Matches: ${query.intervals.length}`));
+		});
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+	} catch (error) {
+		console.log("");
+		console.error(formatError(`❌ ${error?.message ?? "An unexpected error occurred"}`));
+		console.log("");
+		process.exit(1);
+	}
+};
+
+/**
+ * Handler for the "depth" subcommand: print how many intervals cover each segment as a table, or as JSON.
+ * @param {Object} options - Command line options object
+ * @param {string} [options.file] - JSON file whose intervals to count
+ * @param {string} [options.includes] - Include intervals to count when no file is given
+ * @param {string} [options.minDepth] - Also list the regions covered at least this many times
+ * @param {boolean} [options.json] - Print the depth map as JSON instead of the table
+ * @returns {Promise<void>} Resolves when the depth map is printed
+ */
+export const handleDepthCommand = async (options) => {
+	try {
+		const processingOptions = resolveProcessingOptions(options);
+
+		if (!options.file && (options.includes === undefined || options.includes === null)) {
+			throw new Error("No input provided. Use --file or -i to give the intervals to count.");
+		}
+
+		const result = await processDepth({ file: options.file, includes: options.includes }, { minDepth: options.minDepth }, processingOptions);
+
+		if (options.json) {
+			console.log(stringifyJSON(result, 2));
+			return;
+		}
+
+		const width = Math.max("Segment".length, ...result.segments.map(({ formatted }) => formatted.length));
+		// Bars grow one block per covering interval, scaled down so the deepest segment stays within MAX_DEPTH_BAR blocks
+		const blocks = (depth) => Math.max(1, Math.round((depth * Math.min(result.maxDepth, MAX_DEPTH_BAR)) / result.maxDepth));
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log(formatHighlight("                    📶 COVERAGE DEPTH MAP"));
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+		console.log(formatInfo(`🗂️  Counted intervals: ${result.counted}`));
+		console.log(formatInfo(`📈 Maximum depth: ${result.maxDepth}`));
+		console.log("");
+		console.log(formatMuted(`   ${"Segment".padEnd(width)}  Depth`));
+		result.segments.forEach(({ formatted, depth }) => {
+			console.log(
+				`   ${formatOutput(formatted.padEnd(width))}  ${formatHighlight(String(depth).padStart(5))} ${formatMuted("█".repeat(blocks(depth)))}`
+			);
+		});
+		if (result.segments.length === 0) {
+			console.log(formatMuted("   (none)"));
+		}
+		if (result.atLeast) {
+			console.log("");
+			console.log(formatInfo(`🎯 Covered at least ${result.atLeast.depth} times:`), formatHighlight(result.atLeast.formatted));
+		}
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+	} catch (error) {
+		console.log("");
+		console.error(formatError(`❌ ${error?.message ?? "An unexpected error occurred"}`));
+		console.log("");
+		process.exit(1);
+	}
+};
+
+/**
+ * Handler for the "gaps" subcommand: print the uncovered intervals of a domain with their sizes as a table, or as JSON.
+ * @param {Object} options - Command line options object
+ * @param {string} [options.file] - JSON file whose intervals are the used ranges
+ * @param {string} [options.includes] - Used ranges when no file is given
+ * @param {string} [options.domain] - Single interval to find the gaps in
+ * @param {string} [options.sort] - "position" or "size"
+ * @param {string} [options.largest] - Only list this many of the largest gaps
+ * @param {boolean} [options.json] - Print the gaps as JSON instead of the table
+ * @returns {Promise<void>} Resolves when the gaps are printed
+ */
+export const handleGapsCommand = async (options) => {
+	try {
+		const processingOptions = resolveProcessingOptions(options);
+
+		if (!options.file && (options.includes === undefined || options.includes === null)) {
+			throw new Error("No input provided. Use --file or -i to give the used ranges.");
+		}
+
+		const result = await processGaps(
+			{ file: options.file, includes: options.includes },
+			{ domain: options.domain, sort: options.sort, largest: options.largest },
+			processingOptions
+		);
+
+		if (options.json) {
+			console.log(stringifyJSON(result, 2));
+			return;
+		}
+
+		const width = Math.max("Gap".length, ...result.gaps.map(({ formatted }) => formatted.length));
+		// Rows hold bare sizes, the unit is given once with the total
+		const size = (value) => (value === Infinity ? "∞" : processingOptions.time ? formatDuration(value) : String(value));
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log(formatHighlight("                    🕳️  UNCOVERED GAPS"));
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+		console.log(formatInfo(`🗂️  Used intervals: ${result.used}`));
+		console.log(formatInfo(`📏 Domain:`), formatOutput(result.domain));
+		console.log("");
+		console.log(formatMuted(`   ${"Gap".padEnd(width)}  Size`));
+		result.gaps.forEach((gap) => console.log(`   ${formatOutput(gap.formatted.padEnd(width))}  ${formatHighlight(size(gap.size))}`));
+		if (result.gaps.length === 0) {
+			console.log(formatMuted("   (none)"));
+		}
+
+		console.log("");
+		console.log(formatInfo(`🕳️  Total free: ${describeCoverage(result.totalSize, processingOptions)}`));
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+	} catch (error) {
+		console.log("");
+		console.error(formatError(`❌ ${error?.message ?? "An unexpected error occurred"}`));
+		console.log("");
+		process.exit(1);
+	}
+};
+
+/**
+ * Handler for the "diff" subcommand: print the regions added and removed between two inputs as a colored unified
+ * view, or as JSON. Like diff(1), the exit code is 0 when both inputs cover the same region, 1 when they differ and
+ * 2 when an input cannot be loaded.
+ * @param {Object} options - Command line options object
+ * @param {string[]} options.inputs - The older and the newer input (interval strings or JSON files, see processDiff)
+ * @param {boolean} [options.json] - Print the differences as JSON instead of the unified view
+ * @returns {Promise<void>} Resolves when the differences are printed
+ */
+export const handleDiffCommand = async (options) => {
+	try {
+		const processingOptions = resolveProcessingOptions(options);
+		const [before, after] = options.inputs;
+		const result = await processDiff(before, after, processingOptions);
+
+		process.exitCode = result.equal ? 0 : 1;
+
+		if (options.json) {
+			console.log(stringifyJSON(result, 2));
+			return;
+		}
+
+		const marks = {
+			added: (text) => formatSuccess(`+ ${text}`),
+			removed: (text) => formatRemoved(`- ${text}`),
+			unchanged: (text) => formatMuted(`  ${text}`),
+		};
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log(formatHighlight("                    🔀 INTERVAL SET DIFF"));
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+		console.log(formatRemoved(`--- ${result.before.source}`));
+		console.log(formatSuccess(`+++ ${result.after.source}`));
+		result.changes.forEach(({ type, formatted }) => console.log(marks[type](formatted)));
+		if (result.changes.length === 0) {
+			console.log(formatMuted("  (none)"));
+		}
+
+		console.log("");
+		if (result.equal) {
+			console.log(formatSuccess("✅ No changes in coverage"));
+		} else {
+			console.log(
+				formatSuccess(`➕ Added:`),
+				formatHighlight(result.added.formatted),
+				formatMuted(`· ${describeCoverage(result.added.coverage, processingOptions)}`)
+			);
+			console.log(
+				formatRemoved(`➖ Removed:`),
+				formatHighlight(result.removed.formatted),
+				formatMuted(`· ${describeCoverage(result.removed.coverage, processingOptions)}`)
+			);
+		}
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+	} catch (error) {
+		console.log("");
+		console.error(formatError(`❌ ${error?.message ?? "An unexpected error occurred"}`));
+		console.log("");
+		process.exit(2);
+	}
+};
+
+/**
+ * Handler for the "relate" subcommand: print the Allen relations between named intervals as a matrix followed by the
+ * (filtered) pairs, or as JSON.
+ * @param {Object} options - Command line options object
+ * @param {string} [options.file] - JSON file whose "sets" name the intervals
+ * @param {string[]} [options.set] - Named intervals such as "meeting=9-11", used when no file is given
+ * @param {string[]} [options.relation] - Only list pairs in one of these relations
+ * @param {boolean} [options.json] - Print the relations as JSON instead of the matrix
+ * @returns {Promise<void>} Resolves when the relations are printed
+ */
+export const handleRelateCommand = async (options) => {
+	try {
+		const processingOptions = resolveProcessingOptions(options);
+
+		if (!options.file && !options.set?.length) {
+			throw new Error("No input provided. Use --set <name=interval> (repeatable) or --file to name the intervals to relate.");
+		}
+
+		const result = await processRelations({ file: options.file, set: options.set }, { relations: options.relation ?? [] }, processingOptions);
+
+		if (options.json) {
+			console.log(stringifyJSON(result, 2));
+			return;
+		}
+
+		const width = Math.max(...result.names.map((name) => name.length), ...result.matrix.flat().map((relation) => relation.length));
+		const row = (cells) => cells.map((cell) => cell.padEnd(width)).join("  ");
+
+		console.log("");
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log(formatHighlight("                    🧭 INTERVAL RELATIONS"));
+		console.log(formatHighlight("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"));
+		console.log("");
+		result.names.forEach((name) => console.log(formatInfo(`🏷️  ${name}:`), formatOutput(result.intervals[name])));
+		console.log("");
+		console.log(formatMuted(`   ${row(["", ...result.names])}`));
+		result.matrix.forEach((relations, i) => {
+			console.log(`   ${formatInfo(result.names[i].padEnd(width))}  ${formatOutput(row(relations))}`);
+		});
+		console.log("");
+		console.log(formatInfo(`🔗 Pairs${options.relation?.length ? ` (${options.relation.join(", ")})` : ""}: ${result.pairs.length}`));
+		result.pairs.forEach(({ a, b, relation }) => console.log(`   ${formatOutput(a)} ${formatHighlight(relation)} ${formatOutput(b)}`));
+		if (result.pairs.length === 0) {
+			console.log(formatMuted("   (none)"));
 		}
 
 		console.log("");
@@ -293,6 +1537,39 @@ export const handleCommand = async (options) => {
 	}
 };
 
+/**
+ * Handler for --stream mode: stream results to standard output without the formatted report.
+ * @param {Object} options - Command line options object
+ * @param {string} [options.file] - Includes file (standard input when omitted)
+ * @param {string} [options.excludeFile] - Excludes file
+ * @param {string} [options.excludes] - Exclude intervals string
+ * @param {boolean} [options.json] - Write results as NDJSON
+ * @returns {Promise<void>} Resolves when the whole input has been processed
+ */
+export const handleStreamCommand = async (options) => {
+	try {
+		const processingOptions = resolveProcessingOptions(options);
+
+		if (processingOptions.modulo !== undefined) {
+			throw new Error(ERROR_MESSAGES.MODULO_STREAM());
+		}
+		if (processingOptions.explain) {
+			throw new Error(ERROR_MESSAGES.EXPLAIN_STREAM());
+		}
+		if (processingOptions.chunkSize !== undefined || processingOptions.shards !== undefined) {
+			throw new Error(ERROR_MESSAGES.PARTITION_STREAM());
+		}
+
+		await processFromStream({ file: options.file, excludeFile: options.excludeFile, excludes: options.excludes }, process.stdout, {
+			...processingOptions,
+			json: Boolean(options.json),
+		});
+	} catch (error) {
+		console.error(formatError(`❌ ${error?.message ?? "An unexpected error occurred"}`));
+		process.exit(1);
+	}
+};
+
 /**
  * Display help information with usage examples and options.
  * @returns {void}
@@ -305,17 +1582,80 @@ ${formatHighlight("━━━━━━━━━━━━━━━━━━━━
 
 ${formatInfo("🚀 USAGE:")}
   node cli.js [OPTIONS]
+  node cli.js query [--file <path> | -i <intervals>] [--at <point>] [--overlaps <range>] [OPTIONS]
+  node cli.js depth [--file <path> | -i <intervals>] [--min-depth <k>] [OPTIONS]
+  node cli.js gaps [--file <path> | -i <intervals>] [--domain <interval>] [--sort <position|size>] [--largest <n>] [OPTIONS]
+  node cli.js diff <before> <after> [OPTIONS]
+  node cli.js relate [--set <name=interval>... | --file <path>] [--relation <name>] [OPTIONS]
+  node cli.js --stream [--file <path>] [--exclude-file <path> | -e <intervals>] [OPTIONS]
 
 ${formatInfo("⚙️  OPTIONS:")}
   ${formatSuccess("-i, --includes <intervals>")}    Include intervals (required unless using --file)
   ${formatInfo("-e, --excludes <intervals>")}    Exclude intervals (optional)
   ${formatInfo("--file <path>")}                Read input from JSON file
+  ${formatInfo("--expr <expression>")}          Evaluate a set expression over named sets
+  ${formatInfo("--set <name=intervals>")}       Define a named set for --expr (repeatable)
+  ${formatInfo("--bigint")}                     Use BigInt values (beyond Number.MAX_SAFE_INTEGER)
+  ${formatInfo("--continuous")}                 Treat values as real numbers (decimals, length-based coverage)
+  ${formatInfo("--time")}                       Treat intervals as ISO 8601 time intervals (start/end or start/duration)
+  ${formatInfo("--ip")}                         Treat intervals as IPv4/IPv6 ranges and CIDR blocks
+  ${formatInfo("--cidr")}                       Print IP results as a minimal list of CIDR blocks (implies --ip)
+  ${formatInfo("--merge-data <first|all>")}     Keep the first payload or collect all payloads of merged intervals
+  ${formatInfo("--merge-gap <size>")}           Also merge includes separated by gaps of at most this size (e.g. 2, or PT5M with --time)
+  ${formatInfo("--min-length <size>")}          Drop result intervals smaller than this size after excluding
+  ${formatInfo("--modulo <n>")}                 Treat values as a circular domain 0..n-1 where intervals may wrap around (e.g. "22-2" with 24)
+  ${formatInfo("--chunk-size <size>")}          Also split the result into chunks of at most this size (e.g. 25, or PT1H with --time)
+  ${formatInfo("--shards <n>")}                 Also split the result into n shards of balanced size
+  ${formatInfo("--explain")}                    Show which includes and excludes produced each result interval (as "lineage" with --json)
+  ${formatInfo("--concurrency <n>")}            Process the sets of large array files on up to n worker threads (default: CPU count)
+  ${formatInfo("--json")}                       Print the result as JSON
   ${formatMuted("--help")}                       Show this help message
 
+${formatInfo("🌊 STREAM OPTIONS:")}
+  ${formatInfo("--stream")}                     Process sorted line-delimited input incrementally (stdin unless --file is given)
+  ${formatInfo("--exclude-file <path>")}        Read sorted excludes from a line-delimited file
+  ${formatMuted('Lines hold one interval ("10-20") or NDJSON; results are written one per line (NDJSON with --json).')}
+
+${formatInfo("🔎 QUERY OPTIONS:")}
+  ${formatInfo("--at <point>")}                 Find the intervals containing a point (repeatable)
+  ${formatInfo("--overlaps <range>")}           Find the intervals overlapping a range (repeatable)
+  ${formatMuted("Queries return the original, unmerged intervals; excludes are not applied.")}
+
+${formatInfo("📶 DEPTH OPTIONS:")}
+  ${formatInfo("--min-depth <k>")}              Also list the regions covered by at least k intervals
+  ${formatMuted("The depth command counts how many (unmerged) includes cover each segment; excludes are not applied.")}
+
+${formatInfo("🕳️  GAPS OPTIONS:")}
+  ${formatInfo("--domain <interval>")}          Find the gaps within this interval (default: span of the includes)
+  ${formatInfo("--sort <position|size>")}       List gaps in ascending order or largest first (default: position)
+  ${formatInfo("--largest <n>")}                Only list the n largest gaps (sorted by size unless --sort is given)
+
+${formatInfo("🔀 DIFF INPUTS:")}
+  ${formatMuted("Each input is an interval string or a JSON file; file.json#n picks the n-th set of an array file.")}
+  ${formatMuted("Input files are processed, files written with --json are read back. Exit code: 0 same, 1 differ, 2 error.")}
+
+${formatInfo("🧭 RELATE OPTIONS:")}
+  ${formatInfo("--relation <name>")}            Only list pairs in this Allen relation (repeatable)
+  ${formatMuted("Relations: before, meets, overlaps, starts, during, finishes, equals and their inverses after, metBy,")}
+  ${formatMuted('overlappedBy, startedBy, contains, finishedBy. Each --set (or file "sets" entry) names one interval.')}
+
 ${formatInfo("📝 INTERVAL FORMAT:")}
   ${formatMuted("Single interval:")}    ${formatOutput('"10-100"')}
   ${formatMuted("Multiple intervals:")} ${formatOutput('"10-100,200-300,400-500"')}
   ${formatMuted("Negative numbers:")}   ${formatOutput('"-50--10"')} ${formatMuted("(from -50 to -10)")}
+  ${formatMuted("Bracket notation:")}   ${formatOutput('"[10,20),(5,9]"')} ${formatMuted("( ) exclude the bound, [ ] include it")}
+  ${formatMuted("Strided ranges:")}     ${formatOutput('"10-100/5"')} ${formatMuted("(every 5th integer from 10 to 100)")}
+  ${formatMuted("Unbounded ranges:")}   ${formatOutput('"1000-,*-50,-inf..0"')} ${formatMuted("(* or inf for an open end)")}
+  ${formatMuted("Decimals:")}           ${formatOutput('"0.5-2.75"')} ${formatMuted("(with --continuous)")}
+  ${formatMuted("Time intervals:")}     ${formatOutput('"2024-03-11T09:00+01:00/PT8H"')} ${formatMuted("(with --time)")}
+  ${formatMuted("IP ranges:")}          ${formatOutput('"10.0.0.0/8,192.168.1.10-192.168.1.50,2001:db8::/32"')} ${formatMuted("(with --ip)")}
+  ${formatMuted("Boxes:")}              ${formatOutput('"10-20x5-8"')} ${formatMuted("(includes and excludes only, with the same number of dimensions)")}
+  ${formatMuted("Payloads (file):")}    ${formatOutput('{ "range": "10-20", "data": { "label": "maintenance" } }')} ${formatMuted("(in includes/excludes arrays)")}
+
+${formatInfo("🧮 SET EXPRESSIONS:")}
+  ${formatMuted("Operators:")}           ${formatOutput("|")} union, ${formatOutput("&")} intersection, ${formatOutput("-")} difference, ${formatOutput("^")} symmetric difference, ${formatOutput("~")} complement
+  ${formatMuted("Precedence:")}          ${formatOutput("~")} > ${formatOutput("-")} > ${formatOutput("&")} > ${formatOutput("^")} > ${formatOutput("|")} ${formatMuted("(use parentheses to group)")}
+  ${formatMuted("Complement domain:")}   ${formatMuted('span of all named sets, or the file\'s "domain" field')}
 
 ${formatInfo("⚠️  NEGATIVE INTERVALS:")}
   ${formatMuted("When using negative intervals, prefer long form options to avoid parsing issues:")}
@@ -337,6 +1677,51 @@ ${formatInfo("💡 EXAMPLES:")}
   ${formatMuted("# File input")}
   ${formatOutput("node cli.js --file input.json")}
 
+  ${formatMuted("# 64-bit values as JSON")}
+  ${formatOutput('node cli.js --bigint --json -i "9007199254740993-18446744073709551615" -e "10000000000000000000-10000000000000000099"')}
+
+  ${formatMuted("# Real-valued sensor ranges")}
+  ${formatOutput('node cli.js --continuous -i "0.5-2.75" -e "1-1.5"')}
+
+  ${formatMuted("# A 10x10 grid minus the cells of a 3x3 block")}
+  ${formatOutput('node cli.js -i "0-9x0-9" -e "3-5x3-5"')}
+
+  ${formatMuted("# Which intervals contain 15, which overlap 500-600")}
+  ${formatOutput("node cli.js query --file input.json --at 15 --overlaps 500-600")}
+
+  ${formatMuted("# How many includes cover each segment, and where at least 2 overlap")}
+  ${formatOutput('node cli.js depth -i "10-20,15-30,18-19" --min-depth 2')}
+
+  ${formatMuted("# The 3 largest free port ranges")}
+  ${formatOutput('node cli.js gaps -i "22-80,443-8080,9000-9100" --domain 0-65535 --largest 3')}
+
+  ${formatMuted("# What changed in coverage between two runs")}
+  ${formatOutput("node cli.js diff yesterday.json today.json")}
+
+  ${formatMuted("# Which meetings clash or run back to back")}
+  ${formatOutput("node cli.js relate --set standup=9-10 --set review=10-12 --set lunch=12-13 --relation overlaps --relation meets")}
+
+  ${formatMuted("# Split the result into 4 shards of equal coverage for 4 workers")}
+  ${formatOutput('node cli.js -i "10-100" -e "20-30" --shards 4 --json')}
+
+  ${formatMuted("# Stream a large, externally sorted dump")}
+  ${formatOutput("sort -n dump.txt | node cli.js --stream --exclude-file excludes.txt > result.txt")}
+
+  ${formatMuted("# Shift minus a maintenance window")}
+  ${formatOutput('node cli.js --time -i "2024-03-11T09:00+01:00/PT8H" -e "2024-03-11T12:00+01:00/PT1H"')}
+
+  ${formatMuted("# Subnets minus blocked ranges, as CIDR blocks")}
+  ${formatOutput('node cli.js --cidr -i "10.0.0.0/8" -e "10.1.0.0/16,10.2.3.0-10.2.3.127"')}
+
+  ${formatMuted("# Night shifts on a 24-hour clock, minus a break after midnight")}
+  ${formatOutput('node cli.js --modulo 24 -i "22-6,20-23" -e "1-1"')}
+
+  ${formatMuted("# Which includes and excludes produced each result interval")}
+  ${formatOutput('node cli.js --explain -i "10-50,40-100" -e "20-30,60-60"')}
+
+  ${formatMuted("# Set expression over named sets")}
+  ${formatOutput('node cli.js --set weekdays=1-5,8-12 --set holidays=6-7 --set outages=3-4 --expr "(weekdays | holidays) - outages"')}
+
 ${formatInfo("📄 FILE FORMAT (input.json):")}
   ${formatMuted("Single object format:")}
   ${formatOutput("{")}
@@ -356,6 +1741,12 @@ ${formatInfo("📄 FILE FORMAT (input.json):")}
   ${formatOutput("  }")}
   ${formatOutput("]")}
 
+  ${formatMuted("Named sets with an expression:")}
+  ${formatOutput("{")}
+  ${formatOutput('  "sets": { "weekdays": "1-5,8-12", "holidays": ["6-7"], "outages": "3-4" },')}
+  ${formatOutput('  "expression": "(weekdays | holidays) - outages"')}
+  ${formatOutput("}")}
+
   ${formatMuted("Alternative string format:")}
   ${formatOutput("{")}
   ${formatOutput('  "includes": "10-100,200-300",')}
@@ -23,6 +23,13 @@ export const formatSuccess = (message) => `${colors.green}${message}${colors.res
  */
 export const formatError = (message) => `${colors.red}Error: ${message}${colors.reset}`;
 
+/**
+ * Format a message with red color for removed content, without the prefix of formatError.
+ * @param {string} message - Message to format
+ * @returns {string} Formatted message with red color
+ */
+export const formatRemoved = (message) => `${colors.red}${message}${colors.reset}`;
+
 /**
  * Format a message with cyan color for informational content.
  * @param {string} message - Info message to format
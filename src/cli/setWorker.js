@@ -0,0 +1,14 @@
+import { parentPort, workerData } from "node:worker_threads";
+import { processFileObject } from "./commands.js";
+
+/**
+ * Worker thread of processInWorkers: processes each { index, item } message with processFileObject
+ * and replies with { index, stats }, or { index, error } when processing throws.
+ */
+parentPort.on("message", async ({ index, item }) => {
+	try {
+		parentPort.postMessage({ index, stats: await processFileObject(item, workerData.options) });
+	} catch (error) {
+		parentPort.postMessage({ index, error: error?.message ?? "Unknown error" });
+	}
+});
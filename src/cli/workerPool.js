@@ -0,0 +1,73 @@
+import { Worker } from "node:worker_threads";
+
+/**
+ * Worker entry point processing one file object per message.
+ */
+const WORKER_URL = new URL("./setWorker.js", import.meta.url);
+
+/**
+ * Process file objects concurrently on a pool of worker threads. Each worker takes the next unprocessed
+ * object as soon as it finishes one, so uneven sets still keep every worker busy. Results are returned in
+ * input order, whatever order the workers finish in.
+ * @param {Object[]} items - Validated input objects (includes/excludes or sets/expression)
+ * @param {Object} options - Processing options; they are copied to each worker, so they must be cloneable (no reducer functions)
+ * @param {number} concurrency - Maximum number of worker threads
+ * @returns {Promise<Object[]>} Comprehensive statistics per object, as returned by processFileObject, in input order
+ * @throws {Error} When a worker fails; the remaining workers are stopped
+ */
+export const processInWorkers = (items, options, concurrency) =>
+	new Promise((resolvePromise, reject) => {
+		const results = new Array(items.length);
+		const workers = [];
+		let next = 0;
+		let completed = 0;
+		let settled = false;
+
+		const finish = (error) => {
+			if (settled) {
+				return;
+			}
+			settled = true;
+			Promise.all(workers.map((worker) => worker.terminate())).then(() => (error ? reject(error) : resolvePromise(results)), reject);
+		};
+
+		const dispatch = (worker) => {
+			if (next < items.length) {
+				worker.postMessage({ index: next, item: items[next] });
+				next++;
+			}
+		};
+
+		if (items.length === 0) {
+			resolvePromise(results);
+			return;
+		}
+
+		for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+			const worker = new Worker(WORKER_URL, { workerData: { options } });
+
+			worker.on("message", ({ index, stats, error }) => {
+				if (error !== undefined) {
+					finish(new Error(`Set ${index + 1}: ${error}`));
+					return;
+				}
+				results[index] = stats;
+				completed++;
+
+				if (completed === items.length) {
+					finish();
+				} else {
+					dispatch(worker);
+				}
+			});
+			worker.on("error", finish);
+			worker.on("exit", (code) => {
+				if (code !== 0) {
+					finish(new Error(`Worker stopped with exit code ${code}`));
+				}
+			});
+
+			workers.push(worker);
+			dispatch(worker);
+		}
+	});
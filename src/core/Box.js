@@ -0,0 +1,96 @@
+import { Interval } from "./Interval.js";
+import { ERROR_MESSAGES } from "../utils/constants.js";
+
+export class Box {
+	/**
+	 * Creates a new n-dimensional box: one interval per dimension, e.g. rows 10-20 × columns 5-8.
+	 * Each dimension keeps its own Interval semantics (integer or continuous, bound style, notation).
+	 * @param {Interval[]} dimensions - Non-empty array with the extent of the box in each dimension
+	 * @throws {Error} When no dimensions are given, a dimension is not an Interval or a dimension is strided
+	 */
+	constructor(dimensions) {
+		if (!Array.isArray(dimensions) || dimensions.length === 0 || !dimensions.every((d) => d instanceof Interval)) {
+			throw new Error(ERROR_MESSAGES.INVALID_BOX_DIMENSIONS());
+		}
+
+		const strided = dimensions.find((d) => d.stride !== undefined);
+
+		if (strided) {
+			throw new Error(ERROR_MESSAGES.STRIDED_BOX_DIMENSION(strided.toString()));
+		}
+
+		this.dimensions = Object.freeze([...dimensions]);
+	}
+
+	/**
+	 * Check if this box overlaps another, i.e. overlaps it in every dimension.
+	 * @param {Box} other - The box to check overlap with
+	 * @returns {boolean} True if the boxes share at least one point, false otherwise
+	 * @throws {Error} When the boxes have a different number of dimensions
+	 */
+	overlaps = (other) => Box.checkDimensions(this, other) && this.dimensions.every((d, i) => d.overlaps(other.dimensions[i]));
+
+	/**
+	 * Check if this box completely contains another.
+	 * @param {Box} other - The box to check containment for
+	 * @returns {boolean} True if this box contains the other in every dimension, false otherwise
+	 * @throws {Error} When the boxes have a different number of dimensions
+	 */
+	contains = (other) => Box.checkDimensions(this, other) && this.dimensions.every((d, i) => d.contains(other.dimensions[i]));
+
+	/**
+	 * Intersect this box with another.
+	 * @param {Box} other - The box to intersect with
+	 * @returns {Box|null} The common part, or null if the boxes do not overlap
+	 * @throws {Error} When the boxes have a different number of dimensions
+	 */
+	intersection = (other) => {
+		if (!this.overlaps(other)) {
+			return null;
+		}
+		return new Box(this.dimensions.map((d, i) => d.intersection(other.dimensions[i])));
+	};
+
+	/**
+	 * String representation of the box.
+	 * @returns {string} Dimensions joined with "x", e.g. "10-20x5-8"
+	 */
+	toString = () => this.dimensions.map((d) => d.toString()).join("x");
+
+	/**
+	 * JSON representation of the box.
+	 * @returns {Object[]} Array with the JSON representation of each dimension
+	 */
+	toJSON = () => this.dimensions.map((d) => d.toJSON());
+
+	/**
+	 * Check that two boxes have the same number of dimensions.
+	 * @param {Box} a - First box
+	 * @param {Box} b - Second box
+	 * @returns {boolean} Always true
+	 * @throws {Error} When the number of dimensions differs
+	 */
+	static checkDimensions = (a, b) => {
+		if (a.dimensions.length !== b.dimensions.length) {
+			throw new Error(ERROR_MESSAGES.BOX_DIMENSION_MISMATCH(a.toString(), b.toString()));
+		}
+		return true;
+	};
+
+	/**
+	 * Compare boxes for sorting, dimension by dimension with Interval.compare.
+	 * @param {Box} a - First box to compare
+	 * @param {Box} b - Second box to compare
+	 * @returns {number} Negative if a < b, positive if a > b, zero if equal
+	 */
+	static compare = (a, b) => {
+		for (let i = 0; i < a.dimensions.length; i++) {
+			const order = Interval.compare(a.dimensions[i], b.dimensions[i]);
+
+			if (order !== 0) {
+				return order;
+			}
+		}
+		return 0;
+	};
+}
@@ -0,0 +1,205 @@
+import { Interval } from "./Interval.js";
+import { Box } from "./Box.js";
+import { IntervalProcessor } from "./IntervalProcessor.js";
+import { parseBoxes } from "../utils/parsers.js";
+import { unitOfBounds, isUnbounded, sortedDistinct } from "../utils/helpers.js";
+
+/**
+ * Split the range covered by intervals into elementary pieces, so every interval is a union of whole pieces.
+ * Integer intervals are cut before each first integer and after each last one; continuous intervals into the
+ * endpoint values themselves and the open ranges between them, which keeps open and closed bounds exact.
+ * @param {Interval[]} intervals - Non-empty array of intervals of one dimension
+ * @returns {Interval[]} Disjoint pieces in ascending order, in the notation of the first interval
+ */
+const elementaryPieces = (intervals) => {
+	const { notation, offset, continuous } = intervals[0];
+
+	if (continuous) {
+		const values = sortedDistinct(intervals.flatMap((i) => [i.start, i.end]));
+
+		// Unbounded ends are no values of their own, so only the range next to them becomes a piece
+		return values.flatMap((value, k) => [
+			...(isUnbounded(value) ? [] : [new Interval(value, value, { notation, offset, continuous })]),
+			...(k + 1 < values.length ? [new Interval(value, values[k + 1], { startOpen: true, endOpen: true, notation, offset, continuous })] : []),
+		]);
+	}
+
+	const unit = unitOfBounds(intervals.flatMap((i) => [i.first, i.last]));
+	const cuts = sortedDistinct(intervals.flatMap((i) => [i.first, i.last + unit]));
+	// Pieces are closed, so bracket notation (only used for open bounds) turns back into dash notation
+	const template = { notation: notation === "bracket" ? "dash" : notation };
+
+	return cuts.slice(0, -1).map((cut, k) => Interval.fromClosed(cut, cuts[k + 1] - unit, template));
+};
+
+/**
+ * Check if two canonical cross-sections (arrays of boxes given as dimension arrays) cover the same region.
+ * @param {Interval[][]} a - First cross-section
+ * @param {Interval[][]} b - Second cross-section
+ * @returns {boolean} True if both list the same boxes
+ */
+const sameSection = (a, b) => a.length === b.length && a.every((dimensions, i) => dimensions.every((d, k) => Interval.compare(d, b[i][k]) === 0));
+
+/**
+ * Compute the canonical decomposition of (union of includes) minus (union of excludes) from a dimension onwards.
+ * The first dimension is cut into elementary pieces; each piece gets the canonical decomposition of its
+ * cross-section in the remaining dimensions, and neighbouring pieces with identical cross-sections are merged.
+ * The result is therefore a unique set of disjoint boxes for a given region, whatever boxes it was built from.
+ * @param {Interval[][]} includes - Boxes to cover, as dimension arrays
+ * @param {Interval[][]} excludes - Boxes to leave out, as dimension arrays
+ * @param {number} dimension - Index of the first dimension to decompose
+ * @returns {Interval[][]} Disjoint boxes (from the given dimension on) in ascending order
+ */
+const decompose = (includes, excludes, dimension) => {
+	if (includes.length === 0) {
+		return [];
+	}
+	if (dimension === includes[0].length - 1) {
+		const merged = IntervalProcessor.mergeIntervals(includes.map((box) => box[dimension]));
+		const removed = IntervalProcessor.mergeIntervals(excludes.map((box) => box[dimension]));
+
+		return IntervalProcessor.subtractIntervals(merged, removed).map((interval) => [interval]);
+	}
+
+	const result = [];
+	let run = null;
+
+	const flush = () => {
+		if (run) {
+			result.push(...run.section.map((rest) => [run.interval, ...rest]));
+		}
+	};
+
+	for (const piece of elementaryPieces([...includes, ...excludes].map((box) => box[dimension]))) {
+		const within = (boxes) => boxes.filter((box) => box[dimension].contains(piece));
+		const section = decompose(within(includes), within(excludes), dimension + 1);
+
+		if (run && section.length > 0 && sameSection(run.section, section)) {
+			run.interval = run.interval.merge(piece);
+		} else {
+			flush();
+			run = section.length > 0 ? { interval: piece, section } : null;
+		}
+	}
+	flush();
+
+	return result;
+};
+
+/**
+ * Check that all boxes have the same number of dimensions.
+ * @param {Box[]} boxes - Boxes to check
+ * @throws {Error} When two boxes differ in dimensionality
+ */
+const checkDimensions = (boxes) => boxes.forEach((box) => Box.checkDimensions(boxes[0], box));
+
+export class BoxSet {
+	/**
+	 * Creates a new immutable set of n-dimensional boxes in canonical form: disjoint boxes, cut along the first
+	 * dimension into maximal slabs with identical cross-sections (recursively), so equal regions always give the
+	 * same boxes.
+	 * @param {Box[]} [boxes=[]] - Boxes to include in the set, all with the same number of dimensions
+	 * @throws {Error} When the boxes differ in dimensionality
+	 */
+	constructor(boxes = []) {
+		checkDimensions(boxes);
+
+		this.boxes = Object.freeze(
+			decompose(
+				boxes.map((box) => box.dimensions),
+				[],
+				0
+			).map((dimensions) => new Box(dimensions))
+		);
+		Object.freeze(this);
+	}
+
+	/**
+	 * Check if the set contains no boxes.
+	 * @returns {boolean} True if the set is empty, false otherwise
+	 */
+	isEmpty = () => this.boxes.length === 0;
+
+	/**
+	 * Union of this set and another.
+	 * @param {BoxSet|Box|Box[]|string} other - The set to unite with
+	 * @returns {BoxSet} A new set covering everything in either set
+	 * @throws {Error} When the sets differ in dimensionality
+	 */
+	union = (other) => new BoxSet([...this.boxes, ...BoxSet.from(other).boxes]);
+
+	/**
+	 * Difference of this set and another.
+	 * @param {BoxSet|Box|Box[]|string} other - The set to remove
+	 * @returns {BoxSet} A new set covering everything in this set but not in the other
+	 * @throws {Error} When the sets differ in dimensionality
+	 */
+	difference = (other) => {
+		const excludes = BoxSet.from(other).boxes;
+
+		checkDimensions([...this.boxes, ...excludes]);
+
+		const remaining = decompose(
+			this.boxes.map((box) => box.dimensions),
+			excludes.map((box) => box.dimensions),
+			0
+		);
+
+		return new BoxSet(remaining.map((dimensions) => new Box(dimensions)));
+	};
+
+	/**
+	 * Intersection of this set and another.
+	 * @param {BoxSet|Box|Box[]|string} other - The set to intersect with
+	 * @returns {BoxSet} A new set covering everything in both sets
+	 * @throws {Error} When the sets differ in dimensionality
+	 */
+	intersect = (other) => {
+		const otherBoxes = BoxSet.from(other).boxes;
+
+		return new BoxSet(this.boxes.flatMap((box) => otherBoxes.map((o) => box.intersection(o)).filter(Boolean)));
+	};
+
+	/**
+	 * Check if this set covers exactly the same region as another.
+	 * @param {BoxSet|Box|Box[]|string} other - The set to compare with
+	 * @returns {boolean} True if both sets are equal, false otherwise
+	 */
+	equals = (other) => {
+		const b = BoxSet.from(other).boxes;
+
+		return this.boxes.length === b.length && this.boxes.every((box, i) => Box.compare(box, b[i]) === 0);
+	};
+
+	/**
+	 * String representation of the set.
+	 * @returns {string} Comma-separated boxes or "(none)" if empty
+	 */
+	toString = () => (this.boxes.length === 0 ? "(none)" : this.boxes.map((box) => box.toString()).join(", "));
+
+	/**
+	 * JSON representation of the set.
+	 * @returns {Object[][]} Array with the JSON representation of each box
+	 */
+	toJSON = () => this.boxes.map((box) => box.toJSON());
+
+	/**
+	 * Static factory method to create a set from any supported input.
+	 * @param {BoxSet|Box|Box[]|string|string[]} input - Set, box, boxes, or box string(s) such as "10-20x5-8, 30-40x0-2"
+	 * @param {Object} [options={}] - Parsing options for string input (see parseBoxString)
+	 * @returns {BoxSet} New (or the same, if already a set) box set
+	 * @throws {Error} When the input cannot be parsed into boxes
+	 */
+	static from = (input, options = {}) => {
+		if (input instanceof BoxSet) {
+			return input;
+		}
+		if (input instanceof Box) {
+			return new BoxSet([input]);
+		}
+		if (Array.isArray(input) && input.every((b) => b instanceof Box)) {
+			return new BoxSet(input);
+		}
+		return new BoxSet(parseBoxes(input, options));
+	};
+}
@@ -0,0 +1,184 @@
+import { Interval } from "./Interval.js";
+import { IntervalSet } from "./IntervalSet.js";
+import { parseIntervals } from "../utils/parsers.js";
+import { ERROR_MESSAGES } from "../utils/constants.js";
+import { unitOfBounds, isUnbounded, sortedDistinct } from "../utils/helpers.js";
+
+/**
+ * Elementary pieces of integer intervals: the ranges between cuts before each first integer and after each last one.
+ * @param {Interval[]} intervals - Non-empty array of contiguous integer intervals
+ * @param {Object} template - Notation and offset for the intervals built from the pieces
+ * @returns {Object} Number of pieces, the [first, after last) piece indices of every interval and a span(from, to)
+ * function building the interval that covers pieces from..to
+ */
+const integerPieces = (intervals, template) => {
+	const unit = unitOfBounds(intervals.flatMap((i) => [i.first, i.last]));
+	const after = (value) => (isUnbounded(value) ? value : value + unit);
+	const cuts = sortedDistinct(intervals.flatMap((i) => [i.first, after(i.last)]));
+	const index = new Map(cuts.map((cut, k) => [cut, k]));
+	const before = (cut) => (isUnbounded(cut) ? cut : cut - unit);
+
+	return {
+		count: cuts.length - 1,
+		ranges: intervals.map((i) => [index.get(i.first), index.get(after(i.last))]),
+		span: (from, to) => new Interval(cuts[from], before(cuts[to + 1]), template),
+	};
+};
+
+/**
+ * Elementary pieces of continuous intervals: the endpoint values themselves (even indices) and the open ranges
+ * between them (odd indices), which keeps open and closed bounds exact.
+ * @param {Interval[]} intervals - Non-empty array of continuous intervals
+ * @param {Object} template - Notation, offset and continuous flag for the intervals built from the pieces
+ * @returns {Object} Number of pieces, the [first, after last) piece indices of every interval and a span(from, to)
+ * function building the interval that covers pieces from..to
+ */
+const continuousPieces = (intervals, template) => {
+	const values = sortedDistinct(intervals.flatMap((i) => [i.start, i.end]));
+	const index = new Map(values.map((value, k) => [value, 2 * k]));
+
+	return {
+		count: 2 * values.length - 1,
+		ranges: intervals.map((i) => [index.get(i.start) + (i.startOpen ? 1 : 0), index.get(i.end) + (i.endOpen ? 0 : 1)]),
+		span: (from, to) =>
+			new Interval(values[Math.floor(from / 2)], values[Math.ceil(to / 2)], { ...template, startOpen: from % 2 === 1, endOpen: to % 2 === 1 }),
+	};
+};
+
+/**
+ * Sweep over intervals, counting for every elementary piece how many intervals cover it, and join neighbouring
+ * pieces of equal depth into segments.
+ * @param {Interval[]} intervals - Intervals to sweep over, in any order
+ * @returns {Object[]} Frozen { interval, depth } segments in ascending order, leaving out uncovered ranges
+ * @throws {Error} When an interval is strided
+ */
+const depthSegments = (intervals) => {
+	if (intervals.length === 0) {
+		return [];
+	}
+
+	const strided = intervals.find((i) => i.stride !== undefined);
+
+	if (strided) {
+		throw new Error(ERROR_MESSAGES.DEPTH_STRIDED(strided.toString()));
+	}
+
+	const { notation, offset, continuous } = intervals[0];
+	// Integer pieces are closed, so bracket notation (only used for open bounds) turns back into dash notation
+	const { count, ranges, span } = continuous
+		? continuousPieces(intervals, { notation, offset, continuous })
+		: integerPieces(intervals, { notation: notation === "bracket" ? "dash" : notation, offset });
+	const changes = new Array(count + 1).fill(0);
+
+	for (const [from, to] of ranges) {
+		changes[from]++;
+		changes[to]--;
+	}
+
+	const depths = [];
+
+	for (let k = 0, depth = 0; k < count; k++) {
+		depth += changes[k];
+		depths.push(depth);
+	}
+
+	const segments = [];
+
+	for (let from = 0, to = 0; from < count; from = ++to) {
+		while (to + 1 < count && depths[to + 1] === depths[from]) {
+			to++;
+		}
+		if (depths[from] > 0) {
+			segments.push(Object.freeze({ interval: span(from, to), depth: depths[from] }));
+		}
+	}
+
+	return segments;
+};
+
+export class DepthMap {
+	/**
+	 * Creates a new immutable coverage depth map: the range covered by the intervals cut into segments, each
+	 * annotated with the number of intervals covering it. Intervals are counted as given (not merged), so the map
+	 * keeps the overlaps that merging loses.
+	 * @param {Interval[]} [intervals=[]] - Contiguous intervals to count
+	 * @throws {Error} When an interval is strided
+	 */
+	constructor(intervals = []) {
+		this.segments = Object.freeze(depthSegments(intervals));
+		Object.freeze(this);
+	}
+
+	/**
+	 * Largest number of intervals covering a single value.
+	 * @returns {number} Maximum overlap depth, 0 for an empty map
+	 */
+	get maxDepth() {
+		return this.segments.reduce((max, { depth }) => Math.max(max, depth), 0);
+	}
+
+	/**
+	 * Check if the map has no covered segments.
+	 * @returns {boolean} True if no interval was counted, false otherwise
+	 */
+	isEmpty = () => this.segments.length === 0;
+
+	/**
+	 * Number of intervals covering a value.
+	 * @param {number|bigint} point - The value to look up, of the same type as the interval bounds
+	 * @returns {number} Depth at the point, 0 outside every interval
+	 */
+	depthAt = (point) => {
+		const probe = new Interval(point, point, { continuous: this.segments[0]?.interval.continuous });
+		let [low, high] = [0, this.segments.length - 1];
+
+		// Segments are disjoint and sorted, so only the last one starting at or before the point can contain it
+		while (low <= high) {
+			const middle = (low + high) >> 1;
+			const { interval, depth } = this.segments[middle];
+
+			if (interval.overlaps(probe)) {
+				return depth;
+			}
+			if (interval.start > point) {
+				high = middle - 1;
+			} else {
+				low = middle + 1;
+			}
+		}
+		return 0;
+	};
+
+	/**
+	 * Regions covered by at least a number of intervals.
+	 * @param {number} k - Minimum depth
+	 * @returns {IntervalSet} Merged regions whose depth is k or more
+	 */
+	atLeast = (k) => new IntervalSet(this.segments.filter(({ depth }) => depth >= k).map(({ interval }) => interval));
+
+	/**
+	 * String representation of the map.
+	 * @returns {string} Comma-separated segments with their depth, e.g. "10-14 (1), 15-20 (2)", or "(none)" if empty
+	 */
+	toString = () => (this.isEmpty() ? "(none)" : this.segments.map(({ interval, depth }) => `${interval} (${depth})`).join(", "));
+
+	/**
+	 * JSON representation of the map.
+	 * @returns {Object[]} Array of interval objects with an additional depth property
+	 */
+	toJSON = () => this.segments.map(({ interval, depth }) => ({ ...interval.toJSON(), depth }));
+
+	/**
+	 * Static factory method to create a depth map from intervals or interval strings.
+	 * @param {Interval[]|string|Array<string|Object>} input - Intervals, or input accepted by parseIntervals
+	 * @param {Object} [options={}] - Parsing options for string input (e.g. bigint, continuous, time, ip)
+	 * @returns {DepthMap} New depth map
+	 * @throws {Error} When the input cannot be parsed into intervals or holds a strided interval
+	 */
+	static from = (input, options = {}) => {
+		if (Array.isArray(input) && input.every((i) => i instanceof Interval)) {
+			return new DepthMap(input);
+		}
+		return new DepthMap(parseIntervals(input, options));
+	};
+}
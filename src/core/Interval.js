@@ -1,64 +1,550 @@
+import { unitOf, unitOfBounds, isUnbounded, maxOf, minOf, sortedDistinct } from "../utils/helpers.js";
+import { formatInstant } from "../utils/time.js";
+import { formatIpAddress } from "../utils/ip.js";
+import { ALLEN_RELATIONS, ERROR_MESSAGES } from "../utils/constants.js";
+
+/**
+ * Options a derived interval (merge, subtraction or intersection result) takes over from its source.
+ * @param {Interval} source - Interval the result is derived from
+ * @returns {Object} Notation, continuous flag, UTC offset, stride and payload of the source
+ */
+const derivedOptions = (source) => ({
+	notation: source.notation,
+	continuous: source.continuous,
+	offset: source.offset,
+	stride: source.stride,
+	data: source.data,
+});
+
+/**
+ * Allen relation of two intervals sharing a value, indexed by the comparison of their starts and then of their ends
+ * (Interval.compareStarts and Interval.compareEnds, shifted from -1..1 to 0..2).
+ */
+const RELATIONS_BY_BOUNDS = [
+	["overlaps", "finishedBy", "contains"],
+	["starts", "equals", "startedBy"],
+	["during", "finishes", "overlappedBy"],
+];
+
+/**
+ * Write a bound of an interval: unbounded ends as "*" in dash notation ("*-50", "1000-*") and as "-inf" and "inf"
+ * in bracket notation ("(-inf,0]").
+ * @param {number|bigint} value - Bound to write
+ * @param {string} notation - Notation of the interval
+ * @returns {string} The bound as written in the notation
+ */
+const formatBound = (value, notation) => {
+	if (!isUnbounded(value)) {
+		return `${value}`;
+	}
+	if (notation === "bracket") {
+		return value < 0 ? "-inf" : "inf";
+	}
+	return "*";
+};
+
+/**
+ * Remainder of a division that is never negative, for numbers and BigInts alike.
+ * @param {number|bigint} value - Dividend
+ * @param {number|bigint} modulus - Positive divisor of the same type
+ * @returns {number|bigint} Remainder in [0, modulus)
+ */
+const mod = (value, modulus) => ((value % modulus) + modulus) % modulus;
+
+/**
+ * Smallest value of the progression origin + k * step that is not below a value.
+ * @param {number|bigint} value - Lower limit
+ * @param {number|bigint} origin - Any point of the progression
+ * @param {number|bigint} step - Distance between points
+ * @returns {number|bigint} First point at or after value
+ */
+const alignUp = (value, origin, step) => value + mod(origin - value, step);
+
+/**
+ * Largest value of the progression origin + k * step that is not above a value.
+ * @param {number|bigint} value - Upper limit
+ * @param {number|bigint} origin - Any point of the progression
+ * @param {number|bigint} step - Distance between points
+ * @returns {number|bigint} Last point at or before value
+ */
+const alignDown = (value, origin, step) => value - mod(value - origin, step);
+
+/**
+ * Solve x = a (mod m) and x = b (mod n) with the Chinese remainder theorem (moduli need not be coprime).
+ * @param {bigint} a - First residue
+ * @param {bigint} m - First modulus
+ * @param {bigint} b - Second residue
+ * @param {bigint} n - Second modulus
+ * @returns {Object|null} Object with the residue and modulus (lcm of m and n) of all solutions, or null if there are none
+ */
+const solveCongruences = (a, m, b, n) => {
+	// Extended Euclid: g = gcd(m, n) = m * p + n * q
+	let [g, nextG, p, nextP] = [m, n, 1n, 0n];
+
+	while (nextG !== 0n) {
+		const quotient = g / nextG;
+
+		[g, nextG, p, nextP] = [nextG, g - quotient * nextG, nextP, p - quotient * nextP];
+	}
+	if ((b - a) % g !== 0n) {
+		return null;
+	}
+
+	const modulus = (m / g) * n;
+
+	return { residue: mod(a + m * mod(((b - a) / g) * p, n / g), modulus), modulus };
+};
+
+/**
+ * Points two integer intervals have in common, as an arithmetic progression (strides are taken into account).
+ * @param {Interval} a - First integer interval
+ * @param {Interval} b - Second integer interval
+ * @returns {Object|null} Object with first, last and step of the common points, or null if there are none
+ */
+const commonProgression = (a, b) => {
+	const from = maxOf(a.first, b.first);
+	const to = minOf(a.last, b.last);
+
+	if (from > to) {
+		return null;
+	}
+
+	// Computed in BigInt, since the product of two safe strides may not be safe
+	const cast = typeof from === "bigint" ? (value) => value : Number;
+	// Any integer is a point of a contiguous interval, which may have no first one when it is unbounded
+	const origin = (interval) => BigInt(interval.stride === undefined ? from : interval.first);
+	const solution = solveCongruences(origin(a), BigInt(a.step), origin(b), BigInt(b.step));
+	const first = solution && alignUp(BigInt(from), solution.residue, solution.modulus);
+	const last = solution && alignDown(BigInt(to), solution.residue, solution.modulus);
+
+	return solution && first <= last ? { first: cast(first), last: cast(last), step: cast(solution.modulus) } : null;
+};
+
+/**
+ * Points of an integer interval between two values, in the stride and bound style of the interval.
+ * @param {Interval} interval - Integer interval to cut
+ * @param {number|bigint} from - Smallest value to keep
+ * @param {number|bigint} to - Largest value to keep
+ * @returns {Interval|null} The remaining points, or null if there are none
+ */
+const restrict = (interval, from, to) => {
+	const lower = maxOf(from, interval.first);
+	const upper = minOf(to, interval.last);
+
+	if (interval.stride === undefined) {
+		return lower > upper ? null : Interval.fromClosed(lower, upper, interval);
+	}
+
+	const first = alignUp(lower, interval.first, interval.stride);
+	const last = alignDown(upper, interval.first, interval.stride);
+
+	return first > last ? null : new Interval(first, last, derivedOptions(interval));
+};
+
+/**
+ * Most strided pieces Interval.union describes the points of one elementary segment with, beyond which it gives up.
+ */
+const MAX_UNION_PIECES = 1000;
+
+/**
+ * Greatest common divisor of two non-negative integers, for numbers and BigInts alike.
+ * @param {number|bigint} a - First value
+ * @param {number|bigint} b - Second value of the same type
+ * @returns {number|bigint} The greatest common divisor (a when b is zero)
+ */
+const gcdOf = (a, b) => (b > 0 ? gcdOf(b, a % b) : a);
+
+/**
+ * Points of an integer interval that another one does not have, as progressions whose stride is the one of the common
+ * points, so "0-12/3" without the points of "0-12/2" gives "3-9/6".
+ * @param {Interval} part - Integer interval to take points from
+ * @param {Interval} other - Integer interval whose points are taken out
+ * @returns {Interval[]} Point-disjoint pieces holding the remaining points
+ * @throws {Error} When the remaining points need more than MAX_UNION_PIECES progressions
+ */
+const withoutPointsOf = (part, other) => {
+	const common = commonProgression(part, other);
+
+	if (!common) {
+		return [part];
+	}
+
+	const unit = unitOf(common.first);
+	const classes = common.step / part.step;
+
+	if (classes - unit > MAX_UNION_PIECES) {
+		throw new Error(ERROR_MESSAGES.UNION_TOO_COMPLEX(part.step, other.step, MAX_UNION_PIECES));
+	}
+
+	const options = { ...derivedOptions(part), stride: common.step };
+	const progression = (origin, from, to) => {
+		const [first, last] = [alignUp(from, origin, common.step), alignDown(to, origin, common.step)];
+
+		return first > last ? [] : [new Interval(first, last, options)];
+	};
+	// Common points outside the range of the other interval stay, and so do all other residues of the common stride
+	const pieces = [...progression(common.first, part.first, common.first - unit), ...progression(common.first, common.last + unit, part.last)];
+
+	for (let k = unit; k < classes; k += unit) {
+		pieces.push(...progression(common.first + k * part.step, part.first, part.last));
+	}
+	return pieces;
+};
+
+/**
+ * Union of strided and contiguous intervals covering one elementary segment (a range no interval starts or ends inside).
+ * A contiguous interval fills the segment; otherwise the progression containing all others is kept, or the one all
+ * points form together ("1-9/2" and "2-10/2" give "1-10"). Failing that, the progressions are kept as separate
+ * point-disjoint pieces, so "0-12/2" and "0-12/3" give "0-12/2" and "3-9/6".
+ * @param {Interval[]} active - Integer intervals whose range covers the segment
+ * @param {number|bigint} from - First value of the segment
+ * @param {number|bigint} to - Last value of the segment
+ * @returns {Interval[]} Point-disjoint pieces covering the union within the segment, in ascending order
+ * @throws {Error} When the union needs more than MAX_UNION_PIECES pieces
+ */
+const coverSegment = (active, from, to) => {
+	const contiguous = active.find((interval) => interval.stride === undefined);
+
+	if (contiguous) {
+		return [Interval.fromClosed(from, to, contiguous)];
+	}
+
+	const parts = active.map((interval) => restrict(interval, from, to)).filter(Boolean);
+	const widest = parts.find((part) => parts.every((other) => part.contains(other)));
+
+	if (widest || parts.length === 0) {
+		return widest ? [widest] : [];
+	}
+
+	// Denser progressions are kept whole, so the sparser ones lose their common points in fewer pieces
+	const pieces = [];
+
+	for (const part of [...parts].sort((a, b) => (a.step < b.step ? -1 : Number(a.step > b.step)))) {
+		pieces.push(...pieces.reduce((remaining, piece) => remaining.flatMap((rest) => withoutPointsOf(rest, piece)), [part]));
+
+		if (pieces.length > MAX_UNION_PIECES) {
+			throw new Error(ERROR_MESSAGES.UNION_TOO_COMPLEX(parts[0].step, part.step, MAX_UNION_PIECES));
+		}
+	}
+
+	const unit = unitOf(from);
+	const first = pieces.map((piece) => piece.first).reduce(minOf);
+	const last = pieces.map((piece) => piece.last).reduce(maxOf);
+	const step = pieces.reduce((divisor, piece) => gcdOf(gcdOf(divisor, piece.step), piece.first - first), unit - unit);
+	const count = (piece) => (piece.last - piece.first) / piece.step + unit;
+
+	if ((last - first) / step + unit === pieces.reduce((total, piece) => total + count(piece), unit - unit)) {
+		return [new Interval(first, last, { ...derivedOptions(parts[0]), stride: step })];
+	}
+	return pieces.sort(Interval.compare);
+};
+
+/**
+ * Join two pieces into one when the second, starting after the first ends, continues it as a single contiguous range
+ * or a single progression.
+ * @param {Interval} previous - Integer interval
+ * @param {Interval} piece - Integer interval starting after previous ends
+ * @returns {Interval|null} The joined interval, or null if the two form no single interval
+ */
+const joinPieces = (previous, piece) => {
+	const single = (interval) => interval.first === interval.last;
+
+	if (previous.stride === undefined && piece.stride === undefined && previous.isAdjacent(piece)) {
+		return previous.merge(piece);
+	}
+	if (previous.stride !== undefined && (piece.stride === previous.stride || single(piece)) && piece.first - previous.last === previous.stride) {
+		return new Interval(previous.first, piece.last, derivedOptions(previous));
+	}
+	if (single(previous) && piece.stride !== undefined && piece.first - previous.last === piece.stride) {
+		return new Interval(previous.first, piece.last, derivedOptions(piece));
+	}
+	return null;
+};
+
 export class Interval {
 	/**
 	 * Creates a new interval instance.
-	 * @param {number} start - Start of the interval
-	 * @param {number} end - End of the interval
-	 * @throws {Error} When start is greater than end
+	 * @param {number|bigint} start - Start of the interval, or -Infinity for an interval without lower limit ("*-50")
+	 * @param {number|bigint} end - End of the interval (same numeric type as start), or Infinity for an interval without
+	 * upper limit ("1000-"). Unbounded ends are always open, so their startOpen or endOpen option is ignored
+	 * @param {Object} [options={}] - Bound options
+	 * @param {boolean} [options.startOpen=false] - Whether the start bound is exclusive, e.g. "(5,9]"
+	 * @param {boolean} [options.endOpen=false] - Whether the end bound is exclusive, e.g. "[10,20)"
+	 * @param {string} [options.notation] - Output notation, "dash" ("10-20"), "bracket" ("[10,20]", used instead of dash when any bound
+	 * is open), "iso" (epoch milliseconds written as an ISO 8601 "start/end" time interval) or "ip" (BigInt address values
+	 * written as an address range such as "10.0.0.0-10.0.0.255")
+	 * @param {boolean} [options.continuous=false] - Treat the interval as a real-valued range (floats) instead of a set of integers
+	 * @param {number} [options.offset=0] - UTC offset in minutes used to write instants in "iso" notation
+	 * @param {*} [options.data] - Payload carried by the interval (label, source id or any JSON value)
+	 * @param {number|bigint} [options.stride] - Distance between the integers of the interval, e.g. 5 for every fifth number
+	 * from start ("10-100/5"); the end is moved down to the last of them. Only for integer intervals with closed, bounded ends
+	 * @throws {Error} When start and end have different types, start is greater than end, the interval is empty or the stride is invalid
 	 */
-	constructor(start, end) {
+	constructor(start, end, { startOpen = false, endOpen = false, notation = "dash", continuous = false, offset = 0, data, stride } = {}) {
+		if (typeof start !== typeof end && !isUnbounded(start) && !isUnbounded(end)) {
+			throw new Error(`Invalid interval: start (${start}) and end (${end}) must both be numbers or both be BigInts`);
+		}
+		if (start === Infinity || end === -Infinity) {
+			throw new Error(`Invalid interval: only the start can be -Infinity and only the end Infinity, got ${start} and ${end}`);
+		}
+		if (continuous && [start, end].some((bound) => typeof bound !== "number" || Number.isNaN(bound))) {
+			throw new Error(`Invalid interval: continuous bounds must be finite numbers or unbounded, got ${start} and ${end}`);
+		}
 		if (start > end) {
 			throw new Error(`Invalid interval: start (${start}) cannot be greater than end (${end})`);
 		}
 
+		if (stride !== undefined) {
+			const valid = typeof stride === typeof start && stride > 0 && (typeof stride === "bigint" || Number.isSafeInteger(stride));
+
+			if (!valid || continuous || startOpen || endOpen || isUnbounded(start) || isUnbounded(end)) {
+				throw new Error(`Invalid interval: stride (${stride}) must be a positive integer of the bound type, on closed, bounded integer ends`);
+			}
+			end = alignDown(end, start, stride);
+		}
+
 		this.start = start;
 		this.end = end;
+		// A stride of one, or a single point, is a plain contiguous interval
+		this.stride = stride !== undefined && stride !== unitOf(stride) && start !== end ? stride : undefined;
+		// Nothing lies beyond an unbounded end, so it is kept closed and compares equal to any other unbounded end
+		startOpen = startOpen && start !== -Infinity;
+		endOpen = endOpen && end !== Infinity;
+		this.startOpen = startOpen;
+		this.endOpen = endOpen;
+		this.notation = (startOpen || endOpen) && notation === "dash" ? "bracket" : notation;
+		this.continuous = continuous;
+		this.offset = offset;
+		this.data = data;
+
+		if (continuous && start === end && (startOpen || endOpen)) {
+			throw new Error(`Invalid interval: ${this.toString()} is empty`);
+		}
+		if (!continuous && this.first > this.last) {
+			throw new Error(`Invalid interval: ${this.toString()} contains no integers`);
+		}
+	}
+
+	/**
+	 * Smallest integer contained in the interval (the start value in continuous mode).
+	 * @returns {number|bigint} Start, moved up by one when the start bound is open
+	 */
+	get first() {
+		return this.startOpen && !this.continuous ? this.start + unitOf(this.start) : this.start;
 	}
 
 	/**
-	 * Check if this interval overlaps with another interval.
+	 * Largest integer contained in the interval (the end value in continuous mode).
+	 * @returns {number|bigint} End, moved down by one when the end bound is open
+	 */
+	get last() {
+		return this.endOpen && !this.continuous ? this.end - unitOf(this.end) : this.end;
+	}
+
+	/**
+	 * Distance between neighbouring integers of the interval.
+	 * @returns {number|bigint} The stride, or 1 (1n for BigInt bounds) for a contiguous interval
+	 */
+	get step() {
+		return this.stride ?? unitOfBounds([this.start, this.end]);
+	}
+
+	/**
+	 * Check if this interval starts no later than another ends, i.e. nothing separates its start from the other's end.
+	 * @param {Interval} other - The interval whose end to compare with
+	 * @returns {boolean} True if this interval starts at or before the end of the other, false otherwise
+	 */
+	startsBeforeEndOf(other) {
+		if (!this.continuous) {
+			return this.first <= other.last;
+		}
+		return this.start < other.end || (this.start === other.end && !this.startOpen && !other.endOpen);
+	}
+
+	/**
+	 * Check if this interval overlaps with another interval. Strided intervals overlap when they share an integer,
+	 * so "10-100/5" and "11-99/5" do not overlap although their ranges do.
 	 * @param {Interval} other - The interval to check overlap with
 	 * @returns {boolean} True if intervals overlap, false otherwise
 	 */
-	overlaps = (other) => this.start <= other.end && other.start <= this.end;
+	overlaps(other) {
+		return (
+			this.startsBeforeEndOf(other) &&
+			other.startsBeforeEndOf(this) &&
+			((this.stride === undefined && other.stride === undefined) || commonProgression(this, other) !== null)
+		);
+	}
 
 	/**
-	 * Check if this interval completely contains another interval.
+	 * Check if this interval completely contains another interval (every integer of the other for strided intervals).
 	 * @param {Interval} other - The interval to check containment for
 	 * @returns {boolean} True if this interval contains the other, false otherwise
 	 */
-	contains = (other) => this.start <= other.start && this.end >= other.end;
+	contains(other) {
+		const inRange = Interval.compareStarts(this, other) <= 0 && Interval.compareEnds(this, other) >= 0;
+
+		if (this.stride === undefined || !inRange) {
+			return inRange;
+		}
+		// Every integer of the other must be a point of this progression
+		return !mod(other.first - this.first, this.stride) && (other.first === other.last || !mod(other.step, this.stride));
+	}
 
 	/**
-	 * Check if this interval is adjacent to another.
+	 * Check if this interval is adjacent to another, e.g. "[10,20)" and "[20,30)".
+	 * Integer intervals are adjacent when no integer lies between them; continuous intervals when they
+	 * touch at an endpoint that exactly one of them includes, e.g. "[0.5,1)" and "[1,2.75]".
 	 * @param {Interval} other - The interval to check adjacency with
 	 * @returns {boolean} True if intervals are adjacent, false otherwise
 	 */
-	isAdjacent = (other) => this.end + 1 === other.start || other.end + 1 === this.start;
+	isAdjacent(other) {
+		if (this.continuous) {
+			return (this.end === other.start && this.endOpen !== other.startOpen) || (other.end === this.start && other.endOpen !== this.startOpen);
+		}
+		return this.last + unitOf(this.last) === other.first || other.last + unitOf(other.last) === this.first;
+	}
+
+	/**
+	 * Relation of this interval to another in Allen's interval algebra; exactly one of the thirteen relations holds
+	 * for any pair. Intervals are compared as the values they cover: one "meets" the other when it ends right before
+	 * the other starts with no value in between (see isAdjacent), and intervals sharing a single value overlap.
+	 * Strided intervals are compared by their range from first to last.
+	 * @param {Interval} other - The interval to relate to
+	 * @returns {string} "before", "meets", "overlaps", "starts", "during", "finishes", "equals", or one of the inverses
+	 * "after", "metBy", "overlappedBy", "startedBy", "contains" and "finishedBy" (see ALLEN_RELATIONS)
+	 */
+	relation(other) {
+		if (!other.startsBeforeEndOf(this)) {
+			return this.isAdjacent(other) ? "meets" : "before";
+		}
+		if (!this.startsBeforeEndOf(other)) {
+			return this.isAdjacent(other) ? "metBy" : "after";
+		}
+		return RELATIONS_BY_BOUNDS[Interval.compareStarts(this, other) + 1][Interval.compareEnds(this, other) + 1];
+	}
+
+	/**
+	 * Check if the relation of this interval to another is one of a set of Allen relations.
+	 * @param {Interval} other - The interval to relate to
+	 * @param {string|string[]} relations - Relation name or names, e.g. ["before", "meets"] (see relation)
+	 * @returns {boolean} True if the relation of this interval to the other is one of the given relations
+	 * @throws {Error} When a relation name is unknown
+	 */
+	isRelated(other, relations) {
+		const names = [relations].flat();
+		const unknown = names.find((name) => !Object.hasOwn(ALLEN_RELATIONS, name));
+
+		if (unknown !== undefined) {
+			throw new Error(ERROR_MESSAGES.UNKNOWN_RELATION(unknown));
+		}
+		return names.includes(this.relation(other));
+	}
+
+	/**
+	 * Copy of this interval carrying a different payload.
+	 * @param {*} data - Payload for the copy (undefined for none)
+	 * @returns {Interval} A new interval with the same bounds and notation
+	 */
+	withData(data) {
+		return new Interval(this.start, this.end, { ...derivedOptions(this), startOpen: this.startOpen, endOpen: this.endOpen, data });
+	}
 
 	/**
 	 * Merge this interval with another overlapping or adjacent interval.
+	 * Each bound of the result keeps the notation of the interval it came from; the payload is the one of this interval
+	 * (IntervalProcessor.mergeIntervals applies other payload merge strategies).
+	 * Strided intervals merge when their union is a single progression, e.g. "10-50/5" and "55-100/5".
 	 * @param {Interval} other - The interval to merge with
 	 * @returns {Interval} A new merged interval
-	 * @throws {Error} When intervals cannot be merged (not overlapping or adjacent)
+	 * @throws {Error} When intervals cannot be merged (not overlapping or adjacent, or not forming one progression)
 	 */
-	merge = (other) => {
+	merge(other) {
+		if (this.stride !== undefined || other.stride !== undefined) {
+			const pieces = Interval.union([this, other]);
+
+			if (pieces.length !== 1) {
+				throw new Error(`Cannot merge ${this.toString()} and ${other.toString()} into a single interval`);
+			}
+			return pieces[0].withData(this.data);
+		}
 		if (!this.overlaps(other) && !this.isAdjacent(other)) {
 			throw new Error("Cannot merge non-overlapping/non-adjacent intervals");
 		}
 
+		const lower = Interval.compareStarts(other, this) < 0 ? other : this;
+		const upper = Interval.compareEnds(other, this) > 0 ? other : this;
+
 		try {
-			return new Interval(Math.min(this.start, other.start), Math.max(this.end, other.end));
+			return new Interval(lower.start, upper.end, { ...derivedOptions(this), startOpen: lower.startOpen, endOpen: upper.endOpen });
 		} catch (error) {
 			throw new Error(`Merge failed: ${error.message}`);
 		}
-	};
+	}
+
+	/**
+	 * Intersect this interval with another.
+	 * @param {Interval} other - The interval to intersect with
+	 * @returns {Interval|null} The common part in the bound style (and with the payload) of this interval, or null if they do not overlap
+	 */
+	intersection(other) {
+		if (this.stride !== undefined || other.stride !== undefined) {
+			const common = commonProgression(this, other);
+
+			return common && new Interval(common.first, common.last, { ...derivedOptions(this), stride: common.step });
+		}
+		if (!this.overlaps(other)) {
+			return null;
+		}
+
+		const lower = Interval.compareStarts(other, this) > 0 ? other : this;
+		const upper = Interval.compareEnds(other, this) < 0 ? other : this;
+
+		if (this.continuous) {
+			return new Interval(lower.start, upper.end, { ...derivedOptions(this), startOpen: lower.startOpen, endOpen: upper.endOpen });
+		}
+		return Interval.fromClosed(lower.first, upper.last, this);
+	}
 
 	/**
 	 * Subtract an interval from this interval, returning remaining parts.
+	 * Integer parts use the same bound style as this interval, so "[10,30)" minus "[15,20)" gives "[10,15)" and "[20,30)".
+	 * Continuous parts end with the opposite bound of the exclude instead of moving by one, so "0-10" minus "2-3" gives "[0,2)" and "(3,10]".
+	 * Strided parts stay strided: "10-100/5" minus "50-60" gives "10-45/5" and "65-100/5", and "0-20" minus "0-20/2"
+	 * gives "1-19/2". When the integers left between removed ones form no single progression, e.g. "0-20" minus "0-20/5",
+	 * they are returned as separate parts ("1-4", "6-9", "11-14" and "16-19").
+	 * Every part keeps the payload of this interval.
 	 * @param {Interval} exclude - The interval to subtract
-	 * @returns {Interval[]} Array of remaining intervals after subtraction
+	 * @returns {Interval[]} Array of remaining intervals after subtraction, in ascending order
 	 */
-	subtract = (exclude) => {
+	subtract(exclude) {
+		if (this.stride !== undefined || exclude.stride !== undefined) {
+			const removed = commonProgression(this, exclude);
+
+			if (!removed) {
+				return [this];
+			}
+
+			const unit = unitOf(removed.first);
+			// Taken from the removed points, as an unbounded interval may have a step of the wrong numeric type
+			const step = this.stride ?? unit;
+			const before = restrict(this, this.first, removed.first - unit);
+			const after = restrict(this, removed.last + unit, this.last);
+			let between = [];
+
+			// A single removed point leaves nothing in between (and the loop below makes no parts for it)
+			if (removed.step === step * (unit + unit) && removed.first < removed.last) {
+				// Every other integer is removed, so the ones left in between form a single progression
+				between = [new Interval(removed.first + step, removed.last - step, { ...derivedOptions(this), stride: removed.step })];
+			} else if (removed.step !== step) {
+				for (let hole = removed.first; hole < removed.last; hole += removed.step) {
+					between.push(restrict(this, hole + unit, hole + removed.step - unit));
+				}
+			}
+
+			const parts = [before, ...between, after];
+
+			return parts.filter(Boolean);
+		}
 		if (!this.overlaps(exclude)) {
 			return [this];
 		}
@@ -68,75 +554,236 @@ export class Interval {
 
 		const result = [];
 
-		if (exclude.start > this.start && exclude.end < this.end) {
-			try {
-				result.push(new Interval(this.start, exclude.start - 1));
-				result.push(new Interval(exclude.end + 1, this.end));
-			} catch (error) {
-				return [this];
-			}
-			return result;
-		}
-
-		if (exclude.start <= this.start && exclude.end < this.end) {
-			try {
-				result.push(new Interval(exclude.end + 1, this.end));
-			} catch (error) {
-				return [];
-			}
-			return result;
+		if (Interval.compareStarts(exclude, this) > 0) {
+			result.push(
+				this.continuous
+					? new Interval(this.start, exclude.start, { ...derivedOptions(this), startOpen: this.startOpen, endOpen: !exclude.startOpen })
+					: Interval.fromClosed(this.first, exclude.first - unitOf(exclude.first), this)
+			);
 		}
-
-		if (exclude.start > this.start && exclude.end >= this.end) {
-			try {
-				result.push(new Interval(this.start, exclude.start - 1));
-			} catch (error) {
-				return [];
-			}
-			return result;
+		if (Interval.compareEnds(exclude, this) < 0) {
+			result.push(
+				this.continuous
+					? new Interval(exclude.end, this.end, { ...derivedOptions(this), startOpen: !exclude.endOpen, endOpen: this.endOpen })
+					: Interval.fromClosed(exclude.last + unitOf(exclude.last), this.last, this)
+			);
 		}
 
 		return result;
-	};
+	}
 
 	/**
 	 * String representation of the interval.
-	 * @returns {string} Interval in "start-end" format
+	 * @returns {string} Interval in "start-end" format, bracket format such as "[10,20)", an ISO 8601 "start/end" time interval,
+	 * or an address range (a single address when it covers one address); strided intervals end in "/stride", as in "10-100/5",
+	 * and unbounded ends are written as in "*-50", "1000-*" or "(-inf,0]"
 	 */
-	toString = () => `${this.start}-${this.end}`;
+	toString() {
+		const stride = this.stride === undefined ? "" : `/${this.stride}`;
+
+		if (this.notation === "iso") {
+			return `${formatInstant(this.start, this.offset)}/${formatInstant(this.end, this.offset)}`;
+		}
+		if (this.notation === "ip") {
+			return this.start === this.end ? formatIpAddress(this.start) : `${formatIpAddress(this.start)}-${formatIpAddress(this.end)}`;
+		}
+		const [start, end] = [formatBound(this.start, this.notation), formatBound(this.end, this.notation)];
+
+		return this.notation === "bracket"
+			? `${this.startOpen || isUnbounded(this.start) ? "(" : "["}${start},${end}${this.endOpen || isUnbounded(this.end) ? ")" : "]"}${stride}`
+			: `${start}-${end}${stride}`;
+	}
 
 	/**
 	 * JSON representation of the interval.
-	 * @returns {Object} Object with start and end properties
+	 * @returns {Object} Object with start and end properties (-Infinity and Infinity for unbounded ends; plus startOpen and endOpen in
+	 * bracket notation, ISO 8601 instants in "iso" notation, addresses in "ip" notation), the stride of strided intervals and the
+	 * payload as data, if any
 	 */
-	toJSON = () => ({
-		start: this.start,
-		end: this.end,
-	});
+	toJSON() {
+		const payload = this.data === undefined ? {} : { data: this.data };
+
+		if (this.notation === "iso") {
+			return { start: formatInstant(this.start, this.offset), end: formatInstant(this.end, this.offset), ...payload };
+		}
+		if (this.notation === "ip") {
+			return { start: formatIpAddress(this.start), end: formatIpAddress(this.end), ...payload };
+		}
+		return {
+			start: this.start,
+			end: this.end,
+			...(this.notation === "bracket" && { startOpen: this.startOpen, endOpen: this.endOpen }),
+			...(this.stride !== undefined && { stride: this.stride }),
+			...payload,
+		};
+	}
 
 	/**
 	 * Static factory method to create interval from object.
 	 * @param {Object} data - Object with start and end properties
-	 * @param {number} data.start - Start value
-	 * @param {number} data.end - End value
+	 * @param {number|bigint|string} data.start - Start value, or -Infinity or "-inf" (as written by stringifyJSON) when unbounded
+	 * @param {number|bigint|string} data.end - End value, or Infinity or "inf" when unbounded
+	 * @param {boolean} [data.startOpen] - Whether the start bound is exclusive
+	 * @param {boolean} [data.endOpen] - Whether the end bound is exclusive
+	 * @param {number|bigint} [data.stride] - Distance between the integers of the interval
+	 * @param {*} [data.data] - Payload carried by the interval
+	 * @param {Object} [options={}] - Interval options
+	 * @param {boolean} [options.continuous=false] - Create a real-valued interval
 	 * @returns {Interval} New interval instance
 	 * @throws {Error} When data is invalid or interval cannot be created
 	 */
-	static fromObject = (data) => {
+	static fromObject = (data, { continuous = false } = {}) => {
 		if (!data || typeof data !== "object") {
 			throw new Error("Invalid data: must be an object with start and end properties");
 		}
-		if (typeof data.start !== "number" || typeof data.end !== "number") {
+
+		const start = data.start === "-inf" ? -Infinity : data.start;
+		const end = data.end === "inf" ? Infinity : data.end;
+
+		if (!["number", "bigint"].includes(typeof start) || !["number", "bigint"].includes(typeof end)) {
 			throw new Error("Invalid data: start and end must be numbers");
 		}
-		return new Interval(data.start, data.end);
+
+		const hasBounds = "startOpen" in data || "endOpen" in data;
+
+		return new Interval(start, end, {
+			startOpen: Boolean(data.startOpen),
+			endOpen: Boolean(data.endOpen),
+			notation: hasBounds ? "bracket" : "dash",
+			continuous,
+			stride: data.stride,
+			data: data.data,
+		});
 	};
 
 	/**
-	 * Compare intervals for sorting (by start, then by end).
+	 * Static factory method to create the interval covering first..last (inclusive integers),
+	 * expressed in the bound style and notation of a template interval.
+	 * @param {number|bigint} first - Smallest integer to cover
+	 * @param {number|bigint} last - Largest integer to cover
+	 * @param {Interval} template - Interval whose open/closed bounds, notation and payload are reused
+	 * @returns {Interval} New interval instance
+	 * @throws {Error} When first is greater than last
+	 */
+	static fromClosed = (first, last, template) =>
+		new Interval(template.startOpen ? first - unitOf(first) : first, template.endOpen ? last + unitOf(last) : last, {
+			startOpen: template.startOpen,
+			endOpen: template.endOpen,
+			notation: template.notation,
+			data: template.data,
+		});
+
+	/**
+	 * Static factory method to create the smallest interval spanning all given intervals.
+	 * @param {Interval[]} intervals - Non-empty array of intervals
+	 * @returns {Interval} New interval from the lowest start to the highest end, without a payload
+	 */
+	static span = (intervals) => {
+		const lower = intervals.reduce((a, b) => (Interval.compareStarts(b, a) < 0 ? b : a));
+		const upper = intervals.reduce((a, b) => (Interval.compareEnds(b, a) > 0 ? b : a));
+
+		if (lower.continuous) {
+			return new Interval(lower.start, upper.end, {
+				...derivedOptions(lower),
+				startOpen: lower.startOpen,
+				endOpen: upper.endOpen,
+				data: undefined,
+			});
+		}
+		// Bracket notation is only kept for open bounds, and the span's bounds are closed
+		return new Interval(lower.first, upper.last, { notation: lower.notation === "bracket" ? "dash" : lower.notation });
+	};
+
+	/**
+	 * Union of integer intervals, strided or not, as few intervals as possible in ascending order. Contiguous ranges
+	 * absorb the strided ones they cover, and strided intervals that continue each other's progression are joined into
+	 * one, so "10-50/5, 55-100/5" gives "10-100/5". Progressions that no single stride describes stay separate, with
+	 * the points they share kept in one of them only: "0-12/2, 0-12/3" gives "0-12/2" and "3-9/6".
+	 * Pieces keep the notation of the interval they come from; payloads are dropped, as in Interval.span.
+	 * @param {Interval[]} intervals - Integer intervals to unite
+	 * @returns {Interval[]} Intervals without common points, covering exactly the integers of the given ones
+	 * @throws {Error} When progressions with unrelated strides would need too many pieces (see withoutPointsOf)
+	 */
+	static union = (intervals) => {
+		if (intervals.length === 0) {
+			return [];
+		}
+
+		const unit = unitOfBounds(intervals.flatMap((i) => [i.first, i.last]));
+		const cuts = sortedDistinct(intervals.flatMap((i) => [i.first, i.last + unit]));
+		const pieces = [];
+		// Indexes of the pieces of the last segment that had any, which the pieces of the next one may continue
+		let open = [];
+
+		// Between two cuts no interval starts or ends, so the same intervals cover the whole segment
+		for (let k = 0; k + 1 < cuts.length; k++) {
+			const [from, to] = [cuts[k], cuts[k + 1] - unit];
+			const active = intervals.filter((i) => i.first <= from && i.last >= to).map((i) => i.withData(undefined));
+
+			const covered = coverSegment(active, from, to);
+			const reached = [];
+
+			for (const piece of covered) {
+				const joined = open.map((index) => [index, joinPieces(pieces[index], piece)]).find(([, interval]) => interval);
+
+				if (joined) {
+					pieces[joined[0]] = joined[1];
+					reached.push(joined[0]);
+				} else {
+					reached.push(pieces.push(piece) - 1);
+				}
+			}
+			open = covered.length > 0 ? reached : open;
+		}
+
+		return pieces.sort(Interval.compare);
+	};
+
+	/**
+	 * Compare the starts of two intervals. Integer intervals compare their first contained integer;
+	 * continuous intervals compare start values, with a closed start coming before an open one.
+	 * Uses relational operators so that BigInt intervals compare correctly too.
+	 * @param {Interval} a - First interval to compare
+	 * @param {Interval} b - Second interval to compare
+	 * @returns {number} Negative if a starts first, positive if b starts first, zero if both start at the same point
+	 */
+	static compareStarts = (a, b) => {
+		const [x, y] = a.continuous ? [a.start, b.start] : [a.first, b.first];
+
+		if (x !== y) {
+			return x < y ? -1 : 1;
+		}
+		return a.continuous ? Number(a.startOpen) - Number(b.startOpen) : 0;
+	};
+
+	/**
+	 * Compare the ends of two intervals. Integer intervals compare their last contained integer;
+	 * continuous intervals compare end values, with an open end coming before a closed one.
+	 * @param {Interval} a - First interval to compare
+	 * @param {Interval} b - Second interval to compare
+	 * @returns {number} Negative if a ends first, positive if b ends first, zero if both end at the same point
+	 */
+	static compareEnds = (a, b) => {
+		const [x, y] = a.continuous ? [a.end, b.end] : [a.last, b.last];
+
+		if (x !== y) {
+			return x < y ? -1 : 1;
+		}
+		return a.continuous ? Number(b.endOpen) - Number(a.endOpen) : 0;
+	};
+
+	/**
+	 * Pairwise Allen relations of a list of intervals.
+	 * @param {Interval[]} intervals - Intervals to relate
+	 * @returns {string[][]} Matrix whose entry [i][j] is the relation of intervals[i] to intervals[j] (see relation)
+	 */
+	static relationMatrix = (intervals) => intervals.map((a) => intervals.map((b) => a.relation(b)));
+
+	/**
+	 * Compare intervals for sorting (by start, then by end, then by step so contiguous intervals come first).
 	 * @param {Interval} a - First interval to compare
 	 * @param {Interval} b - Second interval to compare
 	 * @returns {number} Negative if a < b, positive if a > b, zero if equal
 	 */
-	static compare = (a, b) => (a.start !== b.start ? a.start - b.start : a.end - b.end);
+	static compare = (a, b) => Interval.compareStarts(a, b) || Interval.compareEnds(a, b) || (a.step === b.step ? 0 : a.step < b.step ? -1 : 1);
 }
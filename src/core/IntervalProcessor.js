@@ -1,40 +1,382 @@
 import { Interval } from "./Interval.js";
-import { parseIntervals } from "../utils/parsers.js";
+import { IntervalSet } from "./IntervalSet.js";
+import { IntervalTree } from "./IntervalTree.js";
+import { parseIntervals, parseIntervalGroups, parseLength, parseModulo, formatIntervals, formatCidrs } from "../utils/parsers.js";
 import { validateIntervalString } from "../utils/validators.js";
+import { joinIntervalList, resolvePayloadMerger, gapBetween, cutParts, unitOf, isUnbounded, sortedDistinct } from "../utils/helpers.js";
+import { getIntervalSize, getBasicStatistics } from "../utils/statistics.js";
+import { bridgeSeam, wrapsAround } from "../utils/modular.js";
+import { ERROR_MESSAGES } from "../utils/constants.js";
+
+/**
+ * Sort and merge intervals, counting the gaps bridged because of mergeGap (see IntervalProcessor.mergeIntervals).
+ * @param {Interval[]} intervals - Array of intervals to merge
+ * @param {string|Function} mergeData - Payload merge strategy
+ * @param {number|bigint} [mergeGap] - Largest gap to bridge, or undefined to merge only overlapping and adjacent intervals
+ * @returns {Object} Object with the merged intervals and the number of bridged gaps
+ * @throws {Error} When the payload merge strategy is unknown
+ */
+const sweepMerge = (intervals, mergeData, mergeGap) => {
+	const mergePayloads = resolvePayloadMerger(mergeData);
+
+	if (intervals.length === 0) {
+		return { merged: intervals, bridged: 0 };
+	}
+
+	const sorted = [...intervals].sort(Interval.compare);
+	const merged = [];
+	let current = sorted[0];
+	// Strided intervals merged so far, with the contiguous ones they meet; united by Interval.union on close
+	let group = [];
+	let payloads = [];
+	let bridged = 0;
+
+	if (!current) {
+		return { merged: [], bridged };
+	}
+
+	const collect = (interval) => {
+		if (interval.data !== undefined) {
+			payloads.push(interval.data);
+		}
+	};
+	const close = () => {
+		const pieces = group.length > 0 ? Interval.union(group) : [current];
+
+		if (payloads.length > 0) {
+			const payload = mergePayloads(payloads);
+
+			merged.push(...pieces.map((piece) => piece.withData(payload)));
+		} else {
+			merged.push(...pieces);
+		}
+		payloads = [];
+		group = [];
+	};
+	const restart = (interval) => {
+		close();
+		current = interval;
+		group = interval.stride === undefined ? [] : [interval];
+		collect(interval);
+	};
+
+	group = current.stride === undefined ? [] : [current];
+	collect(current);
+
+	for (let i = 1; i < sorted.length; i++) {
+		const next = sorted[i];
+
+		if (!next) {
+			continue;
+		}
+		if (group.length > 0 || next.stride !== undefined) {
+			// current is the member reaching furthest; members whose ranges meet or continue its progression join
+			if (next.first <= current.last + unitOf(current.last) || Interval.union([current, next]).length === 1) {
+				if (group.length === 0) {
+					group.push(current);
+				}
+				group.push(next);
+				current = Interval.compareEnds(next, current) > 0 ? next : current;
+				collect(next);
+			} else {
+				restart(next);
+			}
+		} else if (current.overlaps(next) || current.isAdjacent(next)) {
+			try {
+				current = current.merge(next);
+				collect(next);
+			} catch (error) {
+				restart(next);
+			}
+		} else if (mergeGap !== undefined && gapBetween(current, next) <= mergeGap) {
+			// Span drops the payload; the collected payloads are applied when closing
+			current = Interval.span([current, next]);
+			collect(next);
+			bridged++;
+		} else {
+			restart(next);
+		}
+	}
+
+	close();
+
+	return { merged, bridged };
+};
+
+/**
+ * Drop the intervals smaller than a minimum size. In a modular domain the two intervals meeting at the seam are
+ * measured together, as the wrap-around interval they form.
+ * @param {Interval[]} intervals - Sorted, disjoint intervals
+ * @param {number|bigint} minLength - Smallest size to keep, measured with getIntervalSize
+ * @param {Object} options - Processing options (e.g. continuous, time, ip)
+ * @param {number|bigint} [modulo] - Size of the modular domain, if any
+ * @returns {Interval[]} The intervals of at least the minimum size
+ */
+const dropShort = (intervals, minLength, options, modulo) => {
+	const sizes = intervals.map((interval) => getIntervalSize(interval, options));
+
+	if (modulo !== undefined && wrapsAround(intervals, modulo)) {
+		sizes[0] = sizes[sizes.length - 1] = sizes[0] + sizes[sizes.length - 1];
+	}
+	return intervals.filter((_, i) => sizes[i] >= minLength);
+};
+
+/**
+ * Split an interval after its first values worth a given size, at a value boundary for integer intervals (keeping
+ * the stride) and at an exact cut for continuous ones, which closes the rest at the cut.
+ * @param {Interval} interval - Bounded interval to split
+ * @param {number|bigint} size - Size of the head, measured like getIntervalSize, positive and smaller than the interval
+ * @returns {Interval[]} The head of the given size and the rest
+ */
+const splitAfter = (interval, size) => {
+	if (interval.continuous) {
+		const cut = interval.start + size;
+
+		return [
+			interval.intersection(new Interval(-Infinity, cut, { endOpen: true, continuous: true })),
+			interval.intersection(new Interval(cut, Infinity, { continuous: true })),
+		];
+	}
+
+	const last = interval.first + (size - unitOf(size)) * interval.step;
+
+	return [interval.intersection(new Interval(-Infinity, last)), interval.intersection(new Interval(last + unitOf(last), Infinity))];
+};
+
+/**
+ * Deal sorted, disjoint intervals out into consecutive parts of given sizes, in order, splitting the intervals that
+ * cross a part boundary, so the parts together cover exactly the input.
+ * @param {Interval[]} intervals - Sorted, disjoint, bounded intervals
+ * @param {Function} quotaOf - (index) => size of the part with that index, or undefined for a part taking all the rest
+ * @param {Object} options - Processing options, for measuring sizes (e.g. time, ip)
+ * @returns {Interval[][]} The parts; the last one may be smaller than its quota
+ * @throws {Error} When an interval is unbounded
+ */
+const fillParts = (intervals, quotaOf, options) => {
+	const unbounded = intervals.find((i) => isUnbounded(i.start) || isUnbounded(i.end));
+
+	if (unbounded) {
+		throw new Error(ERROR_MESSAGES.PARTITION_UNBOUNDED(unbounded.toString()));
+	}
+
+	const parts = [[]];
+	let left = quotaOf(0);
+
+	for (let piece of intervals) {
+		let size = getIntervalSize(piece, options);
+
+		while (left !== undefined && size > left) {
+			if (left > size - size) {
+				const [head, rest] = splitAfter(piece, left);
+
+				parts.at(-1).push(head);
+				piece = rest;
+				size = getIntervalSize(piece, options);
+			}
+			parts.push([]);
+			left = quotaOf(parts.length - 1);
+		}
+		parts.at(-1).push(piece);
+		left = left === undefined ? undefined : left - size;
+	}
+
+	return parts;
+};
+
+/**
+ * Split result intervals into chunks or shards as requested by the processing options.
+ * @param {Interval[]} intervals - Sorted, disjoint result intervals
+ * @param {Object} options - Processing options with chunkSize (see parseLength) or shards, and the value domain flags
+ * @returns {Object[]|undefined} Per part, { intervals, formatted, size }, or undefined when neither option is set
+ * @throws {Error} When both options are set, either is invalid or an interval is unbounded
+ */
+const partitionResult = (intervals, options) => {
+	if (options.chunkSize !== undefined && options.shards !== undefined) {
+		throw new Error(ERROR_MESSAGES.PARTITION_CONFLICT());
+	}
+
+	let parts;
+
+	if (options.chunkSize !== undefined) {
+		parts = IntervalProcessor.chunkIntervals(intervals, parseLength(options.chunkSize, "chunk size", options), options);
+	} else if (options.shards !== undefined) {
+		parts = IntervalProcessor.shardIntervals(intervals, options.shards, options);
+	} else {
+		return undefined;
+	}
+
+	return parts.map((part) => ({
+		intervals: part.map((i) => i.toJSON()),
+		formatted: formatIntervals(part, options),
+		size: getBasicStatistics(part, options).totalCoverage,
+	}));
+};
+
+/**
+ * Index the intervals of input entries for tracing.
+ * @param {Interval[][]} groups - Parsed intervals per input entry (see parseIntervalGroups)
+ * @returns {Object} Object with an IntervalTree of all intervals and indicesOf(intervals), giving the sorted, distinct
+ * entry indices of intervals from the tree
+ */
+const indexEntries = (groups) => {
+	const entries = new Map(groups.flatMap((group, index) => group.map((interval) => [interval, index])));
+
+	return {
+		tree: new IntervalTree([...entries.keys()]),
+		indicesOf: (intervals) => sortedDistinct(intervals.map((interval) => entries.get(interval))),
+	};
+};
+
+/**
+ * Trace every result interval back to the input entries it came from: the includes holding some of its values, and
+ * the excludes that cut it out of the merged include it lies in, i.e. those removing a value of that merged include
+ * right next to one of its bounds (or, for a strided result, between its values).
+ * @param {Interval[]} result - Result intervals
+ * @param {Interval[]} merged - Merged includes the result was cut from
+ * @param {Interval[][]} includeGroups - Parsed includes per input entry
+ * @param {Interval[][]} excludeGroups - Parsed excludes per input entry
+ * @returns {Object[]} Per result interval, its JSON representation (interval) and text (formatted) with the entry indices of
+ * its includes and excludes
+ */
+const traceLineage = (result, merged, includeGroups, excludeGroups) => {
+	const includes = indexEntries(includeGroups);
+	const excludes = indexEntries(excludeGroups);
+	const parents = new IntervalTree(merged);
+
+	return result.map((fragment) => {
+		const parent = parents.overlapping(fragment).find((candidate) => candidate.contains(fragment));
+		let trimming;
+
+		if (fragment.continuous) {
+			// Excludes cannot overlap the fragment itself, so the ones touching it end or start at one of its bounds
+			trimming = excludes.tree.touching(fragment).filter((exclude) => exclude.overlaps(parent));
+		} else {
+			const unit = unitOf(fragment.first);
+			const step = (value, delta) => (isUnbounded(value) ? value : value + delta);
+			const reach = new Interval(step(fragment.first, -unit), step(fragment.last, unit));
+
+			trimming = excludes.tree.overlapping(reach).filter((exclude) => exclude.intersection(reach)?.overlaps(parent));
+		}
+
+		return {
+			interval: fragment.toJSON(),
+			formatted: fragment.toString(),
+			includes: includes.indicesOf(includes.tree.overlapping(fragment)),
+			excludes: excludes.indicesOf(trimming),
+		};
+	});
+};
 
 export class IntervalProcessor {
 	/**
 	 * Main processing method using sweep line algorithm.
 	 * @param {string|Object} input - Either interval string or object with includes/excludes.
-	 * @param {string} [excludes] - Exclude intervals string.
+	 * @param {string|Object} [excludes] - Exclude intervals string, or processing options when input is an object.
+	 * @param {Object} [options={}] - Processing options (when input is a string).
+	 * @param {boolean} [options.bigint=false] - Parse and process values as BigInt (for values beyond Number.MAX_SAFE_INTEGER)
+	 * @param {boolean} [options.continuous=false] - Parse and process values as real-valued (float) intervals
+	 * @param {boolean} [options.time=false] - Parse and process ISO 8601 time intervals
+	 * @param {boolean} [options.ip=false] - Parse and process IPv4/IPv6 ranges and CIDR blocks
+	 * @param {boolean} [options.cidr=false] - Format IP results as a minimal list of CIDR blocks (also returned as cidrs)
+	 * @param {string|Function} [options.mergeData="first"] - How payloads of merged includes combine (see mergeIntervals)
+	 * @param {number|bigint|string} [options.mergeGap] - Also merge includes separated by a gap of at most this size (see parseLength)
+	 * @param {number|bigint|string} [options.minLength] - Drop result intervals smaller than this size (see parseLength)
+	 * @param {number|bigint|string} [options.modulo] - Size of a modular domain such as 24 hours: intervals may wrap around
+	 * ("22-2"), are processed as their segments and formatted in wrapped form again (see parseModulo)
+	 * @param {boolean} [options.explain=false] - Record the lineage of every result interval
+	 * @param {number|bigint|string} [options.chunkSize] - Also split the result into chunks of at most this size (see chunkIntervals)
+	 * @param {number|string} [options.shards] - Also split the result into this many shards of balanced size (see shardIntervals)
 	 * @returns {Object} Object with processed intervals and formatted string.
-	 * @returns {Object[]} returns.intervals - Array of interval objects {start, end}
+	 * @returns {Object[]} returns.intervals - Array of interval objects {start, end} (plus data for intervals with a payload;
+	 * a wrap-around interval appears as its two segments)
 	 * @returns {string} returns.formatted - Formatted string representation
+	 * @returns {number} [returns.gapsBridged] - Number of gaps merged over (only with mergeGap)
+	 * @returns {number} [returns.fragmentsDropped] - Number of result intervals dropped as too short (only with minLength)
+	 * @returns {Object[]} [returns.lineage] - Per result interval, { interval, formatted, includes, excludes } with the (zero-based)
+	 * indices of the include entries holding some of its values and of the exclude entries that trimmed it (only with explain)
+	 * @returns {Object[]} [returns.shards] - Per chunk or shard, { intervals, formatted, size } (only with chunkSize or shards)
 	 */
-	static process = (input, excludes) => {
+	static process = (input, excludes, options) => {
 		try {
 			const processInput = typeof input === "string" ? { includes: input, excludes: excludes ?? "" } : input;
+			const processOptions = (typeof input === "string" ? options : excludes) ?? {};
 
-			const includeIntervals = parseIntervals(processInput.includes ?? "");
-			const excludeIntervals = parseIntervals(processInput.excludes ?? "");
+			const includeGroups = parseIntervalGroups(processInput.includes ?? "", processOptions);
+			const excludeGroups = parseIntervalGroups(processInput.excludes ?? "", processOptions);
+			const includeIntervals = includeGroups.flat();
+			const excludeIntervals = excludeGroups.flat();
 
 			if (includeIntervals.length === 0) {
+				const shards = partitionResult([], processOptions);
+
 				return {
 					intervals: [],
 					formatted: "(none)",
+					...(processOptions.explain && { lineage: [] }),
+					...(shards && { shards }),
 				};
 			}
 
-			// Step 1: Merge overlapping includes
-			const merged = this.mergeIntervals(includeIntervals);
-			// Step 2: Subtract excludes
-			const result = this.subtractIntervals(merged, excludeIntervals);
-			// Step 3: Format output
-			const formatted = result.length > 0 ? result.map((i) => i.toString()).join(", ") : "(none)";
+			const mergeGap = parseLength(processOptions.mergeGap, "merge gap", processOptions);
+			const minLength = parseLength(processOptions.minLength, "minimum length", processOptions);
+			const modulo = parseModulo(processOptions.modulo, processOptions);
+
+			// Step 1: Merge overlapping includes (and those separated by small gaps, also across the seam of a modular domain)
+			let { merged, bridged } = sweepMerge(includeIntervals, processOptions.mergeData ?? "first", mergeGap);
+
+			if (modulo !== undefined && mergeGap !== undefined) {
+				const seam = bridgeSeam(merged, modulo, mergeGap);
 
+				merged = seam.intervals;
+				bridged += Number(seam.bridged);
+			}
+			// Step 2: Subtract excludes
+			const remaining = this.subtractIntervals(merged, excludeIntervals);
+			// Step 3: Drop fragments that are too short
+			const result = minLength === undefined ? remaining : dropShort(remaining, minLength, processOptions, modulo);
+			// A wrap-around interval counts once, although it is kept as two segments
+			const count = (intervals) => intervals.length - Number(modulo !== undefined && wrapsAround(intervals, modulo));
+			const shards = partitionResult(result, processOptions);
+			// Step 4: Format output
 			return {
 				intervals: result.map((i) => i.toJSON()),
-				formatted,
+				formatted: formatIntervals(result, processOptions),
+				...(processOptions.cidr && { cidrs: formatCidrs(result) }),
+				...(mergeGap !== undefined && { gapsBridged: bridged }),
+				...(minLength !== undefined && { fragmentsDropped: count(remaining) - count(result) }),
+				...(processOptions.explain && { lineage: traceLineage(result, merged, includeGroups, excludeGroups) }),
+				...(shards && { shards }),
+			};
+		} catch (error) {
+			return {
+				intervals: [],
+				formatted: `(error: ${error.message})`,
+				error: error.message,
+			};
+		}
+	};
+
+	/**
+	 * Evaluate a set expression over named sets.
+	 * @param {string} expression - Set expression, e.g. "(weekdays | holidays) - outages & coverage"
+	 * @param {Object<string, string|string[]>} sets - Named interval sets referenced by the expression
+	 * @param {Object} [options={}] - Evaluation options passed to IntervalSet.evaluate (e.g. domain, bigint, ip), plus cidr for CIDR output
+	 * and chunkSize or shards to split the result (see process)
+	 * @returns {Object} Object with processed intervals and formatted string.
+	 * @returns {Object[]} returns.intervals - Array of interval objects {start, end}
+	 * @returns {string} returns.formatted - Formatted string representation
+	 * @returns {Object[]} [returns.shards] - Per chunk or shard, { intervals, formatted, size } (only with chunkSize or shards)
+	 */
+	static processExpression = (expression, sets, options = {}) => {
+		try {
+			const result = IntervalSet.evaluate(expression, sets, options);
+			const shards = partitionResult(result.intervals, options);
+
+			return {
+				intervals: result.toJSON(),
+				formatted: formatIntervals(result.intervals, options),
+				...(options.cidr && { cidrs: formatCidrs(result.intervals) }),
+				...(shards && { shards }),
 			};
 		} catch (error) {
 			return {
@@ -47,90 +389,201 @@ export class IntervalProcessor {
 
 	/**
 	 * Merge overlapping and adjacent intervals using sweep line algorithm.
+	 * Payloads of the intervals merged into one are combined by the merge strategy: "first" keeps the first payload
+	 * (in sorted order), "all" collects every payload into an array, and a function is used as a reducer over the payloads.
+	 * Intervals without a payload do not take part, so a merged interval only has a payload if one of its parts had one.
+	 * Strided intervals are merged by Interval.union, so one group of them may give several intervals, each with the
+	 * combined payload; mergeGap does not bridge gaps next to strided intervals.
 	 * @param {Interval[]} intervals - Array of intervals to merge
+	 * @param {string|Function} [mergeData="first"] - Payload merge strategy: "first", "all" or (accumulated, payload) => combined
+	 * @param {number|bigint} [mergeGap] - Also merge intervals separated by a gap of at most this size (see gapBetween)
 	 * @returns {Interval[]} Array of merged intervals, sorted by start point
+	 * @throws {Error} When the payload merge strategy is unknown
 	 */
-	static mergeIntervals = (intervals) => {
-		if (intervals.length <= 1) {
-			return intervals;
+	static mergeIntervals = (intervals, mergeData = "first", mergeGap) => sweepMerge(intervals, mergeData, mergeGap).merged;
+
+	/**
+	 * Subtract exclude intervals from include intervals with a single two-pointer sweep.
+	 * Of the consumed contiguous excludes only the one reaching furthest can still cover later includes (it covers a
+	 * prefix of them that contains what the others cover), so every exclude is visited once and the cost is O(n + m)
+	 * after sorting the excludes, plus the strided excludes still reaching an include, which cover points, not prefixes.
+	 * Works for integer, continuous and strided intervals alike, since the cuts are made by Interval.subtract.
+	 * @param {Interval[]} includes - Array of include intervals (assumed merged and sorted)
+	 * @param {Interval[]} excludes - Array of exclude intervals
+	 * @returns {Interval[]} Array of remaining intervals after subtraction
+	 */
+	static subtractIntervals = (includes, excludes) => {
+		if (excludes.length === 0) {
+			return includes;
 		}
 
-		const sorted = [...intervals].sort(Interval.compare);
-		const merged = [];
-		let current = sorted[0];
+		const sortedExcludes = [...excludes].sort(Interval.compare);
+		const result = [];
+		// Consumed contiguous exclude with the furthest end, and consumed strided excludes ending after the previous include
+		let reach = null;
+		let strided = [];
+		let j = 0;
 
-		if (!current) {
-			return [];
-		}
+		for (const include of includes) {
+			strided = strided.filter((exclude) => include.startsBeforeEndOf(exclude));
+			// Parts of the include not yet cut by every exclude that may reach them
+			let pending = (reach ? [reach, ...strided] : strided).reduce(cutParts, [include]);
 
-		for (let i = 1; i < sorted.length; i++) {
-			const next = sorted[i];
+			while (j < sortedExcludes.length && sortedExcludes[j].startsBeforeEndOf(include)) {
+				const exclude = sortedExcludes[j++];
 
-			if (!next) {
-				continue;
-			}
-			if (current.overlaps(next) || current.isAdjacent(next)) {
-				try {
-					current = current.merge(next);
-				} catch (error) {
-					merged.push(current);
-					current = next;
+				if (exclude.stride !== undefined) {
+					strided.push(exclude);
+				} else if (!reach || Interval.compareEnds(exclude, reach) > 0) {
+					reach = exclude;
 				}
-			} else {
-				merged.push(current);
-				current = next;
+				// Parts ending before the exclude starts are final, since later excludes start later still
+				while (pending.length > 0 && !exclude.startsBeforeEndOf(pending[0])) {
+					result.push(pending.shift());
+				}
+				pending = cutParts(pending, exclude);
 			}
+
+			result.push(...pending);
 		}
 
-		merged.push(current);
+		// Parts of strided includes sharing a range (see Interval.union) come out per include; sorting them is linear otherwise
+		return result.sort(Interval.compare);
+	};
+
+	/**
+	 * Split sorted, disjoint intervals into consecutive chunks of at most a given size, in order. Intervals crossing a
+	 * chunk boundary are split, so the chunks together cover exactly the input and every chunk but the last is full.
+	 * @param {Interval[]} intervals - Sorted, disjoint, bounded intervals, such as a processing result
+	 * @param {number|bigint} chunkSize - Largest size of a chunk, measured like getIntervalSize (a whole number of
+	 * values for integer intervals, a duration in milliseconds in time mode)
+	 * @param {Object} [options={}] - Processing options, for measuring sizes (e.g. continuous, time, ip)
+	 * @returns {Interval[][]} The chunks, none for empty input
+	 * @throws {Error} When the chunk size is not a positive size or an interval is unbounded
+	 */
+	static chunkIntervals = (intervals, chunkSize, options = {}) => {
+		const continuous = Boolean(options.continuous || options.time || intervals[0]?.continuous);
 
-		return merged;
+		if (!(chunkSize > 0) || (!continuous && typeof chunkSize === "number" && !Number.isInteger(chunkSize))) {
+			throw new Error(ERROR_MESSAGES.INVALID_CHUNK_SIZE(chunkSize));
+		}
+		if (intervals.length === 0) {
+			return [];
+		}
+		return fillParts(intervals, () => chunkSize, options);
 	};
 
 	/**
-	 * Subtract exclude intervals from include intervals using optimized algorithm.
-	 * @param {Interval[]} includes - Array of include intervals (assumed sorted)
-	 * @param {Interval[]} excludes - Array of exclude intervals
-	 * @returns {Interval[]} Array of remaining intervals after subtraction
+	 * Split sorted, disjoint intervals into a number of consecutive shards of balanced size, in order. Shards of
+	 * integer intervals differ by at most one value (the first ones being larger), shards of continuous intervals are
+	 * of equal length; intervals crossing a shard boundary are split, so the shards together cover exactly the input.
+	 * @param {Interval[]} intervals - Sorted, disjoint, bounded intervals, such as a processing result
+	 * @param {number|string} count - Number of shards
+	 * @param {Object} [options={}] - Processing options, for measuring sizes (e.g. continuous, time, ip)
+	 * @returns {Interval[][]} Exactly count shards, empty ones when there are fewer values than shards
+	 * @throws {Error} When the count is not a positive integer or an interval is unbounded
 	 */
-	static subtractIntervals = (includes, excludes) => {
-		if (excludes.length === 0) return includes;
+	static shardIntervals = (intervals, count, options = {}) => {
+		const shards = Number(count);
 
-		const sortedExcludes = [...excludes].sort(Interval.compare);
-		const result = [];
+		if (!Number.isInteger(shards) || shards < 1) {
+			throw new Error(ERROR_MESSAGES.INVALID_SHARD_COUNT(count));
+		}
 
-		for (const include of includes) {
-			let current = [include];
+		const total = getBasicStatistics(intervals, options).totalCoverage;
+		const n = typeof total === "bigint" ? BigInt(shards) : shards;
+		const continuous = Boolean(options.continuous || options.time || intervals[0]?.continuous);
+		const base = continuous ? total / n : (total - (total % n)) / n;
+		const extra = continuous ? 0 : Number(total % n);
+		const parts =
+			intervals.length === 0
+				? []
+				: fillParts(intervals, (k) => (k === shards - 1 ? undefined : k < extra ? base + unitOf(base) : base), options);
 
-			for (const exclude of sortedExcludes) {
-				// Early exit: exclude is beyond current include
-				if (exclude.start > include.end) break;
+		return [...parts, ...Array.from({ length: shards - parts.length }, () => [])];
+	};
 
-				// Skip: exclude is before current include
-				if (exclude.end < include.start) continue;
+	/**
+	 * List the gaps of a set of used ranges: the intervals of a bounded domain covered by none of them, with their
+	 * sizes. The ranges are merged with mergeIntervals and subtracted from the domain, so overlapping and adjacent
+	 * ranges leave no gap between them.
+	 * @param {Interval[]|string|Array<string|Object>} input - Used ranges, as intervals or input accepted by parseIntervals
+	 * @param {Object} [options={}] - Gap options, plus parsing options for string input (e.g. bigint, continuous, time, ip)
+	 * @param {Interval|string} [options.domain] - Single interval to find the gaps in, e.g. "0-65535" (defaults to the
+	 * span of the used ranges, so only the gaps between them are listed)
+	 * @param {string} [options.sort] - "position" to list the gaps in ascending order, or "size" to list the largest
+	 * first (ties in ascending order); defaults to "size" with largest, "position" otherwise
+	 * @param {number} [options.largest] - Only keep this many of the largest gaps
+	 * @returns {Object} Object with the gaps and formatted string.
+	 * @returns {string} returns.domain - The domain the gaps were looked for in ("(none)" without a domain or used ranges)
+	 * @returns {Object[]} returns.intervals - Array of interval objects {start, end}, in the requested order
+	 * @returns {string} returns.formatted - Formatted string representation, in the requested order
+	 * @returns {Object[]} returns.gaps - Per gap, { interval, formatted, size } with its size measured like getIntervalSize
+	 * @returns {number|bigint} returns.totalSize - Combined size of all gaps, also those left out by largest
+	 */
+	static gaps = (input, options = {}) => {
+		try {
+			const { domain, largest } = options;
+			const sort = options.sort ?? (largest === undefined ? "position" : "size");
 
-				// Apply exclude to all current intervals
-				current = current.flatMap((interval) => (interval.overlaps(exclude) ? interval.subtract(exclude) : [interval]));
+			if (!["position", "size"].includes(sort)) {
+				throw new Error(ERROR_MESSAGES.UNKNOWN_GAP_SORT(sort));
+			}
+			if (largest !== undefined && !(Number.isInteger(largest) && largest > 0)) {
+				throw new Error(ERROR_MESSAGES.INVALID_LARGEST(largest));
+			}
+			if (options.modulo !== undefined) {
+				throw new Error(ERROR_MESSAGES.GAPS_MODULO());
 			}
 
-			result.push(...current);
-		}
+			const used = Array.isArray(input) && input.every((i) => i instanceof Interval) ? input : parseIntervals(input, options);
+			const bounds = domain === undefined || domain instanceof Interval ? [domain] : parseIntervals(domain, options);
+
+			if (bounds.length !== 1) {
+				throw new Error(ERROR_MESSAGES.INVALID_GAP_DOMAIN(domain, bounds.length));
+			}
 
-		return result;
+			const within = bounds[0] ?? (used.length === 0 ? null : Interval.span(used));
+			const free = within ? this.subtractIntervals([within], this.mergeIntervals(used)) : [];
+			const sized = free.map((interval) => ({ interval, size: getIntervalSize(interval, options) }));
+
+			// Array.prototype.sort is stable, so gaps of equal size stay in ascending order
+			const bySize = [...sized].sort((a, b) => (a.size > b.size ? -1 : a.size < b.size ? 1 : 0));
+			const kept = new Set(bySize.slice(0, largest));
+			const listed = (sort === "size" ? bySize : sized).filter((gap) => kept.has(gap));
+
+			return {
+				domain: within ? within.toString() : "(none)",
+				intervals: listed.map(({ interval }) => interval.toJSON()),
+				formatted: formatIntervals(
+					listed.map(({ interval }) => interval),
+					options
+				),
+				gaps: listed.map(({ interval, size }) => ({ interval: interval.toJSON(), formatted: interval.toString(), size })),
+				totalSize: getBasicStatistics(free, options).totalCoverage,
+			};
+		} catch (error) {
+			return {
+				intervals: [],
+				formatted: `(error: ${error.message})`,
+				error: error.message,
+			};
+		}
 	};
 
 	/**
 	 * Validate input intervals before processing.
 	 * @param {string|string[]} includes - Include intervals string or array
 	 * @param {string|string[]} [excludes] - Exclude intervals string or array
+	 * @param {Object} [options={}] - Validation options (e.g. bigint)
 	 * @returns {boolean} True if both includes and excludes are valid
 	 */
-	static validate = (includes, excludes) => {
-		const includeStr = Array.isArray(includes) ? includes.join(",") : includes;
-		const excludeStr = Array.isArray(excludes) ? excludes?.join(",") : excludes;
+	static validate = (includes, excludes, options = {}) => {
+		const includeStr = joinIntervalList(includes);
+		const excludeStr = joinIntervalList(excludes);
 
-		const includeValid = validateIntervalString(includeStr);
-		const excludeValid = !excludeStr || validateIntervalString(excludeStr);
+		const includeValid = validateIntervalString(includeStr, options);
+		const excludeValid = !excludeStr || validateIntervalString(excludeStr, options);
 
 		return includeValid.valid && (typeof excludeValid === "boolean" ? excludeValid : excludeValid.valid);
 	};
@@ -0,0 +1,204 @@
+import { Interval } from "./Interval.js";
+import { IntervalProcessor } from "./IntervalProcessor.js";
+import { parseIntervals, parseModulo, formatIntervals, parseSetExpression, collectSetReferences } from "../utils/parsers.js";
+import { ERROR_MESSAGES, EXPRESSION_OPERATORS } from "../utils/constants.js";
+import { createExpressionError } from "../utils/helpers.js";
+import { domainOf } from "../utils/modular.js";
+
+export class IntervalSet {
+	/**
+	 * Creates a new immutable, normalized (sorted and merged) interval set.
+	 * @param {Interval[]} [intervals=[]] - Intervals to include in the set
+	 */
+	constructor(intervals = []) {
+		this.intervals = Object.freeze(IntervalProcessor.mergeIntervals([...intervals]));
+		Object.freeze(this);
+	}
+
+	/**
+	 * Check if the set contains no intervals.
+	 * @returns {boolean} True if the set is empty, false otherwise
+	 */
+	isEmpty = () => this.intervals.length === 0;
+
+	/**
+	 * Union of this set and another.
+	 * @param {IntervalSet|Interval|Interval[]|string} other - The set to unite with
+	 * @returns {IntervalSet} A new set covering everything in either set
+	 */
+	union = (other) => new IntervalSet([...this.intervals, ...IntervalSet.from(other).intervals]);
+
+	/**
+	 * Intersection of this set and another using a two-pointer sweep.
+	 * @param {IntervalSet|Interval|Interval[]|string} other - The set to intersect with
+	 * @returns {IntervalSet} A new set covering everything in both sets
+	 */
+	intersect = (other) => {
+		const a = this.intervals;
+		const b = IntervalSet.from(other).intervals;
+		const result = [];
+		let i = 0;
+		let j = 0;
+
+		while (i < a.length && j < b.length) {
+			const common = a[i].intersection(b[j]);
+
+			if (common) {
+				result.push(common);
+			}
+			if (Interval.compareEnds(a[i], b[j]) < 0) {
+				i++;
+			} else {
+				j++;
+			}
+		}
+
+		return new IntervalSet(result);
+	};
+
+	/**
+	 * Difference of this set and another.
+	 * @param {IntervalSet|Interval|Interval[]|string} other - The set to remove
+	 * @returns {IntervalSet} A new set covering everything in this set but not in the other
+	 */
+	difference = (other) => new IntervalSet(IntervalProcessor.subtractIntervals([...this.intervals], IntervalSet.from(other).intervals));
+
+	/**
+	 * Symmetric difference of this set and another.
+	 * @param {IntervalSet|Interval|Interval[]|string} other - The set to compare with
+	 * @returns {IntervalSet} A new set covering everything in exactly one of the sets
+	 */
+	symmetricDifference = (other) => {
+		const otherSet = IntervalSet.from(other);
+
+		return this.difference(otherSet).union(otherSet.difference(this));
+	};
+
+	/**
+	 * Complement of this set within a bounding domain, or within the whole number line, which gives unbounded
+	 * pieces such as "*-9" and "21-*" for "10-20".
+	 * @param {IntervalSet|Interval|Interval[]|string} [within] - The domain to complement against (defaults to the whole line,
+	 * real-valued if this set is)
+	 * @returns {IntervalSet} A new set covering everything in the domain but not in this set
+	 */
+	complement = (within) =>
+		IntervalSet.from(within ?? new Interval(-Infinity, Infinity, { continuous: Boolean(this.intervals[0]?.continuous) })).difference(this);
+
+	/**
+	 * Check if this set covers exactly the same values as another.
+	 * @param {IntervalSet|Interval|Interval[]|string} other - The set to compare with
+	 * @returns {boolean} True if both sets are equal, false otherwise
+	 */
+	equals = (other) => {
+		const b = IntervalSet.from(other).intervals;
+
+		return this.intervals.length === b.length && this.intervals.every((interval, i) => Interval.compare(interval, b[i]) === 0);
+	};
+
+	/**
+	 * Check if every value in this set is also in another.
+	 * @param {IntervalSet|Interval|Interval[]|string} other - The potential superset
+	 * @returns {boolean} True if this set is a subset of the other, false otherwise
+	 */
+	isSubsetOf = (other) => this.difference(other).isEmpty();
+
+	/**
+	 * Check if this set shares no values with another.
+	 * @param {IntervalSet|Interval|Interval[]|string} other - The set to check against
+	 * @returns {boolean} True if the sets have no values in common, false otherwise
+	 */
+	isDisjointFrom = (other) => this.intersect(other).isEmpty();
+
+	/**
+	 * String representation of the set.
+	 * @returns {string} Comma-separated intervals or "(none)" if empty
+	 */
+	toString = () => formatIntervals(this.intervals);
+
+	/**
+	 * JSON representation of the set.
+	 * @returns {Object[]} Array of objects with start and end properties
+	 */
+	toJSON = () => this.intervals.map((i) => i.toJSON());
+
+	/**
+	 * Static factory method to create a set from any supported input.
+	 * @param {IntervalSet|Interval|Interval[]|string|string[]} input - Set, interval, intervals, or interval string(s)
+	 * @param {Object} [options={}] - Parsing options for string input (e.g. bigint, continuous)
+	 * @returns {IntervalSet} New (or the same, if already a set) interval set
+	 * @throws {Error} When the input cannot be parsed into intervals
+	 */
+	static from = (input, options = {}) => {
+		if (input instanceof IntervalSet) {
+			return input;
+		}
+		if (input instanceof Interval) {
+			return new IntervalSet([input]);
+		}
+		if (Array.isArray(input) && input.every((i) => i instanceof Interval)) {
+			return new IntervalSet(input);
+		}
+		return new IntervalSet(parseIntervals(input, options));
+	};
+
+	/**
+	 * Static factory method to create an empty set.
+	 * @returns {IntervalSet} New empty interval set
+	 */
+	static empty = () => new IntervalSet();
+
+	/**
+	 * Evaluate a set expression such as "(weekdays | holidays) - outages & coverage" over named sets.
+	 * @param {string|Object} expression - Expression string or tree returned by parseSetExpression
+	 * @param {Object<string, IntervalSet|Interval[]|string|string[]>} sets - Named sets referenced by the expression
+	 * @param {Object} [options={}] - Evaluation options
+	 * @param {IntervalSet|Interval|Interval[]|string} [options.domain] - Domain for "~" complement (defaults to the whole
+	 * modular domain with options.modulo, otherwise to the span of all named sets)
+	 * @param {number|bigint|string} [options.modulo] - Size of a modular domain whose string sets may hold wrap-around intervals
+	 * @param {boolean} [options.bigint=false] - Parse string sets as BigInt
+	 * @param {boolean} [options.continuous=false] - Parse string sets as real-valued intervals
+	 * @returns {IntervalSet} Resulting interval set
+	 * @throws {Error} When the expression is malformed or references an unknown set
+	 */
+	static evaluate = (expression, sets, options = {}) => {
+		const tree = typeof expression === "string" ? parseSetExpression(expression) : expression;
+		const named = new Map(Object.entries(sets ?? {}).map(([name, value]) => [name, IntervalSet.from(value, options)]));
+
+		for (const reference of collectSetReferences(tree)) {
+			if (!named.has(reference.name)) {
+				throw createExpressionError(ERROR_MESSAGES.UNKNOWN_SET(reference.name, reference.position), reference.position);
+			}
+		}
+
+		let domain = options.domain === undefined ? null : IntervalSet.from(options.domain, options);
+
+		const getDomain = () => {
+			const modulo = parseModulo(options.modulo, options);
+
+			if (!domain && modulo !== undefined) {
+				domain = new IntervalSet([domainOf(modulo, Boolean(options.continuous))]);
+			}
+			if (!domain) {
+				const all = [...named.values()].flatMap((set) => set.intervals);
+
+				domain = all.length === 0 ? IntervalSet.empty() : new IntervalSet([Interval.span(all)]);
+			}
+			return domain;
+		};
+
+		const evaluateNode = (node) => {
+			if (node.type === "set") {
+				return named.get(node.name);
+			}
+			if (node.type === "unary") {
+				return evaluateNode(node.operand).complement(getDomain());
+			}
+
+			const left = evaluateNode(node.left);
+
+			return left[EXPRESSION_OPERATORS[node.operator]](evaluateNode(node.right));
+		};
+
+		return evaluateNode(tree);
+	};
+}
@@ -0,0 +1,251 @@
+import { Interval } from "./Interval.js";
+import { parseIntervalEntry, parseIntervalLine, parseLength } from "../utils/parsers.js";
+import { resolvePayloadMerger, gapBetween, cutParts, unitOf, maxOf } from "../utils/helpers.js";
+import { getIntervalSize } from "../utils/statistics.js";
+import { ERROR_MESSAGES } from "../utils/constants.js";
+
+/**
+ * Turn a stream of interval list entries into a stream of intervals, checking that it is sorted by start.
+ * @param {AsyncIterable|Iterable} entries - Intervals, interval strings or { range, data } objects
+ * @param {string} name - Name of the stream for error messages, e.g. "Includes"
+ * @param {Object} options - Parsing options for string entries (e.g. bigint)
+ * @yields {Interval} Intervals in input order
+ * @throws {Error} When an entry is invalid or starts before the previous one
+ */
+async function* sortedIntervals(entries, name, options) {
+	let previous = null;
+
+	for await (const entry of entries) {
+		const interval = entry instanceof Interval ? entry : parseIntervalEntry(entry, options);
+
+		if (previous && Interval.compareStarts(interval, previous) < 0) {
+			throw new Error(ERROR_MESSAGES.UNSORTED_STREAM(name, interval.toString(), previous.toString()));
+		}
+		previous = interval;
+		yield interval;
+	}
+}
+
+/**
+ * Merge a sorted stream of intervals, yielding each merged interval once no later input can extend it.
+ * Payloads are combined and gaps bridged as in IntervalProcessor.mergeIntervals.
+ * @param {AsyncIterable<Interval>} intervals - Intervals sorted by start
+ * @param {string|Function} mergeData - Payload merge strategy: "first", "all" or a reducer
+ * @param {number|bigint} [mergeGap] - Largest gap between intervals to merge over
+ * @yields {Interval} Merged intervals in ascending order
+ */
+async function* mergeSorted(intervals, mergeData, mergeGap) {
+	const mergePayloads = resolvePayloadMerger(mergeData);
+	let current = null;
+	// Strided intervals merged into current, with the contiguous ones they meet (see IntervalProcessor.mergeIntervals)
+	let group = [];
+	let payloads = [];
+
+	const pieces = () => {
+		const united = group.length > 0 ? Interval.union(group) : [current];
+
+		return payloads.length === 0 ? united : united.map((piece) => piece.withData(mergePayloads(payloads)));
+	};
+
+	for await (const interval of intervals) {
+		if (current && (group.length > 0 || interval.stride !== undefined)) {
+			if (interval.first <= current.last + unitOf(current.last) || Interval.union([current, interval]).length === 1) {
+				group = group.length > 0 ? group : [current];
+				group.push(interval);
+				current = Interval.compareEnds(interval, current) > 0 ? interval : current;
+			} else {
+				yield* pieces();
+				current = interval;
+				group = interval.stride === undefined ? [] : [interval];
+				payloads = [];
+			}
+		} else if (current && (current.overlaps(interval) || current.isAdjacent(interval))) {
+			current = current.merge(interval);
+		} else if (current && mergeGap !== undefined && gapBetween(current, interval) <= mergeGap) {
+			current = Interval.span([current, interval]);
+		} else {
+			if (current) {
+				yield* pieces();
+			}
+			current = interval;
+			group = interval.stride === undefined ? [] : [interval];
+			payloads = [];
+		}
+		if (interval.data !== undefined) {
+			payloads.push(interval.data);
+		}
+	}
+
+	if (current) {
+		yield* pieces();
+	}
+}
+
+/**
+ * Subtract a sorted stream of excludes from a sorted stream of merged includes with the two-pointer sweep
+ * of IntervalProcessor.subtractIntervals, reading each exclude once and holding only the contiguous exclude reaching
+ * furthest and the strided excludes still reaching the current include in memory. Parts lying in the range of a strided
+ * include, which later includes may share, are held until no later include can start before them.
+ * @param {AsyncIterable<Interval>} includes - Merged includes in ascending order
+ * @param {AsyncIterable<Interval>} excludes - Excludes sorted by start
+ * @yields {Interval} Remaining intervals in ascending order
+ */
+async function* subtractSorted(includes, excludes) {
+	const iterator = excludes[Symbol.asyncIterator]();
+	const nextExclude = async () => {
+		const { value, done } = await iterator.next();
+
+		return done ? null : value;
+	};
+	let pending = await nextExclude();
+	// Consumed contiguous exclude with the furthest end, and consumed strided excludes ending after the previous
+	// include; they may still cover later includes (see IntervalProcessor.subtractIntervals)
+	let reach = null;
+	let strided = [];
+	// Parts lying in the range of a strided include, which later includes may share (see Interval.union); once one
+	// is held, every later part is too, until an include starts after the last strided include ends
+	let held = [];
+	let horizon = null;
+	const ready = (parts) =>
+		parts.filter((part) => {
+			const hold = held.length > 0 || (horizon !== null && part.first <= horizon);
+
+			if (hold) {
+				held.push(part);
+			}
+			return !hold;
+		});
+
+	try {
+		for await (const include of includes) {
+			if (held.length > 0 && include.first > horizon) {
+				yield* held.sort(Interval.compare);
+				held = [];
+			}
+			if (include.stride !== undefined) {
+				horizon = horizon === null ? include.last : maxOf(horizon, include.last);
+			}
+			strided = strided.filter((exclude) => include.startsBeforeEndOf(exclude));
+
+			let parts = (reach ? [reach, ...strided] : strided).reduce(cutParts, [include]);
+
+			while (pending && pending.startsBeforeEndOf(include)) {
+				const exclude = pending;
+
+				pending = await nextExclude();
+
+				if (exclude.stride !== undefined) {
+					strided.push(exclude);
+				} else if (!reach || Interval.compareEnds(exclude, reach) > 0) {
+					reach = exclude;
+				}
+				// Parts ending before the exclude starts are final, since later excludes start later still
+				const final = [];
+
+				while (parts.length > 0 && !exclude.startsBeforeEndOf(parts[0])) {
+					final.push(parts.shift());
+				}
+				yield* ready(final);
+				parts = cutParts(parts, exclude);
+			}
+
+			yield* ready(parts);
+		}
+		yield* held.sort(Interval.compare);
+	} finally {
+		await iterator.return?.();
+	}
+}
+
+/**
+ * Drop the intervals of a stream that are smaller than a minimum size.
+ * @param {AsyncIterable<Interval>} intervals - Intervals to filter
+ * @param {number|bigint} minLength - Smallest size to keep, measured with getIntervalSize
+ * @param {Object} options - Processing options for getIntervalSize (e.g. time, ip)
+ * @yields {Interval} Intervals of at least the minimum size
+ */
+async function* dropShort(intervals, minLength, options) {
+	for await (const interval of intervals) {
+		if (getIntervalSize(interval, options) >= minLength) {
+			yield interval;
+		}
+	}
+}
+
+/**
+ * Map a stream of text lines (interval strings or NDJSON) to intervals, skipping blank lines.
+ * @param {AsyncIterable<string>|Iterable<string>} lines - Lines of input
+ * @param {Object} options - Parsing options (e.g. bigint)
+ * @yields {Interval} Parsed intervals
+ * @throws {Error} When a line is invalid; the message includes the line number
+ */
+async function* linesToIntervals(lines, options) {
+	let number = 0;
+
+	for await (const line of lines) {
+		number++;
+
+		let interval;
+
+		try {
+			interval = parseIntervalLine(line, options);
+		} catch (error) {
+			throw new Error(`Line ${number}: ${error.message}`);
+		}
+		if (interval) {
+			yield interval;
+		}
+	}
+}
+
+export class IntervalStream {
+	/**
+	 * Merge and subtract interval streams incrementally. Both streams must be sorted by start (e.g. with an
+	 * external sort); intervals are yielded as soon as no later input can change them, and only the current include
+	 * and exclude are held in memory, so memory use does not grow with the input (apart from payloads collected
+	 * with mergeData "all").
+	 * @param {AsyncIterable|Iterable} includes - Include intervals, interval strings or { range, data } objects, sorted by start
+	 * @param {AsyncIterable|Iterable} [excludes=[]] - Exclude intervals in the same forms, sorted by start
+	 * @param {Object} [options={}] - Processing options
+	 * @param {boolean} [options.bigint=false] - Parse string entries as BigInt
+	 * @param {boolean} [options.continuous=false] - Parse string entries as real-valued intervals
+	 * @param {boolean} [options.time=false] - Parse string entries as ISO 8601 time intervals
+	 * @param {boolean} [options.ip=false] - Parse string entries as IP ranges
+	 * @param {string|Function} [options.mergeData="first"] - How payloads of merged includes combine
+	 * @param {number|bigint|string} [options.mergeGap] - Also merge includes separated by a gap of at most this size
+	 * @param {number|bigint|string} [options.minLength] - Drop result intervals smaller than this size
+	 * @returns {AsyncIterable<Interval>} Resulting intervals in ascending order
+	 * @throws {Error} When mergeGap or minLength is invalid; while iterating, when an entry is invalid or a stream is not sorted
+	 */
+	static process = (includes, excludes = [], options = {}) => {
+		const minLength = parseLength(options.minLength, "minimum length", options);
+		const result = subtractSorted(IntervalStream.merge(includes, options), sortedIntervals(excludes, "Excludes", options));
+
+		return minLength === undefined ? result : dropShort(result, minLength, options);
+	};
+
+	/**
+	 * Merge a sorted stream of intervals incrementally.
+	 * @param {AsyncIterable|Iterable} intervals - Intervals, interval strings or { range, data } objects, sorted by start
+	 * @param {Object} [options={}] - Parsing options for string entries, the mergeData payload strategy and mergeGap
+	 * @returns {AsyncIterable<Interval>} Merged intervals in ascending order
+	 * @throws {Error} When mergeGap is invalid; while iterating, when an entry is invalid or the stream is not sorted
+	 */
+	static merge = (intervals, options = {}) =>
+		mergeSorted(
+			sortedIntervals(intervals, "Includes", options),
+			options.mergeData ?? "first",
+			parseLength(options.mergeGap, "merge gap", options)
+		);
+
+	/**
+	 * Read intervals from a stream of text lines, e.g. a readline interface over a file.
+	 * Each line holds an interval string ("10-20", "[10,20)") or an NDJSON value ("\"10-20\"",
+	 * {"range": "10-20", "data": {...}} or {"start": 10, "end": 20}); blank lines are skipped.
+	 * @param {AsyncIterable<string>|Iterable<string>} lines - Lines of input
+	 * @param {Object} [options={}] - Parsing options (e.g. bigint, continuous, time, ip)
+	 * @returns {AsyncIterable<Interval>} Parsed intervals in input order
+	 * @throws {Error} While iterating, when a line is invalid
+	 */
+	static fromLines = (lines, options = {}) => linesToIntervals(lines, options);
+}
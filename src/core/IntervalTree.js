@@ -0,0 +1,346 @@
+import { Interval } from "./Interval.js";
+import { parseIntervals } from "../utils/parsers.js";
+
+/**
+ * Height of a tree node (0 for an empty subtree).
+ * @param {Object|null} node - Tree node
+ * @returns {number} Height of the subtree
+ */
+const heightOf = (node) => node?.height ?? 0;
+
+/**
+ * Recompute the height and the furthest-reaching interval of a node from its children.
+ * @param {Object} node - Tree node
+ * @returns {Object} The same node
+ */
+const update = (node) => {
+	node.height = 1 + Math.max(heightOf(node.left), heightOf(node.right));
+	node.maxEnd = node.interval;
+
+	for (const child of [node.left, node.right]) {
+		if (child && Interval.compareEnds(child.maxEnd, node.maxEnd) > 0) {
+			node.maxEnd = child.maxEnd;
+		}
+	}
+
+	return node;
+};
+
+/**
+ * Create a leaf node.
+ * @param {Interval} interval - Interval stored in the node
+ * @returns {Object} Tree node with interval, children, height and maxEnd (interval reaching furthest right in the subtree)
+ */
+const createNode = (interval) => update({ interval, left: null, right: null, height: 1, maxEnd: interval });
+
+/**
+ * Rotate a subtree to the right.
+ * @param {Object} node - Root of the subtree
+ * @returns {Object} New root of the subtree
+ */
+const rotateRight = (node) => {
+	const root = node.left;
+
+	node.left = root.right;
+	root.right = update(node);
+
+	return update(root);
+};
+
+/**
+ * Rotate a subtree to the left.
+ * @param {Object} node - Root of the subtree
+ * @returns {Object} New root of the subtree
+ */
+const rotateLeft = (node) => {
+	const root = node.right;
+
+	node.right = root.left;
+	root.left = update(node);
+
+	return update(root);
+};
+
+/**
+ * Restore the AVL balance of a subtree whose children differ in height by at most two.
+ * @param {Object} node - Root of the subtree
+ * @returns {Object} New, balanced root of the subtree
+ */
+const rebalance = (node) => {
+	update(node);
+
+	const balance = heightOf(node.left) - heightOf(node.right);
+
+	if (balance > 1) {
+		if (heightOf(node.left.left) < heightOf(node.left.right)) {
+			node.left = rotateLeft(node.left);
+		}
+		return rotateRight(node);
+	}
+	if (balance < -1) {
+		if (heightOf(node.right.right) < heightOf(node.right.left)) {
+			node.right = rotateRight(node.right);
+		}
+		return rotateLeft(node);
+	}
+
+	return node;
+};
+
+/**
+ * Build a balanced subtree from intervals sorted with Interval.compare.
+ * @param {Interval[]} sorted - Sorted intervals
+ * @param {number} from - First index (inclusive)
+ * @param {number} to - Last index (exclusive)
+ * @returns {Object|null} Root of the subtree
+ */
+const buildNode = (sorted, from, to) => {
+	if (from >= to) {
+		return null;
+	}
+
+	const middle = Math.floor((from + to) / 2);
+	const node = createNode(sorted[middle]);
+
+	node.left = buildNode(sorted, from, middle);
+	node.right = buildNode(sorted, middle + 1, to);
+
+	return update(node);
+};
+
+/**
+ * Insert an interval into a subtree. Intervals equal to an existing one go to its right.
+ * @param {Object|null} node - Root of the subtree
+ * @param {Interval} interval - Interval to insert
+ * @returns {Object} New root of the subtree
+ */
+const insertNode = (node, interval) => {
+	if (!node) {
+		return createNode(interval);
+	}
+	if (Interval.compare(interval, node.interval) < 0) {
+		node.left = insertNode(node.left, interval);
+	} else {
+		node.right = insertNode(node.right, interval);
+	}
+
+	return rebalance(node);
+};
+
+/**
+ * Remove the leftmost node of a subtree.
+ * @param {Object} node - Root of the subtree
+ * @returns {Object} Object with the removed node and the new root of the subtree
+ */
+const removeMinNode = (node) => {
+	if (!node.left) {
+		return { min: node, root: node.right };
+	}
+
+	const { min, root } = removeMinNode(node.left);
+
+	node.left = root;
+
+	return { min, root: rebalance(node) };
+};
+
+/**
+ * Remove one interval matching a predicate from a subtree. Intervals with the same bounds may sit on both
+ * sides of each other after rotations, so both children are searched while the bounds compare equal.
+ * @param {Object|null} node - Root of the subtree
+ * @param {Interval} interval - Interval whose bounds to look for
+ * @param {Function} matches - Predicate deciding whether a stored interval with the same bounds is the one to remove
+ * @returns {Object} Object with the new root of the subtree and whether an interval was removed
+ */
+const removeNode = (node, interval, matches) => {
+	if (!node) {
+		return { root: null, removed: false };
+	}
+
+	const order = Interval.compare(interval, node.interval);
+
+	if (order === 0 && matches(node.interval)) {
+		if (!node.left || !node.right) {
+			return { root: node.left ?? node.right, removed: true };
+		}
+
+		const { min, root } = removeMinNode(node.right);
+
+		min.left = node.left;
+		min.right = root;
+
+		return { root: rebalance(min), removed: true };
+	}
+
+	let removed = false;
+
+	if (order <= 0) {
+		const result = removeNode(node.left, interval, matches);
+
+		node.left = result.root;
+		removed = result.removed;
+	}
+	if (order >= 0 && !removed) {
+		const result = removeNode(node.right, interval, matches);
+
+		node.right = result.root;
+		removed = result.removed;
+	}
+
+	return { root: removed ? rebalance(node) : node, removed };
+};
+
+/**
+ * Check if one interval starts no later than another ends, optionally also accepting the two being adjacent.
+ * @param {Interval} a - Interval whose start to compare
+ * @param {Interval} b - Interval whose end to compare
+ * @param {boolean} touching - Whether adjacent intervals count as well
+ * @returns {boolean} True if a starts before the end of b (or touches it)
+ */
+const reaches = (a, b, touching) => a.startsBeforeEndOf(b) || (touching && a.isAdjacent(b));
+
+/**
+ * Collect the intervals of a subtree overlapping a query interval, in sorted order. Strided intervals whose range
+ * overlaps the query without sharing an integer with it are only collected as touching.
+ * Subtrees whose furthest-reaching interval ends before the query starts are skipped, as are right
+ * subtrees once a node starts after the query ends, so a query costs O(log n + k) for k results.
+ * @param {Object|null} node - Root of the subtree
+ * @param {Interval} query - Query interval
+ * @param {Interval[]} result - Array the overlapping intervals are appended to
+ * @param {boolean} [touching=false] - Also collect intervals adjacent to the query
+ * @returns {Interval[]} The result array
+ */
+const collectOverlapping = (node, query, result, touching = false) => {
+	if (!node || !reaches(query, node.maxEnd, touching)) {
+		return result;
+	}
+
+	collectOverlapping(node.left, query, result, touching);
+
+	if (reaches(node.interval, query, touching)) {
+		if (reaches(query, node.interval, touching) && (touching || node.interval.overlaps(query))) {
+			result.push(node.interval);
+		}
+		collectOverlapping(node.right, query, result, touching);
+	}
+
+	return result;
+};
+
+/**
+ * Collect the intervals of a subtree in sorted order.
+ * @param {Object|null} node - Root of the subtree
+ * @param {Interval[]} result - Array the intervals are appended to
+ * @returns {Interval[]} The result array
+ */
+const collectAll = (node, result) => {
+	if (node) {
+		collectAll(node.left, result);
+		result.push(node.interval);
+		collectAll(node.right, result);
+	}
+	return result;
+};
+
+export class IntervalTree {
+	/**
+	 * Creates a new interval tree: an AVL tree ordered by interval start, where every node also records the
+	 * interval reaching furthest right in its subtree. Intervals are stored as given (not merged), so queries
+	 * return the original intervals with their notation and payload.
+	 * @param {Interval[]} [intervals=[]] - Intervals to index
+	 */
+	constructor(intervals = []) {
+		this.root = buildNode([...intervals].sort(Interval.compare), 0, intervals.length);
+		this.size = intervals.length;
+	}
+
+	/**
+	 * Check if the tree contains no intervals.
+	 * @returns {boolean} True if the tree is empty, false otherwise
+	 */
+	isEmpty = () => this.size === 0;
+
+	/**
+	 * Add an interval to the tree.
+	 * @param {Interval} interval - The interval to add
+	 * @returns {IntervalTree} This tree, for chaining
+	 */
+	insert = (interval) => {
+		this.root = insertNode(this.root, interval);
+		this.size++;
+
+		return this;
+	};
+
+	/**
+	 * Remove an interval from the tree. The given instance is removed if it is stored in the tree,
+	 * otherwise one stored interval with the same bounds.
+	 * @param {Interval} interval - The interval to remove
+	 * @returns {boolean} True if an interval was removed, false if none with the same bounds was found
+	 */
+	delete = (interval) => {
+		let result = removeNode(this.root, interval, (stored) => stored === interval);
+
+		if (!result.removed) {
+			result = removeNode(this.root, interval, () => true);
+		}
+		if (result.removed) {
+			this.root = result.root;
+			this.size--;
+		}
+
+		return result.removed;
+	};
+
+	/**
+	 * Find the intervals overlapping a range.
+	 * @param {Interval} range - The range to check against
+	 * @returns {Interval[]} Overlapping intervals, sorted by start
+	 */
+	overlapping = (range) => collectOverlapping(this.root, range, []);
+
+	/**
+	 * Find the intervals overlapping or adjacent to a range (see Interval.isAdjacent).
+	 * @param {Interval} range - The range to check against
+	 * @returns {Interval[]} Overlapping and adjacent intervals, sorted by start
+	 */
+	touching = (range) => collectOverlapping(this.root, range, [], true);
+
+	/**
+	 * Find the intervals containing a point (a stabbing query).
+	 * @param {number|bigint} point - The value to look up, of the same type as the interval bounds
+	 * @returns {Interval[]} Intervals containing the point, sorted by start
+	 */
+	containing = (point) => {
+		if (!this.root) {
+			return [];
+		}
+		return this.overlapping(new Interval(point, point, { continuous: this.root.interval.continuous }));
+	};
+
+	/**
+	 * All intervals in the tree.
+	 * @returns {Interval[]} Intervals sorted by start
+	 */
+	toArray = () => collectAll(this.root, []);
+
+	/**
+	 * JSON representation of the tree.
+	 * @returns {Object[]} Array of interval objects, sorted by start
+	 */
+	toJSON = () => this.toArray().map((i) => i.toJSON());
+
+	/**
+	 * Static factory method to build a tree from intervals or interval strings.
+	 * @param {Interval[]|string|Array<string|Object>} input - Intervals, or input accepted by parseIntervals
+	 * @param {Object} [options={}] - Parsing options for string input (e.g. bigint, continuous, time, ip)
+	 * @returns {IntervalTree} New interval tree
+	 * @throws {Error} When the input cannot be parsed into intervals
+	 */
+	static from = (input, options = {}) => {
+		if (Array.isArray(input) && input.every((i) => i instanceof Interval)) {
+			return new IntervalTree(input);
+		}
+		return new IntervalTree(parseIntervals(input, options));
+	};
+}
@@ -0,0 +1,136 @@
+import { Interval } from "./Interval.js";
+import { IntervalProcessor } from "./IntervalProcessor.js";
+import { IntervalSet } from "./IntervalSet.js";
+import { IntervalTree } from "./IntervalTree.js";
+import { parseIntervals, formatIntervals } from "../utils/parsers.js";
+
+export class MutableIntervalSet {
+	/**
+	 * Creates a new mutable interval set. The set keeps its intervals merged (sorted, disjoint and non-adjacent)
+	 * in an IntervalTree, so add, remove and has take O(log n) time, plus O(log n) for every stored interval an
+	 * add merges with or a remove touches (each stored interval is merged away at most once).
+	 * @param {Interval[]} [intervals=[]] - Initial intervals
+	 */
+	constructor(intervals = []) {
+		this.tree = new IntervalTree(IntervalProcessor.mergeIntervals([...intervals]));
+	}
+
+	/**
+	 * Number of disjoint intervals in the set.
+	 * @returns {number} Interval count
+	 */
+	get size() {
+		return this.tree.size;
+	}
+
+	/**
+	 * Check if the set contains no intervals.
+	 * @returns {boolean} True if the set is empty, false otherwise
+	 */
+	isEmpty = () => this.tree.isEmpty();
+
+	/**
+	 * Add an interval, merging it with the stored intervals it overlaps or is adjacent to (Interval.isAdjacent).
+	 * The merged interval keeps the payload of the added interval, as Interval.merge does. A strided interval is
+	 * united (Interval.union) with the stored intervals its range meets or that lie one stride away, which may
+	 * give several intervals.
+	 * @param {Interval} interval - The interval to add
+	 * @returns {MutableIntervalSet} This set, for chaining
+	 */
+	add = (interval) => {
+		const { stride } = interval;
+		const range = stride === undefined ? interval : Interval.fromClosed(interval.first - stride, interval.last + stride, {});
+		const neighbours = this.tree.touching(range);
+
+		for (const stored of neighbours) {
+			this.tree.delete(stored);
+		}
+		if (stride === undefined && neighbours.every((stored) => stored.stride === undefined)) {
+			this.tree.insert(neighbours.reduce((merged, stored) => merged.merge(stored), interval));
+		} else {
+			for (const piece of Interval.union([interval, ...neighbours])) {
+				this.tree.insert(piece.withData(interval.data));
+			}
+		}
+
+		return this;
+	};
+
+	/**
+	 * Remove an interval, splitting a stored interval that extends past it on both sides.
+	 * @param {Interval} interval - The interval to remove
+	 * @returns {MutableIntervalSet} This set, for chaining
+	 */
+	remove = (interval) => {
+		for (const stored of this.tree.overlapping(interval)) {
+			this.tree.delete(stored);
+
+			for (const part of stored.subtract(interval)) {
+				this.tree.insert(part);
+			}
+		}
+
+		return this;
+	};
+
+	/**
+	 * Check if a point lies in the set.
+	 * @param {number|bigint} point - The value to look up, of the same type as the interval bounds
+	 * @returns {boolean} True if some interval contains the point, false otherwise
+	 */
+	has = (point) => this.tree.containing(point).length > 0;
+
+	/**
+	 * Find the stored intervals overlapping a range.
+	 * @param {Interval} range - The range to check against
+	 * @returns {Interval[]} Overlapping intervals, sorted by start
+	 */
+	overlapping = (range) => this.tree.overlapping(range);
+
+	/**
+	 * Iterate over the intervals in ascending order.
+	 * @returns {Iterator<Interval>} Iterator over the disjoint intervals
+	 */
+	[Symbol.iterator] = () => this.tree.toArray()[Symbol.iterator]();
+
+	/**
+	 * All intervals in the set.
+	 * @returns {Interval[]} Disjoint intervals in ascending order
+	 */
+	toArray = () => this.tree.toArray();
+
+	/**
+	 * Immutable snapshot of the set.
+	 * @returns {IntervalSet} Interval set with the current intervals
+	 */
+	toIntervalSet = () => new IntervalSet(this.toArray());
+
+	/**
+	 * String representation of the set.
+	 * @returns {string} Comma-separated intervals or "(none)" if empty
+	 */
+	toString = () => formatIntervals(this.toArray());
+
+	/**
+	 * JSON representation of the set.
+	 * @returns {Object[]} Array of objects with start and end properties
+	 */
+	toJSON = () => this.tree.toJSON();
+
+	/**
+	 * Static factory method to create a mutable set from intervals or interval strings.
+	 * @param {IntervalSet|Interval[]|string|Array<string|Object>} input - Set, intervals, or input accepted by parseIntervals
+	 * @param {Object} [options={}] - Parsing options for string input (e.g. bigint, continuous)
+	 * @returns {MutableIntervalSet} New mutable interval set
+	 * @throws {Error} When the input cannot be parsed into intervals
+	 */
+	static from = (input, options = {}) => {
+		if (input instanceof IntervalSet) {
+			return new MutableIntervalSet(input.intervals);
+		}
+		if (Array.isArray(input) && input.every((i) => i instanceof Interval)) {
+			return new MutableIntervalSet(input);
+		}
+		return new MutableIntervalSet(parseIntervals(input, options));
+	};
+}
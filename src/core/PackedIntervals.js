@@ -0,0 +1,311 @@
+import { Interval } from "./Interval.js";
+import { parseIntervals } from "../utils/parsers.js";
+import { ERROR_MESSAGES } from "../utils/constants.js";
+import { isUnbounded } from "../utils/helpers.js";
+
+/**
+ * Allocate a typed array of the same element type as another.
+ * @param {Float64Array|BigInt64Array} like - Array whose element type to use
+ * @param {number} length - Number of elements
+ * @returns {Float64Array|BigInt64Array} New zero-filled array
+ */
+const allocate = (like, length) => (like instanceof BigInt64Array ? new BigInt64Array(length) : new Float64Array(length));
+
+/**
+ * Distance between neighbouring integers for the element type of an array.
+ * @param {Float64Array|BigInt64Array} array - Bounds array
+ * @returns {number|bigint} 1 for Float64Array, 1n for BigInt64Array
+ */
+const unitOfArray = (array) => (array instanceof BigInt64Array ? 1n : 1);
+
+/**
+ * Check if packed intervals are sorted by start and pairwise separated, i.e. already merged.
+ * @param {Float64Array|BigInt64Array} starts - First integers
+ * @param {Float64Array|BigInt64Array} ends - Last integers
+ * @returns {boolean} True if every interval starts after the integer following the previous end
+ */
+const isMergedArrays = (starts, ends) => {
+	const unit = unitOfArray(starts);
+
+	for (let i = 1; i < starts.length; i++) {
+		if (starts[i] <= ends[i - 1] + unit) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * Indices of packed intervals in ascending order of start, or null when they are already in that order.
+ * @param {Float64Array|BigInt64Array} starts - First integers
+ * @returns {Uint32Array|null} Sorted indices, or null if no reordering is needed
+ */
+const sortedOrder = (starts) => {
+	let sorted = true;
+
+	for (let i = 1; i < starts.length && sorted; i++) {
+		sorted = starts[i - 1] <= starts[i];
+	}
+	if (sorted) {
+		return null;
+	}
+
+	// Relational comparison rather than subtraction, so BigInt starts sort correctly too
+	return Uint32Array.from({ length: starts.length }, (_, i) => i).sort((a, b) => (starts[a] < starts[b] ? -1 : starts[a] > starts[b] ? 1 : 0));
+};
+
+/**
+ * Check that two packed interval lists use the same element type (an empty list combines with either).
+ * @param {PackedIntervals} a - First list
+ * @param {PackedIntervals} b - Second list
+ * @throws {Error} When one side holds numbers and the other BigInts
+ */
+const checkCompatible = (a, b) => {
+	if (a.length > 0 && b.length > 0 && a.starts.constructor !== b.starts.constructor) {
+		throw new Error(ERROR_MESSAGES.MIXED_PACKED_TYPES());
+	}
+};
+
+/**
+ * Pair of preallocated output arrays, trimmed to the written length when done.
+ * @param {Float64Array|BigInt64Array} like - Array whose element type to use
+ * @param {number} capacity - Upper bound on the number of intervals written
+ * @returns {Object} Writer with push(first, last) and done() returning a PackedIntervals
+ */
+const createWriter = (like, capacity) => {
+	const starts = allocate(like, capacity);
+	const ends = allocate(like, capacity);
+	let count = 0;
+
+	return {
+		push: (first, last) => {
+			starts[count] = first;
+			ends[count] = last;
+			count++;
+		},
+		done: () => new PackedIntervals(starts.slice(0, count), ends.slice(0, count)),
+	};
+};
+
+export class PackedIntervals {
+	/**
+	 * Creates packed integer intervals: the first and last integer of each interval in two parallel typed arrays
+	 * (Float64Array for numbers, BigInt64Array for BigInts) instead of one Interval instance per interval, so tens
+	 * of millions of intervals fit in a modest heap. Bounds are always closed; open bounds are normalized when
+	 * converting from Interval instances.
+	 * @param {Float64Array|BigInt64Array} [starts=new Float64Array(0)] - First integer of each interval
+	 * @param {Float64Array|BigInt64Array} [ends=new Float64Array(0)] - Last integer of each interval (same type and length as starts)
+	 * @throws {Error} When the arrays differ in type or length, or an interval starts after it ends
+	 */
+	constructor(starts = new Float64Array(0), ends = new Float64Array(0)) {
+		const supported = [Float64Array, BigInt64Array].some((type) => starts instanceof type && ends instanceof type);
+
+		if (!supported || starts.length !== ends.length) {
+			throw new Error(ERROR_MESSAGES.INVALID_PACKED_ARRAYS());
+		}
+		for (let i = 0; i < starts.length; i++) {
+			if (!(starts[i] <= ends[i])) {
+				throw new Error(ERROR_MESSAGES.START_GREATER_THAN_END(starts[i], ends[i]));
+			}
+		}
+
+		this.starts = starts;
+		this.ends = ends;
+		this.length = starts.length;
+	}
+
+	/**
+	 * Check if there are no intervals.
+	 * @returns {boolean} True if empty, false otherwise
+	 */
+	isEmpty = () => this.length === 0;
+
+	/**
+	 * Sort and merge overlapping and adjacent intervals with a single sweep over the arrays.
+	 * @returns {PackedIntervals} Merged intervals in ascending order (this instance if already merged)
+	 */
+	merge = () => {
+		if (isMergedArrays(this.starts, this.ends)) {
+			return this;
+		}
+
+		const order = sortedOrder(this.starts);
+		const unit = unitOfArray(this.starts);
+		const writer = createWriter(this.starts, this.length);
+		let first = null;
+		let last = null;
+
+		for (let k = 0; k < this.length; k++) {
+			const i = order ? order[k] : k;
+
+			if (first !== null && this.starts[i] <= last + unit) {
+				if (this.ends[i] > last) {
+					last = this.ends[i];
+				}
+			} else {
+				if (first !== null) {
+					writer.push(first, last);
+				}
+				first = this.starts[i];
+				last = this.ends[i];
+			}
+		}
+		if (first !== null) {
+			writer.push(first, last);
+		}
+
+		return writer.done();
+	};
+
+	/**
+	 * Subtract other intervals with the two-pointer sweep of IntervalProcessor.subtractIntervals.
+	 * Both sides are merged first, so the result is merged as well.
+	 * @param {PackedIntervals} excludes - Intervals to remove (same element type)
+	 * @returns {PackedIntervals} Remaining intervals in ascending order
+	 * @throws {Error} When number and BigInt intervals are combined
+	 */
+	subtract = (excludes) => {
+		checkCompatible(this, excludes);
+
+		const a = this.merge();
+		const b = excludes.merge();
+		const unit = unitOfArray(a.starts);
+		const writer = createWriter(a.starts, a.length + b.length);
+		let j = 0;
+
+		for (let i = 0; i < a.length; i++) {
+			const last = a.ends[i];
+			let next = a.starts[i];
+			let covered = false;
+
+			while (j < b.length && b.ends[j] < next) {
+				j++;
+			}
+			// Excludes ending inside this include are used up; one reaching past it may still cover the next include
+			while (j < b.length && b.starts[j] <= last) {
+				if (b.starts[j] > next) {
+					writer.push(next, b.starts[j] - unit);
+				}
+				if (b.ends[j] >= last) {
+					covered = true;
+					break;
+				}
+				next = b.ends[j] + unit;
+				j++;
+			}
+			if (!covered) {
+				writer.push(next, last);
+			}
+		}
+
+		return writer.done();
+	};
+
+	/**
+	 * Intersect with other intervals using a two-pointer sweep. Both sides are merged first.
+	 * @param {PackedIntervals} other - Intervals to intersect with (same element type)
+	 * @returns {PackedIntervals} Common parts in ascending order
+	 * @throws {Error} When number and BigInt intervals are combined
+	 */
+	intersect = (other) => {
+		checkCompatible(this, other);
+
+		const a = this.merge();
+		const b = other.merge();
+		const writer = createWriter(a.starts, a.length + b.length);
+		let i = 0;
+		let j = 0;
+
+		while (i < a.length && j < b.length) {
+			const first = a.starts[i] > b.starts[j] ? a.starts[i] : b.starts[j];
+			const last = a.ends[i] < b.ends[j] ? a.ends[i] : b.ends[j];
+
+			if (first <= last) {
+				writer.push(first, last);
+			}
+			if (a.ends[i] < b.ends[j]) {
+				i++;
+			} else {
+				j++;
+			}
+		}
+
+		return writer.done();
+	};
+
+	/**
+	 * Number of integers covered, counting overlapping parts once.
+	 * @returns {number|bigint} Total coverage, as a BigInt for BigInt intervals
+	 */
+	coverage = () => {
+		const merged = this.merge();
+		const unit = unitOfArray(merged.starts);
+		let total = unit - unit;
+
+		for (let i = 0; i < merged.length; i++) {
+			total += merged.ends[i] - merged.starts[i] + unit;
+		}
+		return total;
+	};
+
+	/**
+	 * Convert to Interval instances.
+	 * @returns {Interval[]} Closed intervals in dash notation, in array order
+	 */
+	toIntervals = () => Array.from({ length: this.length }, (_, i) => new Interval(this.starts[i], this.ends[i]));
+
+	/**
+	 * String representation of the intervals.
+	 * @returns {string} Comma-separated "first-last" intervals
+	 */
+	toString = () => Array.from({ length: this.length }, (_, i) => `${this.starts[i]}-${this.ends[i]}`).join(", ");
+
+	/**
+	 * Static factory method to pack Interval instances. Each interval is stored as its first and last integer.
+	 * @param {Interval[]} intervals - Integer intervals, all with number or all with BigInt bounds
+	 * @returns {PackedIntervals} Packed intervals in the same order
+	 * @throws {Error} When an interval is continuous, strided or unbounded, the bound types are mixed or a BigInt does not fit in 64 bits
+	 */
+	static fromIntervals = (intervals) => {
+		const bigint = typeof intervals[0]?.start === "bigint";
+		const starts = bigint ? new BigInt64Array(intervals.length) : new Float64Array(intervals.length);
+		const ends = bigint ? new BigInt64Array(intervals.length) : new Float64Array(intervals.length);
+
+		intervals.forEach((interval, i) => {
+			if (interval.continuous) {
+				throw new Error(ERROR_MESSAGES.PACKED_CONTINUOUS(interval.toString()));
+			}
+			if (interval.stride !== undefined) {
+				throw new Error(ERROR_MESSAGES.PACKED_STRIDED(interval.toString()));
+			}
+			if (isUnbounded(interval.start) || isUnbounded(interval.end)) {
+				throw new Error(ERROR_MESSAGES.PACKED_UNBOUNDED(interval.toString()));
+			}
+			if ((typeof interval.start === "bigint") !== bigint) {
+				throw new Error(ERROR_MESSAGES.MIXED_PACKED_TYPES());
+			}
+			// Typed arrays silently wrap BigInts beyond 64 bits, e.g. IPv6 addresses
+			if (bigint && (BigInt.asIntN(64, interval.first) !== interval.first || BigInt.asIntN(64, interval.last) !== interval.last)) {
+				throw new Error(ERROR_MESSAGES.PACKED_VALUE_RANGE(interval.toString()));
+			}
+			starts[i] = interval.first;
+			ends[i] = interval.last;
+		});
+
+		return new PackedIntervals(starts, ends);
+	};
+
+	/**
+	 * Static factory method to pack intervals or interval strings.
+	 * @param {Interval[]|string|Array<string|Object>} input - Intervals, or input accepted by parseIntervals
+	 * @param {Object} [options={}] - Parsing options for string input (e.g. bigint)
+	 * @returns {PackedIntervals} Packed intervals in input order
+	 * @throws {Error} When the input cannot be parsed or packed
+	 */
+	static from = (input, options = {}) => {
+		if (Array.isArray(input) && input.every((i) => i instanceof Interval)) {
+			return PackedIntervals.fromIntervals(input);
+		}
+		return PackedIntervals.fromIntervals(parseIntervals(input, options));
+	};
+}
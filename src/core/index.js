@@ -1,2 +1,10 @@
 export { Interval } from "./Interval.js";
 export { IntervalProcessor } from "./IntervalProcessor.js";
+export { IntervalSet } from "./IntervalSet.js";
+export { IntervalTree } from "./IntervalTree.js";
+export { IntervalStream } from "./IntervalStream.js";
+export { PackedIntervals } from "./PackedIntervals.js";
+export { MutableIntervalSet } from "./MutableIntervalSet.js";
+export { Box } from "./Box.js";
+export { BoxSet } from "./BoxSet.js";
+export { DepthMap } from "./DepthMap.js";
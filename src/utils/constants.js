@@ -1,22 +1,129 @@
 export const REGEX_PATTERNS = {
 	INTERVAL_FORMAT: /^-?\d+\s*-\s*-?\d+$/, // Basic interval format: optional negative sign, digits, dash, optional negative sign, digits
 	INTERVAL_PARSE: /^(-?\d+)\s*-\s*(-?\d+)$/, // Interval parsing: capture groups for start and end numbers
+	BRACKET_INTERVAL: /^([[(])\s*(-?\d+|-inf|\*)\s*,\s*(-?\d+|\+?inf|\*)\s*([\])])$/i, // Bracket notation: capture groups for start bound, start, end, end bound
+	DECIMAL_INTERVAL_PARSE: /^(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)$/, // Continuous mode: capture groups for decimal start and end
+	DECIMAL_BRACKET_INTERVAL: /^([[(])\s*(-?\d+(?:\.\d+)?|-inf|\*)\s*,\s*(-?\d+(?:\.\d+)?|\+?inf|\*)\s*([\])])$/i, // Continuous mode bracket notation with decimals
+	DIFF_FILE_SPEC: /^(.+\.json)(?:#(\d+))?$/i, // Diff input read from a JSON file: capture groups for the path and the optional set number
+	OPEN_ENDED_INTERVAL: /^(-?\d+(?:\.\d+)?|-inf|\*)\s*(\.\.|-)\s*(-?\d+(?:\.\d+)?|\+?inf|\*)?$/i, // Range with "-" or "..": capture groups for start, separator and (optional) end, e.g. "1000-", "*-50" or "-inf..0"
+	UNBOUNDED_END: /^(?:[-+]?inf|\*)?$/i, // Unbounded end of a range: "*", "-inf", "inf" or nothing (as in "1000-")
+	UNBOUNDED_SYNTAX: /inf|\*|\.\.|-\s*(?:\/|$)/i, // Interval using unbounded ends or the ".." separator, e.g. "1000-" or "-inf..0"
+	ISO_INSTANT: /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(Z|[+-]\d{2}(?::?\d{2})?)?$/i, // ISO 8601 instant: date, optional time and time zone
+	ISO_DURATION: /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i, // ISO 8601 duration, e.g. "P1DT8H30M"
+	IPV4_ADDRESS: /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/, // Dotted IPv4 address: capture groups for the four octets
+	IPV6_GROUP: /^[0-9a-f]{1,4}$/i, // Single hexadecimal group of an IPv6 address
+	CIDR_PREFIX: /^\d{1,3}$/, // CIDR prefix length, e.g. the "24" in "192.168.1.0/24"
+	BOX_SEPARATOR: /\s*[x×]\s*/i, // Separator between the dimensions of a box, e.g. the "x" in "10-20x5-8"
+	BOX_SYNTAX: /[\d\])*]\s*[x×]\s*[-+\d[(*]/i, // Intervals joined like the dimensions of a box, e.g. the "20x5" in "10-20x5-8"
+	BRACKET_START: /^[[(]/, // Interval written in bracket notation, e.g. "[10,20)"
+	STRIDE_SUFFIX: /^([^/]*\S)\s*\/\s*(\d+)$/, // Strided interval: capture groups for the range and the stride, e.g. "10-100" and "5" in "10-100/5"
 	WHITESPACE_ONLY: /^\s*$/, // Check if string is only whitespace
 	JSON_FILE: /\.json$/i, // JSON file extension
+	SET_NAME: /^[A-Za-z_][A-Za-z0-9_]*$/, // Named set identifier used in set expressions
+};
+
+export const EXPRESSION_OPERATORS = {
+	"|": "union",
+	"^": "symmetricDifference",
+	"&": "intersect",
+	"-": "difference",
+	"~": "complement",
+};
+
+// Allen's interval algebra relations, each mapped to its inverse
+export const ALLEN_RELATIONS = {
+	before: "after",
+	meets: "metBy",
+	overlaps: "overlappedBy",
+	starts: "startedBy",
+	during: "contains",
+	finishes: "finishedBy",
+	equals: "equals",
+	after: "before",
+	metBy: "meets",
+	overlappedBy: "overlaps",
+	startedBy: "starts",
+	contains: "during",
+	finishedBy: "finishes",
 };
 
 export const ERROR_MESSAGES = {
-	INVALID_FORMAT: (str) => `Invalid format: "${str}". Expected: "start-end" (e.g., "10-100")`,
+	INVALID_FORMAT: (str) => `Invalid format: "${str}". Expected: "start-end" (e.g., "10-100") or bracket notation (e.g., "[10,100)")`,
 	CANNOT_PARSE: (str) => `Cannot parse interval: "${str}"`,
-	NUMBERS_TOO_LARGE: (str) => `Numbers too large in interval: "${str}"`,
+	NUMBERS_TOO_LARGE: (str) => `Numbers too large in interval: "${str}". Enable BigInt mode (--bigint) for values beyond Number.MAX_SAFE_INTEGER`,
 	START_GREATER_THAN_END: (start, end) => `Start (${start}) cannot be greater than end (${end})`,
 	EMPTY_INTERVAL: () => "Empty interval string",
 	INVALID_NUMBERS: (str) => `Invalid numbers in interval: "${str}"`,
-	INVALID_INTERVAL_FORMAT: (str) => `Invalid interval format: "${str}". Expected format: "start-end"`,
+	INVALID_INTERVAL_FORMAT: (str) => `Invalid interval format: "${str}". Expected format: "start-end" or "[start,end)"`,
+	INVALID_MODULO: (value) =>
+		`Invalid modulo: "${value}". Expected a positive integer (e.g., "24"), or a positive size with --continuous (e.g., "360")`,
+	MODULO_MODE: () => "A modulo applies to integer and continuous intervals, not to time or IP intervals",
+	MODULO_STREAM: () => "--modulo cannot be combined with --stream: wrap-around intervals do not keep the input sorted",
+	EXPLAIN_STREAM: () => "--explain cannot be combined with --stream: streamed results do not keep the inputs they came from",
+	DIFF_SET_INDEX: (file, count) => `${file} holds ${count} sets. Pick one with ${file}#<n>, where n is from 1 to ${count}`,
+	OUTSIDE_MODULO: (str, modulo) => `Interval "${str}" lies outside the modular domain [0,${modulo})`,
+	INVALID_STRIDE: (str) => `Invalid stride in interval: "${str}". Expected a positive integer after "/" (e.g., "10-100/5")`,
+	EMPTY_BOUNDED_INTERVAL: (str) => `Interval "${str}" contains no integers`,
+	EMPTY_CONTINUOUS_INTERVAL: (str) => `Interval "${str}" is empty`,
+	INVALID_TIME_INTERVAL: (str) =>
+		`Invalid time interval: "${str}". Expected ISO 8601 "start/end", "start/duration" or "duration/end" (e.g., "2024-03-11T09:00Z/PT8H")`,
+	INVALID_IP_RANGE: (str) =>
+		`Invalid IP range: "${str}". Expected a CIDR block, an address range or a single address (e.g., "10.0.0.0/8", "192.168.1.10-192.168.1.50", "2001:db8::/32")`,
+	INVALID_POINT: (str) => `Invalid point: "${str}". Expected a single value (e.g., "15", "2024-03-11T10:00Z" with --time or "10.0.0.1" with --ip)`,
+	INVALID_JSON_LINE: (line) =>
+		`Invalid JSON line: ${line}. Expected an interval string, { "range": ..., "data": ... } or { "start": ..., "end": ... }`,
+	UNSORTED_STREAM: (name, interval, previous) => `${name} are not sorted: ${interval} starts before ${previous}. Sort the input by start first`,
+	INVALID_LENGTH: (name, value) =>
+		`Invalid ${name}: "${value}". Expected a non-negative size (e.g., "3", "0.5" with --continuous or "PT5M" with --time)`,
+	INVALID_LARGEST: (value) => `Invalid number of gaps: "${value}". Expected a positive integer`,
+	UNKNOWN_GAP_SORT: (sort) => `Unknown gap sort order "${sort}". Expected "position" or "size"`,
+	INVALID_GAP_DOMAIN: (str, count) => `Invalid domain "${str}": expected a single interval, got ${count}`,
+	GAPS_MODULO: () => "Gaps cannot be listed in a modular domain: a gap across the seam would be measured as two",
+	INVALID_CHUNK_SIZE: (value) => `Invalid chunk size: "${value}". Expected a positive size (a whole number of values for integer intervals)`,
+	INVALID_SHARD_COUNT: (value) => `Invalid number of shards: "${value}". Expected a positive integer`,
+	PARTITION_CONFLICT: () => "Chunk size and number of shards cannot be combined: results are split one way or the other",
+	PARTITION_UNBOUNDED: (str) => `Cannot split unbounded interval ${str} into parts of finite size`,
+	PARTITION_STREAM: () => "--chunk-size and --shards cannot be combined with --stream: streamed results are never complete",
+	INVALID_MIN_DEPTH: (value) => `Invalid minimum depth: "${value}". Expected a positive integer number of covering intervals`,
+	INVALID_CONCURRENCY: (value) => `Invalid concurrency: "${value}". Expected a positive integer number of worker threads`,
+	INVALID_PACKED_ARRAYS: () => "Packed intervals need starts and ends of the same length, both Float64Array or both BigInt64Array",
+	MIXED_PACKED_TYPES: () => "Cannot combine number and BigInt intervals in packed form",
+	PACKED_CONTINUOUS: (str) => `Cannot pack continuous interval ${str}. Packed intervals hold integer intervals only`,
+	PACKED_STRIDED: (str) => `Cannot pack strided interval ${str}. Packed intervals hold contiguous ranges only`,
+	PACKED_UNBOUNDED: (str) => `Cannot pack unbounded interval ${str}. Packed intervals hold bounded ranges only`,
+	PACKED_VALUE_RANGE: (str) => `Cannot pack interval ${str}: bounds must fit in a signed 64-bit integer`,
+	INVALID_BOX: (str, index, message) => `Invalid box "${str}", dimension ${index + 1}: ${message}`,
+	INVALID_BOX_DIMENSIONS: () => "A box needs at least one dimension, each given as an Interval",
+	BOX_AS_INTERVAL: (str) =>
+		`"${str}" is a box, not an interval. Boxes (e.g., "10-20x5-8") are taken as includes and excludes (see BoxSet); set expressions and other interval inputs have one dimension`,
+	BOX_OPTION: (option) => `${option} applies to intervals, not to boxes`,
+	BOX_PAYLOAD: () => "Boxes carry no payloads: give box includes and excludes as strings",
+	DEPTH_STRIDED: (str) => `Cannot compute the coverage depth of strided interval ${str}. Depth maps count contiguous ranges only`,
+	UNION_TOO_COMPLEX: (stride, other, limit) =>
+		`Cannot unite overlapping progressions with strides ${stride} and ${other}: their points need more than ${limit} strided intervals. Use strides with a larger common divisor`,
+	UNKNOWN_RELATION: (name) => `Unknown interval relation "${name}". Expected one of: ${Object.keys(ALLEN_RELATIONS).join(", ")}`,
+	RELATE_SINGLE_INTERVAL: (name, count) => `Set "${name}" holds ${count} intervals. Each named set of the relate command must be a single interval`,
+	RELATE_MISSING_SETS: () => `The relate command reads an object with a "sets" field, mapping each name to one interval`,
+	RELATE_TOO_FEW: (count) =>
+		`Found ${count} named interval${count === 1 ? "" : "s"}. The relate command needs at least two, given with --set or in a file's "sets"`,
+	STRIDED_BOX_DIMENSION: (str) => `Invalid box dimension ${str}: box dimensions cannot be strided`,
+	BOX_DIMENSION_MISMATCH: (a, b) => `Boxes ${a} and ${b} have a different number of dimensions`,
+	INCOMPATIBLE_MODES: (modes) => `${modes.join(" and ")} modes cannot be combined`,
 	PARSING_ERROR: (index, message) => `Error parsing interval ${index + 1}: ${message}`,
 	MISSING_INCLUDES: (context) => `${context} must contain "includes" field`,
 	INVALID_TYPE: (field, context, expected) => `${context}.${field} must be ${expected}`,
 	INVALID_FILE_EXTENSION: (file) => `File must have .json extension, got: ${file}`,
 	EMPTY_ARRAY: (context) => `${context} cannot be empty`,
 	INVALID_ITEM: (context, index, message) => `${context}[${index}]: ${message}`,
+	EMPTY_EXPRESSION: () => "Empty set expression",
+	UNEXPECTED_CHARACTER: (char, position) => `Unexpected character "${char}" at position ${position + 1}`,
+	UNEXPECTED_TOKEN: (token, position) => `Unexpected "${token}" at position ${position + 1}`,
+	UNEXPECTED_END: (expected, position) => `Unexpected end of expression at position ${position + 1}, expected ${expected}`,
+	UNCLOSED_PARENTHESIS: (position) => `Unclosed "(" at position ${position + 1}`,
+	UNKNOWN_SET: (name, position) => `Unknown set "${name}" at position ${position + 1}`,
+	INVALID_SET_NAME: (name) => `Invalid set name "${name}". Expected letters, digits and underscores, not starting with a digit`,
+	DUPLICATE_SET: (name) => `Set "${name}" is defined more than once. Give each --set a different name, or list all its intervals in one definition`,
+	INVALID_SET_DEFINITION: (str) => `Invalid set definition: "${str}". Expected: "name=start-end,..." (e.g., "weekdays=1-5,8-12")`,
+	UNKNOWN_MERGE_STRATEGY: (strategy) => `Unknown payload merge strategy "${strategy}". Expected "first", "all" or a reducer function`,
+	MISSING_EXPRESSION_SETS: (context) => `${context} must contain a "sets" object when using "expression"`,
 };
@@ -1,3 +1,5 @@
+import { ERROR_MESSAGES } from "./constants.js";
+
 /**
  * Create a validation result object with optional error message.
  * @param {boolean} valid - Whether validation passed
@@ -22,6 +24,68 @@ export const createSuccessResult = () => createValidationResult(true);
  */
 export const createErrorResult = (error) => createValidationResult(false, error);
 
+/**
+ * Create a set expression error that records where in the expression it occurred.
+ * @param {string} message - Error message describing the problem
+ * @param {number} position - Zero-based character offset in the expression
+ * @returns {Error} Error with an additional position property
+ */
+export const createExpressionError = (message, position) => Object.assign(new Error(message), { position });
+
+/**
+ * Split a comma-separated interval list, keeping commas inside bracket notation such as "[10,20)" intact.
+ * @param {string} input - Comma-separated interval strings
+ * @returns {string[]} Trimmed interval strings (empty entries are kept as empty strings)
+ */
+export const splitIntervalList = (input) => {
+	const parts = [];
+	let depth = 0;
+	let current = "";
+
+	for (const char of input) {
+		if (char === "[" || char === "(") {
+			depth++;
+		} else if ((char === "]" || char === ")") && depth > 0) {
+			depth--;
+		}
+
+		if (char === "," && depth === 0) {
+			parts.push(current.trim());
+			current = "";
+		} else {
+			current += char;
+		}
+	}
+	parts.push(current.trim());
+
+	return parts;
+};
+
+/**
+ * Get the interval string of an interval list entry, which is either an interval string
+ * or a payload-carrying object such as { range: "10-20", data: { label: "maintenance" } }.
+ * @param {string|Object} entry - Interval string or { range, data } object
+ * @returns {string|undefined} The interval string, or undefined if the entry has none
+ */
+export const rangeOf = (entry) => (entry && typeof entry === "object" ? entry.range : entry);
+
+/**
+ * Parsing or statistics options for one dimension of a box: the shared options, overridden by the entry
+ * for that dimension in options.dimensions (e.g. [{ time: true }, {}] for time × resource boxes).
+ * @param {Object} options - Shared options, optionally with a dimensions array of per-dimension options
+ * @param {number} index - Zero-based dimension index
+ * @returns {Object} Options for the dimension
+ */
+export const dimensionOptions = (options, index) => ({ ...options, ...options.dimensions?.[index] });
+
+/**
+ * Join an interval list given as a string or as an array of entries into one interval string.
+ * @param {string|Array<string|Object>} value - Interval string or array of interval strings and { range, data } objects
+ * @param {string} [separator=","] - Separator placed between array entries
+ * @returns {string} Comma-separated interval string (payloads are left out)
+ */
+export const joinIntervalList = (value, separator = ",") => (Array.isArray(value) ? value.map(rangeOf).join(separator) : value);
+
 /**
  * Check if a number is a valid safe integer.
  * @param {number} num - Number to validate
@@ -39,3 +103,159 @@ export const parseIntegerSafe = (str) => {
 
 	return isValidInteger(num) ? num : NaN;
 };
+
+/**
+ * Safely parse a string to BigInt, accepting only plain integer notation.
+ * @param {string} str - String to parse
+ * @returns {bigint|number} Parsed BigInt or NaN if invalid
+ */
+export const parseBigIntSafe = (str) => {
+	const trimmed = typeof str === "string" ? str.trim() : "";
+
+	return /^[+-]?\d+$/.test(trimmed) ? BigInt(trimmed) : NaN;
+};
+
+/**
+ * Safely parse a string to a finite decimal number, accepting only plain notation such as "-2.75".
+ * @param {string} str - String to parse
+ * @returns {number} Parsed number or NaN if invalid/overflow
+ */
+export const parseDecimalSafe = (str) => {
+	const trimmed = typeof str === "string" ? str.trim() : "";
+	const num = /^[+-]?\d+(\.\d+)?$/.test(trimmed) ? Number(trimmed) : NaN;
+
+	return Number.isFinite(num) ? num : NaN;
+};
+
+/**
+ * Parse an interval bound in the selected numeric mode.
+ * @param {string} str - String to parse
+ * @param {Object} [options={}] - Parsing options
+ * @param {boolean} [options.bigint=false] - Parse as BigInt instead of a safe integer
+ * @param {boolean} [options.continuous=false] - Parse as a finite decimal number
+ * @returns {number|bigint} Parsed value or NaN if invalid/overflow
+ */
+export const parseBoundSafe = (str, { bigint = false, continuous = false } = {}) => {
+	if (continuous) {
+		return parseDecimalSafe(str);
+	}
+	return bigint ? parseBigIntSafe(str) : parseIntegerSafe(str);
+};
+
+/**
+ * Get the unit step matching the numeric type of a value.
+ * @param {number|bigint} value - Value whose type to match
+ * @returns {number|bigint} 1n for BigInt values, 1 otherwise
+ */
+export const unitOf = (value) => (typeof value === "bigint" ? 1n : 1);
+
+/**
+ * Check if a bound is unbounded, i.e. -Infinity (no lower limit) or Infinity (no upper limit).
+ * @param {number|bigint} value - Bound to check
+ * @returns {boolean} True for -Infinity and Infinity, false otherwise
+ */
+export const isUnbounded = (value) => value === -Infinity || value === Infinity;
+
+/**
+ * Get the unit step matching the numeric type of some bounds. Unbounded ends are numbers even in intervals
+ * with BigInt bounds, so they are skipped.
+ * @param {Array<number|bigint>} values - Bounds whose type to match
+ * @returns {number|bigint} 1n if the first bounded value is a BigInt, 1 otherwise
+ */
+export const unitOfBounds = (values) => unitOf(values.find((value) => !isUnbounded(value)));
+
+/**
+ * Size of the gap between two disjoint, non-adjacent intervals: the number of integers missing between them,
+ * or the distance between their bounds for continuous intervals (milliseconds in time mode).
+ * @param {Object} a - Interval ending before b starts
+ * @param {Object} b - Following interval
+ * @returns {number|bigint} Size of the gap
+ */
+export const gapBetween = (a, b) => (a.continuous ? b.start - a.end : b.first - a.last - unitOf(a.last));
+
+/**
+ * Subtract an exclude from the parts of an include that it overlaps (used by the subtraction sweeps).
+ * @param {Interval[]} parts - Remaining parts of an include, in ascending order
+ * @param {Interval} exclude - The interval to subtract
+ * @returns {Interval[]} Remaining parts after the subtraction, in ascending order
+ */
+export const cutParts = (parts, exclude) => {
+	const remaining = [];
+
+	// A loop rather than flatMap, which allocates an array per part on this hot path
+	for (const part of parts) {
+		if (part.overlaps(exclude)) {
+			remaining.push(...part.subtract(exclude));
+		} else {
+			remaining.push(part);
+		}
+	}
+	return remaining;
+};
+
+/**
+ * Get the larger of two values of the same numeric type (works for BigInt, unlike Math.max).
+ * @param {number|bigint} a - First value
+ * @param {number|bigint} b - Second value
+ * @returns {number|bigint} The larger value
+ */
+export const maxOf = (a, b) => (a > b ? a : b);
+
+/**
+ * Get the smaller of two values of the same numeric type (works for BigInt, unlike Math.min).
+ * @param {number|bigint} a - First value
+ * @param {number|bigint} b - Second value
+ * @returns {number|bigint} The smaller value
+ */
+export const minOf = (a, b) => (a < b ? a : b);
+
+/**
+ * Sort values and drop duplicates. Uses relational operators so that BigInt values sort correctly too.
+ * @param {Array<number|bigint>} values - Values to sort (the array is sorted in place)
+ * @returns {Array<number|bigint>} Distinct values in ascending order
+ */
+export const sortedDistinct = (values) =>
+	values.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)).filter((value, i, sorted) => i === 0 || value !== sorted[i - 1]);
+
+/**
+ * Serialize a value to JSON, writing BigInt values as exact integer literals and unbounded values
+ * (-Infinity and Infinity, which JSON cannot represent) as the strings "-inf" and "inf".
+ * @param {any} value - Value to serialize
+ * @param {number} [space] - Indentation passed to JSON.stringify
+ * @returns {string} JSON string
+ */
+export const stringifyJSON = (value, space) => {
+	const marker = "__bigint__";
+	const replacer = (_key, v) => {
+		if (typeof v === "bigint") {
+			return `${marker}${v}`;
+		}
+		return isUnbounded(v) ? (v < 0 ? "-inf" : "inf") : v;
+	};
+
+	return JSON.stringify(value, replacer, space).replace(new RegExp(`"${marker}(-?\\d+)"`, "g"), "$1");
+};
+
+/**
+ * Built-in payload merge strategies, each combining the payloads of a group of merged intervals.
+ */
+const PAYLOAD_MERGERS = {
+	first: (payloads) => payloads[0],
+	all: (payloads) => payloads,
+};
+
+/**
+ * Resolve a payload merge strategy into a function combining a list of payloads.
+ * @param {string|Function} strategy - "first", "all" or a reducer (accumulated, payload) => combined
+ * @returns {Function} Function taking the non-empty list of payloads and returning the merged payload
+ * @throws {Error} When the strategy is unknown
+ */
+export const resolvePayloadMerger = (strategy) => {
+	if (typeof strategy === "function") {
+		return (payloads) => payloads.reduce(strategy);
+	}
+	if (!Object.hasOwn(PAYLOAD_MERGERS, strategy)) {
+		throw new Error(ERROR_MESSAGES.UNKNOWN_MERGE_STRATEGY(strategy));
+	}
+	return PAYLOAD_MERGERS[strategy];
+};
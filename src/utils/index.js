@@ -3,3 +3,6 @@ export * from "./validators.js";
 export * from "./constants.js";
 export * from "./helpers.js";
 export * from "./statistics.js";
+export * from "./time.js";
+export * from "./ip.js";
+export * from "./modular.js";
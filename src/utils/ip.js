@@ -0,0 +1,199 @@
+import { REGEX_PATTERNS } from "./constants.js";
+
+/**
+ * Start of the IPv4-mapped IPv6 block (::ffff:0:0/96). IPv4 addresses are stored inside it, so IPv4
+ * and IPv6 ranges can share one BigInt address space without colliding.
+ */
+const IPV4_MAPPED_PREFIX = 0xffff00000000n;
+
+/**
+ * Number of addresses in the IPv4-mapped block.
+ */
+const IPV4_SPACE = 1n << 32n;
+
+/**
+ * Check if an address value lies in the IPv4-mapped block.
+ * @param {bigint} value - Address value
+ * @returns {boolean} True if the value is an IPv4 address
+ */
+const isIPv4 = (value) => value >= IPV4_MAPPED_PREFIX && value < IPV4_MAPPED_PREFIX + IPV4_SPACE;
+
+/**
+ * Parse a dotted IPv4 address such as "192.168.1.10".
+ * @param {string} str - The address to parse
+ * @returns {bigint|null} 32-bit address value, or null if invalid
+ */
+const parseIPv4 = (str) => {
+	const match = str.match(REGEX_PATTERNS.IPV4_ADDRESS);
+
+	if (!match || match.slice(1).some((octet) => Number(octet) > 255)) {
+		return null;
+	}
+	return match.slice(1).reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+};
+
+/**
+ * Parse an IPv6 address such as "2001:db8::1" or "::ffff:192.168.1.10".
+ * @param {string} str - The address to parse
+ * @returns {bigint|null} 128-bit address value, or null if invalid
+ */
+const parseIPv6 = (str) => {
+	let text = str;
+
+	// Rewrite a trailing embedded IPv4 address as two hexadecimal groups
+	if (text.includes(".")) {
+		const separatorIndex = text.lastIndexOf(":");
+		const ipv4 = parseIPv4(text.substring(separatorIndex + 1));
+
+		if (separatorIndex === -1 || ipv4 === null) {
+			return null;
+		}
+		text = `${text.substring(0, separatorIndex + 1)}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+	}
+
+	const halves = text.split("::");
+	const head = halves[0] ? halves[0].split(":") : [];
+	const tail = halves[1] ? halves[1].split(":") : [];
+	const missing = 8 - head.length - tail.length;
+
+	if (halves.length > 2 || (halves.length === 1 ? missing !== 0 : missing < 1)) {
+		return null;
+	}
+
+	const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+
+	if (!groups.every((group) => REGEX_PATTERNS.IPV6_GROUP.test(group))) {
+		return null;
+	}
+	return groups.reduce((value, group) => (value << 16n) + BigInt(`0x${group}`), 0n);
+};
+
+/**
+ * Parse an IPv4 or IPv6 address. IPv4 addresses are mapped into the ::ffff:0:0/96 block.
+ * @param {string} str - The address to parse
+ * @returns {Object|null} Object with the address value (BigInt) and its version (4 or 6), or null if invalid
+ */
+export const parseIpAddress = (str) => {
+	const trimmed = typeof str === "string" ? str.trim() : "";
+
+	if (trimmed.includes(":")) {
+		const value = parseIPv6(trimmed);
+
+		return value === null ? null : { value, version: 6 };
+	}
+
+	const value = parseIPv4(trimmed);
+
+	return value === null ? null : { value: IPV4_MAPPED_PREFIX + value, version: 4 };
+};
+
+/**
+ * Format an address value, writing IPv4-mapped values in dotted notation and the rest
+ * in the canonical (RFC 5952) compressed IPv6 notation.
+ * @param {bigint} value - Address value
+ * @returns {string} Formatted address, e.g. "10.0.0.1" or "2001:db8::1"
+ */
+export const formatIpAddress = (value) => {
+	if (isIPv4(value)) {
+		const ipv4 = value - IPV4_MAPPED_PREFIX;
+
+		return [24n, 16n, 8n, 0n].map((shift) => (ipv4 >> shift) & 0xffn).join(".");
+	}
+
+	const groups = Array.from({ length: 8 }, (_, i) => Number((value >> BigInt(112 - i * 16)) & 0xffffn));
+	let runStart = -1;
+	let runLength = 0;
+
+	// Longest run of at least two zero groups (the first one on ties) is written as "::"
+	for (let i = 0; i < groups.length; i++) {
+		let length = 0;
+
+		while (groups[i + length] === 0) {
+			length++;
+		}
+		if (length > runLength && length > 1) {
+			runStart = i;
+			runLength = length;
+		}
+	}
+
+	const hex = (list) => list.map((group) => group.toString(16)).join(":");
+
+	if (runStart === -1) {
+		return hex(groups);
+	}
+	return `${hex(groups.slice(0, runStart))}::${hex(groups.slice(runStart + runLength))}`;
+};
+
+/**
+ * Parse an IP range written as a CIDR block ("10.0.0.0/8"), an address range ("192.168.1.10-192.168.1.50")
+ * or a single address, in IPv4 or IPv6. Host bits below a CIDR prefix are ignored, so "10.1.2.3/8" is "10.0.0.0/8".
+ * @param {string} str - The range to parse
+ * @returns {Object|null} Object with first and last address values (BigInt), or null if invalid
+ */
+export const parseIpRange = (str) => {
+	const trimmed = typeof str === "string" ? str.trim() : "";
+
+	if (trimmed.includes("/")) {
+		const [addressPart, prefixPart] = trimmed.split("/");
+		const address = parseIpAddress(addressPart);
+		const bits = address?.version === 4 ? 32 : 128;
+
+		if (!address || !REGEX_PATTERNS.CIDR_PREFIX.test(prefixPart) || Number(prefixPart) > bits) {
+			return null;
+		}
+
+		const size = 1n << BigInt(bits - Number(prefixPart));
+		const start = address.value - (address.value % size);
+
+		return { start, end: start + size - 1n };
+	}
+
+	const parts = trimmed.split("-");
+
+	if (parts.length > 2) {
+		return null;
+	}
+
+	const first = parseIpAddress(parts[0]);
+	const last = parts.length === 2 ? parseIpAddress(parts[1]) : first;
+
+	if (!first || !last || first.version !== last.version) {
+		return null;
+	}
+	return { start: first.value, end: last.value };
+};
+
+/**
+ * Split an address range into the minimal list of CIDR blocks covering exactly that range.
+ * @param {bigint} start - First address value
+ * @param {bigint} end - Last address value
+ * @returns {string[]} CIDR blocks in ascending order, e.g. ["192.168.1.10/31", "192.168.1.12/30", ...]
+ */
+export const rangeToCidrs = (start, end) => {
+	const blocks = [];
+	let current = start;
+
+	while (current <= end) {
+		// Largest aligned block starting at current (its lowest set bit), shrunk until it fits
+		let size = current === 0n ? 1n << 128n : current & -current;
+
+		while (current + size - 1n > end) {
+			size >>= 1n;
+		}
+
+		const prefix = 128 - (size.toString(2).length - 1);
+
+		blocks.push(isIPv4(current) && size <= IPV4_SPACE ? `${formatIpAddress(current)}/${prefix - 96}` : `${formatIpAddress(current)}/${prefix}`);
+		current += size;
+	}
+
+	return blocks;
+};
+
+/**
+ * Convert an interval bound to an address value, accepting both BigInt values and formatted addresses.
+ * @param {bigint|string} value - Address value or address string (as written by Interval.toJSON in IP mode)
+ * @returns {bigint|number} Address value, or NaN if the value cannot be read
+ */
+export const toIpValue = (value) => (typeof value === "string" ? (parseIpAddress(value)?.value ?? NaN) : value);
@@ -0,0 +1,160 @@
+import { Interval } from "../core/Interval.js";
+import { unitOf } from "./helpers.js";
+import { ERROR_MESSAGES } from "./constants.js";
+
+/**
+ * Largest value of a modular domain: the modulo itself for continuous values (where it is the same point as 0),
+ * the last integer below it otherwise.
+ * @param {number|bigint} modulo - Size of the domain
+ * @param {boolean} continuous - Whether the domain holds real values
+ * @returns {number|bigint} Upper end of the domain
+ */
+const topOf = (modulo, continuous) => (continuous ? modulo : modulo - unitOf(modulo));
+
+/**
+ * Interval covering a whole modular domain.
+ * @param {number|bigint} modulo - Size of the domain
+ * @param {boolean} [continuous=false] - Whether the domain holds real values
+ * @returns {Interval} 0 up to the last integer below the modulo, or [0,modulo) for real values
+ */
+export const domainOf = (modulo, continuous = false) => new Interval(modulo - modulo, topOf(modulo, continuous), { endOpen: continuous, continuous });
+
+/**
+ * Check that the bounds of an interval lie in a modular domain, from 0 up to the modulo.
+ * @param {number|bigint} start - Start value
+ * @param {number|bigint} end - End value
+ * @param {number|bigint} modulo - Size of the domain
+ * @param {string} str - The interval string, for error messages
+ * @param {boolean} [continuous=false] - Whether the domain holds real values (which may end at the modulo itself)
+ * @throws {Error} When a bound lies outside the domain
+ */
+export const checkDomain = (start, end, modulo, str, continuous = false) => {
+	const zero = modulo - modulo;
+	const top = topOf(modulo, continuous);
+
+	if (start < zero || end < zero || start > top || end > top) {
+		throw new Error(ERROR_MESSAGES.OUTSIDE_MODULO(str, modulo));
+	}
+};
+
+/**
+ * Split an interval of a modular domain into its canonical segments. An interval starting after it ends wraps
+ * around: "22-2" modulo 24 covers 22-23 and 0-2, and "[350,10)" modulo 360 covers [350,360) and [0,10).
+ * @param {Object} bounds - Parsed bounds
+ * @param {number|bigint} bounds.start - Start value
+ * @param {number|bigint} bounds.end - End value
+ * @param {boolean} [bounds.startOpen=false] - Whether the start bound is exclusive
+ * @param {boolean} [bounds.endOpen=false] - Whether the end bound is exclusive
+ * @param {string} [bounds.notation="dash"] - Notation the interval was written in
+ * @param {number|bigint} modulo - Size of the domain
+ * @param {string} str - The interval string, for error messages
+ * @param {boolean} [continuous=false] - Whether the domain holds real values
+ * @returns {Interval[]} The interval itself, or the segment at the bottom of the domain followed by the one at the top
+ * @throws {Error} When a bound lies outside the domain or the interval is empty
+ */
+export const splitWrapped = ({ start, end, startOpen = false, endOpen = false, notation = "dash" }, modulo, str, continuous = false) => {
+	checkDomain(start, end, modulo, str, continuous);
+
+	if (start <= end) {
+		return [new Interval(start, end, { startOpen, endOpen, notation, continuous })];
+	}
+
+	const zero = modulo - modulo;
+	const unit = unitOf(modulo);
+	const segments = [];
+
+	// "[22,0)" has nothing below the seam, "(23,2]" modulo 24 nothing above it
+	if (continuous ? end > zero || !endOpen : end - (endOpen ? unit : zero) >= zero) {
+		segments.push(new Interval(zero, end, { endOpen, notation, continuous }));
+	}
+	if (continuous ? start < modulo : start + (startOpen ? unit : zero) < modulo) {
+		segments.push(new Interval(start, topOf(modulo, continuous), { startOpen, endOpen: continuous, notation, continuous }));
+	}
+	if (segments.length === 0) {
+		throw new Error(continuous ? ERROR_MESSAGES.EMPTY_CONTINUOUS_INTERVAL(str) : ERROR_MESSAGES.EMPTY_BOUNDED_INTERVAL(str));
+	}
+
+	return segments;
+};
+
+/**
+ * Check if the first and last of a list of merged intervals meet at the seam of a modular domain, i.e. the first
+ * starts at 0 and the last ends at the top, so together they form one wrap-around interval.
+ * @param {Interval[]} intervals - Sorted, disjoint intervals of the domain
+ * @param {number|bigint} modulo - Size of the domain
+ * @returns {boolean} True if the first and last interval form a wrap-around interval
+ */
+export const wrapsAround = (intervals, modulo) => {
+	const [bottom, top] = [intervals[0], intervals.at(-1)];
+
+	if (intervals.length < 2 || bottom.stride !== undefined || top.stride !== undefined) {
+		return false;
+	}
+	if (bottom.continuous) {
+		return bottom.start === modulo - modulo && !bottom.startOpen && top.end === modulo;
+	}
+	return bottom.first === modulo - modulo && top.last === topOf(modulo, false);
+};
+
+/**
+ * Merge across the seam of a modular domain: join the first and last of a list of merged intervals when the gap
+ * between the end of the last and the start of the first, going round through 0, is at most mergeGap.
+ * @param {Interval[]} intervals - Sorted, disjoint intervals of the domain
+ * @param {number|bigint} modulo - Size of the domain
+ * @param {number|bigint} mergeGap - Largest gap to bridge (measured like gapBetween)
+ * @returns {Object} Object with the intervals (first and last extended to the seam) and whether the seam gap was bridged
+ */
+export const bridgeSeam = (intervals, modulo, mergeGap) => {
+	const [bottom, top] = [intervals[0], intervals.at(-1)];
+
+	if (intervals.length === 0 || bottom.stride !== undefined || top.stride !== undefined) {
+		return { intervals, bridged: false };
+	}
+
+	const { continuous } = bottom;
+	const zero = modulo - modulo;
+	const gap = continuous ? modulo - top.end + bottom.start : topOf(modulo, false) - top.last + bottom.first;
+
+	if (gap <= zero || gap > mergeGap) {
+		return { intervals, bridged: false };
+	}
+	if (intervals.length === 1) {
+		// The interval reaches round to its own start, so the whole domain is covered
+		return { intervals: [domainOf(modulo, continuous).withData(bottom.data)], bridged: true };
+	}
+
+	const { notation } = bottom;
+	const lower = new Interval(zero, bottom.end, { endOpen: bottom.endOpen, notation, continuous, data: bottom.data });
+	const upper = new Interval(top.start, topOf(modulo, continuous), {
+		startOpen: top.startOpen,
+		endOpen: continuous,
+		notation: top.notation,
+		continuous,
+		data: top.data,
+	});
+
+	return { intervals: [lower, ...intervals.slice(1, -1), upper], bridged: true };
+};
+
+/**
+ * Format the merged intervals of a modular domain, printing the intervals meeting at the seam as one wrap-around
+ * interval again ("0-2" and "22-23" modulo 24 print as "22-2").
+ * @param {Interval[]} intervals - Sorted, disjoint intervals of the domain
+ * @param {number|bigint} modulo - Size of the domain
+ * @returns {string[]} Interval strings in ascending order of start, with the wrap-around interval last
+ */
+export const formatWrapped = (intervals, modulo) => {
+	const strings = intervals.map((i) => i.toString());
+
+	if (!wrapsAround(intervals, modulo)) {
+		return strings;
+	}
+
+	const [bottom, top] = [intervals[0], intervals.at(-1)];
+	const wrapped =
+		top.notation === "bracket" || bottom.notation === "bracket"
+			? `${top.startOpen ? "(" : "["}${top.start},${bottom.end}${bottom.endOpen ? ")" : "]"}`
+			: `${top.start}-${bottom.end}`;
+
+	return [...strings.slice(1, -1), wrapped];
+};
@@ -1,18 +1,89 @@
 import { Interval } from "../core/Interval.js";
-import { ERROR_MESSAGES } from "./constants.js";
-import { parseIntegerSafe } from "./helpers.js";
+import { Box } from "../core/Box.js";
+import { ERROR_MESSAGES, EXPRESSION_OPERATORS, REGEX_PATTERNS } from "./constants.js";
+import { parseBoundSafe, parseBigIntSafe, parseDecimalSafe, createExpressionError, splitIntervalList, rangeOf, dimensionOptions } from "./helpers.js";
+import { parseTimeRange, parseInstant, parseDuration, formatInstant } from "./time.js";
+import { parseIpRange, parseIpAddress, formatIpAddress, rangeToCidrs } from "./ip.js";
+import { checkDomain, splitWrapped, formatWrapped } from "./modular.js";
 
 /**
- * Parse a single interval string (e.g., "10-100").
- * @param {string} str - The interval string to parse
- * @returns {Interval} Parsed interval object
+ * Parse an ISO 8601 time interval (e.g., "2024-03-11T09:00+01:00/PT8H") into a half-open interval of epoch milliseconds.
+ * @param {string} trimmed - The trimmed interval string
+ * @param {string} str - The original interval string, for error messages
+ * @returns {Interval} Parsed interval in "iso" notation, keeping the UTC offset it was written in
+ * @throws {Error} When the string is not a valid ISO 8601 time interval or ends before it starts
+ */
+const parseTimeInterval = (trimmed, str) => {
+	const range = parseTimeRange(trimmed);
+
+	if (!range) {
+		throw new Error(ERROR_MESSAGES.INVALID_TIME_INTERVAL(str));
+	}
+	if (range.start > range.end) {
+		throw new Error(ERROR_MESSAGES.START_GREATER_THAN_END(formatInstant(range.start, range.offset), formatInstant(range.end, range.offset)));
+	}
+	if (range.start === range.end) {
+		throw new Error(ERROR_MESSAGES.EMPTY_CONTINUOUS_INTERVAL(trimmed));
+	}
+
+	return new Interval(range.start, range.end, { endOpen: true, notation: "iso", continuous: true, offset: range.offset });
+};
+
+/**
+ * Parse one end of a range: a number in the selected mode, or an unbounded end ("*", "-inf", "inf", or nothing
+ * as in "1000-").
+ * @param {string} token - The end as written
+ * @param {number} unbounded - Value of an unbounded end on this side, -Infinity for the start and Infinity for the end
+ * @param {Object} options - Parsing options (see parseIntervalString)
+ * @returns {number|bigint} Parsed value, the unbounded value, or NaN if invalid
+ */
+const parseEndpoint = (token, unbounded, options) => (REGEX_PATTERNS.UNBOUNDED_END.test(token.trim()) ? unbounded : parseBoundSafe(token, options));
+
+/**
+ * Parse the bounds of an interval written in bracket notation (e.g., "[10,20)", "(5,9]" or "(-inf,0]").
+ * @param {string} trimmed - The trimmed interval string
+ * @param {string} str - The original interval string, for error messages
+ * @param {Object} options - Parsing options (see parseIntervalString)
+ * @returns {Object} Bounds with start, end, startOpen, endOpen and notation, in any order
  * @throws {Error} When string format is invalid or contains invalid numbers
  */
-export const parseIntervalString = (str) => {
-	const trimmed = str?.trim() ?? "";
+const parseBracketBounds = (trimmed, str, options) => {
+	const match = trimmed.match(options.continuous ? REGEX_PATTERNS.DECIMAL_BRACKET_INTERVAL : REGEX_PATTERNS.BRACKET_INTERVAL);
 
-	if (!trimmed) {
-		throw new Error(ERROR_MESSAGES.EMPTY_INTERVAL());
+	if (!match) {
+		throw new Error(ERROR_MESSAGES.INVALID_INTERVAL_FORMAT(str));
+	}
+
+	const start = parseEndpoint(match[2], -Infinity, options);
+	const end = parseEndpoint(match[3], Infinity, options);
+
+	if (Number.isNaN(start) || Number.isNaN(end)) {
+		throw new Error(ERROR_MESSAGES.INVALID_NUMBERS(str));
+	}
+
+	return { start, end, startOpen: match[1] === "(", endOpen: match[4] === ")", notation: "bracket" };
+};
+
+/**
+ * Parse the bounds of an interval written as "start-end" (e.g., "10-100" or "-50--10"), with an unbounded end
+ * ("1000-", "*-50") or with ".." as separator ("-inf..0").
+ * @param {string} trimmed - The trimmed interval string
+ * @param {string} str - The original interval string, for error messages
+ * @param {Object} options - Parsing options (see parseIntervalString)
+ * @returns {Object} Bounds with start and end, in any order
+ * @throws {Error} When string format is invalid or contains invalid numbers
+ */
+const parseDashBounds = (trimmed, str, options) => {
+	const openEnded = REGEX_PATTERNS.UNBOUNDED_SYNTAX.test(trimmed) && trimmed.match(REGEX_PATTERNS.OPEN_ENDED_INTERVAL);
+
+	if (openEnded) {
+		const start = parseEndpoint(openEnded[1], -Infinity, options);
+		const end = parseEndpoint(openEnded[3] ?? "", Infinity, options);
+
+		if (Number.isNaN(start) || Number.isNaN(end)) {
+			throw new Error(ERROR_MESSAGES.INVALID_NUMBERS(str));
+		}
+		return { start, end };
 	}
 
 	// Smart parsing for negative intervals
@@ -34,15 +105,107 @@ export const parseIntervalString = (str) => {
 	const startStr = trimmed.substring(0, separatorIndex);
 	const endStr = trimmed.substring(separatorIndex + 1);
 
-	const start = parseIntegerSafe(startStr);
-	const end = parseIntegerSafe(endStr);
+	const start = parseBoundSafe(startStr, options);
+	const end = parseBoundSafe(endStr, options);
 
-	if (isNaN(start) || isNaN(end)) {
+	if (Number.isNaN(start) || Number.isNaN(end)) {
 		throw new Error(ERROR_MESSAGES.INVALID_NUMBERS(str));
 	}
 
+	return { start, end };
+};
+
+/**
+ * Parse the bounds of a dash or bracket interval string, without checking that start comes before end.
+ * @param {string} trimmed - The trimmed interval string
+ * @param {string} str - The original interval string, for error messages
+ * @param {Object} options - Parsing options (see parseIntervalString)
+ * @returns {Object} Bounds with start and end (plus startOpen, endOpen and notation in bracket notation)
+ * @throws {Error} When string format is invalid or contains invalid numbers
+ */
+const parseBounds = (trimmed, str, options) =>
+	REGEX_PATTERNS.BRACKET_START.test(trimmed) ? parseBracketBounds(trimmed, str, options) : parseDashBounds(trimmed, str, options);
+
+/**
+ * Parse an IP range (e.g., "10.0.0.0/8" or "192.168.1.10-192.168.1.50") into an interval of BigInt address values.
+ * @param {string} trimmed - The trimmed interval string
+ * @param {string} str - The original interval string, for error messages
+ * @returns {Interval} Parsed interval in "ip" notation
+ * @throws {Error} When the string is not a valid IP range or ends before it starts
+ */
+const parseIpInterval = (trimmed, str) => {
+	const range = parseIpRange(trimmed);
+
+	if (!range) {
+		throw new Error(ERROR_MESSAGES.INVALID_IP_RANGE(str));
+	}
+	if (range.start > range.end) {
+		throw new Error(ERROR_MESSAGES.START_GREATER_THAN_END(formatIpAddress(range.start), formatIpAddress(range.end)));
+	}
+
+	return new Interval(range.start, range.end, { notation: "ip" });
+};
+
+/**
+ * Parse a strided interval (e.g., "10-100/5" or "[10,100)/5"): every stride-th integer of a range, from its first one.
+ * @param {RegExpMatchArray} match - Match of REGEX_PATTERNS.STRIDE_SUFFIX with the range and the stride
+ * @param {string} str - The original interval string, for error messages
+ * @param {Object} options - Parsing options (see parseIntervalString)
+ * @returns {Interval} Parsed interval with closed bounds, ending at the last integer of the progression
+ * @throws {Error} When the range is invalid or the stride is zero or too large
+ */
+const parseStridedInterval = (match, str, options) => {
+	const range = parseIntervalString(match[1], options);
+	const stride = parseBoundSafe(match[2], options);
+
+	if (Number.isNaN(stride) || !(stride > 0)) {
+		throw new Error(ERROR_MESSAGES.INVALID_STRIDE(str));
+	}
+
+	return new Interval(range.first, range.last, { stride });
+};
+
+/**
+ * Parse a single interval string (e.g., "10-100", bracket notation such as "[10,20)", a strided range such as "10-100/5",
+ * or an unbounded range such as "1000-", "*-50", "-inf..0" or "(-inf,0]").
+ * @param {string} str - The interval string to parse
+ * @param {Object} [options={}] - Parsing options
+ * @param {boolean} [options.bigint=false] - Parse bounds as BigInt (allows values beyond Number.MAX_SAFE_INTEGER)
+ * @param {boolean} [options.continuous=false] - Parse bounds as decimals (e.g., "0.5-2.75") into real-valued intervals
+ * @param {boolean} [options.time=false] - Parse ISO 8601 time intervals ("start/end", "start/duration" or "duration/end")
+ * @param {boolean} [options.ip=false] - Parse IPv4/IPv6 CIDR blocks, address ranges and single addresses
+ * @returns {Interval} Parsed interval object
+ * @throws {Error} When string format is invalid or contains invalid numbers
+ */
+export const parseIntervalString = (str, options = {}) => {
+	const trimmed = str?.trim() ?? "";
+
+	if (!trimmed) {
+		throw new Error(ERROR_MESSAGES.EMPTY_INTERVAL());
+	}
+
+	if (options.time) {
+		return parseTimeInterval(trimmed, str);
+	}
+
+	if (options.ip) {
+		return parseIpInterval(trimmed, str);
+	}
+
+	if (REGEX_PATTERNS.BOX_SYNTAX.test(trimmed)) {
+		throw new Error(ERROR_MESSAGES.BOX_AS_INTERVAL(str));
+	}
+
+	const strided = options.continuous ? null : trimmed.match(REGEX_PATTERNS.STRIDE_SUFFIX);
+
+	if (strided) {
+		return parseStridedInterval(strided, str, options);
+	}
+
+	const { start, end, ...bounds } = parseBounds(trimmed, str, options);
+
 	try {
-		return new Interval(start, end);
+		return new Interval(start, end, { ...bounds, continuous: Boolean(options.continuous) });
 	} catch (error) {
 		// Re-throw with more context about the original string
 		throw new Error(`${ERROR_MESSAGES.INVALID_INTERVAL_FORMAT(str)}: ${error.message}`);
@@ -50,35 +213,431 @@ export const parseIntervalString = (str) => {
 };
 
 /**
- * Parse multiple intervals from various input formats.
- * @param {string|string[]} input - Comma-separated string or array of interval strings
- * @returns {Interval[]} Array of parsed interval objects
+ * Parse a single interval string into its canonical segments. Without options.modulo this is the parsed interval
+ * itself; in a modular domain a wrap-around interval such as "22-2" (modulo 24) gives two segments, 0-2 and 22-23.
+ * @param {string} str - The interval string to parse
+ * @param {Object} [options={}] - Parsing options (see parseIntervalString)
+ * @param {number|bigint|string} [options.modulo] - Size of a modular domain whose intervals may wrap around (see parseModulo)
+ * @returns {Interval[]} One or two intervals in ascending order
+ * @throws {Error} When the string is invalid, the modulo is invalid or a bound lies outside the modular domain
+ */
+export const parseIntervalSegments = (str, options = {}) => {
+	const modulo = parseModulo(options.modulo, options);
+	const trimmed = str?.trim() ?? "";
+
+	if (modulo === undefined || !trimmed || REGEX_PATTERNS.STRIDE_SUFFIX.test(trimmed)) {
+		const interval = parseIntervalString(str, options);
+
+		if (modulo !== undefined) {
+			checkDomain(interval.start, interval.end, modulo, str, Boolean(options.continuous));
+		}
+		return [interval];
+	}
+
+	return splitWrapped(parseBounds(trimmed, str, options), modulo, str, Boolean(options.continuous));
+};
+
+/**
+ * Parse multiple intervals from various input formats, keeping the intervals of each entry together.
+ * Array entries may also be payload-carrying objects such as { range: "10-20", data: { label: "maintenance" } },
+ * which parse into intervals with that payload. With options.modulo, wrap-around intervals parse into their two
+ * segments (see parseIntervalSegments). Empty entries are skipped and do not count towards the indices.
+ * @param {string|Array<string|Object>} input - Comma-separated string or array of interval strings and { range, data } objects
+ * @param {Object} [options={}] - Parsing options passed to parseIntervalSegments (e.g. bigint, modulo)
+ * @returns {Interval[][]} The intervals of each entry, in input order
  * @throws {Error} When any interval in the input is invalid
  */
-export const parseIntervals = (input) => {
+export const parseIntervalGroups = (input, options = {}) => {
 	// Handle null/undefined/empty cases
 	if (!input || (typeof input === "string" && !input.trim())) {
 		return [];
 	}
 
-	// Convert to array of strings
-	const intervalStrings = Array.isArray(input)
-		? input.filter((s) => s?.trim())
-		: input
-				.split(",")
-				.map((s) => s.trim())
-				.filter(Boolean);
+	// Convert to array of entries
+	const entries = Array.isArray(input) ? input.filter((entry) => rangeOf(entry)?.trim()) : splitIntervalList(input).filter(Boolean);
 
 	// Parse each interval with error context
-	return intervalStrings.map((str, index) => {
+	return entries.map((entry, index) => {
 		try {
-			return parseIntervalString(str);
+			const segments = parseIntervalSegments(rangeOf(entry), options);
+
+			return entry?.data === undefined ? segments : segments.map((segment) => segment.withData(entry.data));
 		} catch (error) {
 			throw new Error(ERROR_MESSAGES.PARSING_ERROR(index, error?.message ?? "Unknown error"));
 		}
 	});
 };
 
+/**
+ * Parse multiple intervals from various input formats (see parseIntervalGroups).
+ * @param {string|Array<string|Object>} input - Comma-separated string or array of interval strings and { range, data } objects
+ * @param {Object} [options={}] - Parsing options passed to parseIntervalSegments (e.g. bigint, modulo)
+ * @returns {Interval[]} Array of parsed interval objects
+ * @throws {Error} When any interval in the input is invalid
+ */
+export const parseIntervals = (input, options = {}) => parseIntervalGroups(input, options).flat();
+
+/**
+ * Parse a single interval list entry: an interval string or a { range, data } object carrying a payload.
+ * @param {string|Object} entry - Interval string or { range, data } object
+ * @param {Object} [options={}] - Parsing options passed to parseIntervalString (e.g. bigint)
+ * @returns {Interval} Parsed interval, with the entry's payload if it has one
+ * @throws {Error} When the entry is not a valid interval
+ */
+export const parseIntervalEntry = (entry, options = {}) => {
+	const interval = parseIntervalString(rangeOf(entry), options);
+
+	return entry?.data === undefined ? interval : interval.withData(entry.data);
+};
+
+/**
+ * Parse one line of line-delimited input: an interval string such as "10-20", or an NDJSON value, i.e. a JSON
+ * string, a { range, data } object or a { start, end } object as written by Interval.toJSON.
+ * @param {string} line - The line to parse
+ * @param {Object} [options={}] - Parsing options passed to parseIntervalString (e.g. bigint)
+ * @returns {Interval|null} Parsed interval, or null for a blank line
+ * @throws {Error} When the line is neither a valid interval nor valid JSON describing one
+ */
+export const parseIntervalLine = (line, options = {}) => {
+	const trimmed = line.trim();
+
+	if (!trimmed) {
+		return null;
+	}
+	if (!trimmed.startsWith("{") && !trimmed.startsWith('"')) {
+		return parseIntervalString(trimmed, options);
+	}
+
+	let value;
+
+	try {
+		value = JSON.parse(trimmed);
+	} catch {
+		throw new Error(ERROR_MESSAGES.INVALID_JSON_LINE(trimmed));
+	}
+	if (value && typeof value === "object" && !("range" in value)) {
+		return Interval.fromObject(value, { continuous: Boolean(options.continuous) });
+	}
+	return parseIntervalEntry(value, options);
+};
+
+/**
+ * Parse an n-dimensional box written as intervals joined with "x" (or "×"), e.g. "10-20x5-8" or "[0,1)x[0,1)x0-5".
+ * @param {string} str - The box to parse
+ * @param {Object} [options={}] - Parsing options for every dimension (e.g. bigint, continuous)
+ * @param {Object[]} [options.dimensions] - Per-dimension options overriding the shared ones, e.g. [{ time: true }, {}]
+ * @returns {Box} Parsed box
+ * @throws {Error} When a dimension is not a valid interval; the message names the dimension
+ */
+export const parseBoxString = (str, options = {}) => {
+	const trimmed = str?.trim() ?? "";
+
+	if (!trimmed) {
+		throw new Error(ERROR_MESSAGES.EMPTY_INTERVAL());
+	}
+
+	return new Box(
+		trimmed.split(REGEX_PATTERNS.BOX_SEPARATOR).map((part, index) => {
+			try {
+				return parseIntervalString(part, dimensionOptions(options, index));
+			} catch (error) {
+				throw new Error(ERROR_MESSAGES.INVALID_BOX(trimmed, index, error.message));
+			}
+		})
+	);
+};
+
+/**
+ * Parse multiple boxes from a comma-separated string or an array of box strings.
+ * @param {string|string[]} input - Boxes such as "10-20x5-8, 30-40x0-2"
+ * @param {Object} [options={}] - Parsing options passed to parseBoxString
+ * @returns {Box[]} Array of parsed boxes
+ * @throws {Error} When any box in the input is invalid
+ */
+export const parseBoxes = (input, options = {}) => {
+	if (!input || (typeof input === "string" && !input.trim())) {
+		return [];
+	}
+
+	const entries = Array.isArray(input) ? input.filter((entry) => entry?.trim()) : splitIntervalList(input).filter(Boolean);
+
+	return entries.map((entry, index) => {
+		try {
+			return parseBoxString(entry, options);
+		} catch (error) {
+			throw new Error(ERROR_MESSAGES.PARSING_ERROR(index, error?.message ?? "Unknown error"));
+		}
+	});
+};
+
+/**
+ * Check if include or exclude lists are written as boxes ("10-20x5-8"), which are processed with BoxSet rather than as intervals.
+ * @param {...(string|Array<string|Object>)} inputs - Comma-separated strings or arrays of entries, as for parseIntervalGroups
+ * @returns {boolean} True if some entry joins intervals like the dimensions of a box
+ */
+export const holdsBoxes = (...inputs) =>
+	inputs.some((input) => (Array.isArray(input) ? input : [input]).some((entry) => REGEX_PATTERNS.BOX_SYNTAX.test(rangeOf(entry) ?? "")));
+
+/**
+ * Parse a single value to look up in intervals, e.g. for IntervalTree.containing.
+ * @param {string} str - The value to parse: a number, an ISO 8601 instant in time mode or an address in IP mode
+ * @param {Object} [options={}] - Parsing options (bigint, continuous, time, ip)
+ * @returns {number|bigint} The value in the same representation as parsed interval bounds
+ * @throws {Error} When the string is not a valid value for the mode
+ */
+export const parsePoint = (str, options = {}) => {
+	const trimmed = typeof str === "string" ? str.trim() : "";
+	let value;
+
+	if (options.time) {
+		value = parseInstant(trimmed)?.time;
+	} else if (options.ip) {
+		value = parseIpAddress(trimmed)?.value;
+	} else {
+		value = parseBoundSafe(trimmed, options);
+	}
+
+	if (value === undefined || Number.isNaN(value)) {
+		throw new Error(ERROR_MESSAGES.INVALID_POINT(str));
+	}
+
+	return value;
+};
+
+/**
+ * Parse the size of a modular (circular) domain, such as 24 for hours of the day or 360 for degrees. Values of the
+ * domain run from 0 up to the modulo, and intervals starting after they end wrap around through 0.
+ * @param {number|bigint|string|undefined} value - The modulo to parse, or undefined when not set
+ * @param {Object} [options={}] - Parsing options (bigint, continuous; time and IP intervals have no modular domain)
+ * @returns {number|bigint|undefined} The modulo (a BigInt in BigInt mode), or undefined when not set
+ * @throws {Error} When time or IP mode is enabled, or the value is not a positive integer (a positive size in continuous mode)
+ */
+export const parseModulo = (value, options = {}) => {
+	if (value === undefined) {
+		return undefined;
+	}
+	if (options.time || options.ip) {
+		throw new Error(ERROR_MESSAGES.MODULO_MODE());
+	}
+
+	let modulo = value;
+
+	if (typeof value === "string") {
+		modulo = options.bigint ? parseBigIntSafe(value.trim()) : parseDecimalSafe(value.trim());
+	} else if (options.bigint && Number.isSafeInteger(value)) {
+		modulo = BigInt(value);
+	}
+
+	const valid = options.bigint ? typeof modulo === "bigint" : options.continuous ? Number.isFinite(modulo) : Number.isSafeInteger(modulo);
+
+	if (!valid || modulo <= 0) {
+		throw new Error(ERROR_MESSAGES.INVALID_MODULO(value));
+	}
+
+	return modulo;
+};
+
+/**
+ * Parse a size used as a threshold on intervals, such as a gap to merge over or a minimum length.
+ * Sizes are measured like getIntervalSize: integers counted, lengths in continuous mode, milliseconds in time mode
+ * (also written as an ISO 8601 duration without months or years, e.g. "PT5M") and addresses in IP mode.
+ * @param {number|bigint|string|undefined} value - The size to parse, or undefined when not set
+ * @param {string} name - Name of the setting for error messages, e.g. "merge gap"
+ * @param {Object} [options={}] - Parsing options (bigint, continuous, time, ip)
+ * @returns {number|bigint|undefined} The non-negative size, or undefined when not set
+ * @throws {Error} When the value is not a non-negative size for the mode
+ */
+export const parseLength = (value, name, options = {}) => {
+	if (value === undefined) {
+		return undefined;
+	}
+
+	let size = value;
+
+	if (typeof value === "string") {
+		const trimmed = value.trim();
+		const duration = options.time ? parseDuration(trimmed) : null;
+
+		if (duration) {
+			size = duration.months === 0 ? duration.ms : NaN;
+		} else {
+			size = options.bigint || options.ip ? parseBigIntSafe(trimmed) : parseDecimalSafe(trimmed);
+		}
+	}
+
+	if (!["number", "bigint"].includes(typeof size) || Number.isNaN(size) || size === Infinity || size < 0) {
+		throw new Error(ERROR_MESSAGES.INVALID_LENGTH(name, value));
+	}
+
+	return size;
+};
+
+/**
+ * Split a set expression into name, operator and parenthesis tokens.
+ * @param {string} expression - The set expression to tokenize
+ * @returns {Object[]} Array of tokens with type, value and position properties
+ * @throws {Error} When the expression contains an unsupported character
+ */
+const tokenizeSetExpression = (expression) => {
+	const tokens = [];
+	let i = 0;
+
+	while (i < expression.length) {
+		const char = expression[i];
+
+		if (/\s/.test(char)) {
+			i++;
+		} else if (char in EXPRESSION_OPERATORS || char === "(" || char === ")") {
+			tokens.push({ type: char in EXPRESSION_OPERATORS ? "operator" : char, value: char, position: i });
+			i++;
+		} else if (/[A-Za-z_]/.test(char)) {
+			const start = i;
+
+			while (i < expression.length && /[A-Za-z0-9_]/.test(expression[i])) {
+				i++;
+			}
+			tokens.push({ type: "name", value: expression.substring(start, i), position: start });
+		} else {
+			throw createExpressionError(ERROR_MESSAGES.UNEXPECTED_CHARACTER(char, i), i);
+		}
+	}
+
+	return tokens;
+};
+
+/**
+ * Binary operators grouped by precedence, loosest first ("-" binds tighter than "&", "&" than "^", "^" than "|").
+ */
+const BINARY_PRECEDENCE = [["|"], ["^"], ["&"], ["-"]];
+
+/**
+ * Parse a set expression over named sets into an abstract syntax tree.
+ * Supports union "|", intersection "&", difference "-", symmetric difference "^",
+ * complement "~" and parentheses, e.g. "(weekdays | holidays) - outages & coverage".
+ * @param {string} expression - The set expression to parse
+ * @returns {Object} Expression tree of { type: "set", name }, { type: "unary", operator, operand }
+ * and { type: "binary", operator, left, right } nodes, each with a zero-based position
+ * @throws {Error} When the expression is malformed; the error carries a position property
+ */
+export const parseSetExpression = (expression) => {
+	const source = expression ?? "";
+
+	if (!source.trim()) {
+		throw createExpressionError(ERROR_MESSAGES.EMPTY_EXPRESSION(), 0);
+	}
+
+	const tokens = tokenizeSetExpression(source);
+	let index = 0;
+
+	const peek = () => tokens[index];
+
+	const parseBinary = (level) => {
+		if (level === BINARY_PRECEDENCE.length) {
+			return parseUnary();
+		}
+
+		let left = parseBinary(level + 1);
+
+		while (peek()?.type === "operator" && BINARY_PRECEDENCE[level].includes(peek().value)) {
+			const operator = tokens[index++];
+			const right = parseBinary(level + 1);
+
+			left = { type: "binary", operator: operator.value, left, right, position: operator.position };
+		}
+
+		return left;
+	};
+
+	const parseUnary = () => {
+		const token = peek();
+
+		if (token?.value === "~") {
+			index++;
+			return { type: "unary", operator: "~", operand: parseUnary(), position: token.position };
+		}
+
+		return parsePrimary();
+	};
+
+	const parsePrimary = () => {
+		const token = tokens[index++];
+
+		if (!token) {
+			throw createExpressionError(ERROR_MESSAGES.UNEXPECTED_END('a set name or "("', source.length), source.length);
+		}
+		if (token.type === "name") {
+			return { type: "set", name: token.value, position: token.position };
+		}
+		if (token.type === "(") {
+			const node = parseBinary(0);
+
+			if (peek()?.type !== ")") {
+				throw createExpressionError(ERROR_MESSAGES.UNCLOSED_PARENTHESIS(token.position), token.position);
+			}
+			index++;
+			return node;
+		}
+
+		throw createExpressionError(ERROR_MESSAGES.UNEXPECTED_TOKEN(token.value, token.position), token.position);
+	};
+
+	const tree = parseBinary(0);
+
+	if (index < tokens.length) {
+		const token = tokens[index];
+
+		throw createExpressionError(ERROR_MESSAGES.UNEXPECTED_TOKEN(token.value, token.position), token.position);
+	}
+
+	return tree;
+};
+
+/**
+ * Collect the set name references in an expression tree, in order of appearance.
+ * @param {Object} node - Expression tree returned by parseSetExpression
+ * @returns {Object[]} Array of { name, position } references
+ */
+export const collectSetReferences = (node) => {
+	if (node.type === "set") {
+		return [{ name: node.name, position: node.position }];
+	}
+	if (node.type === "unary") {
+		return collectSetReferences(node.operand);
+	}
+	return [...collectSetReferences(node.left), ...collectSetReferences(node.right)];
+};
+
+/**
+ * Parse named set definitions of the form "name=10-20,30-40" (as given to the --set CLI option).
+ * @param {string|string[]} definitions - One or more set definitions
+ * @returns {Object<string, string>} Object mapping set names to interval strings
+ * @throws {Error} When a definition has no "=", an invalid set name or the name of an earlier definition
+ */
+export const parseSetDefinitions = (definitions) => {
+	const list = Array.isArray(definitions) ? definitions : [definitions];
+	const names = new Set();
+
+	return Object.fromEntries(
+		list.filter(Boolean).map((definition) => {
+			const separatorIndex = definition.indexOf("=");
+			const name = definition.substring(0, separatorIndex).trim();
+
+			if (separatorIndex === -1) {
+				throw new Error(ERROR_MESSAGES.INVALID_SET_DEFINITION(definition));
+			}
+			if (!REGEX_PATTERNS.SET_NAME.test(name)) {
+				throw new Error(ERROR_MESSAGES.INVALID_SET_NAME(name));
+			}
+			if (names.has(name)) {
+				throw new Error(ERROR_MESSAGES.DUPLICATE_SET(name));
+			}
+			names.add(name);
+
+			return [name, definition.substring(separatorIndex + 1).trim()];
+		})
+	);
+};
+
 /**
  * Create a parse result object with validation status.
  * @param {number} start - Start value
@@ -91,11 +650,12 @@ const createParseResult = (start, end, isValid) => ({ start, end, isValid });
 /**
  * Safe parse that returns validation info instead of throwing.
  * @param {string} str - The interval string to parse
+ * @param {Object} [options={}] - Parsing options passed to parseIntervalString (e.g. bigint)
  * @returns {Object} Object with start, end, and isValid properties
  */
-export const safeParse = (str) => {
+export const safeParse = (str, options = {}) => {
 	try {
-		const interval = parseIntervalString(str);
+		const interval = parseIntervalString(str, options);
 
 		return createParseResult(interval.start, interval.end, true);
 	} catch {
@@ -106,22 +666,23 @@ export const safeParse = (str) => {
 /**
  * Parse intervals with detailed error collection instead of throwing on first error.
  * @param {string|string[]} input - Input to parse (string or array)
+ * @param {Object} [options={}] - Parsing options passed to parseIntervalString (e.g. bigint)
  * @returns {Object} Object with intervals array and errors array
  * @returns {Interval[]} returns.intervals - Successfully parsed intervals
  * @returns {string[]} returns.errors - Array of error messages for failed parses
  */
-export const parseWithErrors = (input) => {
+export const parseWithErrors = (input, options = {}) => {
 	const errors = [];
 	const intervals = [];
 
-	const strings = Array.isArray(input) ? input : input.split(",");
+	const strings = Array.isArray(input) ? input : splitIntervalList(input);
 
 	strings.forEach((str, index) => {
 		try {
 			const trimmed = str?.trim();
 
 			if (trimmed) {
-				intervals.push(parseIntervalString(trimmed));
+				intervals.push(parseIntervalString(trimmed, options));
 			}
 		} catch (error) {
 			errors.push(`Interval ${index + 1}: ${error?.message ?? "Parse error"}`);
@@ -133,23 +694,42 @@ export const parseWithErrors = (input) => {
 
 /**
  * Format intervals for display as a comma-separated string.
+ * Each interval keeps the notation it was written in ("10-20" or "[10,20)").
  * @param {Interval[]} intervals - Array of intervals to format
+ * @param {Object} [options={}] - Formatting options
+ * @param {boolean} [options.cidr=false] - Write IP intervals as a minimal list of CIDR blocks instead of address ranges
+ * @param {number|bigint|string} [options.modulo] - Size of a modular domain; merged intervals meeting at its seam are
+ * written as one wrap-around interval such as "22-2"
  * @returns {string} Formatted string representation or "(none)" if empty
  */
-export const formatIntervals = (intervals) => {
+export const formatIntervals = (intervals, options = {}) => {
 	if (intervals.length === 0) {
 		return "(none)";
 	}
+	if (options.cidr) {
+		return formatCidrs(intervals).join(", ");
+	}
+	if (options.modulo !== undefined) {
+		return formatWrapped(intervals, parseModulo(options.modulo, options)).join(", ");
+	}
 	return intervals.map((i) => i.toString()).join(", ");
 };
 
+/**
+ * Convert IP intervals to the minimal list of CIDR blocks covering them.
+ * @param {Interval[]} intervals - Sorted, non-overlapping intervals of address values
+ * @returns {string[]} CIDR blocks, e.g. ["10.0.0.0/9", "10.128.0.0/10"]
+ */
+export const formatCidrs = (intervals) => intervals.flatMap((i) => rangeToCidrs(i.start, i.end));
+
 /**
  * Parse range notation and return as array of [start, end] tuples.
  * @param {string|string[]} notation - Range notation to parse
+ * @param {Object} [options={}] - Parsing options passed to parseIntervalString (e.g. bigint)
  * @returns {number[][]} Array of [start, end] number pairs
  */
 
-export const parseRangeNotation = (notation) => {
-	const intervals = parseIntervals(notation);
+export const parseRangeNotation = (notation, options = {}) => {
+	const intervals = parseIntervals(notation, options);
 	return intervals.map((i) => [i.start, i.end]);
 };
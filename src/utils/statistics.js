@@ -1,35 +1,192 @@
+import { unitOf, isUnbounded, minOf, maxOf, dimensionOptions } from "./helpers.js";
+import { toEpochMilliseconds, formatDuration, formatInstant, parseInstant } from "./time.js";
+import { toIpValue, formatIpAddress } from "./ip.js";
+import { wrapsAround } from "./modular.js";
+import { Interval } from "../core/Interval.js";
+
 /**
- * Calculate the size (number of integers) in an interval.
+ * Calculate the size (number of integers, or length in continuous mode) of an interval.
  * @param {Object} interval - Interval object with start and end properties
- * @param {number} interval.start - Start of the interval
- * @param {number} interval.end - End of the interval
- * @returns {number} Number of integers in the interval (inclusive)
+ * @param {number|bigint} interval.start - Start of the interval
+ * @param {number|bigint} interval.end - End of the interval
+ * @param {boolean} [interval.startOpen] - Whether the start bound is exclusive
+ * @param {boolean} [interval.endOpen] - Whether the end bound is exclusive
+ * @param {number|bigint} [interval.stride] - Distance between the integers of a strided interval
+ * @param {Object} [options={}] - Statistics options
+ * @param {boolean} [options.continuous] - Measure length instead of counting integers (defaults to the interval's own mode)
+ * @param {boolean} [options.time=false] - Measure duration in milliseconds, reading ISO 8601 bounds as instants
+ * @param {boolean} [options.ip=false] - Count addresses, reading address strings as BigInt values
+ * @returns {number|bigint} Number of integers in the interval (inclusive), as a BigInt for BigInt intervals, or its length;
+ * Infinity for an interval with an unbounded end
+ */
+export const getIntervalSize = (interval, options = {}) => {
+	if (options.time) {
+		return toEpochMilliseconds(interval.end) - toEpochMilliseconds(interval.start);
+	}
+	if (options.ip) {
+		return getIntervalSize({ start: toIpValue(interval.start), end: toIpValue(interval.end) });
+	}
+	if (isUnbounded(interval.start) || isUnbounded(interval.end)) {
+		return Infinity;
+	}
+	if (options.continuous ?? interval.continuous) {
+		return interval.end - interval.start;
+	}
+
+	const one = unitOf(interval.start);
+	const zero = one - one;
+
+	if (interval.stride !== undefined) {
+		return (interval.end - interval.start) / interval.stride + one;
+	}
+	return interval.end - interval.start + one - (interval.startOpen ? one : zero) - (interval.endOpen ? one : zero);
+};
+
+/**
+ * UTC offset of a bound of a time interval: the offset written in an ISO 8601 string such as "2024-03-11T09:00:00+01:00",
+ * or the offset of the interval itself for epoch milliseconds.
+ * @param {string|number} value - Bound of the interval
+ * @param {Object} interval - The interval, with its UTC offset in minutes (offset) if it is an Interval
+ * @returns {number} UTC offset in minutes
+ */
+const offsetOf = (value, interval) => (typeof value === "string" ? (parseInstant(value)?.offset ?? 0) : (interval.offset ?? 0));
+
+/**
+ * Read an interval object, such as one from Interval.toJSON, as an Interval.
+ * @param {Object} interval - Interval or interval object
+ * @param {Object} options - Statistics options (continuous)
+ * @returns {Interval} The interval itself, or a new interval with its bounds
  */
-export const getIntervalSize = (interval) => interval.end - interval.start + 1;
+const asInterval = (interval, options) =>
+	interval instanceof Interval ? interval : Interval.fromObject(interval, { continuous: Boolean(options.continuous) });
 
 /**
  * Calculate basic statistics for an array of intervals.
- * @param {Object[]} intervals - Array of interval objects
+ * BigInt intervals produce BigInt coverage and range values, so totals never lose precision.
+ * In time mode the coverage is the total duration in milliseconds, also given as an ISO 8601 duration.
+ * In IP mode the coverage is the number of addresses (a BigInt) and the range is given as addresses.
+ * With options.modulo, a wrap-around interval kept as its two segments (see IntervalProcessor.process) counts once, and
+ * the range runs from its start round to the end of the interval before it, as in "22-6" modulo 24.
+ * @param {Object[]} intervals - Array of interval objects (sorted and disjoint with options.modulo)
+ * @param {Object} [options={}] - Statistics options passed to getIntervalSize (e.g. continuous, time, ip, modulo)
  * @returns {Object} Statistics object with count, coverage, and range information
  * @returns {number} returns.count - Number of intervals
- * @returns {number} returns.totalCoverage - Total number of integers covered
- * @returns {number} returns.minStart - Minimum start value across all intervals
- * @returns {number} returns.maxEnd - Maximum end value across all intervals
+ * @returns {number|bigint} returns.totalCoverage - Total number of integers covered, or total length in continuous mode
+ * (Infinity when an interval is unbounded)
+ * @returns {string} [returns.totalDuration] - Total duration such as "PT16H" (time mode only)
+ * @returns {number|bigint} returns.minStart - Minimum start value across all intervals (-Infinity when unbounded)
+ * @returns {number|bigint} returns.maxEnd - Maximum end value across all intervals (ISO 8601 instants in the UTC offset of
+ * their interval in time mode, addresses in IP mode)
  */
-export const getBasicStatistics = (intervals) => {
+export const getBasicStatistics = (intervals, options = {}) => {
 	if (!intervals || intervals.length === 0) {
-		return { count: 0, totalCoverage: 0, minStart: 0, maxEnd: 0 };
+		return { count: 0, totalCoverage: 0, minStart: 0, maxEnd: 0, ...(options.time && { totalDuration: formatDuration(0) }) };
 	}
 
-	const coverage = intervals.reduce((sum, interval) => sum + getIntervalSize(interval), 0);
+	if (options.time) {
+		const instants = intervals.map((interval) => ({
+			start: toEpochMilliseconds(interval.start),
+			end: toEpochMilliseconds(interval.end),
+			startOffset: offsetOf(interval.start, interval),
+			endOffset: offsetOf(interval.end, interval),
+		}));
+		const stats = getBasicStatistics(instants, { continuous: true });
+		// Each bound is written in the UTC offset of the interval it comes from, as in the result intervals
+		const first = instants.find((instant) => instant.start === stats.minStart);
+		const last = instants.find((instant) => instant.end === stats.maxEnd);
+
+		return {
+			...stats,
+			totalDuration: formatDuration(stats.totalCoverage),
+			minStart: formatInstant(stats.minStart, first?.startOffset),
+			maxEnd: formatInstant(stats.maxEnd, last?.endOffset),
+		};
+	}
+
+	if (options.ip) {
+		const stats = getBasicStatistics(intervals.map((interval) => ({ start: toIpValue(interval.start), end: toIpValue(interval.end) })));
+
+		return { ...stats, minStart: formatIpAddress(stats.minStart), maxEnd: formatIpAddress(stats.maxEnd) };
+	}
+
+	const one = unitOf(intervals[0].start);
+	const sizes = intervals.map((interval) => getIntervalSize(interval, options));
+	// An unbounded interval makes the coverage infinite, also when the other sizes are BigInts
+	const coverage = sizes.includes(Infinity) ? Infinity : sizes.reduce((sum, size) => sum + size, one - one);
 	const starts = intervals.map((interval) => interval.start);
 	const ends = intervals.map((interval) => interval.end);
 
+	if (
+		options.modulo !== undefined &&
+		intervals.length > 1 &&
+		wrapsAround(
+			[intervals[0], intervals.at(-1)].map((i) => asInterval(i, options)),
+			options.modulo
+		)
+	) {
+		return {
+			count: intervals.length - 1,
+			totalCoverage: coverage,
+			minStart: intervals.at(-1).start,
+			maxEnd: intervals.at(-2).end,
+		};
+	}
+
 	return {
 		count: intervals.length,
 		totalCoverage: coverage,
-		minStart: Math.min(...starts),
-		maxEnd: Math.max(...ends),
+		minStart: starts.reduce(minOf),
+		maxEnd: ends.reduce(maxOf),
+	};
+};
+
+/**
+ * Calculate the volume of an n-dimensional box: the product of its dimension sizes as measured by getIntervalSize
+ * (area for two dimensions, e.g. rows × columns, or milliseconds × resources for time × resource boxes).
+ * @param {Object} box - Box with a dimensions array of intervals
+ * @param {Object} [options={}] - Statistics options for every dimension, with optional per-dimension overrides in options.dimensions
+ * @returns {number|bigint} Volume, as a BigInt when every dimension size is a BigInt
+ */
+export const getBoxVolume = (box, options = {}) => {
+	const sizes = box.dimensions.map((dimension, i) => getIntervalSize(dimension, dimensionOptions(options, i)));
+
+	if (sizes.every((size) => typeof size === "bigint")) {
+		return sizes.reduce((a, b) => a * b);
+	}
+	return sizes.reduce((a, b) => a * Number(b), 1);
+};
+
+/**
+ * Calculate basic statistics for an array of boxes, next to getBasicStatistics for intervals.
+ * Volumes are summed as given, so overlapping boxes count twice; the boxes of a BoxSet are disjoint.
+ * @param {Object[]} boxes - Array of boxes with a dimensions array of intervals
+ * @param {Object} [options={}] - Statistics options for every dimension, with optional per-dimension overrides in options.dimensions
+ * @returns {Object} Statistics object with count, total volume and the extent of each dimension
+ * @returns {number} returns.count - Number of boxes
+ * @returns {number|bigint} returns.totalVolume - Sum of the box volumes (area for two dimensions)
+ * @returns {Object[]} returns.dimensions - Per dimension, the minimum start (minStart) and maximum end (maxEnd)
+ */
+export const getBoxStatistics = (boxes, options = {}) => {
+	if (!boxes || boxes.length === 0) {
+		return { count: 0, totalVolume: 0, dimensions: [] };
+	}
+
+	const volumes = boxes.map((box) => getBoxVolume(box, options));
+	const totalVolume = volumes.every((volume) => typeof volume === "bigint")
+		? volumes.reduce((a, b) => a + b)
+		: volumes.reduce((a, b) => a + Number(b), 0);
+
+	return {
+		count: boxes.length,
+		totalVolume,
+		dimensions: boxes[0].dimensions.map((_, i) => {
+			const { minStart, maxEnd } = getBasicStatistics(
+				boxes.map((box) => box.dimensions[i]),
+				dimensionOptions(options, i)
+			);
+
+			return { minStart, maxEnd };
+		}),
 	};
 };
 
@@ -144,14 +301,15 @@ export const measureMemoryUsage = async (fn, label = "operation") => {
  * Get comprehensive statistics including memory usage and optional processing stats.
  * @param {Object[]} intervals - Array of interval objects to analyze
  * @param {Function|null} [processFunction=null] - Optional function to measure during execution
+ * @param {Object} [options={}] - Statistics options passed to getBasicStatistics (e.g. continuous)
  * @returns {Promise<Object>} Comprehensive statistics object
  * @returns {Object} returns.intervals - Basic interval statistics
  * @returns {Object} returns.memory - Current memory usage
  * @returns {Object|null} returns.processing - Processing measurement stats (if processFunction provided)
  * @returns {string} returns.timestamp - ISO timestamp of when stats were collected
  */
-export const getComprehensiveStatistics = async (intervals, processFunction = null) => {
-	const basicStats = getBasicStatistics(intervals);
+export const getComprehensiveStatistics = async (intervals, processFunction = null, options = {}) => {
+	const basicStats = getBasicStatistics(intervals, options);
 	const memoryStats = getMemoryUsage();
 
 	let processingStats = null;
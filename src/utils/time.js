@@ -0,0 +1,195 @@
+import { REGEX_PATTERNS } from "./constants.js";
+
+/**
+ * Milliseconds per fixed-length ISO 8601 duration unit (days are taken as 24 hours).
+ */
+const MS_PER_UNIT = { W: 604800000, D: 86400000, H: 3600000, M: 60000, S: 1000 };
+
+/**
+ * Parse an ISO 8601 time zone designator ("Z", "+02:00", "-0530" or "+01").
+ * @param {string} zone - The designator to parse
+ * @returns {number|null} Offset from UTC in minutes, or null if out of range
+ */
+const parseOffset = (zone) => {
+	if (zone.toUpperCase() === "Z") {
+		return 0;
+	}
+
+	const hours = Number(zone.substring(1, 3));
+	const minutes = Number(zone.substring(zone.length - 2)) * (zone.length > 3 ? 1 : 0);
+
+	if (hours > 23 || minutes > 59) {
+		return null;
+	}
+	return (zone[0] === "-" ? -1 : 1) * (hours * 60 + minutes);
+};
+
+/**
+ * Format a UTC offset as an ISO 8601 time zone designator.
+ * @param {number} offset - Offset from UTC in minutes
+ * @returns {string} "Z" for UTC, otherwise "+HH:MM" or "-HH:MM"
+ */
+const formatOffset = (offset) => {
+	if (offset === 0) {
+		return "Z";
+	}
+
+	const absolute = Math.abs(offset);
+	const pad = (value) => String(value).padStart(2, "0");
+
+	return `${offset < 0 ? "-" : "+"}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * Parse an ISO 8601 instant such as "2024-03-11T09:00:00Z", "2024-03-11T09:00+01:00" or "2024-03-11".
+ * Instants without a time zone designator are read as UTC.
+ * @param {string} str - The instant to parse
+ * @returns {Object|null} Object with epoch milliseconds (time) and UTC offset in minutes (offset), or null if invalid
+ */
+export const parseInstant = (str) => {
+	const match = (typeof str === "string" ? str.trim() : "").match(REGEX_PATTERNS.ISO_INSTANT);
+
+	if (!match) {
+		return null;
+	}
+
+	const [, year, month, day, hour = "0", minute = "0", second = "0", fraction = "", zone = "Z"] = match;
+	const offset = parseOffset(zone);
+	const date = new Date(0);
+
+	date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+	date.setUTCHours(Number(hour), Number(minute), Number(second), Number(fraction.padEnd(3, "0").substring(0, 3)));
+
+	// Reject dates and times that roll over, e.g. "2024-02-30" or "25:00"
+	if (
+		offset === null ||
+		date.getUTCMonth() !== Number(month) - 1 ||
+		date.getUTCDate() !== Number(day) ||
+		Number(hour) > 23 ||
+		Number(minute) > 59 ||
+		Number(second) > 59
+	) {
+		return null;
+	}
+
+	return { time: date.getTime() - offset * 60000, offset };
+};
+
+/**
+ * Parse an ISO 8601 duration such as "PT8H", "P1DT12H" or "P1M".
+ * @param {string} str - The duration to parse
+ * @returns {Object|null} Object with calendar months and fixed milliseconds, or null if invalid
+ */
+export const parseDuration = (str) => {
+	const trimmed = typeof str === "string" ? str.trim() : "";
+	const match = trimmed.match(REGEX_PATTERNS.ISO_DURATION);
+
+	if (!match || /^P$|T$/i.test(trimmed)) {
+		return null;
+	}
+
+	const [, years, months, weeks, days, hours, minutes, seconds] = match.map((part) => Number(part ?? 0));
+
+	return {
+		months: years * 12 + months,
+		ms: Math.round(weeks * MS_PER_UNIT.W + days * MS_PER_UNIT.D + hours * MS_PER_UNIT.H + minutes * MS_PER_UNIT.M + seconds * MS_PER_UNIT.S),
+	};
+};
+
+/**
+ * Add (or subtract) a duration to an instant. Calendar months are applied in the given UTC offset,
+ * so "P1M" from the 31st of January lands where JavaScript dates roll over (early March).
+ * @param {number} time - Epoch milliseconds
+ * @param {number} offset - UTC offset in minutes the calendar arithmetic happens in
+ * @param {Object} duration - Duration returned by parseDuration
+ * @param {number} [sign=1] - 1 to add the duration, -1 to subtract it
+ * @returns {number} Resulting epoch milliseconds
+ */
+export const addDuration = (time, offset, duration, sign = 1) => {
+	const date = new Date(time + offset * 60000);
+
+	if (duration.months) {
+		date.setUTCMonth(date.getUTCMonth() + sign * duration.months);
+	}
+
+	return date.getTime() - offset * 60000 + sign * duration.ms;
+};
+
+/**
+ * Parse an ISO 8601 time interval in "start/end", "start/duration" or "duration/end" form.
+ * @param {string} str - The time interval to parse, e.g. "2024-03-11T09:00+01:00/PT8H"
+ * @returns {Object|null} Object with start and end epoch milliseconds and the UTC offset of the
+ * written instant (start, or end for "duration/end"), or null if the format is invalid
+ */
+export const parseTimeRange = (str) => {
+	const parts = (typeof str === "string" ? str.trim() : "").split("/");
+
+	if (parts.length !== 2) {
+		return null;
+	}
+
+	const start = parseInstant(parts[0]);
+	const end = parseInstant(parts[1]);
+
+	if (start && end) {
+		return { start: start.time, end: end.time, offset: start.offset };
+	}
+	if (start) {
+		const duration = parseDuration(parts[1]);
+
+		return duration && { start: start.time, end: addDuration(start.time, start.offset, duration), offset: start.offset };
+	}
+	if (end) {
+		const duration = parseDuration(parts[0]);
+
+		return duration && { start: addDuration(end.time, end.offset, duration, -1), end: end.time, offset: end.offset };
+	}
+
+	return null;
+};
+
+/**
+ * Format epoch milliseconds as an ISO 8601 instant in a given UTC offset.
+ * Milliseconds are only written when non-zero, e.g. "2024-03-11T09:00:00+01:00".
+ * @param {number} time - Epoch milliseconds
+ * @param {number} [offset=0] - UTC offset in minutes
+ * @returns {string} ISO 8601 instant
+ */
+export const formatInstant = (time, offset = 0) => {
+	const date = new Date(time + offset * 60000);
+	const iso = date.toISOString();
+
+	return `${iso.substring(0, date.getUTCMilliseconds() === 0 ? 19 : 23)}${formatOffset(offset)}`;
+};
+
+/**
+ * Format milliseconds as an ISO 8601 duration using days, hours, minutes and seconds, e.g. "P1DT2H30M".
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} ISO 8601 duration ("PT0S" for zero)
+ */
+export const formatDuration = (ms) => {
+	const days = Math.floor(ms / MS_PER_UNIT.D);
+	const hours = Math.floor((ms % MS_PER_UNIT.D) / MS_PER_UNIT.H);
+	const minutes = Math.floor((ms % MS_PER_UNIT.H) / MS_PER_UNIT.M);
+	const seconds = (ms % MS_PER_UNIT.M) / MS_PER_UNIT.S;
+	const time = [
+		[hours, "H"],
+		[minutes, "M"],
+		[seconds, "S"],
+	]
+		.filter(([value]) => value > 0)
+		.map(([value, unit]) => `${value}${unit}`)
+		.join("");
+
+	if (days === 0 && !time) {
+		return "PT0S";
+	}
+	return `P${days > 0 ? `${days}D` : ""}${time ? `T${time}` : ""}`;
+};
+
+/**
+ * Convert an interval bound to epoch milliseconds, accepting both numbers and ISO 8601 instants.
+ * @param {number|string} value - Epoch milliseconds or ISO 8601 instant (as written by Interval.toJSON in time mode)
+ * @returns {number} Epoch milliseconds, or NaN if the value cannot be read
+ */
+export const toEpochMilliseconds = (value) => (typeof value === "string" ? (parseInstant(value)?.time ?? NaN) : value);
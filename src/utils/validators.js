@@ -1,33 +1,177 @@
 import { REGEX_PATTERNS, ERROR_MESSAGES } from "./constants.js";
-import { createSuccessResult, createErrorResult, parseIntegerSafe } from "./helpers.js";
+import { createSuccessResult, createErrorResult, parseBoundSafe, splitIntervalList, unitOf, rangeOf, joinIntervalList } from "./helpers.js";
+import { parseSetExpression, collectSetReferences, parseLength, parseIntervalSegments, parseBoxString, holdsBoxes } from "./parsers.js";
+import { parseTimeRange, formatInstant } from "./time.js";
+import { parseIpRange, formatIpAddress } from "./ip.js";
 
 /**
- * Validate a single interval string format.
+ * Validate an ISO 8601 time interval (e.g., "2024-03-11T09:00Z/2024-03-11T17:00Z").
+ * @param {string} trimmed - The trimmed interval string to validate
+ * @param {string} str - The original interval string, for error messages
+ * @returns {Object} Validation result with valid boolean and optional error message
+ */
+const validateTimeFormat = (trimmed, str) => {
+	const range = parseTimeRange(trimmed);
+
+	if (!range) {
+		return createErrorResult(ERROR_MESSAGES.INVALID_TIME_INTERVAL(str));
+	}
+
+	if (range.start > range.end) {
+		return createErrorResult(
+			ERROR_MESSAGES.START_GREATER_THAN_END(formatInstant(range.start, range.offset), formatInstant(range.end, range.offset))
+		);
+	}
+
+	if (range.start === range.end) {
+		return createErrorResult(ERROR_MESSAGES.EMPTY_CONTINUOUS_INTERVAL(trimmed));
+	}
+
+	return createSuccessResult();
+};
+
+/**
+ * Expected type of interval list fields in file objects, for error messages.
+ */
+const INTERVAL_LIST_TYPE = "a string or array of strings and { range, data } objects";
+
+/**
+ * Check if a value is an interval list: a string, or an array of interval strings and { range, data } objects.
+ * @param {any} value - The value to check
+ * @returns {boolean} True if the value is an interval list, false otherwise
+ */
+const isIntervalList = (value) => typeof value === "string" || (Array.isArray(value) && value.every((entry) => typeof rangeOf(entry) === "string"));
+
+/**
+ * Validate an IP range (e.g., "10.0.0.0/8", "192.168.1.10-192.168.1.50" or "2001:db8::/32").
+ * @param {string} trimmed - The trimmed interval string to validate
+ * @param {string} str - The original interval string, for error messages
+ * @returns {Object} Validation result with valid boolean and optional error message
+ */
+const validateIpFormat = (trimmed, str) => {
+	const range = parseIpRange(trimmed);
+
+	if (!range) {
+		return createErrorResult(ERROR_MESSAGES.INVALID_IP_RANGE(str));
+	}
+
+	if (range.start > range.end) {
+		return createErrorResult(ERROR_MESSAGES.START_GREATER_THAN_END(formatIpAddress(range.start), formatIpAddress(range.end)));
+	}
+
+	return createSuccessResult();
+};
+
+/**
+ * Validate an interval string in bracket notation (e.g., "[10,20)").
+ * @param {string} trimmed - The trimmed interval string to validate
+ * @param {string} str - The original interval string, for error messages
+ * @param {Object} options - Validation options (see validateIntervalFormat)
+ * @returns {Object} Validation result with valid boolean and optional error message
+ */
+const validateBracketFormat = (trimmed, str, options) => {
+	const match = trimmed.match(options.continuous ? REGEX_PATTERNS.DECIMAL_BRACKET_INTERVAL : REGEX_PATTERNS.BRACKET_INTERVAL);
+
+	if (!match) {
+		return createErrorResult(ERROR_MESSAGES.INVALID_FORMAT(str));
+	}
+
+	const start = parseBoundSafe(match[2], options);
+	const end = parseBoundSafe(match[3], options);
+
+	if (Number.isNaN(start) || Number.isNaN(end)) {
+		return createErrorResult(ERROR_MESSAGES.NUMBERS_TOO_LARGE(str));
+	}
+
+	if (start > end) {
+		return createErrorResult(ERROR_MESSAGES.START_GREATER_THAN_END(start, end));
+	}
+
+	if (options.continuous) {
+		return start === end && (match[1] === "(" || match[4] === ")")
+			? createErrorResult(ERROR_MESSAGES.EMPTY_CONTINUOUS_INTERVAL(trimmed))
+			: createSuccessResult();
+	}
+
+	const first = match[1] === "(" ? start + unitOf(start) : start;
+	const last = match[4] === ")" ? end - unitOf(end) : end;
+
+	if (first > last) {
+		return createErrorResult(ERROR_MESSAGES.EMPTY_BOUNDED_INTERVAL(trimmed));
+	}
+
+	return createSuccessResult();
+};
+
+/**
+ * Validate a single interval string format ("start-end", bracket notation such as "[10,20)", either followed by a stride such as "/5",
+ * or a range with unbounded ends such as "1000-", "*-50" or "-inf..0").
  * @param {string} str - The interval string to validate
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.bigint=false] - Accept BigInt values beyond Number.MAX_SAFE_INTEGER
+ * @param {boolean} [options.continuous=false] - Accept decimal values such as "0.5-2.75"
+ * @param {boolean} [options.time=false] - Expect ISO 8601 time intervals such as "2024-03-11T09:00Z/PT8H"
+ * @param {boolean} [options.ip=false] - Expect IP ranges such as "10.0.0.0/8"
+ * @param {number|bigint|string} [options.modulo] - Size of a modular domain: accept wrap-around intervals such as "22-2" inside it
  * @returns {Object} Validation result with valid boolean and optional error message
  */
 
-export const validateIntervalFormat = (str) => {
+export const validateIntervalFormat = (str, options = {}) => {
 	const trimmed = str?.trim() ?? "";
 
 	if (!trimmed) {
 		return createSuccessResult();
 	} // Empty is valid (will be filtered)
 
-	if (!REGEX_PATTERNS.INTERVAL_FORMAT.test(trimmed)) {
+	if (options.time) {
+		return validateTimeFormat(trimmed, str);
+	}
+
+	if (options.ip) {
+		return validateIpFormat(trimmed, str);
+	}
+
+	if (REGEX_PATTERNS.BOX_SYNTAX.test(trimmed)) {
+		return createErrorResult(ERROR_MESSAGES.BOX_AS_INTERVAL(str));
+	}
+
+	if (options.modulo !== undefined || REGEX_PATTERNS.UNBOUNDED_SYNTAX.test(trimmed)) {
+		try {
+			parseIntervalSegments(trimmed, options);
+			return createSuccessResult();
+		} catch (error) {
+			return createErrorResult(error.message);
+		}
+	}
+
+	const strided = options.continuous ? null : trimmed.match(REGEX_PATTERNS.STRIDE_SUFFIX);
+
+	if (strided) {
+		const stride = parseBoundSafe(strided[2], options);
+
+		return Number.isNaN(stride) || !(stride > 0)
+			? createErrorResult(ERROR_MESSAGES.INVALID_STRIDE(str))
+			: validateIntervalFormat(strided[1], options);
+	}
+
+	if (REGEX_PATTERNS.BRACKET_START.test(trimmed)) {
+		return validateBracketFormat(trimmed, str, options);
+	}
+
+	if (!(options.continuous ? REGEX_PATTERNS.DECIMAL_INTERVAL_PARSE : REGEX_PATTERNS.INTERVAL_FORMAT).test(trimmed)) {
 		return createErrorResult(ERROR_MESSAGES.INVALID_FORMAT(str));
 	}
 
-	const match = trimmed.match(REGEX_PATTERNS.INTERVAL_PARSE);
+	const match = trimmed.match(options.continuous ? REGEX_PATTERNS.DECIMAL_INTERVAL_PARSE : REGEX_PATTERNS.INTERVAL_PARSE);
 
 	if (!match) {
 		return createErrorResult(ERROR_MESSAGES.CANNOT_PARSE(str));
 	}
 
-	const start = parseIntegerSafe(match[1]);
-	const end = parseIntegerSafe(match[2]);
+	const start = parseBoundSafe(match[1], options);
+	const end = parseBoundSafe(match[2], options);
 
-	if (isNaN(start) || isNaN(end)) {
+	if (Number.isNaN(start) || Number.isNaN(end)) {
 		return createErrorResult(ERROR_MESSAGES.NUMBERS_TOO_LARGE(str));
 	}
 
@@ -41,24 +185,22 @@ export const validateIntervalFormat = (str) => {
 /**
  * Validate multiple interval strings separated by commas.
  * @param {string} input - Comma-separated interval strings
+ * @param {Object} [options={}] - Validation options passed to validateIntervalFormat (e.g. bigint)
  * @returns {Object} Validation result with valid boolean and optional error message
  */
-export const validateIntervalString = (input) => {
+export const validateIntervalString = (input, options = {}) => {
 	if (!input?.trim()) {
 		return createSuccessResult(); // Empty input is valid
 	}
 
-	const intervals = input
-		.split(",")
-		.map((s) => s.trim())
-		.filter(Boolean);
+	const intervals = splitIntervalList(input).filter(Boolean);
 
 	if (intervals.length === 0) {
 		return createSuccessResult();
 	}
 
 	for (let i = 0; i < intervals.length; i++) {
-		const result = validateIntervalFormat(intervals[i]);
+		const result = validateIntervalFormat(intervals[i], options);
 
 		if (!result.valid) {
 			return createErrorResult(`Interval ${i + 1}: ${result.error}`);
@@ -68,13 +210,34 @@ export const validateIntervalString = (input) => {
 	return createSuccessResult();
 };
 
+/**
+ * Validate a comma-separated string of boxes such as "10-20x5-8, 30-40x0-2" (see parseBoxString).
+ * @param {string} input - Comma-separated box strings
+ * @param {Object} [options={}] - Validation options applied to every dimension (e.g. bigint, continuous)
+ * @returns {Object} Validation result with valid boolean and optional error message
+ */
+export const validateBoxString = (input, options = {}) => {
+	const boxes = splitIntervalList(input ?? "").filter(Boolean);
+
+	for (let i = 0; i < boxes.length; i++) {
+		try {
+			parseBoxString(boxes[i], options);
+		} catch (error) {
+			return createErrorResult(`Box ${i + 1}: ${error.message}`);
+		}
+	}
+
+	return createSuccessResult();
+};
+
 /**
  * Validate file input structure - supports both single object and array of objects.
  * @param {any} data - The data to validate (should be object or array)
+ * @param {Object} [options={}] - Validation options passed to validateIntervalFormat (e.g. bigint)
  * @returns {Object} Validation result with valid boolean and optional error message
  */
 
-export const validateFileInput = (data) => {
+export const validateFileInput = (data, options = {}) => {
 	if (!data || typeof data !== "object") {
 		return createErrorResult("File must contain valid JSON (object or array of objects)");
 	}
@@ -86,7 +249,7 @@ export const validateFileInput = (data) => {
 
 		for (let i = 0; i < data.length; i++) {
 			const item = data[i];
-			const result = validateSingleFileObject(item, `Array item ${i + 1}`);
+			const result = validateSingleFileObject(item, `Array item ${i + 1}`, options);
 			if (!result.valid) {
 				return createErrorResult(ERROR_MESSAGES.INVALID_ITEM("Array", i + 1, result.error));
 			}
@@ -95,53 +258,156 @@ export const validateFileInput = (data) => {
 		return createSuccessResult();
 	}
 
-	return validateSingleFileObject(data, "Input object");
+	return validateSingleFileObject(data, "Input object", options);
 };
 
 /**
- * Validate a single file object with includes/excludes structure.
+ * Validate a single file object with includes/excludes structure. Includes and excludes written as boxes ("10-20x5-8")
+ * are validated as boxes, which carry no payloads.
  * @param {Object} fileData - The object to validate
  * @param {string} [context="Object"] - Context description for error messages
+ * @param {Object} [options={}] - Validation options passed to validateIntervalFormat (e.g. bigint)
  * @returns {Object} Validation result with valid boolean and optional error message
  */
 
-export const validateSingleFileObject = (fileData, context = "Object") => {
+export const validateSingleFileObject = (fileData, context = "Object", options = {}) => {
 	if (!fileData || typeof fileData !== "object" || Array.isArray(fileData)) {
 		return createErrorResult(`${context} must be an object`);
 	}
 
+	if ("expression" in fileData) {
+		return validateExpressionFileObject(fileData, context, options);
+	}
+
 	if (!("includes" in fileData)) {
 		return createErrorResult(ERROR_MESSAGES.MISSING_INCLUDES(context));
 	}
 
 	const includes = fileData.includes;
 
-	if (typeof includes !== "string" && !Array.isArray(includes)) {
-		return createErrorResult(ERROR_MESSAGES.INVALID_TYPE("includes", context, "a string or array of strings"));
+	if (!isIntervalList(includes)) {
+		return createErrorResult(ERROR_MESSAGES.INVALID_TYPE("includes", context, INTERVAL_LIST_TYPE));
 	}
 
 	const excludes = fileData.excludes;
 
-	if (excludes !== undefined && typeof excludes !== "string" && !Array.isArray(excludes)) {
-		return createErrorResult(ERROR_MESSAGES.INVALID_TYPE("excludes", context, "a string or array of strings"));
+	if (excludes !== undefined && !isIntervalList(excludes)) {
+		return createErrorResult(ERROR_MESSAGES.INVALID_TYPE("excludes", context, INTERVAL_LIST_TYPE));
+	}
+
+	const boxes = holdsBoxes(includes, excludes);
+
+	if (boxes && [includes, excludes].some((list) => Array.isArray(list) && list.some((entry) => typeof entry !== "string"))) {
+		return createErrorResult(`${context}: ${ERROR_MESSAGES.BOX_PAYLOAD()}`);
 	}
 
-	const includesStr = Array.isArray(includes) ? includes.join(",") : includes;
-	const includesResult = validateIntervalString(includesStr);
+	const validateList = boxes ? validateBoxString : validateIntervalString;
+	const includesResult = validateList(joinIntervalList(includes), options);
 
 	if (!includesResult.valid) {
 		return createErrorResult(`${context}: Invalid includes: ${includesResult.error}`);
 	}
 
 	if (excludes) {
-		const excludesStr = Array.isArray(excludes) ? excludes.join(",") : excludes;
-		const excludesResult = validateIntervalString(excludesStr);
+		const excludesResult = validateList(joinIntervalList(excludes), options);
 
 		if (!excludesResult.valid) {
 			return createErrorResult(`${context}: Invalid excludes: ${excludesResult.error}`);
 		}
 	}
 
+	for (const [field, name] of [
+		["mergeGap", "merge gap"],
+		["minLength", "minimum length"],
+	]) {
+		if (fileData[field] !== undefined && typeof fileData[field] !== "number" && typeof fileData[field] !== "string") {
+			return createErrorResult(ERROR_MESSAGES.INVALID_TYPE(field, context, "a number or string"));
+		}
+		try {
+			parseLength(fileData[field], name, options);
+		} catch (error) {
+			return createErrorResult(`${context}: ${error.message}`);
+		}
+	}
+
+	return createSuccessResult();
+};
+
+/**
+ * Validate a set expression and optionally check that every referenced set is defined.
+ * @param {string} expression - The set expression to validate
+ * @param {string[]|null} [setNames=null] - Names of the available sets, or null to skip the check
+ * @returns {Object} Validation result with valid boolean and optional error message
+ */
+export const validateSetExpression = (expression, setNames = null) => {
+	let tree;
+
+	try {
+		tree = parseSetExpression(expression);
+	} catch (error) {
+		return createErrorResult(error.message);
+	}
+
+	const unknown = setNames ? collectSetReferences(tree).find((reference) => !setNames.includes(reference.name)) : null;
+
+	if (unknown) {
+		return createErrorResult(ERROR_MESSAGES.UNKNOWN_SET(unknown.name, unknown.position));
+	}
+
+	return createSuccessResult();
+};
+
+/**
+ * Validate a file object with the named sets + expression structure.
+ * @param {Object} fileData - The object to validate
+ * @param {string} [context="Object"] - Context description for error messages
+ * @param {Object} [options={}] - Validation options passed to validateIntervalFormat (e.g. bigint)
+ * @returns {Object} Validation result with valid boolean and optional error message
+ */
+export const validateExpressionFileObject = (fileData, context = "Object", options = {}) => {
+	const { sets, expression, domain } = fileData;
+
+	if (!sets || typeof sets !== "object" || Array.isArray(sets)) {
+		return createErrorResult(ERROR_MESSAGES.MISSING_EXPRESSION_SETS(context));
+	}
+
+	for (const [name, value] of Object.entries(sets)) {
+		if (!REGEX_PATTERNS.SET_NAME.test(name)) {
+			return createErrorResult(`${context}: ${ERROR_MESSAGES.INVALID_SET_NAME(name)}`);
+		}
+		if (!isIntervalList(value)) {
+			return createErrorResult(ERROR_MESSAGES.INVALID_TYPE(`sets.${name}`, context, INTERVAL_LIST_TYPE));
+		}
+
+		const setResult = validateIntervalString(joinIntervalList(value), options);
+
+		if (!setResult.valid) {
+			return createErrorResult(`${context}: Invalid set "${name}": ${setResult.error}`);
+		}
+	}
+
+	if (typeof expression !== "string") {
+		return createErrorResult(ERROR_MESSAGES.INVALID_TYPE("expression", context, "a string"));
+	}
+
+	if (domain !== undefined) {
+		if (typeof domain !== "string" && !Array.isArray(domain)) {
+			return createErrorResult(ERROR_MESSAGES.INVALID_TYPE("domain", context, "a string or array of strings"));
+		}
+
+		const domainResult = validateIntervalString(Array.isArray(domain) ? domain.join(",") : domain, options);
+
+		if (!domainResult.valid) {
+			return createErrorResult(`${context}: Invalid domain: ${domainResult.error}`);
+		}
+	}
+
+	const expressionResult = validateSetExpression(expression, Object.keys(sets));
+
+	if (!expressionResult.valid) {
+		return createErrorResult(`${context}: Invalid expression: ${expressionResult.error}`);
+	}
+
 	return createSuccessResult();
 };
 
@@ -157,13 +423,15 @@ export const isFilePath = (str) => {
 
 /**
  * Validate command line arguments for includes, excludes, and file parameters.
- * @param {string} includes - Include intervals string
- * @param {string} excludes - Exclude intervals string
+ * Includes and excludes written as boxes ("10-20x5-8") are validated as boxes (see validateBoxString).
+ * @param {string} includes - Include intervals (or boxes) string
+ * @param {string} excludes - Exclude intervals (or boxes) string
  * @param {string} file - File path
+ * @param {Object} [options={}] - Validation options passed to validateIntervalFormat (e.g. bigint)
  * @returns {Object} Validation result with valid boolean and optional error message
  */
 
-export const validateCliArgs = (includes, excludes, file) => {
+export const validateCliArgs = (includes, excludes, file, options = {}) => {
 	if (file) {
 		if (!isFilePath(file)) {
 			return createErrorResult(ERROR_MESSAGES.INVALID_FILE_EXTENSION(file));
@@ -175,13 +443,15 @@ export const validateCliArgs = (includes, excludes, file) => {
 		return createErrorResult("Must provide includes parameter or file");
 	}
 
-	const includesResult = validateIntervalString(includes);
+	const validateList = holdsBoxes(includes, excludes) ? validateBoxString : validateIntervalString;
+
+	const includesResult = validateList(includes, options);
 	if (!includesResult.valid) {
 		return createErrorResult(`Invalid includes: ${includesResult.error}`);
 	}
 
 	if (excludes) {
-		const excludesResult = validateIntervalString(excludes);
+		const excludesResult = validateList(excludes, options);
 		if (!excludesResult.valid) {
 			return createErrorResult(`Invalid excludes: ${excludesResult.error}`);
 		}
@@ -1,16 +1,58 @@
-import { describe, test, expect } from "@jest/globals";
-import { processFromFile, processFromArgs } from "../../src/cli/commands.js";
+import { describe, test, expect, jest } from "@jest/globals";
+import {
+	processFromFile,
+	processFromArgs,
+	processFromExpression,
+	processQuery,
+	processDepth,
+	processGaps,
+	processDiff,
+	processRelations,
+	processFromStream,
+	buildJsonOutput,
+	handleCommand,
+} from "../../src/cli/commands.js";
+import { Writable } from "node:stream";
 import { resolve } from "node:path";
 import { fileURLToPath } from "node:url";
 
 // Get current directory for test files
 const __dirname = fileURLToPath(new URL(".", import.meta.url));
 
+/**
+ * ANSI color escape sequences, built from the escape character code.
+ */
+const ANSI_ESCAPES = new RegExp(String.fromCharCode(27) + "\\[[0-9;]*m", "g");
+
+/**
+ * Run a command handler and collect what it prints, without ANSI colors.
+ */
+const captureOutput = async (run) => {
+	const lines = [];
+	const spy = jest.spyOn(console, "log").mockImplementation((...args) => lines.push(args.join(" ")));
+
+	try {
+		await run();
+	} finally {
+		spy.mockRestore();
+	}
+	return lines.join("\n").replace(ANSI_ESCAPES, "");
+};
+
 // Test file paths
 const TEST_FILES = {
 	multipleObjects: resolve(__dirname, "test-input.json"),
 	singleObject: resolve(__dirname, "test-single.json"),
 	invalidJson: resolve(__dirname, "test-invalid.json"),
+	expression: resolve(__dirname, "test-expression.json"),
+	payload: resolve(__dirname, "test-payload.json"),
+	filters: resolve(__dirname, "test-filters.json"),
+	run: resolve(__dirname, "test-run.json"),
+	relate: resolve(__dirname, "test-relate.json"),
+	modulo: resolve(__dirname, "test-modulo.json"),
+	boxes: resolve(__dirname, "test-boxes.json"),
+	streamIncludes: resolve(__dirname, "test-stream-includes.txt"),
+	streamExcludes: resolve(__dirname, "test-stream-excludes.txt"),
 };
 
 describe("CLI Commands - Integration Tests (Real Files)", () => {
@@ -37,6 +79,14 @@ describe("CLI Commands - Integration Tests (Real Files)", () => {
 			expect(result.multipleResults[3].index).toBe(4);
 		});
 
+		test("gives the same results with any concurrency", async () => {
+			const sequential = await processFromFile(TEST_FILES.multipleObjects, { concurrency: 1 });
+			const parallel = await processFromFile(TEST_FILES.multipleObjects, { concurrency: 4 });
+
+			expect(parallel.formatted).toBe(sequential.formatted);
+			expect(parallel.intervals).toEqual(sequential.intervals);
+		});
+
 		test("processes real single object file", async () => {
 			const result = await processFromFile(TEST_FILES.singleObject);
 			expect(result.formatted).toBe("10-19, 31-100, 200-249, 281-300");
@@ -70,5 +120,537 @@ describe("CLI Commands - Integration Tests (Real Files)", () => {
 		test("throws error for invalid direct arguments", async () => {
 			await expect(processFromArgs("invalid", "20-30")).rejects.toThrow("Processing failed");
 		});
+
+		test("rejects boxes in set expressions", async () => {
+			await expect(processFromExpression("a", ["a=0-9x0-9"])).rejects.toThrow('"0-9x0-9" is a box, not an interval');
+		});
+	});
+
+	describe("Set Expression Processing", () => {
+		test("processes a file with sets and expression", async () => {
+			const result = await processFromFile(TEST_FILES.expression);
+			expect(result.formatted).toBe("1-2, 5-10");
+		});
+
+		test("overrides the file expression from options", async () => {
+			const result = await processFromFile(TEST_FILES.expression, { expression: "weekdays & outages" });
+			expect(result.formatted).toBe("3-4");
+		});
+
+		test("rejects an expression override for includes/excludes files", async () => {
+			await expect(processFromFile(TEST_FILES.singleObject, { expression: "a" })).rejects.toThrow('must contain a "sets" object');
+		});
+
+		test("processes expression arguments with named sets", async () => {
+			const result = await processFromExpression("(a | b) - c", ["a=10-100", "b=200-300", "c=20-30"]);
+			expect(result.formatted).toBe("10-19, 31-100, 200-300");
+			expect(result.comprehensiveStats).toBeDefined();
+		});
+
+		test("throws error for malformed expression arguments", async () => {
+			await expect(processFromExpression("a - ", ["a=10-100"])).rejects.toThrow(
+				"Invalid expression: Unexpected end of expression at position 5"
+			);
+			await expect(processFromExpression("a | b", ["a=10-100"])).rejects.toThrow('Unknown set "b" at position 5');
+			await expect(processFromExpression("a", ["a=bad"])).rejects.toThrow('Invalid set "a"');
+			await expect(processFromExpression("a", ["a=10-20", "a=30-40"])).rejects.toThrow('Set "a" is defined more than once');
+		});
+	});
+
+	describe("BigInt Mode and JSON Output", () => {
+		test("processes BigInt arguments", async () => {
+			const result = await processFromArgs("0-18446744073709551615", "1-18446744073709551614", { bigint: true });
+			expect(result.formatted).toBe("0-0, 18446744073709551615-18446744073709551615");
+			expect(result.comprehensiveStats.intervals.totalCoverage).toBe(18446744073709551616n);
+		});
+
+		test("rejects unsafe integers without BigInt mode", async () => {
+			await expect(processFromArgs("0-18446744073709551615", "")).rejects.toThrow("Numbers too large");
+		});
+
+		test("processes files in BigInt mode", async () => {
+			const result = await processFromFile(TEST_FILES.singleObject, { bigint: true });
+			expect(result.intervals[0]).toEqual({ start: 10n, end: 19n });
+		});
+
+		test("builds JSON output with statistics", async () => {
+			const result = await processFromArgs("10-100", "20-30");
+			expect(buildJsonOutput(result)).toEqual({
+				intervals: [
+					{ start: 10, end: 19 },
+					{ start: 31, end: 100 },
+				],
+				formatted: "10-19, 31-100",
+				statistics: { count: 2, totalCoverage: 80, minStart: 10, maxEnd: 100 },
+			});
+		});
+
+		test("builds JSON output per set for array files", async () => {
+			const result = await processFromFile(TEST_FILES.multipleObjects);
+			const output = buildJsonOutput(result);
+			expect(output.sets).toHaveLength(4);
+			expect(output.sets[0]).toEqual({
+				index: 1,
+				intervals: [
+					{ start: 10, end: 19 },
+					{ start: 31, end: 100 },
+				],
+				formatted: "10-19, 31-100",
+				statistics: { count: 2, totalCoverage: 80, minStart: 10, maxEnd: 100 },
+			});
+		});
+
+		test("reports the same result statistics as text and as JSON", async () => {
+			for (const [includes, excludes] of [
+				["[10,20),(5,9]", "12-13"],
+				["1-100", "10-20,50-60"],
+			]) {
+				const text = await captureOutput(() => handleCommand({ includes, excludes }));
+				const { statistics } = JSON.parse(await captureOutput(() => handleCommand({ includes, excludes, json: true })));
+
+				expect(text).toContain(`Number of intervals: ${statistics.count}\n`);
+				expect(text).toContain(`Total coverage: ${statistics.totalCoverage} individual numbers`);
+			}
+			expect(await captureOutput(() => handleCommand({ includes: "1-100", excludes: "10-20,50-60" }))).toContain("Number of intervals: 3");
+		});
+	});
+
+	describe("Continuous Mode", () => {
+		test("processes decimal arguments with length-based statistics", async () => {
+			const result = await processFromArgs("0.5-2.75", "1-1.5", { continuous: true });
+			expect(result.formatted).toBe("[0.5,1), (1.5,2.75]");
+			expect(result.comprehensiveStats.intervals.totalCoverage).toBe(2.25);
+		});
+
+		test("reports result lengths in JSON output", async () => {
+			const options = { continuous: true };
+			const result = await processFromArgs("0-10", "2-3", options);
+			expect(buildJsonOutput(result, options).statistics.totalCoverage).toBe(9);
+		});
+
+		test("rejects decimals without continuous mode", async () => {
+			await expect(processFromArgs("0.5-2.75", "")).rejects.toThrow("Invalid format");
+		});
+	});
+
+	describe("Time Mode", () => {
+		test("processes ISO 8601 arguments with duration statistics", async () => {
+			const options = { time: true };
+			const result = await processFromArgs("2024-03-11T09:00Z/PT8H", "2024-03-11T12:00Z/PT1H", options);
+			expect(result.formatted).toBe("2024-03-11T09:00:00Z/2024-03-11T12:00:00Z, 2024-03-11T13:00:00Z/2024-03-11T17:00:00Z");
+			expect(result.comprehensiveStats.intervals.totalDuration).toBe("PT8H");
+			expect(buildJsonOutput(result, options).statistics.totalDuration).toBe("PT7H");
+		});
+
+		test("rejects plain integer intervals in time mode", async () => {
+			await expect(processFromArgs("10-20", "", { time: true })).rejects.toThrow("Invalid time interval");
+		});
+	});
+
+	describe("Payloads", () => {
+		test("keeps payloads from a file through merge and subtract", async () => {
+			const result = await processFromFile(TEST_FILES.payload);
+
+			expect(result.formatted).toBe("10-11, 14-30, 40-50");
+			expect(result.intervals.map((i) => i.data)).toEqual([{ label: "morning" }, { label: "morning" }, undefined]);
+		});
+
+		test("collects all payloads with mergeData", async () => {
+			const result = await processFromFile(TEST_FILES.payload, { mergeData: "all" });
+
+			expect(buildJsonOutput(result).intervals[0].data).toEqual([{ label: "morning" }, { label: "noon" }]);
+		});
+	});
+
+	describe("Merge Gap and Minimum Length", () => {
+		test("reports bridged gaps and dropped fragments in JSON output", async () => {
+			const options = { mergeGap: 2, minLength: 3 };
+			const result = await processFromArgs("1-5, 8-10, 20-30", "22-28", options);
+
+			expect(result.formatted).toBe("1-10");
+			expect(buildJsonOutput(result, options).statistics).toEqual({
+				count: 1,
+				totalCoverage: 10,
+				minStart: 1,
+				maxEnd: 10,
+				gapsBridged: 1,
+				fragmentsDropped: 2,
+			});
+		});
+
+		test("lets the fields of a set override the options", async () => {
+			const result = await processFromFile(TEST_FILES.filters, { minLength: 4 });
+			const output = buildJsonOutput(result);
+
+			expect(output.sets.map((set) => set.formatted)).toEqual(["1-10", "1-5"]);
+			expect(output.sets[1].statistics.fragmentsDropped).toBe(1);
+			expect(output.statistics).toMatchObject({ gapsBridged: 1, fragmentsDropped: 3 });
+		});
+	});
+
+	describe("Modular Domains", () => {
+		test("prints wrap-around results in wrapped form", async () => {
+			const options = { modulo: 24 };
+			const result = await processFromArgs("22-6, 20-23", "1-1", options);
+
+			expect(result.formatted).toBe("2-6, 20-0");
+			expect(buildJsonOutput(result, options).intervals).toEqual([
+				{ start: 0, end: 0 },
+				{ start: 2, end: 6 },
+				{ start: 20, end: 23 },
+			]);
+		});
+
+		test("counts a wrap-around result once in text and JSON statistics", async () => {
+			const args = { includes: "22-2,5-6", excludes: "1-1", modulo: "24" };
+			const text = await captureOutput(() => handleCommand(args));
+			const { statistics } = JSON.parse(await captureOutput(() => handleCommand({ ...args, json: true })));
+
+			expect(text).toContain("Output: 2-2, 5-6, 22-0");
+			expect(text).toContain("Number of intervals: 3\n");
+			expect(statistics).toEqual({ count: 3, totalCoverage: 6, minStart: 22, maxEnd: 6 });
+		});
+
+		test("adds up the wrap-around counts of array file sets", async () => {
+			const options = { modulo: 24 };
+			const result = await processFromFile(TEST_FILES.modulo, options);
+			const output = buildJsonOutput(result, options);
+
+			expect(output.sets.map((set) => set.formatted)).toEqual(["2-2, 5-6, 22-0", "20-3"]);
+			expect(output.sets.map((set) => set.statistics.count)).toEqual([3, 1]);
+			expect(output.statistics).toMatchObject({ count: 4, minStart: 20, maxEnd: 6 });
+		});
+
+		test("rejects intervals outside the domain", async () => {
+			await expect(processFromArgs("22-24", "", { modulo: 24 })).rejects.toThrow("outside the modular domain");
+		});
+	});
+
+	describe("Boxes", () => {
+		test("subtracts exclude boxes from include boxes", async () => {
+			const result = await processFromArgs("0-9x0-9", "3-5x3-5");
+
+			expect(result.formatted).toBe("0-2x0-9, 3-5x0-2, 3-5x6-9, 6-9x0-9");
+			expect(result.boxes[1]).toEqual([
+				{ start: 3, end: 5 },
+				{ start: 0, end: 2 },
+			]);
+			expect(result.intervals).toEqual([]);
+		});
+
+		test("reports box statistics as text and as JSON", async () => {
+			const args = { includes: "10-20x5-8", excludes: "12-14x6-7" };
+			const text = await captureOutput(() => handleCommand(args));
+			const output = JSON.parse(await captureOutput(() => handleCommand({ ...args, json: true })));
+
+			expect(text).toContain("Output: 10-11x5-8, 12-14x5-5, 12-14x8-8, 15-20x5-8");
+			expect(text).toContain("Number of boxes: 4\n");
+			expect(text).toContain("Total volume: 38");
+			expect(output.boxes).toHaveLength(4);
+			expect(output.statistics).toEqual({
+				count: 4,
+				totalVolume: 38,
+				dimensions: [
+					{ minStart: 10, maxEnd: 20 },
+					{ minStart: 5, maxEnd: 8 },
+				],
+			});
+		});
+
+		test("applies the value mode to every dimension", async () => {
+			const options = { continuous: true };
+			const result = await processFromArgs("[0,1)x0-2", "0.5-1x1-2", options);
+
+			expect(result.formatted).toBe("[0,0.5)x0-2, [0.5,1)x[0,1)");
+			expect(buildJsonOutput(result, options).statistics.totalVolume).toBe(1.5);
+		});
+
+		test("processes box sets next to interval sets of array files", async () => {
+			const result = await processFromFile(TEST_FILES.boxes);
+			const output = buildJsonOutput(result);
+
+			expect(output.sets.map((set) => set.formatted)).toEqual(["10-11x5-8, 12-14x5-5, 12-14x8-8, 15-20x5-8", "1-3, 6-10"]);
+			expect(output.sets[0].statistics.totalVolume).toBe(38);
+			expect(output.sets[1].intervals).toEqual([
+				{ start: 1, end: 3 },
+				{ start: 6, end: 10 },
+			]);
+			expect(output.statistics).toMatchObject({ count: 2, totalCoverage: 8, boxCount: 4 });
+		});
+
+		test("reports boxes of different dimensions and interval-only options", async () => {
+			expect((await processFromArgs("10-20x5-8", "12-14")).error).toContain("have a different number of dimensions");
+			expect((await processFromArgs("10-20x5-8", "", { mergeGap: 2 })).error).toBe("--merge-gap applies to intervals, not to boxes");
+			expect((await processFromArgs("10-20x5-8", "", { cidr: false, explain: true })).error).toBe(
+				"--explain applies to intervals, not to boxes"
+			);
+		});
+	});
+
+	describe("Streaming", () => {
+		/**
+		 * Writable stream collecting everything written to it.
+		 */
+		const createOutput = () => {
+			const output = new Writable({
+				write(chunk, _encoding, callback) {
+					output.text += chunk;
+					callback();
+				},
+			});
+
+			output.text = "";
+			return output;
+		};
+
+		test("streams line-delimited files", async () => {
+			const output = createOutput();
+			const count = await processFromStream({ file: TEST_FILES.streamIncludes, excludeFile: TEST_FILES.streamExcludes }, output);
+
+			expect(count).toBe(5);
+			expect(output.text).toBe("10-11\n14-30\n40-44\n46-50\n60-70\n");
+		});
+
+		test("writes NDJSON with inline excludes", async () => {
+			const output = createOutput();
+
+			await processFromStream({ file: TEST_FILES.streamIncludes, excludes: "61-70, 10-29" }, output, { json: true });
+
+			expect(
+				output.text
+					.trim()
+					.split("\n")
+					.map((line) => JSON.parse(line))
+			).toEqual([
+				{ start: 30, end: 30 },
+				{ start: 40, end: 50, data: { id: 1 } },
+				{ start: 60, end: 60 },
+			]);
+		});
+
+		test("reports missing files and invalid lines", async () => {
+			await expect(processFromStream({ file: "missing.txt" }, createOutput())).rejects.toThrow("File not found");
+			await expect(processFromStream({ file: TEST_FILES.multipleObjects }, createOutput())).rejects.toThrow("Stream processing failed");
+		});
+	});
+
+	describe("Queries", () => {
+		test("answers point and overlap queries against the unmerged intervals of a file", async () => {
+			const result = await processQuery({ file: TEST_FILES.multipleObjects }, { at: ["95"], overlaps: ["410-420"] });
+
+			expect(result.queries[0]).toMatchObject({ type: "point", query: "95", formatted: "10-100, 10-100, 10-100, 50-150, 50-5000" });
+			expect(result.queries[1].formatted).toBe("50-5000, 400-500");
+		});
+
+		test("answers queries against command line includes", async () => {
+			const result = await processQuery({ includes: "10-20, 15-30" }, { at: ["25"] });
+
+			expect(result.indexed).toBe(2);
+			expect(result.queries[0].intervals).toEqual([{ start: 15, end: 30 }]);
+		});
+
+		test("rejects invalid queries and input", async () => {
+			await expect(processQuery({ includes: "10-20" }, { overlaps: ["20-10"] })).rejects.toThrow("Invalid query");
+			await expect(processQuery({ file: TEST_FILES.invalidJson }, { at: ["1"] })).rejects.toThrow("File processing failed");
+		});
+	});
+
+	describe("Explain", () => {
+		test("adds the lineage of every result interval to the JSON output", async () => {
+			const result = await processFromArgs("10-50, 40-100", "20-30, 60-60", { explain: true });
+
+			expect(buildJsonOutput(result).lineage.map(({ formatted, includes, excludes }) => [formatted, includes, excludes])).toEqual([
+				["10-19", [0], [0]],
+				["31-59", [0, 1], [0, 1]],
+				["61-100", [1], [1]],
+			]);
+		});
+
+		test("traces each set of an array file", async () => {
+			const output = buildJsonOutput(await processFromFile(TEST_FILES.multipleObjects, { explain: true, concurrency: 1 }));
+
+			expect(output.sets[3].lineage.map(({ formatted, includes, excludes }) => [formatted, includes, excludes])).toEqual([
+				["10-94", [1], [1]],
+				["206-300", [0], [1]],
+				["400-409", [2], [0]],
+				["421-500", [2], [0]],
+			]);
+			expect(buildJsonOutput(await processFromFile(TEST_FILES.multipleObjects, { concurrency: 1 })).sets[0].lineage).toBeUndefined();
+		});
+	});
+
+	describe("Diff", () => {
+		test("reports added, removed and unchanged regions of two interval strings", async () => {
+			const result = await processDiff("10-100", "10-50, 60-120");
+
+			expect(result).toMatchObject({
+				equal: false,
+				added: { intervals: [{ start: 101, end: 120 }], formatted: "101-120", coverage: 20 },
+				removed: { formatted: "51-59", coverage: 9 },
+				unchanged: { formatted: "10-50, 60-100" },
+			});
+			expect(result.changes.map(({ type, formatted }) => `${type} ${formatted}`)).toEqual([
+				"unchanged 10-50",
+				"removed 51-59",
+				"unchanged 60-100",
+				"added 101-120",
+			]);
+			expect((await processDiff("1-5", "1-3, 4-5")).equal).toBe(true);
+		});
+
+		test("compares processed input files, sets of array files and --json runs", async () => {
+			const result = await processDiff(TEST_FILES.run, TEST_FILES.singleObject);
+
+			expect(result.before.formatted).toBe("10-19, 31-100, 200-260");
+			expect(result.after.formatted).toBe("10-19, 31-100, 200-249, 281-300");
+			expect(result.added.formatted).toBe("281-300");
+			expect(result.removed.formatted).toBe("250-260");
+
+			const sets = await processDiff(`${TEST_FILES.multipleObjects}#1`, `${TEST_FILES.multipleObjects}#2`);
+
+			expect(sets.added.formatted).toBe("20-30, 101-5000");
+			expect(sets.removed.formatted).toBe("(none)");
+		});
+
+		test("rejects missing set numbers and invalid inputs", async () => {
+			await expect(processDiff(TEST_FILES.multipleObjects, "1-5")).rejects.toThrow("holds 4 sets");
+			await expect(processDiff(`${TEST_FILES.multipleObjects}#5`, "1-5")).rejects.toThrow("n is from 1 to 4");
+			await expect(processDiff("1-5", "5-1")).rejects.toThrow('Invalid intervals "5-1"');
+			await expect(processDiff("missing.json", "1-5")).rejects.toThrow("File not found: missing.json");
+		});
+	});
+
+	describe("Depth", () => {
+		test("counts the includes of a file covering each segment", async () => {
+			const result = await processDepth({ file: TEST_FILES.multipleObjects }, { minDepth: "3" });
+
+			expect(result).toMatchObject({ counted: 8, maxDepth: 5 });
+			expect(result.segments[1]).toEqual({ start: 50, end: 100, depth: 5, formatted: "50-100" });
+			expect(result.atLeast).toEqual({
+				depth: 3,
+				intervals: [
+					{ start: 10, end: 100 },
+					{ start: 200, end: 300 },
+				],
+				formatted: "10-100, 200-300",
+			});
+		});
+
+		test("counts command line includes", async () => {
+			const result = await processDepth({ includes: "10-20, 15-30" });
+
+			expect(result.formatted).toBe("10-14 (1), 15-20 (2), 21-30 (1)");
+			expect(result.atLeast).toBeUndefined();
+		});
+
+		test("rejects invalid minimum depths and input", async () => {
+			await expect(processDepth({ includes: "10-20" }, { minDepth: "0" })).rejects.toThrow("Invalid minimum depth");
+			await expect(processDepth({ includes: "20-10" })).rejects.toThrow("Invalid includes");
+			await expect(processDepth({ includes: "0-10/2" })).rejects.toThrow("strided interval");
+		});
+	});
+
+	describe("Shards", () => {
+		test("includes the shards of a result in JSON output", async () => {
+			const output = buildJsonOutput(await processFromArgs("10-100", "20-30", { shards: 2 }));
+
+			expect(output.shards).toEqual([
+				{
+					intervals: [
+						{ start: 10, end: 19 },
+						{ start: 31, end: 60 },
+					],
+					formatted: "10-19, 31-60",
+					size: 40,
+				},
+				{ intervals: [{ start: 61, end: 100 }], formatted: "61-100", size: 40 },
+			]);
+			expect(buildJsonOutput(await processFromArgs("10-100", "20-30")).shards).toBeUndefined();
+		});
+
+		test("splits every set of an array file", async () => {
+			const output = buildJsonOutput(await processFromFile(TEST_FILES.multipleObjects, { chunkSize: 1000, concurrency: 1 }));
+
+			expect(output.sets[0].shards.map(({ formatted }) => formatted)).toEqual(["10-19, 31-100"]);
+			expect(output.sets[1].shards.map(({ size }) => size)).toEqual([1000, 1000, 1000, 1000, 991]);
+		});
+	});
+
+	describe("Gaps", () => {
+		test("lists the gaps left by the includes of a file", async () => {
+			const result = await processGaps({ file: TEST_FILES.multipleObjects }, { domain: "0-6000", largest: "2" });
+
+			expect(result.used).toBe(8);
+			expect(result.formatted).toBe("5001-6000, 0-9");
+			expect(result.gaps.map(({ size }) => size)).toEqual([1000, 10]);
+		});
+
+		test("lists the gaps between command line includes", async () => {
+			const result = await processGaps({ includes: "10-20, 30-40, 45-50" }, { sort: "size" });
+
+			expect(result.formatted).toBe("21-29, 41-44");
+			expect(result.domain).toBe("10-50");
+		});
+
+		test("rejects invalid options and input", async () => {
+			await expect(processGaps({ includes: "10-20" }, { largest: "-1" })).rejects.toThrow("Invalid number of gaps");
+			await expect(processGaps({ includes: "10-20" }, { sort: "length" })).rejects.toThrow("Unknown gap sort order");
+			await expect(processGaps({ includes: "10-20" }, { domain: "9-1" })).rejects.toThrow("9-1");
+			await expect(processGaps({ includes: "20-10" })).rejects.toThrow("Invalid includes");
+		});
+	});
+
+	describe("Relate", () => {
+		test("relates the named intervals of a file", async () => {
+			const result = await processRelations({ file: TEST_FILES.relate });
+
+			expect(result.names).toEqual(["build", "test", "deploy", "release"]);
+			expect(result.matrix[0]).toEqual(["equals", "meets", "before", "starts"]);
+			expect(result.matrix[3]).toEqual(["startedBy", "contains", "finishedBy", "equals"]);
+			expect(result.pairs).toHaveLength(6);
+			expect(result.pairs[2]).toEqual({ a: "build", b: "release", relation: "starts" });
+		});
+
+		test("filters pairs by relation, turning them round to match", async () => {
+			const result = await processRelations({ set: ["b=10-19", "a=0-9", "c=40-50"] }, { relations: ["meets", "before"] });
+
+			expect(result.intervals).toEqual({ b: "10-19", a: "0-9", c: "40-50" });
+			expect(result.pairs).toEqual([
+				{ a: "a", b: "b", relation: "meets" },
+				{ a: "b", b: "c", relation: "before" },
+				{ a: "a", b: "c", relation: "before" },
+			]);
+		});
+
+		test("rejects unknown relations, multiple intervals per name and single names", async () => {
+			await expect(processRelations({ set: ["a=1-2", "b=3"] }, { relations: ["precedes"] })).rejects.toThrow(
+				'Unknown interval relation "precedes"'
+			);
+			await expect(processRelations({ set: ["a=1-2,5-6", "b=3"] })).rejects.toThrow('Set "a" holds 2 intervals');
+			await expect(processRelations({ set: ["a=1-2"] })).rejects.toThrow("needs at least two");
+			await expect(processRelations({ file: TEST_FILES.singleObject })).rejects.toThrow('"sets" field');
+		});
+	});
+
+	describe("IP Mode", () => {
+		test("processes address ranges with address statistics", async () => {
+			const options = { ip: true };
+			const result = await processFromArgs("10.0.0.0/24", "10.0.0.128/25", options);
+
+			expect(result.formatted).toBe("10.0.0.0-10.0.0.127");
+			expect(buildJsonOutput(result, options).statistics).toEqual({
+				count: 1,
+				totalCoverage: 128n,
+				minStart: "10.0.0.0",
+				maxEnd: "10.0.0.127",
+			});
+		});
+
+		test("includes CIDR blocks in JSON output", async () => {
+			const options = { ip: true, cidr: true };
+			const result = await processFromArgs("192.168.1.10-192.168.1.13", "", options);
+
+			expect(buildJsonOutput(result, options).cidrs).toEqual(["192.168.1.10/31", "192.168.1.12/31"]);
+		});
 	});
 });
@@ -0,0 +1,41 @@
+import { describe, test, expect } from "@jest/globals";
+import { readFile } from "node:fs/promises";
+import { resolve, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { processInWorkers } from "../../src/cli/workerPool.js";
+import { processFileObject } from "../../src/cli/commands.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Read a JSON fixture from the test directory.
+ */
+const readFixture = async (name) => JSON.parse(await readFile(resolve(__dirname, name), "utf8"));
+
+describe("processInWorkers", () => {
+	test("processes sets on worker threads in input order", async () => {
+		const items = [...(await readFixture("test-input.json")), ...(await readFixture("test-input.json"))];
+		const stats = await processInWorkers(items, {}, 3);
+		const expected = await Promise.all(items.map((item) => processFileObject(item)));
+
+		expect(stats.map((s) => s.processing.result)).toEqual(expected.map((s) => s.processing.result));
+		expect(stats[0].processing.result.formatted).toBe("10-19, 31-100");
+		expect(stats[7].intervals.count).toBe(3);
+	});
+
+	test("passes options and payloads through to the workers", async () => {
+		const items = [await readFixture("test-payload.json"), { includes: "18446744073709551610-18446744073709551615", excludes: "" }];
+		const [payloads, bigint] = await processInWorkers(items, { bigint: true, mergeData: "all" }, 2);
+
+		expect(payloads.processing.result).toEqual((await processFileObject(items[0], { bigint: true, mergeData: "all" })).processing.result);
+		expect(bigint.processing.result.intervals).toEqual([{ start: 18446744073709551610n, end: 18446744073709551615n }]);
+	});
+
+	test("returns an empty list for no sets", async () => {
+		await expect(processInWorkers([], {}, 2)).resolves.toEqual([]);
+	});
+
+	test("rejects when a set fails and stops the pool", async () => {
+		await expect(processInWorkers([{ includes: "10-20" }, { expression: "a", sets: null }], {}, 2)).rejects.toThrow("Set 2:");
+	});
+});
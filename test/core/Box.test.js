@@ -0,0 +1,46 @@
+import { describe, test, expect } from "@jest/globals";
+import { Box } from "../../src/core/Box.js";
+import { Interval } from "../../src/core/Interval.js";
+import { parseBoxString } from "../../src/utils/parsers.js";
+
+describe("Box", () => {
+	test("creates boxes from one interval per dimension", () => {
+		const box = new Box([new Interval(10, 20), new Interval(5, 8)]);
+
+		expect(box.toString()).toBe("10-20x5-8");
+		expect(box.toJSON()).toEqual([
+			{ start: 10, end: 20 },
+			{ start: 5, end: 8 },
+		]);
+		expect(Object.isFrozen(box.dimensions)).toBe(true);
+	});
+
+	test("rejects boxes without valid dimensions", () => {
+		expect(() => new Box([])).toThrow("at least one dimension");
+		expect(() => new Box(["10-20"])).toThrow("at least one dimension");
+		expect(() => new Box([new Interval(0, 10, { stride: 2 })])).toThrow("cannot be strided");
+	});
+
+	test("checks overlap and containment in every dimension", () => {
+		const box = parseBoxString("0-10x0-10");
+
+		expect(box.overlaps(parseBoxString("5-15x10-20"))).toBe(true);
+		expect(box.overlaps(parseBoxString("5-15x11-20"))).toBe(false);
+		expect(box.contains(parseBoxString("2-3x0-10"))).toBe(true);
+		expect(box.contains(parseBoxString("2-3x0-11"))).toBe(false);
+		expect(() => box.overlaps(parseBoxString("0-1x0-1x0-1"))).toThrow("different number of dimensions");
+	});
+
+	test("intersects boxes", () => {
+		const box = parseBoxString("0-10x0-10");
+
+		expect(box.intersection(parseBoxString("5-15x[8,20)")).toString()).toBe("5-10x8-10");
+		expect(box.intersection(parseBoxString("11-15x0-10"))).toBeNull();
+	});
+
+	test("orders boxes dimension by dimension", () => {
+		const boxes = ["5-6x0-1", "0-1x5-6", "0-1x0-9"].map((str) => parseBoxString(str));
+
+		expect(boxes.sort(Box.compare).map(String)).toEqual(["0-1x0-9", "0-1x5-6", "5-6x0-1"]);
+	});
+});
@@ -0,0 +1,97 @@
+import { describe, test, expect } from "@jest/globals";
+import { BoxSet } from "../../src/core/BoxSet.js";
+import { parseBoxString } from "../../src/utils/parsers.js";
+
+/**
+ * Points of a small integer grid covered by a set of 2D boxes, for comparison with a brute-force model.
+ */
+const coveredPoints = (set, size) => {
+	const points = [];
+
+	for (let x = 0; x < size; x++) {
+		for (let y = 0; y < size; y++) {
+			if (
+				set.boxes.some(
+					(box) =>
+						box.dimensions[0].first <= x && x <= box.dimensions[0].last && box.dimensions[1].first <= y && y <= box.dimensions[1].last
+				)
+			) {
+				points.push(`${x},${y}`);
+			}
+		}
+	}
+	return points;
+};
+
+describe("BoxSet", () => {
+	describe("Canonical form", () => {
+		test("gives the same boxes for the same region", () => {
+			const a = BoxSet.from("0-4x0-9, 5-9x0-9");
+			const b = BoxSet.from("5-9x0-9, 0-9x0-4, 0-4x5-9");
+
+			expect(a.toString()).toBe("0-9x0-9");
+			expect(a.equals(b)).toBe(true);
+		});
+
+		test("produces disjoint boxes for overlapping input", () => {
+			const set = BoxSet.from("0-9x0-4, 5-14x2-9");
+
+			expect(set.toString()).toBe("0-4x0-4, 5-9x0-9, 10-14x2-9");
+		});
+
+		test("handles continuous bounds exactly", () => {
+			expect(BoxSet.from("[0,1)x[0,1), [1,2]x[0,1)", { continuous: true }).toString()).toBe("[0,2]x[0,1)");
+			expect(BoxSet.from("[0,1)x[0,1), (1,2]x[0,1)", { continuous: true }).boxes).toHaveLength(2);
+		});
+
+		test("handles unbounded dimensions", () => {
+			expect(BoxSet.from("*-10x0-5, 5-x3-8").toString()).toBe("*-4x0-5, 5-10x0-8, 11-*x3-8");
+			expect(BoxSet.from("[0,inf)x[0,1), (-inf,0]x[0,1)", { continuous: true }).toString()).toBe("(-inf,inf)x[0,1)");
+			expect(BoxSet.from("*-*x0-9").difference("0-9x0-9").toString()).toBe("*--1x0-9, 10-*x0-9");
+		});
+
+		test("rejects boxes of different dimensionality", () => {
+			expect(() => BoxSet.from("0-1x0-1, 0-1x0-1x0-1")).toThrow("different number of dimensions");
+		});
+	});
+
+	describe("Operations", () => {
+		test("subtracts a hole from a rectangle", () => {
+			const set = BoxSet.from("0-9x0-9").difference("3-5x3-5");
+
+			expect(set.toString()).toBe("0-2x0-9, 3-5x0-2, 3-5x6-9, 6-9x0-9");
+			expect(set.union("3-5x3-5").toString()).toBe("0-9x0-9");
+		});
+
+		test("intersects sets", () => {
+			expect(BoxSet.from("0-9x0-9, 20-29x0-9").intersect("5-24x5-15").toString()).toBe("5-9x5-9, 20-24x5-9");
+			expect(BoxSet.from("0-1x0-1").intersect("5-6x5-6").isEmpty()).toBe(true);
+		});
+
+		test("works in three dimensions and with mixed modes per dimension", () => {
+			expect(BoxSet.from("0-9x0-9x0-9").difference("0-4x0-4x0-4").boxes).toHaveLength(3);
+
+			const bookings = BoxSet.from("2024-03-11T09:00Z/PT8H x 1-3", { dimensions: [{ time: true }, {}] });
+
+			expect(bookings.difference(parseBoxString("2024-03-11T12:00Z/PT1H x 2-2", { dimensions: [{ time: true }] })).boxes).toHaveLength(4);
+		});
+
+		test("matches a brute-force grid model on random boxes", () => {
+			let seed = 5;
+			const next = (max) => Math.floor(((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648) * max);
+			const randomBox = () => {
+				const [x, y] = [next(16), next(16)];
+
+				return parseBoxString(`${x}-${x + next(6)}x${y}-${y + next(6)}`);
+			};
+			const includes = Array.from({ length: 12 }, randomBox);
+			const excludes = Array.from({ length: 8 }, randomBox);
+			const result = BoxSet.from(includes).difference(excludes);
+			const expected = coveredPoints(BoxSet.from(includes), 24).filter((point) => !coveredPoints(BoxSet.from(excludes), 24).includes(point));
+
+			expect(coveredPoints(result, 24)).toEqual(expected);
+			expect(BoxSet.from(result.boxes).equals(result)).toBe(true);
+			expect(result.boxes.every((a, i) => result.boxes.every((b, j) => i === j || !a.overlaps(b)))).toBe(true);
+		});
+	});
+});
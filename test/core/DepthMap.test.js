@@ -0,0 +1,68 @@
+import { describe, test, expect } from "@jest/globals";
+import { DepthMap } from "../../src/core/DepthMap.js";
+import { Interval } from "../../src/core/Interval.js";
+
+describe("DepthMap", () => {
+	describe("Segments", () => {
+		test("counts the intervals covering each segment", () => {
+			const map = DepthMap.from("10-20, 15-30, 18-19, 40-50, 51-60");
+
+			expect(map.toString()).toBe("10-14 (1), 15-17 (2), 18-19 (3), 20-20 (2), 21-30 (1), 40-60 (1)");
+			expect(map.segments[2].interval).toBeInstanceOf(Interval);
+			expect(map.toJSON()[1]).toEqual({ start: 15, end: 17, depth: 2 });
+			expect(Object.isFrozen(map.segments)).toBe(true);
+		});
+
+		test("counts duplicates and ignores input order", () => {
+			expect(DepthMap.from("5-9, 1-3, 5-9").toString()).toBe("1-3 (1), 5-9 (2)");
+			expect(DepthMap.from("[1,5), [4,8]").toString()).toBe("1-3 (1), 4-4 (2), 5-8 (1)");
+			expect(DepthMap.from("").toString()).toBe("(none)");
+			expect(new DepthMap().isEmpty()).toBe(true);
+		});
+
+		test("keeps open and closed bounds of continuous intervals exact", () => {
+			expect(DepthMap.from("[0,1), [0.5,2], (1,3)", { continuous: true }).toString()).toBe(
+				"[0,0.5) (1), [0.5,1) (2), [1,1] (1), (1,2] (2), (2,3) (1)"
+			);
+			expect(DepthMap.from("[0,1], [1,2]", { continuous: true }).toString()).toBe("[0,1) (1), [1,1] (2), (1,2] (1)");
+		});
+
+		test("handles BigInt, unbounded and IP intervals", () => {
+			expect(DepthMap.from("*-10, 5-, 0-0").toString()).toBe("*--1 (1), 0-0 (2), 1-4 (1), 5-10 (2), 11-* (1)");
+			expect(DepthMap.from("18446744073709551610-18446744073709551615, 18446744073709551614-", { bigint: true }).toJSON()).toEqual([
+				{ start: 18446744073709551610n, end: 18446744073709551613n, depth: 1 },
+				{ start: 18446744073709551614n, end: 18446744073709551615n, depth: 2 },
+				{ start: 18446744073709551616n, end: Infinity, depth: 1 },
+			]);
+			expect(DepthMap.from("10.0.0.0/8, 10.1.0.0/16", { ip: true }).toString()).toBe(
+				"10.0.0.0-10.0.255.255 (1), 10.1.0.0-10.1.255.255 (2), 10.2.0.0-10.255.255.255 (1)"
+			);
+		});
+
+		test("rejects strided intervals", () => {
+			expect(() => DepthMap.from("0-10, 0-10/2")).toThrow("Cannot compute the coverage depth of strided interval 0-10/2");
+		});
+	});
+
+	describe("Queries", () => {
+		const map = DepthMap.from("10-20, 15-30, 18-19, 40-50");
+
+		test("reports the maximum overlap depth", () => {
+			expect(map.maxDepth).toBe(3);
+			expect(new DepthMap().maxDepth).toBe(0);
+		});
+
+		test("finds the regions covered at least k times", () => {
+			expect(map.atLeast(1).toString()).toBe("10-30, 40-50");
+			expect(map.atLeast(2).toString()).toBe("15-20");
+			expect(map.atLeast(map.maxDepth).toString()).toBe("18-19");
+			expect(map.atLeast(4).isEmpty()).toBe(true);
+		});
+
+		test("looks up the depth at a point", () => {
+			expect([9, 10, 15, 18, 20, 21, 31, 45, 51].map(map.depthAt)).toEqual([0, 1, 2, 3, 2, 1, 0, 1, 0]);
+			expect(DepthMap.from("[0,1), [1,2]", { continuous: true }).depthAt(1)).toBe(1);
+			expect(new DepthMap().depthAt(5)).toBe(0);
+		});
+	});
+});
@@ -1,5 +1,7 @@
 import { describe, test, expect } from "@jest/globals";
 import { Interval } from "../../src/core/Interval.js";
+import { parseIntervalString } from "../../src/utils/parsers.js";
+import { ALLEN_RELATIONS } from "../../src/utils/constants.js";
 
 describe("Interval Class", () => {
 	describe("Constructor", () => {
@@ -27,6 +29,12 @@ describe("Interval Class", () => {
 			expect(interval.start).toBe(-100);
 			expect(interval.end).toBe(-10);
 		});
+
+		test("keeps methods on the prototype, not on every instance", () => {
+			const interval = new Interval(0, 10, { stride: 2, data: "a" });
+
+			expect(Object.values(interval).filter((value) => typeof value === "function")).toEqual([]);
+		});
 	});
 
 	describe("Overlap Detection", () => {
@@ -221,4 +229,498 @@ describe("Interval Class", () => {
 			expect(Interval.compare(i1, i3)).toBeGreaterThan(0);
 		});
 	});
+
+	describe("Open and Closed Bounds", () => {
+		test("creates half-open intervals", () => {
+			const interval = new Interval(10, 20, { endOpen: true });
+
+			expect(interval.first).toBe(10);
+			expect(interval.last).toBe(19);
+			expect(interval.notation).toBe("bracket");
+			expect(interval.toString()).toBe("[10,20)");
+		});
+
+		test("keeps closed bracket notation when requested", () => {
+			expect(new Interval(10, 20, { notation: "bracket" }).toString()).toBe("[10,20]");
+		});
+
+		test("rejects intervals that contain no integers", () => {
+			expect(() => new Interval(5, 5, { startOpen: true })).toThrow("contains no integers");
+			expect(() => new Interval(5, 6, { startOpen: true, endOpen: true })).toThrow("contains no integers");
+		});
+
+		test("detects adjacency for each bound combination", () => {
+			expect(new Interval(10, 20, { endOpen: true }).isAdjacent(new Interval(20, 30, { endOpen: true }))).toBe(true);
+			expect(new Interval(10, 20).isAdjacent(new Interval(20, 30, { startOpen: true }))).toBe(true);
+			expect(new Interval(10, 20, { endOpen: true }).isAdjacent(new Interval(20, 30, { startOpen: true }))).toBe(false);
+			expect(new Interval(10, 20).isAdjacent(new Interval(20, 30))).toBe(false);
+		});
+
+		test("detects overlap only when an integer is shared", () => {
+			expect(new Interval(10, 20, { endOpen: true }).overlaps(new Interval(20, 30))).toBe(false);
+			expect(new Interval(10, 20).overlaps(new Interval(20, 30))).toBe(true);
+			expect(new Interval(10, 20).overlaps(new Interval(19, 30, { startOpen: true }))).toBe(true);
+		});
+
+		test("merges keeping the bound of the interval each end came from", () => {
+			const merged = new Interval(10, 20, { endOpen: true }).merge(new Interval(5, 15, { startOpen: true, endOpen: true }));
+
+			expect(merged.toString()).toBe("(5,20)");
+		});
+
+		test("merges half-open adjacent intervals", () => {
+			const merged = new Interval(10, 20, { endOpen: true }).merge(new Interval(20, 30, { endOpen: true }));
+
+			expect(merged.toString()).toBe("[10,30)");
+		});
+
+		test("subtracts keeping the include's bound style", () => {
+			const include = new Interval(10, 30, { endOpen: true });
+
+			expect(include.subtract(new Interval(15, 20, { endOpen: true })).map((i) => i.toString())).toEqual(["[10,15)", "[20,30)"]);
+			expect(include.subtract(new Interval(15, 20)).map((i) => i.toString())).toEqual(["[10,15)", "[21,30)"]);
+			expect(new Interval(5, 9, { startOpen: true }).subtract(new Interval(7, 8)).map((i) => i.toString())).toEqual(["(5,6]", "(8,9]"]);
+		});
+
+		test("subtracts open excludes from closed includes", () => {
+			const result = new Interval(10, 100).subtract(new Interval(19, 31, { startOpen: true, endOpen: true }));
+
+			expect(result.map((i) => i.toString())).toEqual(["10-19", "31-100"]);
+		});
+
+		test("includes bounds in JSON for bracket notation", () => {
+			expect(new Interval(10, 20, { endOpen: true }).toJSON()).toEqual({ start: 10, end: 20, startOpen: false, endOpen: true });
+		});
+
+		test("creates from object with bounds", () => {
+			const interval = Interval.fromObject({ start: 10, end: 20, startOpen: true });
+
+			expect(interval.toString()).toBe("(10,20]");
+		});
+
+		test("creates from closed values using a template's style", () => {
+			const template = new Interval(0, 100, { startOpen: true, endOpen: true });
+
+			expect(Interval.fromClosed(10, 20, template).toString()).toBe("(9,21)");
+			expect(Interval.fromClosed(10, 20, new Interval(0, 1)).toString()).toBe("10-20");
+		});
+
+		test("compares by contained integers", () => {
+			expect(Interval.compare(new Interval(9, 20, { startOpen: true }), new Interval(10, 20))).toBe(0);
+		});
+	});
+
+	describe("BigInt Values", () => {
+		const big = 9007199254740993n;
+
+		test("creates BigInt intervals", () => {
+			const interval = new Interval(big, big + 10n, { endOpen: true });
+
+			expect(interval.first).toBe(big);
+			expect(interval.last).toBe(big + 9n);
+			expect(interval.toString()).toBe("[9007199254740993,9007199254741003)");
+		});
+
+		test("rejects mixed number and BigInt bounds", () => {
+			expect(() => new Interval(1, 10n)).toThrow("must both be numbers or both be BigInts");
+		});
+
+		test("merges and detects adjacency", () => {
+			const a = new Interval(big, big + 9n);
+			const b = new Interval(big + 10n, big + 20n);
+
+			expect(a.isAdjacent(b)).toBe(true);
+			expect(a.merge(b).toString()).toBe("9007199254740993-9007199254741013");
+		});
+
+		test("subtracts without losing precision", () => {
+			const result = new Interval(big, big + 100n).subtract(new Interval(big + 10n, big + 20n));
+
+			expect(result.map((i) => i.toString())).toEqual(["9007199254740993-9007199254741002", "9007199254741014-9007199254741093"]);
+		});
+
+		test("compares BigInt intervals", () => {
+			expect(Interval.compare(new Interval(big, big), new Interval(big + 1n, big + 1n))).toBe(-1);
+			expect(Interval.compare(new Interval(big, big + 2n), new Interval(big, big + 1n))).toBe(1);
+		});
+
+		test("creates from object with BigInt values", () => {
+			expect(Interval.fromObject({ start: 1n, end: 2n }).toJSON()).toEqual({ start: 1n, end: 2n });
+		});
+	});
+
+	describe("Continuous Mode", () => {
+		const continuous = (start, end, bounds = {}) => new Interval(start, end, { ...bounds, continuous: true });
+
+		test("accepts finite floats", () => {
+			const interval = continuous(0.5, 2.75);
+
+			expect(interval.first).toBe(0.5);
+			expect(interval.last).toBe(2.75);
+			expect(interval.toString()).toBe("0.5-2.75");
+		});
+
+		test("rejects NaN and empty intervals", () => {
+			expect(() => continuous(0, NaN)).toThrow("must be finite numbers or unbounded");
+			expect(() => continuous(1, 1, { startOpen: true })).toThrow("is empty");
+			expect(continuous(1.5, 1.5).toString()).toBe("1.5-1.5");
+			expect(continuous(1.2, 1.8, { startOpen: true, endOpen: true }).toString()).toBe("(1.2,1.8)");
+		});
+
+		test("overlaps only where bounds actually meet", () => {
+			expect(continuous(0, 1).overlaps(continuous(1, 2))).toBe(true);
+			expect(continuous(0, 1, { endOpen: true }).overlaps(continuous(1, 2))).toBe(false);
+			expect(continuous(0, 1).overlaps(continuous(1, 2, { startOpen: true }))).toBe(false);
+		});
+
+		test("treats touching endpoints as adjacent when exactly one includes the point", () => {
+			expect(continuous(0, 1, { endOpen: true }).isAdjacent(continuous(1, 2))).toBe(true);
+			expect(continuous(1, 2, { startOpen: true }).isAdjacent(continuous(0, 1))).toBe(true);
+			expect(continuous(0, 1, { endOpen: true }).isAdjacent(continuous(1, 2, { startOpen: true }))).toBe(false);
+			expect(continuous(0, 1).isAdjacent(continuous(1.5, 2))).toBe(false);
+		});
+
+		test("merges touching intervals keeping the outer bounds", () => {
+			const merged = continuous(0.5, 1, { endOpen: true }).merge(continuous(1, 2.75, { endOpen: true }));
+
+			expect(merged.toString()).toBe("[0.5,2.75)");
+			expect(merged.continuous).toBe(true);
+		});
+
+		test("subtracts with open boundaries instead of stepping by one", () => {
+			const result = continuous(0.5, 2.75).subtract(continuous(1, 1.5));
+
+			expect(result.map((i) => i.toString())).toEqual(["[0.5,1)", "(1.5,2.75]"]);
+		});
+
+		test("keeps the boundary point when the exclude is open", () => {
+			const result = continuous(0, 10).subtract(continuous(2, 3, { startOpen: true, endOpen: true }));
+
+			expect(result.map((i) => i.toString())).toEqual(["0-2", "3-10"]);
+		});
+
+		test("leaves a single point when only an open bound separates the parts", () => {
+			const result = continuous(0, 1).subtract(continuous(0, 1, { startOpen: true }));
+
+			expect(result.map((i) => i.toString())).toEqual(["0-0"]);
+		});
+
+		test("intersects and compares by bounds", () => {
+			expect(
+				continuous(0, 2)
+					.intersection(continuous(1, 3, { startOpen: true }))
+					.toString()
+			).toBe("(1,2]");
+			expect(continuous(0, 1, { endOpen: true }).intersection(continuous(1, 2))).toBeNull();
+			expect(Interval.compare(continuous(1, 2), continuous(1, 2, { startOpen: true }))).toBe(-1);
+			expect(Interval.compare(continuous(1, 2, { endOpen: true }), continuous(1, 2))).toBe(-1);
+		});
+
+		test("creates from object in continuous mode", () => {
+			expect(Interval.fromObject({ start: 0.25, end: 0.75 }, { continuous: true }).continuous).toBe(true);
+		});
+	});
+
+	describe("ISO Notation", () => {
+		const hour = 3600000;
+		const window = (start, end, offset = 0) => new Interval(start, end, { endOpen: true, notation: "iso", continuous: true, offset });
+
+		test("writes epoch milliseconds as an ISO 8601 time interval", () => {
+			const interval = window(Date.UTC(2024, 2, 11, 8), Date.UTC(2024, 2, 11, 16), 60);
+
+			expect(interval.toString()).toBe("2024-03-11T09:00:00+01:00/2024-03-11T17:00:00+01:00");
+			expect(interval.toJSON()).toEqual({ start: "2024-03-11T09:00:00+01:00", end: "2024-03-11T17:00:00+01:00" });
+		});
+
+		test("keeps notation and offset through merge and subtraction", () => {
+			const day = Date.UTC(2024, 2, 11);
+			const merged = window(day, day + 4 * hour, 60).merge(window(day + 4 * hour, day + 8 * hour));
+			const parts = merged.subtract(window(day + 2 * hour, day + 3 * hour));
+
+			expect(merged.toString()).toBe("2024-03-11T01:00:00+01:00/2024-03-11T09:00:00+01:00");
+			expect(parts.map((i) => i.toString())).toEqual([
+				"2024-03-11T01:00:00+01:00/2024-03-11T03:00:00+01:00",
+				"2024-03-11T04:00:00+01:00/2024-03-11T09:00:00+01:00",
+			]);
+		});
+	});
+
+	describe("Payloads", () => {
+		test("carries a payload into JSON", () => {
+			const interval = new Interval(10, 20, { data: { label: "a" } });
+
+			expect(interval.toJSON()).toEqual({ start: 10, end: 20, data: { label: "a" } });
+			expect(new Interval(10, 20).toJSON()).not.toHaveProperty("data");
+			expect(Interval.fromObject(interval.toJSON()).data).toEqual({ label: "a" });
+		});
+
+		test("keeps the payload on subtraction and intersection results", () => {
+			const interval = new Interval(10, 30, { endOpen: true, data: "a" });
+
+			expect(interval.subtract(new Interval(15, 20, { data: "b" })).map((i) => i.data)).toEqual(["a", "a"]);
+			expect(interval.intersection(new Interval(25, 40, { data: "b" })).data).toBe("a");
+			expect(new Interval(0.5, 2, { continuous: true, data: "c" }).subtract(new Interval(1, 1.5, { continuous: true }))[1].data).toBe("c");
+		});
+
+		test("replaces the payload with withData", () => {
+			const interval = new Interval(10, 20, { startOpen: true, data: "a" }).withData("b");
+
+			expect(interval.toString()).toBe("(10,20]");
+			expect(interval.data).toBe("b");
+		});
+
+		test("leaves the payload out of spans", () => {
+			expect(Interval.span([new Interval(10, 20, { data: "a" }), new Interval(30, 40)]).data).toBeUndefined();
+		});
+	});
+
+	describe("IP Notation", () => {
+		const base = 0xffff0a000000n; // 10.0.0.0 in the IPv4-mapped block
+
+		test("writes address values as addresses", () => {
+			const range = new Interval(base, base + 255n, { notation: "ip" });
+
+			expect(range.toString()).toBe("10.0.0.0-10.0.0.255");
+			expect(range.toJSON()).toEqual({ start: "10.0.0.0", end: "10.0.0.255" });
+			expect(new Interval(base + 1n, base + 1n, { notation: "ip" }).toString()).toBe("10.0.0.1");
+		});
+
+		test("keeps notation through subtraction and span", () => {
+			const range = new Interval(base, base + 255n, { notation: "ip" });
+
+			expect(range.subtract(new Interval(base + 1n, base + 254n, { notation: "ip" })).map((i) => i.toString())).toEqual([
+				"10.0.0.0",
+				"10.0.0.255",
+			]);
+			expect(Interval.span([range, new Interval(base + 1000n, base + 1000n, { notation: "ip" })]).toString()).toBe("10.0.0.0-10.0.3.232");
+		});
+	});
+
+	describe("Strided Intervals", () => {
+		const strided = (start, end, stride) => new Interval(start, end, { stride });
+		const strings = (intervals) => intervals.map((i) => i.toString());
+
+		test("moves the end to the last point of the progression", () => {
+			expect(strided(10, 102, 5).toString()).toBe("10-100/5");
+			expect(strided(10, 102, 5).toJSON()).toEqual({ start: 10, end: 100, stride: 5 });
+			expect(strided(10, 12, 5).toString()).toBe("10-10");
+			expect(strided(10, 20, 1).stride).toBeUndefined();
+			expect(strided(10, 100, 5).step).toBe(5);
+			expect(new Interval(10, 100).step).toBe(1);
+			expect(Interval.fromObject({ start: 10, end: 100, stride: 5 }).toString()).toBe("10-100/5");
+		});
+
+		test("rejects invalid strides", () => {
+			expect(() => strided(0, 10, 0)).toThrow("stride");
+			expect(() => strided(0, 10, 2.5)).toThrow("stride");
+			expect(() => strided(0, 10, 2n)).toThrow("stride");
+			expect(() => new Interval(0, 10, { stride: 2, endOpen: true })).toThrow("stride");
+			expect(() => new Interval(0, 10, { stride: 2, continuous: true })).toThrow("stride");
+		});
+
+		test("overlaps and contains by common points", () => {
+			expect(strided(10, 100, 5).overlaps(strided(11, 99, 5))).toBe(false);
+			expect(strided(10, 100, 5).overlaps(strided(12, 100, 2))).toBe(true);
+			expect(strided(10, 100, 5).overlaps(new Interval(11, 14))).toBe(false);
+			expect(strided(0, 100, 10).contains(strided(20, 40, 20))).toBe(true);
+			expect(strided(0, 100, 10).contains(strided(20, 45, 5))).toBe(false);
+			expect(strided(0, 100, 10).contains(new Interval(30, 30))).toBe(true);
+			expect(new Interval(0, 100).contains(strided(0, 100, 10))).toBe(true);
+		});
+
+		test("intersects progressions", () => {
+			expect(
+				strided(0, 100, 2)
+					.intersection(strided(0, 100, 3))
+					.toString()
+			).toBe("0-96/6");
+			expect(strided(0, 100, 4).intersection(strided(2, 100, 4))).toBeNull();
+			expect(new Interval(13, 37).intersection(strided(0, 100, 10)).toString()).toBe("20-30/10");
+		});
+
+		test("subtracts without listing points when a stride remains", () => {
+			expect(strings(strided(10, 100, 5).subtract(new Interval(50, 60)))).toEqual(["10-45/5", "65-100/5"]);
+			expect(strings(new Interval(0, 20).subtract(strided(0, 20, 2)))).toEqual(["1-19/2"]);
+			expect(strings(new Interval(0, 20).subtract(strided(3, 7, 2)))).toEqual(["0-2", "4-6/2", "8-20"]);
+			expect(strings(strided(0, 20, 2).subtract(strided(0, 20, 4)))).toEqual(["2-18/4"]);
+			expect(strings(strided(10, 100, 5).subtract(strided(11, 99, 5)))).toEqual(["10-100/5"]);
+			expect(strings(new Interval(0, 5).subtract(strided(4, 30, 2)))).toEqual(["0-3", "5-5"]);
+		});
+
+		test("falls back to explicit fragments", () => {
+			expect(strings(new Interval(0, 20).subtract(strided(0, 20, 5)))).toEqual(["1-4", "6-9", "11-14", "16-19"]);
+			expect(strings(strided(0, 20, 2).subtract(strided(0, 20, 3)))).toEqual(["2-4/2", "8-10/2", "14-16/2", "20-20"]);
+		});
+
+		test("unites progressions and ranges", () => {
+			expect(strings(Interval.union([strided(55, 100, 5), strided(10, 50, 5)]))).toEqual(["10-100/5"]);
+			expect(strings(Interval.union([strided(10, 50, 5), new Interval(30, 40)]))).toEqual(["10-25/5", "30-40", "45-50/5"]);
+			expect(strings(Interval.union([strided(0, 10, 2), strided(1, 11, 2)]))).toEqual(["0-11"]);
+			expect(strings(Interval.union([strided(0, 12, 2), strided(0, 12, 3)]))).toEqual(["0-12/2", "3-9/6"]);
+			expect(strings(Interval.union([strided(0, 100, 4), strided(2, 100, 4)]))).toEqual(["0-100/2"]);
+			expect(Interval.union([])).toEqual([]);
+		});
+
+		test("keeps progressions with different strides as strided pieces", () => {
+			expect(strings(Interval.union([strided(10, 100, 5), strided(12, 100, 5)]))).toEqual(["10-100/5", "12-97/5"]);
+			expect(strings(Interval.union([strided(0, 100000000, 2), strided(1, 100000000, 3)]))).toEqual(["0-100000000/2", "1-99999997/6"]);
+			expect(strings(Interval.union([strided(0, 100, 2), strided(0, 100, 3), strided(0, 100, 5)]))).toEqual([
+				"0-100/2",
+				"3-99/6",
+				"5-95/30",
+				"25-85/30",
+			]);
+			expect(strings(Interval.union([strided(0n, 10n ** 30n, 2n), strided(1n, 10n ** 30n, 3n)]))).toEqual([
+				`0-${10n ** 30n}/2`,
+				`1-${10n ** 30n - 3n}/6`,
+			]);
+		});
+
+		test("refuses unions needing too many strided pieces", () => {
+			expect(() => Interval.union([strided(0, 100000000, 10007), strided(1, 100000000, 10009)])).toThrow(
+				"Cannot unite overlapping progressions with strides 10009 and 10007"
+			);
+		});
+
+		test("merges only into a single progression", () => {
+			expect(
+				strided(10, 50, 5)
+					.merge(strided(55, 100, 5))
+					.toString()
+			).toBe("10-100/5");
+			expect(() => strided(10, 50, 5).merge(strided(56, 96, 5))).toThrow("Cannot merge");
+		});
+
+		test("works with BigInt bounds", () => {
+			const interval = new Interval(10n, 100n, { stride: 5n });
+
+			expect(strings(interval.subtract(new Interval(50n, 60n)))).toEqual(["10-45/5", "65-100/5"]);
+			expect(interval.intersection(new Interval(0n, 100n, { stride: 3n })).toString()).toBe("15-90/15");
+		});
+	});
+
+	describe("Unbounded Intervals", () => {
+		const strings = (intervals) => intervals.map((i) => i.toString());
+
+		test("writes unbounded ends in dash and bracket notation", () => {
+			expect(new Interval(1000, Infinity).toString()).toBe("1000-*");
+			expect(new Interval(-Infinity, 50).toString()).toBe("*-50");
+			expect(new Interval(-Infinity, 0, { notation: "bracket" }).toString()).toBe("(-inf,0]");
+			expect(new Interval(-Infinity, 5n).toJSON()).toEqual({ start: -Infinity, end: 5n });
+		});
+
+		test("keeps unbounded ends closed", () => {
+			const interval = new Interval(-Infinity, Infinity, { startOpen: true, endOpen: true });
+
+			expect(interval.startOpen).toBe(false);
+			expect(interval.endOpen).toBe(false);
+			expect(interval.toString()).toBe("*-*");
+		});
+
+		test("rejects reversed and strided unbounded ends", () => {
+			expect(() => new Interval(Infinity, Infinity)).toThrow("only the start can be -Infinity");
+			expect(() => new Interval(-Infinity, -Infinity)).toThrow("only the start can be -Infinity");
+			expect(() => new Interval(0, Infinity, { stride: 5 })).toThrow("closed, bounded integer ends");
+		});
+
+		test("overlaps, merges and intersects with bounded intervals", () => {
+			const upward = new Interval(1000, Infinity);
+
+			expect(upward.overlaps(new Interval(5000, 6000))).toBe(true);
+			expect(upward.overlaps(new Interval(0, 999))).toBe(false);
+			expect(upward.isAdjacent(new Interval(0, 999))).toBe(true);
+			expect(upward.merge(new Interval(0, 999)).toString()).toBe("0-*");
+			expect(new Interval(-Infinity, 10).merge(upward.merge(new Interval(5, 999))).toString()).toBe("*-*");
+			expect(upward.intersection(new Interval(-Infinity, 1500)).toString()).toBe("1000-1500");
+		});
+
+		test("subtracts into unbounded parts", () => {
+			expect(strings(new Interval(-Infinity, Infinity).subtract(new Interval(0, 9)))).toEqual(["*--1", "10-*"]);
+			expect(strings(new Interval(-Infinity, Infinity, { continuous: true }).subtract(new Interval(0, 1, { continuous: true })))).toEqual([
+				"(-inf,0)",
+				"(1,inf)",
+			]);
+			expect(strings(new Interval(-Infinity, 100).subtract(new Interval(-Infinity, 50)))).toEqual(["51-100"]);
+			expect(strings(new Interval(-Infinity, Infinity).subtract(new Interval(0, 20, { stride: 2 })))).toEqual(["*--1", "1-19/2", "21-*"]);
+		});
+
+		test("combines with BigInt bounds", () => {
+			const interval = new Interval(9007199254740993n, Infinity);
+
+			expect(interval.step).toBe(1n);
+			expect(interval.merge(new Interval(-Infinity, 9007199254740992n)).toString()).toBe("*-*");
+			expect(strings(interval.subtract(new Interval(0n, 9007199254741000n, { stride: 2n })))).toEqual([
+				"9007199254740993-9007199254740993",
+				"9007199254740995-9007199254740999/2",
+				"9007199254741001-*",
+			]);
+			expect(strings(Interval.union([new Interval(-Infinity, 5n), new Interval(10n, 20n, { stride: 5n })]))).toEqual(["*-5", "10-20/5"]);
+		});
+
+		test("reads unbounded ends written by stringifyJSON", () => {
+			expect(Interval.fromObject({ start: "-inf", end: 3 }).toString()).toBe("*-3");
+			expect(Interval.fromObject({ start: 5, end: "inf" }).toString()).toBe("5-*");
+			expect(() => Interval.fromObject({ start: "inf", end: 3 })).toThrow("must be numbers");
+		});
+	});
+
+	describe("Allen Relations", () => {
+		const relate = (a, b, options = {}) => parseIntervalString(a, options).relation(parseIntervalString(b, options));
+
+		test("classifies every relation and its inverse", () => {
+			const pairs = [
+				["1-5", "7-9", "before", "after"],
+				["1-5", "6-9", "meets", "metBy"],
+				["1-5", "5-9", "overlaps", "overlappedBy"],
+				["1-5", "1-9", "starts", "startedBy"],
+				["3-5", "1-9", "during", "contains"],
+				["5-9", "1-9", "finishes", "finishedBy"],
+				["1-9", "1-9", "equals", "equals"],
+			];
+
+			pairs.forEach(([a, b, relation, inverse]) => {
+				expect(relate(a, b)).toBe(relation);
+				expect(relate(b, a)).toBe(inverse);
+				expect(ALLEN_RELATIONS[relation]).toBe(inverse);
+			});
+		});
+
+		test("respects open and closed bounds of continuous intervals", () => {
+			const options = { continuous: true };
+
+			expect(relate("[0,1)", "[1,2]", options)).toBe("meets");
+			expect(relate("[0,1]", "[1,2]", options)).toBe("overlaps");
+			expect(relate("[0,1)", "(1,2]", options)).toBe("before");
+			expect(relate("(0,1]", "[0,1]", options)).toBe("finishes");
+			expect(relate("[1,5)", "5-9")).toBe("meets");
+		});
+
+		test("relates unbounded, strided and single-value intervals", () => {
+			expect(relate("*-5", "*-9")).toBe("starts");
+			expect(relate("*-*", "3-4")).toBe("contains");
+			expect(relate("0-10/5", "11-20")).toBe("meets");
+			expect(relate("5-5", "5-9")).toBe("starts");
+			expect(relate("18446744073709551615-", "0-18446744073709551614", { bigint: true })).toBe("metBy");
+		});
+
+		test("checks relation sets", () => {
+			const [a, b] = [parseIntervalString("1-5"), parseIntervalString("6-9")];
+
+			expect(a.isRelated(b, ["before", "meets"])).toBe(true);
+			expect(a.isRelated(b, "before")).toBe(false);
+			expect(b.isRelated(a, "metBy")).toBe(true);
+			expect(() => a.isRelated(b, ["meets", "precedes"])).toThrow('Unknown interval relation "precedes"');
+		});
+
+		test("builds a pairwise relation matrix", () => {
+			const matrix = Interval.relationMatrix(["1-5", "6-9", "3-4"].map((s) => parseIntervalString(s)));
+
+			expect(matrix).toEqual([
+				["equals", "meets", "contains"],
+				["metBy", "equals", "after"],
+				["during", "before", "equals"],
+			]);
+			expect(Interval.relationMatrix([])).toEqual([]);
+		});
+	});
 });
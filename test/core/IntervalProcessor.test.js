@@ -1,6 +1,7 @@
-import { describe, test, expect } from "@jest/globals";
+import { describe, test, expect, jest } from "@jest/globals";
 import { IntervalProcessor } from "../../src/core/IntervalProcessor.js";
 import { Interval } from "../../src/core/Interval.js";
+import { parseIntervalString } from "../../src/utils/parsers.js";
 
 describe("IntervalProcessor", () => {
 	describe("Specification Examples", () => {
@@ -68,6 +69,173 @@ describe("IntervalProcessor", () => {
 		});
 	});
 
+	describe("Bracket Notation", () => {
+		test("processes half-open intervals preserving notation", () => {
+			const result = IntervalProcessor.process("[10,30), (40,50]", "[15,20)");
+
+			expect(result.formatted).toBe("[10,15), [20,30), (40,50]");
+			expect(result.intervals[0]).toEqual({ start: 10, end: 15, startOpen: false, endOpen: true });
+		});
+
+		test("merges adjacent half-open includes", () => {
+			const result = IntervalProcessor.process("[20,30), [10,20)", "");
+
+			expect(result.formatted).toBe("[10,30)");
+		});
+
+		test("does not merge intervals separated by an excluded bound", () => {
+			const result = IntervalProcessor.process("[10,20), (20,30]", "");
+
+			expect(result.formatted).toBe("[10,20), (20,30]");
+		});
+
+		test("subtracts open excludes from dash includes", () => {
+			const result = IntervalProcessor.process("10-100", "(19,31)");
+
+			expect(result.formatted).toBe("10-19, 31-100");
+		});
+	});
+
+	describe("BigInt Mode", () => {
+		test("processes values beyond Number.MAX_SAFE_INTEGER", () => {
+			const result = IntervalProcessor.process("9007199254740993-18446744073709551615", "10000000000000000000-10000000000000000099", {
+				bigint: true,
+			});
+
+			expect(result.formatted).toBe("9007199254740993-9999999999999999999, 10000000000000000100-18446744073709551615");
+			expect(result.intervals[1]).toEqual({ start: 10000000000000000100n, end: 18446744073709551615n });
+		});
+
+		test("accepts options with object input", () => {
+			const result = IntervalProcessor.process(
+				{ includes: ["1-99999999999999999999"], excludes: ["2-99999999999999999998"] },
+				{ bigint: true }
+			);
+
+			expect(result.formatted).toBe("1-1, 99999999999999999999-99999999999999999999");
+		});
+
+		test("reports an error for unsafe integers without the option", () => {
+			const result = IntervalProcessor.process("1-99999999999999999999", "");
+
+			expect(result.error).toContain("Invalid numbers");
+		});
+
+		test("evaluates expressions in BigInt mode", () => {
+			const result = IntervalProcessor.processExpression(
+				"a - b",
+				{ a: "0-18446744073709551615", b: "1-18446744073709551614" },
+				{ bigint: true }
+			);
+
+			expect(result.formatted).toBe("0-0, 18446744073709551615-18446744073709551615");
+		});
+
+		test("validates in BigInt mode", () => {
+			expect(IntervalProcessor.validate("1-99999999999999999999", "", { bigint: true })).toBe(true);
+			expect(IntervalProcessor.validate("1-99999999999999999999")).toBe(false);
+		});
+	});
+
+	describe("Continuous Mode", () => {
+		test("processes decimal sensor ranges", () => {
+			const result = IntervalProcessor.process("0.5-2.75", "1-1.5", { continuous: true });
+
+			expect(result.formatted).toBe("[0.5,1), (1.5,2.75]");
+			expect(result.intervals).toEqual([
+				{ start: 0.5, end: 1, startOpen: false, endOpen: true },
+				{ start: 1.5, end: 2.75, startOpen: true, endOpen: false },
+			]);
+		});
+
+		test("merges only intervals that touch", () => {
+			expect(IntervalProcessor.process("0-1, 1-2, 2.5-3", "", { continuous: true }).formatted).toBe("0-2, 2.5-3");
+			expect(IntervalProcessor.process("[0,1), (1,2]", "", { continuous: true }).formatted).toBe("[0,1), (1,2]");
+		});
+
+		test("subtracts an exclude spanning several includes", () => {
+			const result = IntervalProcessor.process("0-1, 2-3, 4-5", "0.5-4.5", { continuous: true });
+
+			expect(result.formatted).toBe("[0,0.5), (4.5,5]");
+		});
+
+		test("validates decimals only with the option", () => {
+			expect(IntervalProcessor.validate("0.5-2.75", "1-1.5", { continuous: true })).toBe(true);
+			expect(IntervalProcessor.validate("0.5-2.75", "1-1.5")).toBe(false);
+		});
+
+		test("evaluates expressions in continuous mode", () => {
+			const result = IntervalProcessor.processExpression("~a", { a: "1-2", b: "0-3" }, { continuous: true });
+
+			expect(result.formatted).toBe("[0,1), (2,3]");
+		});
+	});
+
+	describe("Time Mode", () => {
+		test("subtracts a maintenance window from a shift", () => {
+			const result = IntervalProcessor.process("2024-03-11T09:00+01:00/PT8H", "2024-03-11T12:00+01:00/PT1H", { time: true });
+
+			expect(result.formatted).toBe("2024-03-11T09:00:00+01:00/2024-03-11T12:00:00+01:00, 2024-03-11T13:00:00+01:00/2024-03-11T17:00:00+01:00");
+			expect(result.intervals[1]).toEqual({ start: "2024-03-11T13:00:00+01:00", end: "2024-03-11T17:00:00+01:00" });
+		});
+
+		test("merges back-to-back windows across time zones", () => {
+			const result = IntervalProcessor.process("2024-03-11T08:00Z/2024-03-11T10:00Z, 2024-03-11T11:00+01:00/PT2H", "", { time: true });
+
+			expect(result.formatted).toBe("2024-03-11T08:00:00Z/2024-03-11T12:00:00Z");
+		});
+
+		test("reports an error for malformed time intervals", () => {
+			const result = IntervalProcessor.process("2024-03-11T09:00Z", "", { time: true });
+
+			expect(result.error).toContain("Invalid time interval");
+		});
+	});
+
+	describe("IP Mode", () => {
+		test("subtracts ranges from CIDR blocks", () => {
+			const result = IntervalProcessor.process("10.0.0.0/8, 192.168.1.10-192.168.1.50", "10.1.0.0/16, 192.168.1.20", { ip: true });
+
+			expect(result.formatted).toBe("10.0.0.0-10.0.255.255, 10.2.0.0-10.255.255.255, 192.168.1.10-192.168.1.19, 192.168.1.21-192.168.1.50");
+			expect(result.intervals[0]).toEqual({ start: "10.0.0.0", end: "10.0.255.255" });
+		});
+
+		test("processes IPv6 ranges", () => {
+			const result = IntervalProcessor.process("2001:db8::/32", "2001:db8:8000::/33", { ip: true });
+
+			expect(result.formatted).toBe("2001:db8::-2001:db8:7fff:ffff:ffff:ffff:ffff:ffff");
+		});
+
+		test("writes the result as CIDR blocks", () => {
+			const result = IntervalProcessor.process("10.0.0.0/8", "10.0.0.0/9", { ip: true, cidr: true });
+
+			expect(result.formatted).toBe("10.128.0.0/9");
+			expect(result.cidrs).toEqual(["10.128.0.0/9"]);
+		});
+	});
+
+	describe("Process Expression", () => {
+		test("evaluates a set expression", () => {
+			const result = IntervalProcessor.processExpression("(a | b) - c", { a: "10-100", b: ["200-300"], c: "20-30" });
+
+			expect(result.formatted).toBe("10-19, 31-100, 200-300");
+			expect(result.intervals).toHaveLength(3);
+		});
+
+		test("returns an error result for malformed expressions", () => {
+			const result = IntervalProcessor.processExpression("a | (b", { a: "10-100", b: "200-300" });
+
+			expect(result.intervals).toHaveLength(0);
+			expect(result.error).toBe('Unclosed "(" at position 5');
+		});
+
+		test("returns (none) for empty results", () => {
+			const result = IntervalProcessor.processExpression("a & b", { a: "10-20", b: "30-40" });
+
+			expect(result.formatted).toBe("(none)");
+		});
+	});
+
 	describe("Merge Intervals", () => {
 		test("merges overlapping intervals", () => {
 			const intervals = [new Interval(10, 30), new Interval(20, 50), new Interval(60, 80)];
@@ -104,6 +272,119 @@ describe("IntervalProcessor", () => {
 		});
 	});
 
+	describe("Payloads", () => {
+		const labelled = (start, end, label) => new Interval(start, end, { data: { label } });
+
+		test("keeps the first payload of merged intervals by default", () => {
+			const merged = IntervalProcessor.mergeIntervals([labelled(20, 50, "b"), labelled(10, 30, "a"), new Interval(60, 80)]);
+
+			expect(merged.map((i) => i.toJSON())).toEqual([
+				{ start: 10, end: 50, data: { label: "a" } },
+				{ start: 60, end: 80 },
+			]);
+		});
+
+		test("collects all payloads", () => {
+			const merged = IntervalProcessor.mergeIntervals(
+				[labelled(10, 30, "a"), new Interval(25, 35), labelled(31, 40, "b"), labelled(60, 80, "c")],
+				"all"
+			);
+
+			expect(merged.map((i) => i.data)).toEqual([[{ label: "a" }, { label: "b" }], [{ label: "c" }]]);
+		});
+
+		test("combines payloads with a custom reducer", () => {
+			const merged = IntervalProcessor.mergeIntervals([labelled(10, 30, "a"), labelled(20, 40, "b")], (a, b) => ({
+				label: `${a.label}+${b.label}`,
+			}));
+
+			expect(merged[0].data).toEqual({ label: "a+b" });
+		});
+
+		test("rejects unknown strategies", () => {
+			expect(() => IntervalProcessor.mergeIntervals([], "last")).toThrow('Unknown payload merge strategy "last"');
+		});
+
+		test("keeps the payload on subtraction fragments", () => {
+			const result = IntervalProcessor.process({
+				includes: [{ range: "10-100", data: { id: 1 } }],
+				excludes: ["20-30", { range: "50-60", data: { id: 2 } }],
+			});
+
+			expect(result.intervals).toEqual([
+				{ start: 10, end: 19, data: { id: 1 } },
+				{ start: 31, end: 49, data: { id: 1 } },
+				{ start: 61, end: 100, data: { id: 1 } },
+			]);
+		});
+
+		test("applies the mergeData option", () => {
+			const includes = [
+				{ range: "10-20", data: "a" },
+				{ range: "15-30", data: "b" },
+			];
+
+			expect(IntervalProcessor.process({ includes }, { mergeData: "all" }).intervals).toEqual([{ start: 10, end: 30, data: ["a", "b"] }]);
+		});
+	});
+
+	describe("Merge Gap and Minimum Length", () => {
+		test("bridges gaps of at most mergeGap missing integers", () => {
+			const merged = IntervalProcessor.mergeIntervals([new Interval(1, 5), new Interval(8, 10), new Interval(14, 20)], "first", 2);
+
+			expect(merged.map((i) => i.toString())).toEqual(["1-10", "14-20"]);
+		});
+
+		test("measures continuous gaps as the distance between bounds", () => {
+			const intervals = [new Interval(0, 1.5, { continuous: true, endOpen: true }), new Interval(2, 3, { continuous: true, endOpen: true })];
+
+			expect(IntervalProcessor.mergeIntervals(intervals, "first", 0.5).map((i) => i.toString())).toEqual(["[0,3)"]);
+			expect(IntervalProcessor.mergeIntervals(intervals, "first", 0.4)).toHaveLength(2);
+		});
+
+		test("combines the payloads of bridged intervals", () => {
+			const result = IntervalProcessor.process(
+				{
+					includes: [
+						{ range: "1-5", data: "a" },
+						{ range: "7-9", data: "b" },
+					],
+				},
+				{ mergeData: "all", mergeGap: 1 }
+			);
+
+			expect(result.intervals).toEqual([{ start: 1, end: 9, data: ["a", "b"] }]);
+		});
+
+		test("reports bridged gaps and dropped fragments", () => {
+			const result = IntervalProcessor.process("1-5, 8-10, 12-12, 20-30", "22-28", { mergeGap: 2, minLength: 3 });
+
+			expect(result.formatted).toBe("1-12");
+			expect(result.gapsBridged).toBe(2);
+			expect(result.fragmentsDropped).toBe(2);
+		});
+
+		test("only reports the counts for the options given", () => {
+			const result = IntervalProcessor.process("1-5, 8-10", "", { minLength: 4 });
+
+			expect(result.formatted).toBe("1-5");
+			expect(result).not.toHaveProperty("gapsBridged");
+			expect(result.fragmentsDropped).toBe(1);
+		});
+
+		test("accepts ISO 8601 durations in time mode", () => {
+			const result = IntervalProcessor.process("2024-01-01T00:00Z/PT1H, 2024-01-01T01:03Z/PT1H", "", { time: true, mergeGap: "PT5M" });
+
+			expect(result.formatted).toBe("2024-01-01T00:00:00Z/2024-01-01T02:03:00Z");
+			expect(result.gapsBridged).toBe(1);
+		});
+
+		test("returns an error for invalid sizes", () => {
+			expect(IntervalProcessor.process("1-5", "", { mergeGap: "-1" }).error).toContain('Invalid merge gap: "-1"');
+			expect(IntervalProcessor.process("1-5", "", { minLength: "abc" }).error).toContain('Invalid minimum length: "abc"');
+		});
+	});
+
 	describe("Subtract Intervals", () => {
 		test("subtracts multiple excludes", () => {
 			const includes = [new Interval(10, 100)];
@@ -140,6 +421,305 @@ describe("IntervalProcessor", () => {
 
 			expect(result).toEqual(includes);
 		});
+
+		test("handles an exclude spanning several includes", () => {
+			const includes = [new Interval(10, 20), new Interval(30, 40), new Interval(50, 60)];
+			const excludes = [new Interval(55, 58), new Interval(15, 52)];
+			const result = IntervalProcessor.subtractIntervals(includes, excludes);
+
+			expect(result.map((i) => i.toString())).toEqual(["10-14", "53-54", "59-60"]);
+		});
+
+		test("handles a wide exclude followed by nested excludes", () => {
+			const includes = [new Interval(0, 100), new Interval(200, 300)];
+			const excludes = [new Interval(10, 250), new Interval(20, 30), new Interval(260, 270)];
+			const result = IntervalProcessor.subtractIntervals(includes, excludes);
+
+			expect(result.map((i) => i.toString())).toEqual(["0-9", "251-259", "271-300"]);
+		});
+
+		test("keeps untouched includes as-is", () => {
+			const includes = [new Interval(10, 20), new Interval(30, 40)];
+			const excludes = [new Interval(25, 27)];
+			const result = IntervalProcessor.subtractIntervals(includes, excludes);
+
+			expect(result).toEqual(includes);
+		});
+	});
+
+	describe("Strided Intervals", () => {
+		test("processes strided includes and excludes", () => {
+			expect(IntervalProcessor.process("10-50/5, 55-100/5", "50-60")).toEqual({
+				intervals: [
+					{ start: 10, end: 45, stride: 5 },
+					{ start: 65, end: 100, stride: 5 },
+				],
+				formatted: "10-45/5, 65-100/5",
+			});
+			expect(IntervalProcessor.process("0-20", "0-20/2").formatted).toBe("1-19/2");
+			expect(IntervalProcessor.process("0-20", "0-20/5").formatted).toBe("1-4, 6-9, 11-14, 16-19");
+		});
+
+		test("merges strided intervals into as few intervals as possible", () => {
+			const intervals = ["55-100/5", "10-50/5", "200-210", "205-230/10", "300-310/2", "301-311/2"].map((str) => parseIntervalString(str));
+
+			expect(IntervalProcessor.mergeIntervals(intervals).map((i) => i.toString())).toEqual(["10-100/5", "200-210", "215-225/10", "300-311"]);
+		});
+
+		test("gives every piece of a merged group the combined payload", () => {
+			const intervals = [new Interval(0, 10, { stride: 2, data: "a" }), new Interval(5, 9, { data: "b" })];
+
+			expect(IntervalProcessor.mergeIntervals(intervals, "all").map((i) => i.toJSON())).toEqual([
+				{ start: 0, end: 4, stride: 2, data: ["a", "b"] },
+				{ start: 5, end: 10, data: ["a", "b"] },
+			]);
+		});
+
+		test("keeps includes with large differing strides strided", () => {
+			expect(IntervalProcessor.process("0-1000000/2, 1-1000000/3").formatted).toBe("0-1000000/2, 1-999997/6");
+			expect(IntervalProcessor.process("0-100000000/2, 1-100000000/3", "50-99999950").formatted).toBe(
+				"0-48/2, 1-49/6, 99999952-100000000/2, 99999955-99999997/6"
+			);
+			expect(IntervalProcessor.process("10-100/5, 12-100/5", "50-50").formatted).toBe("10-45/5, 12-97/5, 55-100/5");
+			expect(IntervalProcessor.process("0-100000000/10007, 1-100000000/10009").error).toMatch("Cannot unite overlapping progressions");
+		});
+
+		test("applies every earlier strided exclude to later includes", () => {
+			const includes = [new Interval(0, 10), new Interval(20, 30)];
+			const excludes = [new Interval(0, 30, { stride: 3 }), new Interval(2, 22)];
+			const result = IntervalProcessor.subtractIntervals(includes, excludes);
+
+			expect(result.map((i) => i.toString())).toEqual(["1-1", "23-23", "25-26", "28-29"]);
+		});
+	});
+
+	describe("Explain", () => {
+		const lineageOf = (includes, excludes, options = {}) =>
+			IntervalProcessor.process(includes, excludes, { ...options, explain: true }).lineage.map(({ formatted, includes, excludes }) => [
+				formatted,
+				includes,
+				excludes,
+			]);
+
+		test("records the includes and excludes of every result interval", () => {
+			const result = IntervalProcessor.process("10-100", "20-30", { explain: true });
+
+			expect(result.lineage).toEqual([
+				{ interval: { start: 10, end: 19 }, formatted: "10-19", includes: [0], excludes: [0] },
+				{ interval: { start: 31, end: 100 }, formatted: "31-100", includes: [0], excludes: [0] },
+			]);
+			expect(IntervalProcessor.process("10-100", "20-30").lineage).toBeUndefined();
+		});
+
+		test("lists only the includes and excludes next to each fragment", () => {
+			expect(lineageOf("10-50, 40-100, 200-300", "20-30, 25-35, 60-60, 250-400, 500-600")).toEqual([
+				["10-19", [0], [0]],
+				["36-59", [0, 1], [1, 2]],
+				["61-100", [1], [2]],
+				["200-249", [2], [3]],
+			]);
+			expect(lineageOf("0-100", "0-100/50, 1-49")).toEqual([["51-99", [0], [0]]]);
+			expect(lineageOf("10-20", "0-9, 21-30")).toEqual([["10-20", [0], []]]);
+		});
+
+		test("traces strided, continuous and unbounded results", () => {
+			expect(lineageOf("0-20", "0-20/2")).toEqual([["1-19/2", [0], [0]]]);
+			expect(lineageOf("[0,1), [0.5,2]", "[0.7,0.8), (1.5,3]", { continuous: true })).toEqual([
+				["[0,0.7)", [0, 1], [0]],
+				["[0.8,1.5]", [0, 1], [0, 1]],
+			]);
+			expect(lineageOf("*-100, 200-", "50-60")).toEqual([
+				["*-49", [0], [0]],
+				["61-100", [0], [0]],
+				["200-*", [1], []],
+			]);
+		});
+
+		test("numbers entries as given, with gaps bridged and wrap-around entries counted once", () => {
+			expect(lineageOf("1-5, 8-10, 20-30", "22-28", { mergeGap: 2, minLength: 3 })).toEqual([["1-10", [0, 1], []]]);
+			expect(lineageOf("22-2, 1-5", "23-23", { modulo: 24 })).toEqual([
+				["0-5", [0, 1], []],
+				["22-22", [0], [0]],
+			]);
+			expect(IntervalProcessor.process("", "1-2", { explain: true }).lineage).toEqual([]);
+		});
+	});
+
+	describe("Unbounded Intervals", () => {
+		test("processes open-ended includes and excludes", () => {
+			expect(IntervalProcessor.process("*-100, 200-", "50-60, 300-400")).toEqual({
+				intervals: [
+					{ start: -Infinity, end: 49 },
+					{ start: 61, end: 100 },
+					{ start: 200, end: 299 },
+					{ start: 401, end: Infinity },
+				],
+				formatted: "*-49, 61-100, 200-299, 401-*",
+			});
+			expect(IntervalProcessor.process("0-100", "*-10, 90-").formatted).toBe("11-89");
+			expect(IntervalProcessor.process("1000-", "1000-18446744073709551615", { bigint: true }).formatted).toBe("18446744073709551616-*");
+		});
+
+		test("merges unbounded intervals with gaps and minimum lengths", () => {
+			expect(IntervalProcessor.process("*-10, 13-20, 30-", "", { mergeGap: 2, minLength: 100 })).toEqual({
+				intervals: [
+					{ start: -Infinity, end: 20 },
+					{ start: 30, end: Infinity },
+				],
+				formatted: "*-20, 30-*",
+				gapsBridged: 1,
+				fragmentsDropped: 0,
+			});
+		});
+	});
+
+	describe("Modular Domains", () => {
+		test("merges and subtracts across the seam", () => {
+			expect(IntervalProcessor.process("22-2, 10-12", "", { modulo: 24 }).formatted).toBe("10-12, 22-2");
+			expect(IntervalProcessor.process("22-2, 1-5", "23-23", { modulo: 24 })).toEqual({
+				intervals: [
+					{ start: 0, end: 5 },
+					{ start: 22, end: 22 },
+				],
+				formatted: "0-5, 22-22",
+			});
+			expect(IntervalProcessor.process("[350,10]", "[355,5)", { continuous: true, modulo: 360 }).formatted).toBe("[5,10], [350,355)");
+		});
+
+		test("bridges the gap across the seam", () => {
+			expect(IntervalProcessor.process("20-22, 1-3", "", { modulo: 24, mergeGap: 2 })).toEqual({
+				intervals: [
+					{ start: 0, end: 3 },
+					{ start: 20, end: 23 },
+				],
+				formatted: "20-3",
+				gapsBridged: 1,
+			});
+			expect(IntervalProcessor.process("3-20", "", { modulo: 24, mergeGap: 6 }).formatted).toBe("0-23");
+		});
+
+		test("measures wrap-around results as one interval", () => {
+			expect(IntervalProcessor.process("22-1, 10-11", "", { modulo: 24, minLength: 3 })).toEqual({
+				intervals: [
+					{ start: 0, end: 1 },
+					{ start: 22, end: 23 },
+				],
+				formatted: "22-1",
+				fragmentsDropped: 1,
+			});
+		});
+	});
+
+	describe("Gaps", () => {
+		test("lists the gaps between the used ranges with their sizes", () => {
+			const result = IntervalProcessor.gaps("10-20, 15-30, 40-50, 52-60, 61-70");
+
+			expect(result.domain).toBe("10-70");
+			expect(result.formatted).toBe("31-39, 51-51");
+			expect(result.gaps).toEqual([
+				{ interval: { start: 31, end: 39 }, formatted: "31-39", size: 9 },
+				{ interval: { start: 51, end: 51 }, formatted: "51-51", size: 1 },
+			]);
+			expect(result.totalSize).toBe(10);
+		});
+
+		test("finds the free ranges of a domain, largest first", () => {
+			const used = [new Interval(22, 80), new Interval(443, 8080), new Interval(9000, 9100)];
+
+			expect(IntervalProcessor.gaps(used, { domain: "0-65535" }).formatted).toBe("0-21, 81-442, 8081-8999, 9101-65535");
+			expect(IntervalProcessor.gaps(used, { domain: "0-65535", sort: "size" }).formatted).toBe("9101-65535, 8081-8999, 81-442, 0-21");
+			expect(IntervalProcessor.gaps(used, { domain: new Interval(0, 65535), largest: 2 }).formatted).toBe("9101-65535, 8081-8999");
+
+			const largest = IntervalProcessor.gaps(used, { domain: "0-65535", largest: 2, sort: "position" });
+
+			expect(largest.formatted).toBe("8081-8999, 9101-65535");
+			expect(largest.totalSize).toBe(57738);
+		});
+
+		test("measures gaps in every mode", () => {
+			expect(IntervalProcessor.gaps("[0,1), [2,3]", { continuous: true, domain: "[0,5)" }).formatted).toBe("[1,2), (3,5)");
+			expect(IntervalProcessor.gaps("10-20", { domain: "*-*" }).gaps.map(({ size }) => size)).toEqual([Infinity, Infinity]);
+			expect(IntervalProcessor.gaps("0-10/2", { domain: "0-12" }).formatted).toBe("1-9/2, 11-12");
+			expect(IntervalProcessor.gaps("10.0.0.0/24", { ip: true, domain: "10.0.0.0/16" }).totalSize).toBe(65280n);
+			expect(IntervalProcessor.gaps("2024-03-11T09:00Z/PT1H, 2024-03-11T12:00Z/PT1H", { time: true }).gaps.map(({ size }) => size)).toEqual([
+				7200000,
+			]);
+		});
+
+		test("handles empty input and rejects invalid options", () => {
+			expect(IntervalProcessor.gaps("", { domain: "0-9" }).formatted).toBe("0-9");
+			expect(IntervalProcessor.gaps("")).toMatchObject({ domain: "(none)", formatted: "(none)", totalSize: 0 });
+			expect(IntervalProcessor.gaps("1-5", { domain: "1-2,5-6" }).error).toBe('Invalid domain "1-2,5-6": expected a single interval, got 2');
+			expect(IntervalProcessor.gaps("1-5", { sort: "length" }).error).toContain('Unknown gap sort order "length"');
+			expect(IntervalProcessor.gaps("1-5", { largest: 0 }).error).toContain("Invalid number of gaps");
+			expect(IntervalProcessor.gaps("1-5", { modulo: 24 }).error).toContain("modular domain");
+		});
+	});
+
+	describe("Chunks and Shards", () => {
+		const sizes = (parts) => parts.map(({ size }) => size);
+
+		test("splits the result into chunks of at most a given size", () => {
+			const result = IntervalProcessor.process("10-100", "20-30", { chunkSize: 25 });
+
+			expect(result.shards.map(({ formatted }) => formatted)).toEqual(["10-19, 31-45", "46-70", "71-95", "96-100"]);
+			expect(sizes(result.shards)).toEqual([25, 25, 25, 5]);
+			expect(result.shards[0].intervals).toEqual([
+				{ start: 10, end: 19 },
+				{ start: 31, end: 45 },
+			]);
+			expect(IntervalProcessor.process("", "", { chunkSize: 2 }).shards).toEqual([]);
+		});
+
+		test("splits the result into balanced shards", () => {
+			expect(IntervalProcessor.process("10-100", "20-30", { shards: 4 }).shards.map(({ formatted }) => formatted)).toEqual([
+				"10-19, 31-40",
+				"41-60",
+				"61-80",
+				"81-100",
+			]);
+			expect(sizes(IntervalProcessor.process("10-100", "20-30", { shards: "3" }).shards)).toEqual([27, 27, 26]);
+			expect(sizes(IntervalProcessor.process("1-3", "", { shards: 5 }).shards)).toEqual([1, 1, 1, 0, 0]);
+			expect(IntervalProcessor.processExpression("a - b", { a: "0-99", b: "40-59" }, { shards: 2 }).shards[1].formatted).toBe("60-99");
+		});
+
+		test("cuts continuous, strided, IP and time intervals exactly", () => {
+			const continuous = IntervalProcessor.process("[0,10]", "(4,5)", { continuous: true, chunkSize: "2.5" });
+
+			expect(continuous.shards.map(({ formatted }) => formatted)).toEqual(["[0,2.5)", "[2.5,4], [5,6)", "[6,8.5)", "[8.5,10]"]);
+			expect(IntervalProcessor.process("0-100/10", "", { chunkSize: 4 }).shards.map(({ formatted }) => formatted)).toEqual([
+				"0-30/10",
+				"40-70/10",
+				"80-100/10",
+			]);
+			expect(
+				IntervalProcessor.process("10.0.0.0/24", "", { ip: true, cidr: true, shards: 2 }).shards.map(({ formatted }) => formatted)
+			).toEqual(["10.0.0.0/25", "10.0.0.128/25"]);
+			expect(
+				sizes(IntervalProcessor.process("2024-03-11T09:00Z/PT8H", "2024-03-11T12:00Z/PT1H", { time: true, chunkSize: "PT3H" }).shards)
+			).toEqual([10800000, 10800000, 3600000]);
+			expect(sizes(IntervalProcessor.process("9007199254740993-9007199254741000", "", { bigint: true, shards: 3 }).shards)).toEqual([
+				3n,
+				3n,
+				2n,
+			]);
+		});
+
+		test("works on intervals directly", () => {
+			const intervals = [new Interval(0, 9), new Interval(20, 29)];
+
+			expect(IntervalProcessor.chunkIntervals(intervals, 15).map((part) => part.map(String))).toEqual([["0-9", "20-24"], ["25-29"]]);
+			expect(IntervalProcessor.shardIntervals(intervals, 2).map((part) => part.map(String))).toEqual([["0-9"], ["20-29"]]);
+			expect(IntervalProcessor.shardIntervals([], 2)).toEqual([[], []]);
+		});
+
+		test("rejects invalid sizes, unbounded results and conflicting options", () => {
+			expect(IntervalProcessor.process("1-10", "", { chunkSize: 2.5 }).error).toContain('Invalid chunk size: "2.5"');
+			expect(IntervalProcessor.process("1-10", "", { chunkSize: 0 }).error).toContain("Invalid chunk size");
+			expect(IntervalProcessor.process("1-10", "", { shards: 0 }).error).toContain("Invalid number of shards");
+			expect(IntervalProcessor.process("1-", "", { shards: 2 }).error).toBe("Cannot split unbounded interval 1-* into parts of finite size");
+			expect(IntervalProcessor.process("1-10", "", { shards: 2, chunkSize: 3 }).error).toContain("cannot be combined");
+		});
 	});
 
 	describe("Validation", () => {
@@ -196,5 +776,40 @@ describe("IntervalProcessor", () => {
 			expect(duration).toBeLessThan(1000); // Should complete within 1 second
 			expect(result.intervals.length).toBeGreaterThan(0);
 		});
+
+		test("handles many excludes inside one wide include efficiently", () => {
+			const includes = [new Interval(0, 10000000)];
+			const excludes = Array.from({ length: 100000 }, (_, i) => new Interval(i * 100 + 10, i * 100 + 20));
+			const overlaps = jest.spyOn(Interval.prototype, "overlaps");
+			const result = IntervalProcessor.subtractIntervals(includes, excludes);
+			const checks = overlaps.mock.calls.length;
+
+			overlaps.mockRestore();
+			// Counting overlap checks rather than timing keeps the test independent of machine load
+			expect(checks).toBeLessThanOrEqual(3 * excludes.length);
+			expect(result).toHaveLength(100001);
+			expect(result[0].toString()).toBe("0-9");
+			expect(result[100000].toString()).toBe("9999921-10000000");
+		});
+
+		test("stays linear when excludes overlap heavily", () => {
+			const includes = Array.from({ length: 50000 }, (_, i) => new Interval(i * 10, i * 10 + 1));
+			const excludes = Array.from({ length: 50000 }, (_, i) => new Interval(i * 10 + 1, 1e9));
+			const overlaps = jest.spyOn(Interval.prototype, "overlaps");
+			const result = IntervalProcessor.subtractIntervals(includes, excludes);
+			const checks = overlaps.mock.calls.length;
+
+			overlaps.mockRestore();
+			// Each exclude is checked against a bounded number of parts, so the checks grow linearly
+			expect(checks).toBeLessThanOrEqual(3 * excludes.length);
+			expect(result.map(String)).toEqual(["0-0"]);
+		});
+
+		test("keeps strided excludes that still reach later includes", () => {
+			const includes = [new Interval(0, 5), new Interval(10, 20)];
+			const excludes = [new Interval(0, 4, { stride: 2 }), new Interval(1, 3), new Interval(4, 30, { stride: 2 })];
+
+			expect(IntervalProcessor.subtractIntervals(includes, excludes).map(String)).toEqual(["5-5", "11-19/2"]);
+		});
 	});
 });
@@ -0,0 +1,189 @@
+import { describe, test, expect } from "@jest/globals";
+import { IntervalSet } from "../../src/core/IntervalSet.js";
+import { Interval } from "../../src/core/Interval.js";
+
+describe("IntervalSet", () => {
+	describe("Construction", () => {
+		test("normalizes intervals (sorted and merged)", () => {
+			const set = new IntervalSet([new Interval(50, 60), new Interval(10, 20), new Interval(21, 30), new Interval(55, 70)]);
+
+			expect(set.toString()).toBe("10-30, 50-70");
+		});
+
+		test("creates from string input", () => {
+			expect(IntervalSet.from("200-300, 10-100").toString()).toBe("10-100, 200-300");
+		});
+
+		test("creates from a single interval", () => {
+			expect(IntervalSet.from(new Interval(5, 10)).toString()).toBe("5-10");
+		});
+
+		test("returns the same instance for an existing set", () => {
+			const set = IntervalSet.from("10-20");
+
+			expect(IntervalSet.from(set)).toBe(set);
+		});
+
+		test("creates an empty set", () => {
+			const set = IntervalSet.empty();
+
+			expect(set.isEmpty()).toBe(true);
+			expect(set.toString()).toBe("(none)");
+		});
+
+		test("is immutable", () => {
+			const set = IntervalSet.from("10-20");
+
+			expect(Object.isFrozen(set)).toBe(true);
+			expect(Object.isFrozen(set.intervals)).toBe(true);
+			expect(() => set.intervals.push(new Interval(30, 40))).toThrow();
+		});
+
+		test("throws on invalid string input", () => {
+			expect(() => IntervalSet.from("invalid")).toThrow("Error parsing interval 1");
+		});
+	});
+
+	describe("Set Operations", () => {
+		const a = IntervalSet.from("10-100, 200-300");
+		const b = IntervalSet.from("50-250");
+
+		test("computes union", () => {
+			expect(a.union(b).toString()).toBe("10-300");
+		});
+
+		test("computes intersection", () => {
+			expect(a.intersect(b).toString()).toBe("50-100, 200-250");
+		});
+
+		test("computes the complement within the whole line", () => {
+			expect(a.complement().toString()).toBe("*-9, 101-199, 301-*");
+			expect(a.complement().complement().equals(a)).toBe(true);
+			expect(IntervalSet.empty().complement().toString()).toBe("*-*");
+			expect(IntervalSet.from("[0,1)", { continuous: true }).complement().toString()).toBe("(-inf,0), 1-*");
+			expect(IntervalSet.evaluate("~a", { a: "10-20" }, { domain: "*-*" }).toString()).toBe("*-9, 21-*");
+		});
+
+		test("computes difference", () => {
+			expect(a.difference(b).toString()).toBe("10-49, 251-300");
+			expect(b.difference(a).toString()).toBe("101-199");
+		});
+
+		test("computes symmetric difference", () => {
+			expect(a.symmetricDifference(b).toString()).toBe("10-49, 101-199, 251-300");
+		});
+
+		test("computes complement within a domain", () => {
+			expect(a.complement(new Interval(0, 400)).toString()).toBe("0-9, 101-199, 301-400");
+		});
+
+		test("accepts string operands", () => {
+			expect(a.difference("20-30").toString()).toBe("10-19, 31-100, 200-300");
+		});
+
+		test("does not modify operands", () => {
+			a.union(b);
+			a.difference(b);
+
+			expect(a.toString()).toBe("10-100, 200-300");
+			expect(b.toString()).toBe("50-250");
+		});
+
+		test("handles empty operands", () => {
+			const empty = IntervalSet.empty();
+
+			expect(a.union(empty).equals(a)).toBe(true);
+			expect(a.intersect(empty).isEmpty()).toBe(true);
+			expect(empty.difference(a).isEmpty()).toBe(true);
+			expect(empty.complement("1-5").toString()).toBe("1-5");
+		});
+	});
+
+	describe("Comparisons", () => {
+		test("compares equality by coverage", () => {
+			expect(IntervalSet.from("10-20, 21-30").equals("10-30")).toBe(true);
+			expect(IntervalSet.from("10-20").equals("10-21")).toBe(false);
+		});
+
+		test("checks subset relation", () => {
+			expect(IntervalSet.from("20-30, 60-70").isSubsetOf("10-100")).toBe(true);
+			expect(IntervalSet.from("20-30, 60-170").isSubsetOf("10-100")).toBe(false);
+			expect(IntervalSet.empty().isSubsetOf("10-100")).toBe(true);
+		});
+
+		test("checks disjointness", () => {
+			expect(IntervalSet.from("10-20").isDisjointFrom("21-30")).toBe(true);
+			expect(IntervalSet.from("10-20").isDisjointFrom("20-30")).toBe(false);
+		});
+	});
+
+	describe("Serialization", () => {
+		test("converts to JSON", () => {
+			expect(IntervalSet.from("10-20, 30-40").toJSON()).toEqual([
+				{ start: 10, end: 20 },
+				{ start: 30, end: 40 },
+			]);
+		});
+	});
+
+	describe("Continuous Mode", () => {
+		const options = { continuous: true };
+
+		test("applies set algebra to real-valued intervals", () => {
+			const a = IntervalSet.from("0-2.5", options);
+			const b = IntervalSet.from("(1,4]", options);
+
+			expect(a.intersect(b).toString()).toBe("(1,2.5]");
+			expect(a.difference(b).toString()).toBe("0-1");
+			expect(a.symmetricDifference(b).toString()).toBe("0-1, (2.5,4]");
+			expect(a.union(b).toString()).toBe("0-4");
+		});
+
+		test("compares sets including their open bounds", () => {
+			expect(IntervalSet.from("[0,1)", options).equals(IntervalSet.from("0-1", options))).toBe(false);
+			expect(IntervalSet.from("[0,0.5), [0.5,1)", options).equals(IntervalSet.from("[0,1)", options))).toBe(true);
+		});
+	});
+
+	describe("Expression Evaluation", () => {
+		const sets = {
+			weekdays: "1-5, 8-12",
+			holidays: "6-7",
+			outages: "3-4",
+			coverage: "1-10",
+		};
+
+		test("evaluates operators over named sets", () => {
+			expect(IntervalSet.evaluate("weekdays | holidays", sets).toString()).toBe("1-12");
+			expect(IntervalSet.evaluate("weekdays & coverage", sets).toString()).toBe("1-5, 8-10");
+			expect(IntervalSet.evaluate("weekdays - outages", sets).toString()).toBe("1-2, 5-5, 8-12");
+			expect(IntervalSet.evaluate("weekdays ^ coverage", sets).toString()).toBe("6-7, 11-12");
+		});
+
+		test("evaluates with precedence and parentheses", () => {
+			expect(IntervalSet.evaluate("(weekdays | holidays) - outages & coverage", sets).toString()).toBe("1-2, 5-10");
+			expect(IntervalSet.evaluate("weekdays | holidays - outages", sets).toString()).toBe("1-12");
+		});
+
+		test("complements within the span of all sets by default", () => {
+			expect(IntervalSet.evaluate("~weekdays", sets).toString()).toBe("6-7");
+		});
+
+		test("complements within an explicit domain", () => {
+			expect(IntervalSet.evaluate("~holidays", sets, { domain: "0-20" }).toString()).toBe("0-5, 8-20");
+		});
+
+		test("accepts parsed sets", () => {
+			expect(IntervalSet.evaluate("a - b", { a: IntervalSet.from("10-20"), b: [new Interval(15, 30)] }).toString()).toBe("10-14");
+		});
+
+		test("takes the complement within a modular domain", () => {
+			expect(IntervalSet.evaluate("~night", { night: "22-6" }, { modulo: 24 }).toString()).toBe("7-21");
+			expect(IntervalSet.evaluate("~day", { day: "7-21" }, { modulo: 24 }).toString()).toBe("0-6, 22-23");
+		});
+
+		test("rejects unknown sets with position", () => {
+			expect(() => IntervalSet.evaluate("weekdays | missing", sets)).toThrow('Unknown set "missing" at position 12');
+		});
+	});
+});
@@ -0,0 +1,176 @@
+import { describe, test, expect, jest } from "@jest/globals";
+import { IntervalStream } from "../../src/core/IntervalStream.js";
+import { IntervalProcessor } from "../../src/core/IntervalProcessor.js";
+import { Interval } from "../../src/core/Interval.js";
+
+/**
+ * Collect an async iterable into an array of intervals.
+ */
+const collectIntervals = async (stream) => {
+	const result = [];
+
+	for await (const interval of stream) {
+		result.push(interval);
+	}
+	return result;
+};
+
+/**
+ * Collect an async iterable into an array of interval strings.
+ */
+const collect = async (stream) => (await collectIntervals(stream)).map((interval) => interval.toString());
+
+/**
+ * Yield the given items asynchronously, as a file or network stream would.
+ */
+async function* asyncOf(items) {
+	for (const item of items) {
+		await Promise.resolve();
+		yield item;
+	}
+}
+
+describe("IntervalStream", () => {
+	describe("Process", () => {
+		test("merges and subtracts sorted streams", async () => {
+			const result = await collect(IntervalStream.process(asyncOf(["10-20", "15-30", "40-50", "51-60"]), asyncOf(["12-13", "25-45"])));
+
+			expect(result).toEqual(["10-11", "14-24", "46-60"]);
+		});
+
+		test("accepts intervals, payload entries and plain iterables", async () => {
+			const includes = [new Interval(10, 20), { range: "15-30", data: "a" }];
+			const [result] = await collectIntervals(IntervalStream.process(includes, []));
+
+			expect(result.toString()).toBe("10-30");
+			expect(result.data).toBe("a");
+		});
+
+		test("lets an exclude cover several includes", async () => {
+			expect(await collect(IntervalStream.process(["0-5", "10-15", "20-25"], ["3-22"]))).toEqual(["0-2", "23-25"]);
+		});
+
+		test("matches IntervalProcessor.process on random sorted input", async () => {
+			let seed = 7;
+			const next = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+			const randomIntervals = (count) =>
+				Array.from({ length: count }, () => {
+					const start = Math.floor(next() * 5000);
+
+					return new Interval(start, start + Math.floor(next() * 100));
+				}).sort(Interval.compare);
+			const includes = randomIntervals(300);
+			const excludes = randomIntervals(200);
+			const expected = IntervalProcessor.subtractIntervals(IntervalProcessor.mergeIntervals(includes), excludes).map((i) => i.toString());
+
+			expect(await collect(IntervalStream.process(asyncOf(includes), asyncOf(excludes)))).toEqual(expected);
+		});
+
+		test("matches IntervalProcessor.process on random strided input, in the same order", async () => {
+			let seed = 11;
+			const next = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+			const randomIntervals = (count) =>
+				Array.from({ length: count }, () => {
+					const start = Math.floor(next() * 200);
+					const stride = Math.floor(next() * 4) + 1;
+
+					return new Interval(start, start + Math.floor(next() * 30), { stride });
+				}).sort(Interval.compare);
+
+			for (let round = 0; round < 50; round++) {
+				const includes = randomIntervals(20);
+				const excludes = randomIntervals(10);
+				const expected = IntervalProcessor.subtractIntervals(IntervalProcessor.mergeIntervals(includes), excludes).map((i) => i.toString());
+
+				expect(await collect(IntervalStream.process(asyncOf(includes), asyncOf(excludes)))).toEqual(expected);
+			}
+		});
+
+		test("supports continuous mode", async () => {
+			expect(await collect(IntervalStream.process(["0-1", "[1,2.5)"], ["0.5-0.75"], { continuous: true }))).toEqual(["[0,0.5)", "(0.75,2.5)"]);
+		});
+
+		test("bridges small gaps and drops short results", async () => {
+			const result = await collect(IntervalStream.process(["1-5", "8-10", "20-30"], ["22-28"], { mergeGap: 2, minLength: 3 }));
+
+			expect(result).toEqual(["1-10"]);
+		});
+
+		test("keeps strided intervals compact", async () => {
+			const includes = ["10-50/5", "55-100/5", "101-101"];
+			const excludes = ["0-30/3", "60-70"];
+			const expected = IntervalProcessor.process(includes.join(", "), excludes.join(", ")).formatted;
+
+			expect((await collect(IntervalStream.process(includes, excludes))).join(", ")).toBe(expected);
+			expect(expected).toBe("10-10, 20-25/5, 35-55/5, 75-100/5, 101-101");
+		});
+
+		test("keeps progressions with different strides strided and in order", async () => {
+			const includes = ["0-1000000/2", "1-1000000/3", "2000000-2000010"];
+			const excludes = ["50-999950"];
+			const expected = IntervalProcessor.process(includes.join(", "), excludes.join(", ")).formatted;
+
+			expect((await collect(IntervalStream.process(includes, excludes))).join(", ")).toBe(expected);
+			expect(expected).toBe("0-48/2, 1-49/6, 999952-1000000/2, 999955-999997/6, 2000000-2000010");
+		});
+
+		test("rejects unsorted input", async () => {
+			await expect(collect(IntervalStream.process(["10-20", "5-6"]))).rejects.toThrow("Includes are not sorted: 5-6 starts before 10-20");
+			await expect(collect(IntervalStream.process(["0-100"], ["50-60", "10-20"]))).rejects.toThrow("Excludes are not sorted");
+		});
+
+		test("stays linear when excludes overlap heavily", async () => {
+			const includes = Array.from({ length: 50000 }, (_, i) => new Interval(i * 10, i * 10 + 1));
+			const excludes = Array.from({ length: 50000 }, (_, i) => new Interval(i * 10 + 1, 1e9));
+			const overlaps = jest.spyOn(Interval.prototype, "overlaps");
+			const result = await collect(IntervalStream.process(includes, excludes));
+			const checks = overlaps.mock.calls.length;
+
+			overlaps.mockRestore();
+			// A quadratic sweep would cut every include against every earlier exclude, about n²/2 checks
+			expect(checks).toBeLessThanOrEqual(3 * excludes.length);
+			expect(result).toEqual(["0-0"]);
+		});
+
+		test("keeps single points between strided includes in order", async () => {
+			const includes = ["0-15/2", "8-29/3", "24-29/2", "36-38/2", "40-53/2"];
+			const excludes = ["4-24/2", "36-43/2", "40-62/2", "56-79/2"];
+
+			expect(await collect(IntervalStream.process(includes, excludes))).toEqual(["0-2/2", "11-11", "17-17", "23-23", "26-28/2", "29-29"]);
+		});
+
+		test("keeps strided excludes that still reach later includes", async () => {
+			expect(await collect(IntervalStream.process(["0-5", "10-20"], ["1-12", "4-30/2"]))).toEqual(["0-0", "13-13", "15-19/2"]);
+			expect(await collect(IntervalStream.process(["0-5", "10-20"], ["4-30/2"]))).toEqual(["0-3", "5-5", "11-19/2"]);
+		});
+	});
+
+	describe("Merge", () => {
+		test("combines payloads with the mergeData strategy", async () => {
+			const merged = [];
+
+			for await (const interval of IntervalStream.merge(
+				[
+					{ range: "10-20", data: "a" },
+					{ range: "15-30", data: "b" },
+				],
+				{ mergeData: "all" }
+			)) {
+				merged.push(interval.data);
+			}
+			expect(merged).toEqual([["a", "b"]]);
+		});
+	});
+
+	describe("fromLines", () => {
+		test("parses interval strings and NDJSON, skipping blank lines", async () => {
+			const lines = ["10-20", "", '"[30,40)"', '{"range": "50-60", "data": {"id": 1}}', '{"start": 70, "end": 80}'];
+
+			expect(await collect(IntervalStream.fromLines(asyncOf(lines)))).toEqual(["10-20", "[30,40)", "50-60", "70-80"]);
+		});
+
+		test("reports the line number of invalid lines", async () => {
+			await expect(collect(IntervalStream.fromLines(["10-20", "", "oops"]))).rejects.toThrow("Line 3: Invalid interval format");
+		});
+	});
+});
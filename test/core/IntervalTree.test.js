@@ -0,0 +1,142 @@
+import { describe, test, expect } from "@jest/globals";
+import { IntervalTree } from "../../src/core/IntervalTree.js";
+import { Interval } from "../../src/core/Interval.js";
+
+/**
+ * Deterministic pseudo-random generator (LCG) so the randomized tests are reproducible.
+ */
+const random = (seed) => () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+
+/**
+ * Height of the tree, to check that it stays balanced.
+ */
+const heightOf = (node) => (node ? 1 + Math.max(heightOf(node.left), heightOf(node.right)) : 0);
+
+describe("IntervalTree", () => {
+	describe("Construction", () => {
+		test("builds from parsed intervals without merging them", () => {
+			const tree = IntervalTree.from("50-60, 10-20, 15-30, 21-25");
+
+			expect(tree.size).toBe(4);
+			expect(tree.toArray().map((i) => i.toString())).toEqual(["10-20", "15-30", "21-25", "50-60"]);
+		});
+
+		test("builds from intervals and handles empty input", () => {
+			expect(IntervalTree.from([new Interval(1, 2)]).size).toBe(1);
+			expect(new IntervalTree().isEmpty()).toBe(true);
+			expect(new IntervalTree().containing(5)).toEqual([]);
+		});
+	});
+
+	describe("Queries", () => {
+		const tree = IntervalTree.from("10-20, 15-30, [30,40), 500-550, 580-700, 0-1000");
+
+		test("finds intervals containing a point", () => {
+			expect(tree.containing(15).map((i) => i.toString())).toEqual(["0-1000", "10-20", "15-30"]);
+			expect(tree.containing(40).map((i) => i.toString())).toEqual(["0-1000"]);
+			expect(tree.containing(2000)).toEqual([]);
+		});
+
+		test("finds intervals overlapping a range", () => {
+			expect(tree.overlapping(new Interval(500, 600)).map((i) => i.toString())).toEqual(["0-1000", "500-550", "580-700"]);
+			expect(tree.overlapping(new Interval(40, 45)).map((i) => i.toString())).toEqual(["0-1000"]);
+		});
+
+		test("skips strided intervals sharing no point with the range", () => {
+			const strided = IntervalTree.from("0-100/10, 5-95/10");
+
+			expect(strided.overlapping(new Interval(12, 18)).map((i) => i.toString())).toEqual(["5-95/10"]);
+			expect(strided.containing(20).map((i) => i.toString())).toEqual(["0-100/10"]);
+			expect(strided.touching(new Interval(12, 18))).toHaveLength(2);
+		});
+
+		test("returns the original intervals with their payloads", () => {
+			const labelled = new Interval(5, 8, { data: { id: 1 } });
+
+			expect(new IntervalTree([labelled, new Interval(7, 9)]).containing(6)[0]).toBe(labelled);
+		});
+
+		test("respects open bounds in continuous mode", () => {
+			const continuous = IntervalTree.from("[0,1), (1,2], 1.5-3", { continuous: true });
+
+			expect(continuous.containing(1)).toEqual([]);
+			expect(continuous.containing(1.5).map((i) => i.toString())).toEqual(["(1,2]", "1.5-3"]);
+			expect(continuous.overlapping(new Interval(2, 2.5, { startOpen: true, continuous: true })).map((i) => i.toString())).toEqual(["1.5-3"]);
+		});
+
+		test("finds intervals overlapping or adjacent to a range", () => {
+			const touching = IntervalTree.from("10-20, 21-30, 32-40, [50,60)");
+
+			expect(touching.touching(new Interval(31, 31)).map((i) => i.toString())).toEqual(["21-30", "32-40"]);
+			expect(touching.touching(new Interval(60, 70)).map((i) => i.toString())).toEqual(["[50,60)"]);
+			expect(touching.overlapping(new Interval(31, 31))).toEqual([]);
+
+			const continuous = IntervalTree.from("[0,1), (1,2]", { continuous: true });
+
+			expect(continuous.touching(new Interval(1, 1, { continuous: true })).map((i) => i.toString())).toEqual(["[0,1)", "(1,2]"]);
+		});
+
+		test("supports BigInt values", () => {
+			const big = IntervalTree.from("0-18446744073709551615, 9007199254740993-9007199254740999", { bigint: true });
+
+			expect(big.containing(9007199254740995n)).toHaveLength(2);
+		});
+	});
+
+	describe("Insert and Delete", () => {
+		test("inserts and deletes intervals", () => {
+			const tree = new IntervalTree();
+			const interval = new Interval(10, 20);
+
+			tree.insert(interval).insert(new Interval(15, 25));
+			expect(tree.containing(12)).toEqual([interval]);
+			expect(tree.delete(interval)).toBe(true);
+			expect(tree.delete(interval)).toBe(false);
+			expect(tree.size).toBe(1);
+			expect(tree.containing(12)).toEqual([]);
+		});
+
+		test("deletes the given instance among intervals with the same bounds", () => {
+			const first = new Interval(10, 20, { data: "a" });
+			const second = new Interval(10, 20, { data: "b" });
+			const tree = new IntervalTree([first, second, new Interval(5, 15)]);
+
+			tree.delete(second);
+			expect(tree.containing(12).map((i) => i.data)).toEqual([undefined, "a"]);
+			expect(tree.delete(new Interval(10, 20))).toBe(true);
+			expect(tree.size).toBe(1);
+		});
+
+		test("matches a linear scan and stays balanced under random inserts and deletes", () => {
+			const next = random(42);
+			const tree = new IntervalTree();
+			const stored = [];
+			const byStart = (list) => list.map((i) => i.toString()).sort();
+
+			for (let i = 0; i < 2000; i++) {
+				if (stored.length > 0 && next() < 0.3) {
+					const [removed] = stored.splice(Math.floor(next() * stored.length), 1);
+
+					expect(tree.delete(removed)).toBe(true);
+				} else {
+					const start = Math.floor(next() * 10000);
+					const interval = new Interval(start, start + Math.floor(next() * 500));
+
+					stored.push(interval);
+					tree.insert(interval);
+				}
+			}
+
+			expect(tree.size).toBe(stored.length);
+			expect(heightOf(tree.root)).toBeLessThanOrEqual(1.45 * Math.log2(stored.length + 2));
+
+			for (let i = 0; i < 50; i++) {
+				const point = Math.floor(next() * 10500);
+				const range = new Interval(point, point + Math.floor(next() * 300));
+
+				expect(byStart(tree.containing(point))).toEqual(byStart(stored.filter((s) => s.start <= point && point <= s.end)));
+				expect(byStart(tree.overlapping(range))).toEqual(byStart(stored.filter((s) => s.overlaps(range))));
+			}
+		});
+	});
+});
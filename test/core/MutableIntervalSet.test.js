@@ -0,0 +1,125 @@
+import { describe, test, expect } from "@jest/globals";
+import { MutableIntervalSet } from "../../src/core/MutableIntervalSet.js";
+import { IntervalSet } from "../../src/core/IntervalSet.js";
+import { Interval } from "../../src/core/Interval.js";
+import { parseIntervalString } from "../../src/utils/parsers.js";
+
+describe("MutableIntervalSet", () => {
+	describe("Add", () => {
+		test("merges overlapping and adjacent intervals", () => {
+			const set = MutableIntervalSet.from("50-60, 10-20");
+
+			set.add(new Interval(21, 30)).add(new Interval(25, 55));
+			expect(set.toString()).toBe("10-60");
+			expect(set.size).toBe(1);
+
+			set.add(new Interval(62, 70));
+			expect(set.toString()).toBe("10-60, 62-70");
+		});
+
+		test("uses Interval adjacency for bracket and continuous intervals", () => {
+			const set = MutableIntervalSet.from("[10,20)");
+
+			set.add(parseIntervalString("[20,30)"));
+			expect(set.toString()).toBe("[10,30)");
+
+			const continuous = MutableIntervalSet.from("[0,1)", { continuous: true });
+
+			continuous.add(parseIntervalString("(1,2]", { continuous: true }));
+			expect(continuous.size).toBe(2);
+			continuous.add(parseIntervalString("[1,1]", { continuous: true }));
+			expect(continuous.toString()).toBe("[0,2]");
+		});
+
+		test("keeps the payload of the added interval", () => {
+			const set = new MutableIntervalSet([new Interval(10, 20, { data: "old" })]);
+
+			set.add(new Interval(15, 30, { data: "new" }));
+			expect(set.toJSON()).toEqual([{ start: 10, end: 30, data: "new" }]);
+		});
+	});
+
+	describe("Strided intervals", () => {
+		test("joins progressions and splits them on removal", () => {
+			const set = MutableIntervalSet.from("0-50/10");
+
+			set.add(parseIntervalString("60-100/10"));
+			expect(set.toString()).toBe("0-100/10");
+			expect(set.has(20)).toBe(true);
+			expect(set.has(25)).toBe(false);
+
+			set.add(new Interval(25, 25)).remove(parseIntervalString("0-100/20"));
+			expect(set.toString()).toBe("10-10, 25-25, 30-30, 50-90/20");
+		});
+	});
+
+	describe("Remove", () => {
+		test("splits and trims stored intervals", () => {
+			const set = MutableIntervalSet.from("10-100, 200-300");
+
+			set.remove(new Interval(20, 30));
+			expect(set.toString()).toBe("10-19, 31-100, 200-300");
+
+			set.remove(new Interval(90, 250));
+			expect(set.toString()).toBe("10-19, 31-89, 251-300");
+
+			set.remove(new Interval(0, 1000));
+			expect(set.isEmpty()).toBe(true);
+		});
+
+		test("leaves the set unchanged when nothing overlaps", () => {
+			const set = MutableIntervalSet.from("10-20").remove(new Interval(30, 40));
+
+			expect(set.toString()).toBe("10-20");
+		});
+	});
+
+	describe("Queries and iteration", () => {
+		test("looks up points and ranges", () => {
+			const set = MutableIntervalSet.from("10-20, 30-40");
+
+			expect(set.has(15)).toBe(true);
+			expect(set.has(25)).toBe(false);
+			expect(new MutableIntervalSet().has(1)).toBe(false);
+			expect(set.overlapping(new Interval(18, 32)).map(String)).toEqual(["10-20", "30-40"]);
+		});
+
+		test("iterates in ascending order and converts to an IntervalSet", () => {
+			const set = MutableIntervalSet.from(IntervalSet.from("30-40, 10-20"));
+
+			expect([...set].map(String)).toEqual(["10-20", "30-40"]);
+			expect(set.toIntervalSet().equals("10-20, 30-40")).toBe(true);
+		});
+
+		test("supports BigInt intervals", () => {
+			const set = MutableIntervalSet.from("9007199254740993-9007199254740999", { bigint: true });
+
+			set.remove(new Interval(9007199254740995n, 9007199254740995n));
+			expect(set.toString()).toBe("9007199254740993-9007199254740994, 9007199254740996-9007199254740999");
+			expect(set.has(9007199254740996n)).toBe(true);
+		});
+	});
+
+	test("matches IntervalSet union and difference over random changes", () => {
+		let seed = 3;
+		const next = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+		const set = new MutableIntervalSet();
+		let expected = IntervalSet.empty();
+
+		for (let i = 0; i < 500; i++) {
+			const start = Math.floor(next() * 2000);
+			const interval = new Interval(start, start + Math.floor(next() * 50));
+
+			if (next() < 0.6) {
+				set.add(interval);
+				expected = expected.union(interval);
+			} else {
+				set.remove(interval);
+				expected = expected.difference(interval);
+			}
+		}
+
+		expect(set.toString()).toBe(expected.toString());
+		expect(set.has(expected.intervals[0].start)).toBe(true);
+	});
+});
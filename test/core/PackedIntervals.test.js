@@ -0,0 +1,99 @@
+import { describe, test, expect } from "@jest/globals";
+import { PackedIntervals } from "../../src/core/PackedIntervals.js";
+import { IntervalProcessor } from "../../src/core/IntervalProcessor.js";
+import { IntervalSet } from "../../src/core/IntervalSet.js";
+import { Interval } from "../../src/core/Interval.js";
+
+describe("PackedIntervals", () => {
+	describe("Construction", () => {
+		test("packs intervals as first and last integers", () => {
+			const packed = PackedIntervals.from("[10,20), (30,40], 50-60");
+
+			expect(packed.starts).toEqual(new Float64Array([10, 31, 50]));
+			expect(packed.ends).toEqual(new Float64Array([19, 40, 60]));
+			expect(packed.length).toBe(3);
+			expect(packed.toString()).toBe("10-19, 31-40, 50-60");
+		});
+
+		test("uses BigInt64Array for BigInt intervals", () => {
+			const packed = PackedIntervals.from("9007199254740993-9007199254740995", { bigint: true });
+
+			expect(packed.starts).toBeInstanceOf(BigInt64Array);
+			expect(packed.toIntervals()).toEqual(
+				[new Interval(9007199254740993n, 9007199254740995n)].map((i) => expect.objectContaining(i.toJSON()))
+			);
+		});
+
+		test("accepts typed arrays directly", () => {
+			expect(new PackedIntervals(new Float64Array([1, 5]), new Float64Array([2, 9])).toString()).toBe("1-2, 5-9");
+			expect(new PackedIntervals().isEmpty()).toBe(true);
+		});
+
+		test("rejects invalid arrays and intervals", () => {
+			expect(() => new PackedIntervals(new Float64Array(2), new Float64Array(1))).toThrow("same length");
+			expect(() => new PackedIntervals([1], [2])).toThrow("Float64Array or both BigInt64Array");
+			expect(() => new PackedIntervals(new Float64Array([5]), new Float64Array([1]))).toThrow("Start (5) cannot be greater than end (1)");
+			expect(() => PackedIntervals.from("0.5-1", { continuous: true })).toThrow("Cannot pack continuous interval");
+			expect(() => PackedIntervals.from("10-100/5")).toThrow("Cannot pack strided interval 10-100/5");
+			expect(() => PackedIntervals.from("1000-", { bigint: true })).toThrow("Cannot pack unbounded interval 1000-*");
+			expect(() => PackedIntervals.from([new Interval(1, 2), new Interval(3n, 4n)])).toThrow("Cannot combine number and BigInt");
+			expect(() => PackedIntervals.from("::-::ffff", { ip: true })).not.toThrow();
+			expect(() => PackedIntervals.from("2001:db8::/32", { ip: true })).toThrow("signed 64-bit integer");
+		});
+	});
+
+	describe("Operations", () => {
+		test("merges unsorted, overlapping and adjacent intervals", () => {
+			const packed = PackedIntervals.from("50-60, 10-20, 15-30, 31-35, 70-70");
+
+			expect(packed.merge().toString()).toBe("10-35, 50-60, 70-70");
+			const merged = packed.merge();
+
+			expect(merged.merge()).toBe(merged);
+		});
+
+		test("subtracts and intersects", () => {
+			const includes = PackedIntervals.from("200-300, 10-100, 400-500");
+			const excludes = PackedIntervals.from("410-420, 95-205, 100-150");
+
+			expect(includes.subtract(excludes).toString()).toBe("10-94, 206-300, 400-409, 421-500");
+			expect(includes.intersect(excludes).toString()).toBe("95-100, 200-205, 410-420");
+			expect(PackedIntervals.from("0-5, 10-15, 20-25").subtract(PackedIntervals.from("3-22")).toString()).toBe("0-2, 23-25");
+		});
+
+		test("computes coverage counting overlaps once", () => {
+			expect(PackedIntervals.from("10-20, 15-30").coverage()).toBe(21);
+			expect(PackedIntervals.from("10-20", { bigint: true }).coverage()).toBe(11n);
+			expect(new PackedIntervals().coverage()).toBe(0);
+		});
+
+		test("rejects mixing number and BigInt intervals", () => {
+			const numbers = PackedIntervals.from("1-2");
+
+			expect(() => numbers.subtract(PackedIntervals.from("1-2", { bigint: true }))).toThrow("Cannot combine number and BigInt");
+			expect(numbers.intersect(new PackedIntervals(new BigInt64Array(0), new BigInt64Array(0))).isEmpty()).toBe(true);
+		});
+
+		test("matches IntervalProcessor and IntervalSet on random input", () => {
+			let seed = 11;
+			const next = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+			const randomIntervals = (count) =>
+				Array.from({ length: count }, () => {
+					const start = Math.floor(next() * 5000);
+
+					return new Interval(start, start + Math.floor(next() * 60));
+				});
+			const includes = randomIntervals(400);
+			const excludes = randomIntervals(300);
+			const packedIncludes = PackedIntervals.fromIntervals(includes);
+			const packedExcludes = PackedIntervals.fromIntervals(excludes);
+			const expected = IntervalProcessor.subtractIntervals(
+				IntervalProcessor.mergeIntervals(includes),
+				IntervalProcessor.mergeIntervals(excludes)
+			).map((i) => i.toString());
+
+			expect(packedIncludes.subtract(packedExcludes).toString()).toBe(expected.join(", "));
+			expect(packedIncludes.intersect(packedExcludes).toString()).toBe(IntervalSet.from(includes).intersect(excludes).toString());
+		});
+	});
+});
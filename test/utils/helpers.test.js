@@ -1,5 +1,28 @@
 import { describe, test, expect } from "@jest/globals";
-import { createValidationResult, createSuccessResult, createErrorResult, isValidInteger, parseIntegerSafe } from "../../src/utils/helpers.js";
+import {
+	createValidationResult,
+	createSuccessResult,
+	createErrorResult,
+	isValidInteger,
+	parseIntegerSafe,
+	splitIntervalList,
+	rangeOf,
+	joinIntervalList,
+	resolvePayloadMerger,
+	gapBetween,
+	cutParts,
+	sortedDistinct,
+	parseBigIntSafe,
+	parseDecimalSafe,
+	parseBoundSafe,
+	unitOf,
+	unitOfBounds,
+	isUnbounded,
+	maxOf,
+	minOf,
+	stringifyJSON,
+} from "../../src/utils/helpers.js";
+import { Interval } from "../../src/core/Interval.js";
 
 describe("Helper Utilities", () => {
 	describe("createValidationResult", () => {
@@ -138,6 +161,113 @@ describe("Helper Utilities", () => {
 		});
 	});
 
+	describe("splitIntervalList", () => {
+		test("splits on commas outside brackets", () => {
+			expect(splitIntervalList("10-20, [30,40), (50,60]")).toEqual(["10-20", "[30,40)", "(50,60]"]);
+		});
+
+		test("keeps empty entries", () => {
+			expect(splitIntervalList("10-20,,30-40")).toEqual(["10-20", "", "30-40"]);
+		});
+	});
+
+	describe("Interval list entries", () => {
+		test("reads the range of strings and payload objects", () => {
+			expect(rangeOf("10-20")).toBe("10-20");
+			expect(rangeOf({ range: "10-20", data: { label: "a" } })).toBe("10-20");
+			expect(rangeOf({ data: "a" })).toBeUndefined();
+		});
+
+		test("joins interval lists without their payloads", () => {
+			expect(joinIntervalList(["10-20", { range: "[30,40)", data: 1 }])).toBe("10-20,[30,40)");
+			expect(joinIntervalList(["10-20", "30-40"], ", ")).toBe("10-20, 30-40");
+			expect(joinIntervalList("10-20,30-40")).toBe("10-20,30-40");
+		});
+	});
+
+	describe("resolvePayloadMerger", () => {
+		test("resolves built-in strategies and reducers", () => {
+			expect(resolvePayloadMerger("first")(["a", "b"])).toBe("a");
+			expect(resolvePayloadMerger("all")(["a", "b"])).toEqual(["a", "b"]);
+			expect(resolvePayloadMerger((a, b) => a + b)(["a", "b", "c"])).toBe("abc");
+		});
+
+		test("rejects unknown strategies", () => {
+			expect(() => resolvePayloadMerger("toString")).toThrow('Unknown payload merge strategy "toString"');
+		});
+	});
+
+	describe("gapBetween", () => {
+		test("counts missing integers or measures the distance between bounds", () => {
+			expect(gapBetween(new Interval(1, 5), new Interval(8, 10))).toBe(2);
+			expect(gapBetween(new Interval(1n, 5n), new Interval(7n, 10n))).toBe(1n);
+			expect(gapBetween(new Interval(0, 1.5, { continuous: true }), new Interval(2, 3, { continuous: true }))).toBe(0.5);
+		});
+	});
+
+	describe("cutParts", () => {
+		test("subtracts an exclude from the parts it overlaps", () => {
+			const parts = [new Interval(0, 10), new Interval(20, 30, { stride: 5 })];
+
+			expect(cutParts(parts, new Interval(5, 25)).map((i) => i.toString())).toEqual(["0-4", "30-30"]);
+			expect(cutParts(parts, new Interval(21, 24))).toEqual(parts);
+		});
+	});
+
+	describe("sortedDistinct", () => {
+		test("sorts numbers and BigInts and drops duplicates", () => {
+			expect(sortedDistinct([10, 2, 10, -1])).toEqual([-1, 2, 10]);
+			expect(sortedDistinct([3n, 1n, 3n])).toEqual([1n, 3n]);
+		});
+	});
+
+	describe("BigInt helpers", () => {
+		test("parses BigInt strings strictly", () => {
+			expect(parseBigIntSafe(" 18446744073709551615 ")).toBe(18446744073709551615n);
+			expect(parseBigIntSafe("-42")).toBe(-42n);
+			expect(parseBigIntSafe("12abc")).toBeNaN();
+			expect(parseBigIntSafe("4.2")).toBeNaN();
+			expect(parseBigIntSafe(null)).toBeNaN();
+		});
+
+		test("parses decimals strictly", () => {
+			expect(parseDecimalSafe(" -2.75 ")).toBe(-2.75);
+			expect(parseDecimalSafe("3")).toBe(3);
+			expect(parseDecimalSafe("1.")).toBeNaN();
+			expect(parseDecimalSafe("1e5")).toBeNaN();
+			expect(parseDecimalSafe("9".repeat(400))).toBeNaN();
+		});
+
+		test("parses bounds in the selected mode", () => {
+			expect(parseBoundSafe("42")).toBe(42);
+			expect(parseBoundSafe("42", { bigint: true })).toBe(42n);
+			expect(parseBoundSafe("4.2", { continuous: true })).toBe(4.2);
+		});
+
+		test("matches unit and comparisons to the numeric type", () => {
+			expect(unitOf(5)).toBe(1);
+			expect(unitOf(5n)).toBe(1n);
+			expect(maxOf(3n, 7n)).toBe(7n);
+			expect(minOf(3n, 7n)).toBe(3n);
+		});
+
+		test("serializes BigInt values as exact JSON numbers", () => {
+			expect(stringifyJSON({ start: 18446744073709551615n, end: -1n, label: "a" })).toBe('{"start":18446744073709551615,"end":-1,"label":"a"}');
+		});
+
+		test("serializes unbounded values as strings", () => {
+			expect(stringifyJSON({ start: -Infinity, end: Infinity })).toBe('{"start":"-inf","end":"inf"}');
+		});
+
+		test("takes the unit from bounded values", () => {
+			expect(isUnbounded(-Infinity)).toBe(true);
+			expect(isUnbounded(Number.MAX_VALUE)).toBe(false);
+			expect(isUnbounded(5n)).toBe(false);
+			expect(unitOfBounds([-Infinity, 5n])).toBe(1n);
+			expect(unitOfBounds([-Infinity, Infinity])).toBe(1);
+		});
+	});
+
 	describe("Integration scenarios", () => {
 		test("validation result creation with number parsing", () => {
 			const num = parseIntegerSafe("42");
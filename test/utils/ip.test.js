@@ -0,0 +1,92 @@
+import { describe, test, expect } from "@jest/globals";
+import { parseIpAddress, formatIpAddress, parseIpRange, rangeToCidrs, toIpValue } from "../../src/utils/ip.js";
+
+describe("IP Utilities", () => {
+	const ipv4 = (str) => parseIpAddress(str).value;
+
+	describe("parseIpAddress", () => {
+		test("maps IPv4 addresses into the IPv4-mapped IPv6 block", () => {
+			expect(parseIpAddress("10.0.0.1")).toEqual({ value: 0xffff0a000001n, version: 4 });
+			expect(parseIpAddress("::ffff:10.0.0.1")).toEqual({ value: 0xffff0a000001n, version: 6 });
+		});
+
+		test("parses full and compressed IPv6 addresses", () => {
+			expect(parseIpAddress("2001:db8::1").value).toBe(0x20010db8000000000000000000000001n);
+			expect(parseIpAddress("2001:0db8:0000:0000:0000:0000:0000:0001").value).toBe(0x20010db8000000000000000000000001n);
+			expect(parseIpAddress("::").value).toBe(0n);
+		});
+
+		test("rejects invalid addresses", () => {
+			expect(parseIpAddress("256.0.0.1")).toBeNull();
+			expect(parseIpAddress("10.0.0")).toBeNull();
+			expect(parseIpAddress("2001:db8::1::2")).toBeNull();
+			expect(parseIpAddress("2001:db8:0:0:0:0:0:0:1")).toBeNull();
+			expect(parseIpAddress("12345::")).toBeNull();
+			expect(parseIpAddress(null)).toBeNull();
+		});
+	});
+
+	describe("formatIpAddress", () => {
+		test("writes IPv4 addresses in dotted notation", () => {
+			expect(formatIpAddress(ipv4("192.168.1.10"))).toBe("192.168.1.10");
+		});
+
+		test("writes IPv6 addresses in compressed notation", () => {
+			expect(formatIpAddress(0x20010db8000000000000000000000001n)).toBe("2001:db8::1");
+			expect(formatIpAddress(0x20010db8000000010000000000000000n)).toBe("2001:db8:0:1::");
+			expect(formatIpAddress(0x20010db8000100000000000100000000n)).toBe("2001:db8:1::1:0:0");
+			expect(formatIpAddress(0n)).toBe("::");
+		});
+	});
+
+	describe("parseIpRange", () => {
+		test("parses CIDR blocks, ignoring host bits", () => {
+			expect(parseIpRange("10.0.0.0/8")).toEqual({ start: ipv4("10.0.0.0"), end: ipv4("10.255.255.255") });
+			expect(parseIpRange("10.1.2.3/8")).toEqual(parseIpRange("10.0.0.0/8"));
+			expect(parseIpRange("2001:db8::/32")).toEqual({
+				start: 0x20010db8000000000000000000000000n,
+				end: 0x20010db8ffffffffffffffffffffffffn,
+			});
+		});
+
+		test("parses address ranges and single addresses", () => {
+			expect(parseIpRange("192.168.1.10-192.168.1.50")).toEqual({ start: ipv4("192.168.1.10"), end: ipv4("192.168.1.50") });
+			expect(parseIpRange("2001:db8::1")).toEqual({ start: 0x20010db8000000000000000000000001n, end: 0x20010db8000000000000000000000001n });
+		});
+
+		test("rejects invalid ranges", () => {
+			expect(parseIpRange("10.0.0.0/33")).toBeNull();
+			expect(parseIpRange("10.0.0.0/")).toBeNull();
+			expect(parseIpRange("10.0.0.1-2001:db8::1")).toBeNull();
+			expect(parseIpRange("10-20")).toBeNull();
+		});
+	});
+
+	describe("rangeToCidrs", () => {
+		test("splits a range into the minimal list of CIDR blocks", () => {
+			expect(rangeToCidrs(ipv4("192.168.1.10"), ipv4("192.168.1.50"))).toEqual([
+				"192.168.1.10/31",
+				"192.168.1.12/30",
+				"192.168.1.16/28",
+				"192.168.1.32/28",
+				"192.168.1.48/31",
+				"192.168.1.50/32",
+			]);
+		});
+
+		test("keeps aligned blocks whole", () => {
+			expect(rangeToCidrs(ipv4("10.0.0.0"), ipv4("10.255.255.255"))).toEqual(["10.0.0.0/8"]);
+			expect(rangeToCidrs(ipv4("0.0.0.0"), ipv4("255.255.255.255"))).toEqual(["0.0.0.0/0"]);
+			expect(rangeToCidrs(0x20010db8000000000000000000000000n, 0x20010db8ffffffffffffffffffffffffn)).toEqual(["2001:db8::/32"]);
+			expect(rangeToCidrs(0n, (1n << 128n) - 1n)).toEqual(["::/0"]);
+		});
+	});
+
+	describe("toIpValue", () => {
+		test("reads address values and address strings", () => {
+			expect(toIpValue(42n)).toBe(42n);
+			expect(toIpValue("10.0.0.1")).toBe(ipv4("10.0.0.1"));
+			expect(toIpValue("not an address")).toBeNaN();
+		});
+	});
+});
@@ -0,0 +1,101 @@
+import { describe, test, expect } from "@jest/globals";
+import { domainOf, checkDomain, splitWrapped, wrapsAround, bridgeSeam, formatWrapped } from "../../src/utils/modular.js";
+import { Interval } from "../../src/core/Interval.js";
+
+describe("Modular Domain Utilities", () => {
+	const strings = (intervals) => intervals.map((i) => i.toString());
+
+	describe("domainOf", () => {
+		test("covers the integers below the modulo, or [0,modulo) for real values", () => {
+			expect(domainOf(24).toString()).toBe("0-23");
+			expect(domainOf(24n).toJSON()).toEqual({ start: 0n, end: 23n });
+			expect(domainOf(360, true).toString()).toBe("[0,360)");
+		});
+	});
+
+	describe("checkDomain", () => {
+		test("accepts bounds inside the domain", () => {
+			expect(() => checkDomain(0, 23, 24, "0-23")).not.toThrow();
+			expect(() => checkDomain(350, 360, 360, "350-360", true)).not.toThrow();
+		});
+
+		test("rejects bounds outside the domain", () => {
+			expect(() => checkDomain(22, 24, 24, "22-24")).toThrow('Interval "22-24" lies outside the modular domain [0,24)');
+			expect(() => checkDomain(-1, 2, 24, "-1-2")).toThrow("outside the modular domain");
+			expect(() => checkDomain(350, 360.5, 360, "350-360.5", true)).toThrow("outside the modular domain");
+		});
+	});
+
+	describe("splitWrapped", () => {
+		test("keeps intervals that do not wrap around", () => {
+			expect(strings(splitWrapped({ start: 5, end: 6 }, 24, "5-6"))).toEqual(["5-6"]);
+		});
+
+		test("splits wrap-around intervals at the seam", () => {
+			expect(strings(splitWrapped({ start: 22, end: 2 }, 24, "22-2"))).toEqual(["0-2", "22-23"]);
+			expect(strings(splitWrapped({ start: 22n, end: 2n }, 24n, "22-2"))).toEqual(["0-2", "22-23"]);
+			expect(strings(splitWrapped({ start: 350, end: 10, endOpen: true, notation: "bracket" }, 360, "[350,10)", true))).toEqual([
+				"[0,10)",
+				"[350,360)",
+			]);
+		});
+
+		test("skips segments that are empty", () => {
+			expect(strings(splitWrapped({ start: 22, end: 0, endOpen: true, notation: "bracket" }, 24, "[22,0)"))).toEqual(["[22,23]"]);
+			expect(strings(splitWrapped({ start: 23, end: 2, startOpen: true, notation: "bracket" }, 24, "(23,2]"))).toEqual(["[0,2]"]);
+			expect(strings(splitWrapped({ start: 350, end: 0, endOpen: true, notation: "bracket" }, 360, "[350,0)", true))).toEqual(["[350,360)"]);
+		});
+
+		test("rejects empty wrap-around intervals", () => {
+			expect(() => splitWrapped({ start: 23, end: 0, startOpen: true, endOpen: true, notation: "bracket" }, 24, "(23,0)")).toThrow("(23,0)");
+		});
+	});
+
+	describe("wrapsAround", () => {
+		test("detects intervals meeting at the seam", () => {
+			expect(wrapsAround([new Interval(0, 2), new Interval(22, 23)], 24)).toBe(true);
+			expect(wrapsAround([new Interval(0, 2), new Interval(22, 22)], 24)).toBe(false);
+			expect(wrapsAround([new Interval(0, 23)], 24)).toBe(false);
+			expect(
+				wrapsAround(
+					[new Interval(0, 10, { endOpen: true, continuous: true }), new Interval(350, 360, { endOpen: true, continuous: true })],
+					360
+				)
+			).toBe(true);
+		});
+	});
+
+	describe("bridgeSeam", () => {
+		test("extends the first and last interval to the seam when the gap is small enough", () => {
+			const { intervals, bridged } = bridgeSeam([new Interval(1, 3), new Interval(10, 12), new Interval(20, 22)], 24, 2);
+
+			expect(strings(intervals)).toEqual(["0-3", "10-12", "20-23"]);
+			expect(bridged).toBe(true);
+		});
+
+		test("leaves larger gaps and intervals already at the seam alone", () => {
+			expect(bridgeSeam([new Interval(2, 3), new Interval(20, 22)], 24, 2).bridged).toBe(false);
+			expect(bridgeSeam([new Interval(0, 3), new Interval(20, 23)], 24, 2).bridged).toBe(false);
+		});
+
+		test("covers the whole domain when an interval reaches round to its own start", () => {
+			expect(strings(bridgeSeam([new Interval(3, 20)], 24, 6).intervals)).toEqual(["0-23"]);
+		});
+	});
+
+	describe("formatWrapped", () => {
+		test("prints the intervals meeting at the seam as one wrap-around interval", () => {
+			expect(formatWrapped([new Interval(0, 2), new Interval(5, 6), new Interval(22, 23)], 24)).toEqual(["5-6", "22-2"]);
+			expect(formatWrapped([new Interval(0, 2), new Interval(5, 6)], 24)).toEqual(["0-2", "5-6"]);
+			expect(
+				formatWrapped(
+					[
+						new Interval(0, 10, { endOpen: true, continuous: true }),
+						new Interval(350, 360, { startOpen: true, endOpen: true, continuous: true }),
+					],
+					360
+				)
+			).toEqual(["(350,10)"]);
+		});
+	});
+});
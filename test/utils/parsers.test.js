@@ -1,5 +1,26 @@
 import { describe, test, expect } from "@jest/globals";
-import { parseIntervalString, parseIntervals, safeParse, parseWithErrors, formatIntervals, parseRangeNotation } from "../../src/utils/parsers.js";
+import {
+	parseIntervalString,
+	parseIntervals,
+	parseIntervalGroups,
+	safeParse,
+	parseWithErrors,
+	formatIntervals,
+	formatCidrs,
+	parsePoint,
+	parseLength,
+	parseModulo,
+	parseIntervalSegments,
+	parseIntervalEntry,
+	parseBoxString,
+	parseBoxes,
+	holdsBoxes,
+	parseIntervalLine,
+	parseRangeNotation,
+	parseSetExpression,
+	collectSetReferences,
+	parseSetDefinitions,
+} from "../../src/utils/parsers.js";
 import { Interval } from "../../src/core/Interval.js";
 
 describe("Parser Utilities", () => {
@@ -41,10 +62,15 @@ describe("Parser Utilities", () => {
 		test("throws error for invalid format", () => {
 			expect(() => parseIntervalString("invalid")).toThrow("Invalid interval format");
 			expect(() => parseIntervalString("10")).toThrow("Invalid interval format");
-			expect(() => parseIntervalString("10-")).toThrow("Invalid numbers");
+			expect(() => parseIntervalString("10--")).toThrow("Invalid numbers");
 			expect(() => parseIntervalString("-100")).toThrow("Invalid interval format");
 		});
 
+		test("throws error for boxes", () => {
+			expect(() => parseIntervalString("10-20x5-8")).toThrow('"10-20x5-8" is a box, not an interval');
+			expect(() => parseIntervalString("[0,10) × 5-8/2")).toThrow("is a box, not an interval");
+		});
+
 		test("throws error for non-numeric values", () => {
 			expect(() => parseIntervalString("abc-def")).toThrow("Invalid interval format");
 			expect(() => parseIntervalString("10-abc")).toThrow("Invalid numbers");
@@ -60,6 +86,186 @@ describe("Parser Utilities", () => {
 		});
 	});
 
+	describe("parseIntervalString with strides", () => {
+		test("parses a stride after dash and bracket ranges", () => {
+			expect(parseIntervalString("10-100/5").toJSON()).toEqual({ start: 10, end: 100, stride: 5 });
+			expect(parseIntervalString(" 10-102 / 5 ").toString()).toBe("10-100/5");
+			expect(parseIntervalString("[0,60)/15").toString()).toBe("0-45/15");
+			expect(parseIntervalString("-20--1/4").toString()).toBe("-20--4/4");
+			expect(parseIntervalString("10-100/1").stride).toBeUndefined();
+			expect(parseIntervalString("10-100/5", { bigint: true }).stride).toBe(5n);
+		});
+
+		test("rejects invalid strides", () => {
+			expect(() => parseIntervalString("10-100/0")).toThrow('Invalid stride in interval: "10-100/0"');
+			expect(() => parseIntervalString("10-100/99999999999999999")).toThrow("Invalid stride");
+			expect(() => parseIntervalString("100-10/5")).toThrow("cannot be greater than end");
+			expect(() => parseIntervalString("0.5-2/1", { continuous: true })).toThrow("Invalid numbers");
+		});
+	});
+
+	describe("parseIntervalString with unbounded ends", () => {
+		const parsed = (str, options) => parseIntervalString(str, options).toString();
+
+		test("parses open-ended ranges", () => {
+			expect(parsed("1000-")).toBe("1000-*");
+			expect(parsed("*-50")).toBe("*-50");
+			expect(parsed("*--5")).toBe("*--5");
+			expect(parsed("-inf..0")).toBe("*-0");
+			expect(parsed("1000..inf")).toBe("1000-*");
+			expect(parsed("*-*")).toBe("*-*");
+			expect(parsed("10..20")).toBe("10-20");
+		});
+
+		test("parses unbounded ends in bracket notation", () => {
+			expect(parsed("(-inf,0]")).toBe("(-inf,0]");
+			expect(parsed("[1000,INF)")).toBe("[1000,inf)");
+			expect(parsed("(*,0)")).toBe("(-inf,0)");
+		});
+
+		test("parses unbounded ends in every numeric mode", () => {
+			expect(parseIntervalString("18446744073709551615-", { bigint: true }).toJSON()).toEqual({ start: 18446744073709551615n, end: Infinity });
+			expect(parsed("*-2.5", { continuous: true })).toBe("*-2.5");
+			expect(parsed("(0.5,inf)", { continuous: true })).toBe("(0.5,inf)");
+		});
+
+		test("rejects unbounded ends on the wrong side and strided unbounded ranges", () => {
+			expect(() => parseIntervalString("inf-5")).toThrow("Invalid interval format");
+			expect(() => parseIntervalString("[5,-inf]")).toThrow("Invalid interval format");
+			expect(() => parseIntervalString("0-/5")).toThrow("closed, bounded integer ends");
+			expect(() => parseIntervalString("1000-", { time: true })).toThrow("Invalid time interval");
+		});
+	});
+
+	describe("parseIntervalString with bracket notation", () => {
+		test("parses half-open intervals", () => {
+			const result = parseIntervalString("[10,20)");
+
+			expect(result.start).toBe(10);
+			expect(result.end).toBe(20);
+			expect(result.startOpen).toBe(false);
+			expect(result.endOpen).toBe(true);
+		});
+
+		test("parses open start and closed end", () => {
+			const result = parseIntervalString("( -5 , 9 ]");
+
+			expect(result.start).toBe(-5);
+			expect(result.startOpen).toBe(true);
+			expect(result.endOpen).toBe(false);
+			expect(result.toString()).toBe("(-5,9]");
+		});
+
+		test("keeps closed bracket notation", () => {
+			expect(parseIntervalString("[10,20]").toString()).toBe("[10,20]");
+		});
+
+		test("rejects malformed bracket notation", () => {
+			expect(() => parseIntervalString("[10,20")).toThrow("Invalid interval format");
+			expect(() => parseIntervalString("[10-20)")).toThrow("Invalid interval format");
+			expect(() => parseIntervalString("[999999999999999999999,1)")).toThrow("Invalid numbers");
+		});
+
+		test("rejects empty and reversed bracket intervals", () => {
+			expect(() => parseIntervalString("[5,5)")).toThrow("contains no integers");
+			expect(() => parseIntervalString("[20,10]")).toThrow("Invalid interval");
+		});
+
+		test("parses bracket intervals in comma-separated lists", () => {
+			const result = parseIntervals("10-20, [30,40), (50,60]");
+
+			expect(result.map((i) => i.toString())).toEqual(["10-20", "[30,40)", "(50,60]"]);
+		});
+
+		test("formats intervals in their own notation", () => {
+			expect(formatIntervals(parseIntervals("[10,20),30-40"))).toBe("[10,20), 30-40");
+		});
+	});
+
+	describe("parseIntervalString in BigInt mode", () => {
+		test("parses values beyond Number.MAX_SAFE_INTEGER", () => {
+			const result = parseIntervalString("9007199254740993-18446744073709551615", { bigint: true });
+
+			expect(result.start).toBe(9007199254740993n);
+			expect(result.end).toBe(18446744073709551615n);
+		});
+
+		test("parses negative and bracket intervals", () => {
+			expect(parseIntervalString("-100--10", { bigint: true }).start).toBe(-100n);
+			expect(parseIntervalString("[1,18446744073709551616)", { bigint: true }).last).toBe(18446744073709551615n);
+		});
+
+		test("rejects non-integer values", () => {
+			expect(() => parseIntervalString("10-12abc", { bigint: true })).toThrow("Invalid numbers");
+		});
+
+		test("still rejects unsafe integers without the option", () => {
+			expect(() => parseIntervalString("9007199254740993-9007199254740999")).toThrow("Invalid numbers");
+		});
+
+		test("parses lists in BigInt mode", () => {
+			const result = parseIntervals("1-2, 3-4", { bigint: true });
+
+			expect(result.map((i) => i.end)).toEqual([2n, 4n]);
+		});
+	});
+
+	describe("parseIntervalString in continuous mode", () => {
+		test("parses decimal intervals", () => {
+			const result = parseIntervalString("0.5-2.75", { continuous: true });
+
+			expect(result.start).toBe(0.5);
+			expect(result.end).toBe(2.75);
+			expect(result.continuous).toBe(true);
+		});
+
+		test("parses negative decimals and bracket notation", () => {
+			expect(parseIntervalString("-2.5--0.5", { continuous: true }).toJSON()).toEqual({ start: -2.5, end: -0.5 });
+			expect(parseIntervalString("(0.1, 0.2]", { continuous: true }).toString()).toBe("(0.1,0.2]");
+		});
+
+		test("accepts open single-point-width bounds that contain no integers", () => {
+			expect(parseIntervalString("(1,2)", { continuous: true }).toString()).toBe("(1,2)");
+		});
+
+		test("rejects malformed decimals and empty intervals", () => {
+			expect(() => parseIntervalString("0.5-2.7x", { continuous: true })).toThrow("Invalid numbers");
+			expect(() => parseIntervalString("[1.5,1.5)", { continuous: true })).toThrow("is empty");
+		});
+	});
+
+	describe("parseIntervalString in time mode", () => {
+		test("parses ISO 8601 time intervals into half-open intervals", () => {
+			const result = parseIntervalString("2024-03-11T09:00+01:00/PT8H", { time: true });
+
+			expect(result.start).toBe(Date.UTC(2024, 2, 11, 8));
+			expect(result.end).toBe(Date.UTC(2024, 2, 11, 16));
+			expect(result.endOpen).toBe(true);
+			expect(result.toString()).toBe("2024-03-11T09:00:00+01:00/2024-03-11T17:00:00+01:00");
+		});
+
+		test("rejects reversed, empty and malformed intervals", () => {
+			expect(() => parseIntervalString("2024-03-11T09:00Z/2024-03-11T08:00Z", { time: true })).toThrow("cannot be greater");
+			expect(() => parseIntervalString("2024-03-11T09:00Z/PT0S", { time: true })).toThrow("is empty");
+			expect(() => parseIntervalString("10-20", { time: true })).toThrow("Invalid time interval");
+		});
+	});
+
+	describe("parseIntervalString in IP mode", () => {
+		test("parses CIDR blocks, address ranges and single addresses", () => {
+			expect(parseIntervalString("10.0.0.0/8", { ip: true }).toString()).toBe("10.0.0.0-10.255.255.255");
+			expect(parseIntervalString("192.168.1.10-192.168.1.50", { ip: true }).toString()).toBe("192.168.1.10-192.168.1.50");
+			expect(parseIntervalString("2001:db8::/32", { ip: true }).toString()).toBe("2001:db8::-2001:db8:ffff:ffff:ffff:ffff:ffff:ffff");
+			expect(parseIntervalString("2001:db8::1", { ip: true }).toString()).toBe("2001:db8::1");
+		});
+
+		test("rejects reversed and malformed ranges", () => {
+			expect(() => parseIntervalString("10.0.0.9-10.0.0.1", { ip: true })).toThrow("Start (10.0.0.9) cannot be greater than end (10.0.0.1)");
+			expect(() => parseIntervalString("10.0.0.0/33", { ip: true })).toThrow("Invalid IP range");
+			expect(() => parseIntervalString("10-20", { ip: true })).toThrow("Invalid IP range");
+		});
+	});
+
 	describe("parseIntervals", () => {
 		test("parses multiple intervals from string", () => {
 			const result = parseIntervals("10-100,200-300,400-500");
@@ -118,6 +324,184 @@ describe("Parser Utilities", () => {
 		});
 	});
 
+	describe("parseIntervals with payloads", () => {
+		test("attaches the data of { range, data } entries", () => {
+			const result = parseIntervals([{ range: "10-20", data: { label: "a" } }, "30-40", { range: "[50,60)", data: 7 }]);
+
+			expect(result.map((i) => i.data)).toEqual([{ label: "a" }, undefined, 7]);
+			expect(result[2].toJSON()).toEqual({ start: 50, end: 60, startOpen: false, endOpen: true, data: 7 });
+		});
+
+		test("reports errors for invalid ranges", () => {
+			expect(() => parseIntervals(["10-20", { range: "30-x", data: 1 }])).toThrow("Error parsing interval 2");
+		});
+	});
+
+	describe("parseIntervalEntry", () => {
+		test("parses strings and payload objects", () => {
+			expect(parseIntervalEntry("10-20").data).toBeUndefined();
+			expect(parseIntervalEntry({ range: "10-20", data: { id: 1 } }).toJSON()).toEqual({ start: 10, end: 20, data: { id: 1 } });
+		});
+	});
+
+	describe("parseBoxString", () => {
+		test("parses boxes with x or × between dimensions", () => {
+			expect(parseBoxString("10-20x5-8").toString()).toBe("10-20x5-8");
+			expect(parseBoxString(" [0,10) × 5-8 X -3--1 ").toString()).toBe("[0,10)x5-8x-3--1");
+			expect(parseBoxString("0.5-1x2-3", { continuous: true }).dimensions[0].continuous).toBe(true);
+		});
+
+		test("applies per-dimension options", () => {
+			const box = parseBoxString("2024-03-11T09:00Z/PT8H x 10.0.0.0/8", { dimensions: [{ time: true }, { ip: true }] });
+
+			expect(box.dimensions[0].notation).toBe("iso");
+			expect(box.dimensions[1].toString()).toBe("10.0.0.0-10.255.255.255");
+		});
+
+		test("names the invalid dimension", () => {
+			expect(() => parseBoxString("10-20xabc")).toThrow('Invalid box "10-20xabc", dimension 2');
+			expect(() => parseBoxString("  ")).toThrow("Empty interval string");
+		});
+	});
+
+	describe("parseBoxes", () => {
+		test("parses comma-separated and array input", () => {
+			expect(parseBoxes("10-20x5-8, [0,2)x1-1").map(String)).toEqual(["10-20x5-8", "[0,2)x1-1"]);
+			expect(parseBoxes(["1-2x3-4", ""]).map(String)).toEqual(["1-2x3-4"]);
+			expect(parseBoxes("")).toEqual([]);
+		});
+
+		test("reports the position of invalid boxes", () => {
+			expect(() => parseBoxes("1-2x3-4, 5-4x1-2")).toThrow("Error parsing interval 2");
+		});
+	});
+
+	describe("holdsBoxes", () => {
+		test("detects box entries in strings and arrays", () => {
+			expect(holdsBoxes("10-20x5-8", "")).toBe(true);
+			expect(holdsBoxes("10-20", ["[0,2) × 1-1"])).toBe(true);
+			expect(holdsBoxes([{ range: "1-2x3-4" }], undefined)).toBe(true);
+		});
+
+		test("leaves intervals alone", () => {
+			expect(holdsBoxes("10-20, [0,2)", ["-5-5", { range: "1-2", data: "x" }])).toBe(false);
+			expect(holdsBoxes(undefined, "")).toBe(false);
+		});
+	});
+
+	describe("parseIntervalLine", () => {
+		test("parses interval strings and NDJSON values", () => {
+			expect(parseIntervalLine(" [10,20) ").toString()).toBe("[10,20)");
+			expect(parseIntervalLine('"10-20"').toString()).toBe("10-20");
+			expect(parseIntervalLine('{"range": "10-20", "data": "a"}').data).toBe("a");
+			expect(parseIntervalLine('{"start": 10, "end": 20, "endOpen": true}').toString()).toBe("[10,20)");
+			expect(parseIntervalLine('{"start": 0.5, "end": 1}', { continuous: true }).continuous).toBe(true);
+		});
+
+		test("returns null for blank lines", () => {
+			expect(parseIntervalLine("   ")).toBeNull();
+		});
+
+		test("rejects invalid JSON", () => {
+			expect(() => parseIntervalLine('{"range": ')).toThrow("Invalid JSON line");
+		});
+	});
+
+	describe("parsePoint", () => {
+		test("parses values in every mode", () => {
+			expect(parsePoint(" 15 ")).toBe(15);
+			expect(parsePoint("18446744073709551615", { bigint: true })).toBe(18446744073709551615n);
+			expect(parsePoint("1.5", { continuous: true })).toBe(1.5);
+			expect(parsePoint("2024-03-11T10:00+01:00", { time: true })).toBe(Date.UTC(2024, 2, 11, 9));
+			expect(parsePoint("10.0.0.1", { ip: true })).toBe(0xffff0a000001n);
+		});
+
+		test("rejects invalid values", () => {
+			expect(() => parsePoint("x")).toThrow('Invalid point: "x"');
+			expect(() => parsePoint("10-20", { ip: true })).toThrow("Invalid point");
+			expect(() => parsePoint("10", { time: true })).toThrow("Invalid point");
+		});
+	});
+
+	describe("parseLength", () => {
+		test("parses sizes in the representation of the mode", () => {
+			expect(parseLength(undefined, "gap")).toBeUndefined();
+			expect(parseLength(3, "gap")).toBe(3);
+			expect(parseLength(" 3 ", "gap")).toBe(3);
+			expect(parseLength("18446744073709551616", "gap", { bigint: true })).toBe(18446744073709551616n);
+			expect(parseLength("256", "gap", { ip: true })).toBe(256n);
+			expect(parseLength("0.25", "gap", { continuous: true })).toBe(0.25);
+			expect(parseLength("PT5M", "gap", { time: true })).toBe(300000);
+			expect(parseLength("1500", "gap", { time: true })).toBe(1500);
+		});
+
+		test("rejects negative and invalid sizes", () => {
+			expect(() => parseLength("-1", "merge gap")).toThrow('Invalid merge gap: "-1"');
+			expect(() => parseLength(-0.5, "merge gap")).toThrow("Invalid merge gap");
+			expect(() => parseLength("1e3", "gap")).toThrow("Invalid gap");
+			expect(() => parseLength("0.5", "gap", { bigint: true })).toThrow("Invalid gap");
+			expect(() => parseLength("P1M", "gap", { time: true })).toThrow("Invalid gap");
+			expect(() => parseLength(true, "gap")).toThrow("Invalid gap");
+		});
+	});
+
+	describe("parseModulo", () => {
+		test("parses the modulo in the representation of the mode", () => {
+			expect(parseModulo(undefined)).toBeUndefined();
+			expect(parseModulo("24")).toBe(24);
+			expect(parseModulo(24, { bigint: true })).toBe(24n);
+			expect(parseModulo("18446744073709551616", { bigint: true })).toBe(18446744073709551616n);
+			expect(parseModulo("6.5", { continuous: true })).toBe(6.5);
+		});
+
+		test("rejects invalid moduli and modes without one", () => {
+			expect(() => parseModulo("0")).toThrow('Invalid modulo: "0"');
+			expect(() => parseModulo("2.5")).toThrow("Invalid modulo");
+			expect(() => parseModulo("-24", { continuous: true })).toThrow("Invalid modulo");
+			expect(() => parseModulo("24", { time: true })).toThrow("not to time or IP intervals");
+		});
+	});
+
+	describe("parseIntervalSegments", () => {
+		const segments = (str, options) => parseIntervalSegments(str, options).map((i) => i.toString());
+
+		test("parses intervals without a modulo as they are", () => {
+			expect(segments("10-20")).toEqual(["10-20"]);
+			expect(() => parseIntervalSegments("20-10")).toThrow();
+		});
+
+		test("splits wrap-around intervals into segments", () => {
+			expect(segments("22-2", { modulo: 24 })).toEqual(["0-2", "22-23"]);
+			expect(segments("5-6", { modulo: "24" })).toEqual(["5-6"]);
+			expect(segments("[350,10)", { modulo: 360, continuous: true })).toEqual(["[0,10)", "[350,360)"]);
+			expect(segments("0-20/5", { modulo: 24 })).toEqual(["0-20/5"]);
+		});
+
+		test("rejects bounds outside the domain", () => {
+			expect(() => parseIntervalSegments("22-24", { modulo: 24 })).toThrow("outside the modular domain");
+			expect(() => parseIntervalSegments("0-30/5", { modulo: 24 })).toThrow("outside the modular domain");
+		});
+	});
+
+	describe("parseIntervals with a modulo", () => {
+		test("gives each segment the payload of its entry", () => {
+			const intervals = parseIntervals([{ range: "22-2", data: "night" }, "5-6"], { modulo: 24 });
+
+			expect(intervals.map((i) => i.toJSON())).toEqual([
+				{ start: 0, end: 2, data: "night" },
+				{ start: 22, end: 23, data: "night" },
+				{ start: 5, end: 6 },
+			]);
+		});
+
+		test("keeps the segments of each entry together", () => {
+			const groups = parseIntervalGroups(["22-2", "", "5-6"], { modulo: 24 });
+
+			expect(groups.map((group) => group.map((i) => i.toString()))).toEqual([["0-2", "22-23"], ["5-6"]]);
+			expect(parseIntervalGroups("")).toEqual([]);
+		});
+	});
+
 	describe("safeParse", () => {
 		test("returns valid result for correct interval", () => {
 			const result = safeParse("10-100");
@@ -193,6 +577,13 @@ describe("Parser Utilities", () => {
 
 			expect(result).toBe("(none)");
 		});
+
+		test("formats IP intervals as CIDR blocks", () => {
+			const intervals = parseIntervals("10.0.0.0-10.0.0.255, 10.0.1.0-10.0.1.2", { ip: true });
+
+			expect(formatIntervals(intervals, { cidr: true })).toBe("10.0.0.0/24, 10.0.1.0/31, 10.0.1.2/32");
+			expect(formatCidrs(intervals)).toEqual(["10.0.0.0/24", "10.0.1.0/31", "10.0.1.2/32"]);
+		});
 	});
 
 	describe("parseRangeNotation", () => {
@@ -227,6 +618,108 @@ describe("Parser Utilities", () => {
 		});
 	});
 
+	describe("parseSetExpression", () => {
+		test("parses a single set name", () => {
+			expect(parseSetExpression("weekdays")).toEqual({ type: "set", name: "weekdays", position: 0 });
+		});
+
+		test("applies operator precedence (- over & over ^ over |)", () => {
+			const tree = parseSetExpression("a | b ^ c & d - e");
+
+			expect(tree.operator).toBe("|");
+			expect(tree.right.operator).toBe("^");
+			expect(tree.right.right.operator).toBe("&");
+			expect(tree.right.right.right.operator).toBe("-");
+		});
+
+		test("is left associative", () => {
+			const tree = parseSetExpression("a - b - c");
+
+			expect(tree.operator).toBe("-");
+			expect(tree.left.operator).toBe("-");
+			expect(tree.right.name).toBe("c");
+		});
+
+		test("respects parentheses", () => {
+			const tree = parseSetExpression("(weekdays | holidays) - outages & coverage");
+
+			expect(tree.operator).toBe("&");
+			expect(tree.left.operator).toBe("-");
+			expect(tree.left.left.operator).toBe("|");
+		});
+
+		test("parses complement", () => {
+			const tree = parseSetExpression("~~a & b");
+
+			expect(tree.left).toEqual({
+				type: "unary",
+				operator: "~",
+				operand: { type: "unary", operator: "~", operand: { type: "set", name: "a", position: 2 }, position: 1 },
+				position: 0,
+			});
+		});
+
+		test("reports the position of unexpected tokens", () => {
+			expect(() => parseSetExpression("a | | b")).toThrow('Unexpected "|" at position 5');
+			expect(() => parseSetExpression("a b")).toThrow('Unexpected "b" at position 3');
+			expect(() => parseSetExpression("(a | b))")).toThrow('Unexpected ")" at position 8');
+		});
+
+		test("reports the position of invalid characters", () => {
+			expect(() => parseSetExpression("a + b")).toThrow('Unexpected character "+" at position 3');
+		});
+
+		test("reports unexpected end and unclosed parentheses", () => {
+			expect(() => parseSetExpression("a -")).toThrow("Unexpected end of expression at position 4");
+			expect(() => parseSetExpression("x & (a | b")).toThrow('Unclosed "(" at position 5');
+		});
+
+		test("attaches a zero-based position to errors", () => {
+			try {
+				parseSetExpression("a & ) b");
+			} catch (error) {
+				expect(error.position).toBe(4);
+			}
+			expect.assertions(1);
+		});
+
+		test("rejects empty expressions", () => {
+			expect(() => parseSetExpression("  ")).toThrow("Empty set expression");
+			expect(() => parseSetExpression(undefined)).toThrow("Empty set expression");
+		});
+	});
+
+	describe("collectSetReferences", () => {
+		test("collects names in order of appearance", () => {
+			const references = collectSetReferences(parseSetExpression("~a | (b - a)"));
+
+			expect(references).toEqual([
+				{ name: "a", position: 1 },
+				{ name: "b", position: 6 },
+				{ name: "a", position: 10 },
+			]);
+		});
+	});
+
+	describe("parseSetDefinitions", () => {
+		test("parses name=intervals definitions", () => {
+			expect(parseSetDefinitions(["weekdays=1-5,8-12", "holidays = 6-7"])).toEqual({ weekdays: "1-5,8-12", holidays: "6-7" });
+		});
+
+		test("accepts a single definition string", () => {
+			expect(parseSetDefinitions("a=10-20")).toEqual({ a: "10-20" });
+		});
+
+		test("rejects definitions without a name", () => {
+			expect(() => parseSetDefinitions("10-20")).toThrow("Invalid set definition");
+			expect(() => parseSetDefinitions("1a=10-20")).toThrow('Invalid set name "1a"');
+		});
+
+		test("rejects a set defined twice", () => {
+			expect(() => parseSetDefinitions(["a=10-20", "b=30-40", " a = 50-60"])).toThrow('Set "a" is defined more than once');
+		});
+	});
+
 	describe("Edge Cases and Error Handling", () => {
 		test("handles very large numbers", () => {
 			const result = parseIntervalString("999999999-1000000000");
@@ -1,6 +1,14 @@
 import { describe, test, expect } from "@jest/globals";
-import { getBasicStatistics, getIntervalSize, getMemoryUsage, measureMemoryUsage } from "../../src/utils/statistics.js";
+import {
+	getBasicStatistics,
+	getIntervalSize,
+	getBoxVolume,
+	getBoxStatistics,
+	getMemoryUsage,
+	measureMemoryUsage,
+} from "../../src/utils/statistics.js";
 import { Interval } from "../../src/core/Interval.js";
+import { parseBoxString } from "../../src/utils/parsers.js";
 
 describe("Statistics Utilities", () => {
 	describe("getIntervalSize", () => {
@@ -25,6 +33,131 @@ describe("Statistics Utilities", () => {
 		});
 	});
 
+	describe("getIntervalSize with open bounds", () => {
+		test("excludes open bounds from the count", () => {
+			expect(getIntervalSize(new Interval(10, 20, { endOpen: true }))).toBe(10);
+			expect(getIntervalSize(new Interval(10, 20, { startOpen: true, endOpen: true }))).toBe(9);
+			expect(getIntervalSize({ start: 10, end: 20, startOpen: true, endOpen: false })).toBe(10);
+		});
+	});
+
+	describe("getIntervalSize with strides", () => {
+		test("counts the points of the progression", () => {
+			expect(getIntervalSize(new Interval(10, 100, { stride: 5 }))).toBe(19);
+			expect(getIntervalSize({ start: 10n, end: 100n, stride: 5n })).toBe(19n);
+			expect(getBasicStatistics([new Interval(0, 20, { stride: 2 }), new Interval(30, 39)]).totalCoverage).toBe(21);
+		});
+	});
+
+	describe("Unbounded statistics", () => {
+		test("reports infinite sizes and coverage", () => {
+			expect(getIntervalSize(new Interval(1000, Infinity))).toBe(Infinity);
+			expect(getIntervalSize(new Interval(-Infinity, 0, { continuous: true }))).toBe(Infinity);
+			expect(getBasicStatistics([new Interval(-Infinity, 5n), new Interval(10n, 20n)])).toEqual({
+				count: 2,
+				totalCoverage: Infinity,
+				minStart: -Infinity,
+				maxEnd: 20n,
+			});
+			expect(getBoxVolume(parseBoxString("0-9x100-"))).toBe(Infinity);
+		});
+	});
+
+	describe("BigInt statistics", () => {
+		test("calculates BigInt sizes", () => {
+			expect(getIntervalSize(new Interval(0n, 18446744073709551615n))).toBe(18446744073709551616n);
+			expect(getIntervalSize(new Interval(0n, 10n, { startOpen: true, endOpen: true }))).toBe(9n);
+		});
+
+		test("totals coverage without losing precision", () => {
+			const intervals = [new Interval(0n, 9007199254740992n), new Interval(18446744073709551600n, 18446744073709551615n)];
+			const stats = getBasicStatistics(intervals);
+
+			expect(stats.totalCoverage).toBe(9007199254740993n + 16n);
+			expect(stats.minStart).toBe(0n);
+			expect(stats.maxEnd).toBe(18446744073709551615n);
+		});
+	});
+
+	describe("Continuous statistics", () => {
+		test("reports length rather than integer count", () => {
+			expect(getIntervalSize(new Interval(0.5, 2.75, { continuous: true }))).toBe(2.25);
+			expect(getIntervalSize(new Interval(1, 2, { startOpen: true, endOpen: true, continuous: true }))).toBe(1);
+		});
+
+		test("measures plain objects when the option is given", () => {
+			expect(getIntervalSize({ start: 10, end: 20 }, { continuous: true })).toBe(10);
+			expect(
+				getBasicStatistics(
+					[
+						{ start: 0, end: 0.5 },
+						{ start: 1, end: 2 },
+					],
+					{ continuous: true }
+				).totalCoverage
+			).toBe(1.5);
+		});
+	});
+
+	describe("Time statistics", () => {
+		const intervals = [
+			{ start: "2024-03-11T09:00:00+01:00", end: "2024-03-11T12:00:00+01:00" },
+			{ start: "2024-03-11T13:00:00+01:00", end: "2024-03-11T17:30:00+01:00" },
+		];
+
+		test("measures durations of ISO 8601 intervals", () => {
+			expect(getIntervalSize(intervals[0], { time: true })).toBe(3 * 3600000);
+		});
+
+		test("reports the total duration", () => {
+			expect(getBasicStatistics(intervals, { time: true })).toEqual({
+				count: 2,
+				totalCoverage: 7.5 * 3600000,
+				totalDuration: "PT7H30M",
+				minStart: "2024-03-11T09:00:00+01:00",
+				maxEnd: "2024-03-11T17:30:00+01:00",
+			});
+			expect(getBasicStatistics([], { time: true }).totalDuration).toBe("PT0S");
+		});
+
+		test("writes the range in the UTC offset of the intervals it comes from", () => {
+			const mixed = [
+				{ start: "2024-03-11T09:00:00+01:00", end: "2024-03-11T10:00:00+01:00" },
+				{ start: "2024-03-11T10:00:00Z", end: "2024-03-11T11:00:00Z" },
+			];
+			const parsed = [new Interval(Date.UTC(2024, 2, 11, 8), Date.UTC(2024, 2, 11, 9), { notation: "iso", continuous: true, offset: -300 })];
+
+			expect(getBasicStatistics(mixed, { time: true })).toMatchObject({
+				minStart: "2024-03-11T09:00:00+01:00",
+				maxEnd: "2024-03-11T11:00:00Z",
+			});
+			expect(getBasicStatistics(parsed, { time: true })).toMatchObject({
+				minStart: "2024-03-11T03:00:00-05:00",
+				maxEnd: "2024-03-11T04:00:00-05:00",
+			});
+		});
+	});
+
+	describe("IP statistics", () => {
+		const intervals = [
+			{ start: "10.0.0.0", end: "10.0.0.255" },
+			{ start: "2001:db8::", end: "2001:db8::ffff" },
+		];
+
+		test("counts addresses", () => {
+			expect(getIntervalSize(intervals[0], { ip: true })).toBe(256n);
+		});
+
+		test("reports the address range", () => {
+			expect(getBasicStatistics(intervals, { ip: true })).toEqual({
+				count: 2,
+				totalCoverage: 256n + 65536n,
+				minStart: "10.0.0.0",
+				maxEnd: "2001:db8::ffff",
+			});
+		});
+	});
+
 	describe("getBasicStatistics", () => {
 		test("calculates basic statistics for multiple intervals", () => {
 			const intervals = [new Interval(10, 20), new Interval(30, 50)];
@@ -73,6 +206,61 @@ describe("Statistics Utilities", () => {
 			expect(stats.minStart).toBe(-50);
 			expect(stats.maxEnd).toBe(10);
 		});
+
+		test("counts a wrap-around interval of a modular domain once", () => {
+			const intervals = [new Interval(0, 0), new Interval(2, 2), new Interval(5, 6), new Interval(22, 23)];
+			const stats = getBasicStatistics(intervals, { modulo: 24 });
+
+			expect(stats.count).toBe(3);
+			expect(stats.totalCoverage).toBe(6);
+			expect(stats.minStart).toBe(22);
+			expect(stats.maxEnd).toBe(6);
+		});
+
+		test("reads interval objects in a modular domain", () => {
+			const intervals = [
+				{ start: 0, end: 2 },
+				{ start: 22, end: 23 },
+			];
+
+			expect(getBasicStatistics(intervals, { modulo: 24 })).toEqual({ count: 1, totalCoverage: 5, minStart: 22, maxEnd: 2 });
+			expect(getBasicStatistics([{ start: 0, end: 23 }], { modulo: 24 }).count).toBe(1);
+			expect(getBasicStatistics(intervals, { modulo: 48 }).count).toBe(2);
+		});
+	});
+
+	describe("Box statistics", () => {
+		test("computes areas and volumes", () => {
+			expect(getBoxVolume(parseBoxString("10-19x5-8"))).toBe(40);
+			expect(getBoxVolume(parseBoxString("0-1x0-1x[0,10)"))).toBe(40);
+			expect(getBoxVolume(parseBoxString("0-0.5x0-4", { continuous: true }))).toBe(2);
+			expect(getBoxVolume(parseBoxString("0-4294967295x0-4294967295", { bigint: true }))).toBe(18446744073709551616n);
+		});
+
+		test("measures each dimension in its own mode", () => {
+			const options = { dimensions: [{ time: true }, {}] };
+			const stats = getBoxStatistics([parseBoxString("2024-03-11T09:00Z/PT1H x 1-3", options)], options);
+
+			expect(stats.totalVolume).toBe(3 * 3600000);
+			expect(stats.dimensions).toEqual([
+				{ minStart: "2024-03-11T09:00:00Z", maxEnd: "2024-03-11T10:00:00Z" },
+				{ minStart: 1, maxEnd: 3 },
+			]);
+		});
+
+		test("summarizes boxes", () => {
+			const stats = getBoxStatistics(["0-9x0-9", "20-24x5-6"].map((str) => parseBoxString(str)));
+
+			expect(stats).toEqual({
+				count: 2,
+				totalVolume: 110,
+				dimensions: [
+					{ minStart: 0, maxEnd: 24 },
+					{ minStart: 0, maxEnd: 9 },
+				],
+			});
+			expect(getBoxStatistics([])).toEqual({ count: 0, totalVolume: 0, dimensions: [] });
+		});
 	});
 
 	describe("getMemoryUsage", () => {
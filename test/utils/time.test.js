@@ -0,0 +1,131 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+	parseInstant,
+	parseDuration,
+	addDuration,
+	parseTimeRange,
+	formatInstant,
+	formatDuration,
+	toEpochMilliseconds,
+} from "../../src/utils/time.js";
+
+describe("Time Utilities", () => {
+	describe("parseInstant", () => {
+		test("parses UTC instants", () => {
+			expect(parseInstant("2024-03-11T09:00:00Z")).toEqual({ time: Date.UTC(2024, 2, 11, 9), offset: 0 });
+			expect(parseInstant("2024-03-11T09:00:00.250Z").time).toBe(Date.UTC(2024, 2, 11, 9, 0, 0, 250));
+		});
+
+		test("applies time zone offsets", () => {
+			expect(parseInstant("2024-03-11T09:00+01:00")).toEqual({ time: Date.UTC(2024, 2, 11, 8), offset: 60 });
+			expect(parseInstant("2024-03-11T09:00-0530")).toEqual({ time: Date.UTC(2024, 2, 11, 14, 30), offset: -330 });
+			expect(parseInstant("2024-03-11T09:00+02")).toEqual({ time: Date.UTC(2024, 2, 11, 7), offset: 120 });
+		});
+
+		test("reads dates and instants without a zone as UTC", () => {
+			expect(parseInstant("2024-03-11").time).toBe(Date.UTC(2024, 2, 11));
+			expect(parseInstant("2024-03-11T09:30").time).toBe(Date.UTC(2024, 2, 11, 9, 30));
+		});
+
+		test("rejects invalid instants", () => {
+			expect(parseInstant("2024-02-30T09:00Z")).toBeNull();
+			expect(parseInstant("2024-03-11T25:00Z")).toBeNull();
+			expect(parseInstant("2024-03-11T09:00+25:00")).toBeNull();
+			expect(parseInstant("11/03/2024")).toBeNull();
+			expect(parseInstant(null)).toBeNull();
+		});
+	});
+
+	describe("parseDuration", () => {
+		test("parses fixed-length durations", () => {
+			expect(parseDuration("PT8H")).toEqual({ months: 0, ms: 8 * 3600000 });
+			expect(parseDuration("P1DT2H30M")).toEqual({ months: 0, ms: 26.5 * 3600000 });
+			expect(parseDuration("P2W")).toEqual({ months: 0, ms: 14 * 86400000 });
+			expect(parseDuration("PT1.5S")).toEqual({ months: 0, ms: 1500 });
+		});
+
+		test("keeps calendar months separate", () => {
+			expect(parseDuration("P1Y2M")).toEqual({ months: 14, ms: 0 });
+		});
+
+		test("rejects invalid durations", () => {
+			expect(parseDuration("P")).toBeNull();
+			expect(parseDuration("PT")).toBeNull();
+			expect(parseDuration("P1DT")).toBeNull();
+			expect(parseDuration("8H")).toBeNull();
+		});
+	});
+
+	describe("addDuration", () => {
+		test("adds and subtracts durations", () => {
+			const start = Date.UTC(2024, 0, 31);
+
+			expect(addDuration(start, 0, { months: 0, ms: 3600000 })).toBe(Date.UTC(2024, 0, 31, 1));
+			expect(addDuration(start, 0, { months: 1, ms: 0 })).toBe(Date.UTC(2024, 2, 2));
+			expect(addDuration(start, 0, { months: 0, ms: 86400000 }, -1)).toBe(Date.UTC(2024, 0, 30));
+		});
+
+		test("applies calendar months in the given offset", () => {
+			// 2024-01-31T23:30-02:00 is already February 1st in UTC
+			const start = parseInstant("2024-01-31T23:30-02:00");
+
+			expect(formatInstant(addDuration(start.time, start.offset, { months: 1, ms: 0 }), start.offset)).toBe("2024-03-02T23:30:00-02:00");
+		});
+	});
+
+	describe("parseTimeRange", () => {
+		test("parses start/end intervals", () => {
+			expect(parseTimeRange("2024-03-11T09:00Z/2024-03-11T17:00Z")).toEqual({
+				start: Date.UTC(2024, 2, 11, 9),
+				end: Date.UTC(2024, 2, 11, 17),
+				offset: 0,
+			});
+		});
+
+		test("parses start/duration and duration/end intervals", () => {
+			expect(parseTimeRange("2024-03-11T09:00+01:00/PT8H")).toEqual({
+				start: Date.UTC(2024, 2, 11, 8),
+				end: Date.UTC(2024, 2, 11, 16),
+				offset: 60,
+			});
+			expect(parseTimeRange("P1D/2024-03-12T00:00Z")).toEqual({ start: Date.UTC(2024, 2, 11), end: Date.UTC(2024, 2, 12), offset: 0 });
+		});
+
+		test("rejects malformed intervals", () => {
+			expect(parseTimeRange("2024-03-11T09:00Z")).toBeNull();
+			expect(parseTimeRange("PT1H/PT2H")).toBeNull();
+			expect(parseTimeRange("2024-03-11T09:00Z/2024-03-11T10:00Z/PT1H")).toBeNull();
+			expect(parseTimeRange("10-20")).toBeNull();
+		});
+	});
+
+	describe("formatInstant", () => {
+		test("formats in UTC by default", () => {
+			expect(formatInstant(Date.UTC(2024, 2, 11, 9))).toBe("2024-03-11T09:00:00Z");
+			expect(formatInstant(Date.UTC(2024, 2, 11, 9, 0, 0, 5))).toBe("2024-03-11T09:00:00.005Z");
+		});
+
+		test("formats in a given offset", () => {
+			expect(formatInstant(Date.UTC(2024, 2, 11, 8), 60)).toBe("2024-03-11T09:00:00+01:00");
+			expect(formatInstant(Date.UTC(2024, 2, 11, 14, 30), -330)).toBe("2024-03-11T09:00:00-05:30");
+		});
+	});
+
+	describe("formatDuration", () => {
+		test("formats durations", () => {
+			expect(formatDuration(0)).toBe("PT0S");
+			expect(formatDuration(8 * 3600000)).toBe("PT8H");
+			expect(formatDuration(26.5 * 3600000)).toBe("P1DT2H30M");
+			expect(formatDuration(3 * 86400000)).toBe("P3D");
+			expect(formatDuration(1500)).toBe("PT1.5S");
+		});
+	});
+
+	describe("toEpochMilliseconds", () => {
+		test("accepts numbers and ISO instants", () => {
+			expect(toEpochMilliseconds(42)).toBe(42);
+			expect(toEpochMilliseconds("1970-01-01T00:00:01Z")).toBe(1000);
+			expect(toEpochMilliseconds("not a date")).toBeNaN();
+		});
+	});
+});
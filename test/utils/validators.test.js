@@ -1,5 +1,13 @@
 import { describe, test, expect } from "@jest/globals";
-import { validateIntervalFormat, validateIntervalString, validateFileInput, isFilePath, validateCliArgs } from "../../src/utils/validators.js";
+import {
+	validateIntervalFormat,
+	validateIntervalString,
+	validateFileInput,
+	isFilePath,
+	validateCliArgs,
+	validateSetExpression,
+	validateBoxString,
+} from "../../src/utils/validators.js";
 
 describe("Validator Utilities", () => {
 	describe("validateIntervalFormat", () => {
@@ -21,6 +29,32 @@ describe("Validator Utilities", () => {
 			expect(result.valid).toBe(true);
 		});
 
+		test("validates strided intervals", () => {
+			expect(validateIntervalFormat("10-100/5").valid).toBe(true);
+			expect(validateIntervalFormat("[0,60)/15").valid).toBe(true);
+			expect(validateIntervalFormat("10-100/0").error).toContain("Invalid stride");
+			expect(validateIntervalFormat("10-100/5/2").valid).toBe(false);
+			expect(validateIntervalFormat("100-10/5").valid).toBe(false);
+		});
+
+		test("validates unbounded ends", () => {
+			expect(validateIntervalFormat("1000-").valid).toBe(true);
+			expect(validateIntervalFormat("-inf..0").valid).toBe(true);
+			expect(validateIntervalFormat("(-inf,0]").valid).toBe(true);
+			expect(validateIntervalFormat("*-0.5", { continuous: true }).valid).toBe(true);
+			expect(validateIntervalFormat("inf-5").valid).toBe(false);
+			expect(validateIntervalFormat("*-50/5").valid).toBe(false);
+			expect(validateIntervalFormat("*-5", { modulo: 24 }).error).toContain("outside the modular domain");
+		});
+
+		test("validates wrap-around intervals in a modular domain", () => {
+			expect(validateIntervalFormat("22-2", { modulo: 24 }).valid).toBe(true);
+			expect(validateIntervalFormat("[350,10)", { modulo: "360", continuous: true }).valid).toBe(true);
+			expect(validateIntervalFormat("22-2").valid).toBe(false);
+			expect(validateIntervalFormat("22-24", { modulo: 24 }).error).toContain("outside the modular domain");
+			expect(validateIntervalFormat("1-2", { modulo: 0 }).error).toContain("Invalid modulo");
+		});
+
 		test("validates with whitespace", () => {
 			const result = validateIntervalFormat(" 10 - 100 ");
 
@@ -59,7 +93,7 @@ describe("Validator Utilities", () => {
 		});
 
 		test("rejects incomplete intervals", () => {
-			expect(validateIntervalFormat("10-").valid).toBe(false);
+			expect(validateIntervalFormat("10--").valid).toBe(false);
 			expect(validateIntervalFormat("-100").valid).toBe(false);
 		});
 
@@ -89,6 +123,117 @@ describe("Validator Utilities", () => {
 
 			expect(result.error).toContain('"invalid-format"');
 		});
+
+		test("rejects boxes, which only the library handles", () => {
+			["10-20x5-8", "[0,10) x 5-8", "0.5-1×0-2"].forEach((str) => {
+				expect(validateIntervalFormat(str, { continuous: str.includes(".") }).error).toContain(`"${str}" is a box, not an interval`);
+			});
+		});
+	});
+
+	describe("validateIntervalFormat with bracket notation", () => {
+		test("validates every bound combination", () => {
+			["[10,20]", "[10,20)", "(10,20]", "(10,20)", "[ -5 , 5 )"].forEach((str) => {
+				expect(validateIntervalFormat(str).valid).toBe(true);
+			});
+		});
+
+		test("rejects malformed bracket notation", () => {
+			expect(validateIntervalFormat("[10,20").error).toContain("Invalid format");
+			expect(validateIntervalFormat("{10,20}").error).toContain("Invalid format");
+		});
+
+		test("rejects start > end", () => {
+			expect(validateIntervalFormat("[20,10)").error).toContain("Start (20) cannot be greater than end (10)");
+		});
+
+		test("rejects intervals without integers", () => {
+			expect(validateIntervalFormat("[5,5)").error).toContain("contains no integers");
+			expect(validateIntervalFormat("(5,6)").error).toContain("contains no integers");
+		});
+
+		test("rejects overflowing numbers", () => {
+			expect(validateIntervalFormat("[1,999999999999999999999)").error).toContain("Numbers too large");
+		});
+	});
+
+	describe("validateIntervalFormat in BigInt mode", () => {
+		test("accepts values beyond Number.MAX_SAFE_INTEGER", () => {
+			expect(validateIntervalFormat("999999999999999999999-1000000000000000000000", { bigint: true }).valid).toBe(true);
+			expect(validateIntervalFormat("[1,999999999999999999999)", { bigint: true }).valid).toBe(true);
+		});
+
+		test("still rejects start > end and empty bracket intervals", () => {
+			expect(validateIntervalFormat("1000000000000000000001-1000000000000000000000", { bigint: true }).error).toContain("cannot be greater");
+			expect(validateIntervalFormat("(99999999999999999999,100000000000000000000)", { bigint: true }).error).toContain("contains no integers");
+		});
+
+		test("passes the option through lists, files and CLI args", () => {
+			expect(validateIntervalString("1-99999999999999999999", { bigint: true }).valid).toBe(true);
+			expect(validateFileInput({ includes: ["1-99999999999999999999"] }, { bigint: true }).valid).toBe(true);
+			expect(validateCliArgs("1-99999999999999999999", "", undefined, { bigint: true }).valid).toBe(true);
+		});
+
+		test("hints at BigInt mode for overflowing numbers", () => {
+			expect(validateIntervalFormat("1-99999999999999999999").error).toContain("Enable BigInt mode");
+		});
+	});
+
+	describe("validateIntervalFormat in continuous mode", () => {
+		const options = { continuous: true };
+
+		test("accepts decimal intervals", () => {
+			expect(validateIntervalFormat("0.5-2.75", options).valid).toBe(true);
+			expect(validateIntervalFormat("-2.5--0.5", options).valid).toBe(true);
+			expect(validateIntervalFormat("(1,2)", options).valid).toBe(true);
+			expect(validateIntervalFormat("[0.25,0.5)", options).valid).toBe(true);
+		});
+
+		test("rejects decimals without the option", () => {
+			expect(validateIntervalFormat("0.5-2.75").valid).toBe(false);
+		});
+
+		test("rejects start > end and empty intervals", () => {
+			expect(validateIntervalFormat("2.5-1.5", options).error).toContain("cannot be greater");
+			expect(validateIntervalFormat("(1.5,1.5]", options).error).toContain("is empty");
+			expect(validateIntervalFormat("[1.5,1.5]", options).valid).toBe(true);
+		});
+	});
+
+	describe("validateIntervalFormat in time mode", () => {
+		const options = { time: true };
+
+		test("accepts ISO 8601 time intervals", () => {
+			expect(validateIntervalFormat("2024-03-11T09:00Z/2024-03-11T17:00Z", options).valid).toBe(true);
+			expect(validateIntervalFormat("2024-03-11T09:00+01:00/PT8H", options).valid).toBe(true);
+			expect(validateIntervalFormat("P1D/2024-03-12", options).valid).toBe(true);
+		});
+
+		test("rejects invalid time intervals", () => {
+			expect(validateIntervalFormat("2024-03-11T09:00Z", options).error).toContain("Invalid time interval");
+			expect(validateIntervalFormat("2024-03-11T09:00Z/2024-03-11T08:00Z", options).error).toContain("cannot be greater");
+			expect(validateIntervalFormat("2024-03-11T09:00Z/PT0S", options).error).toContain("is empty");
+		});
+
+		test("validates comma-separated lists", () => {
+			expect(validateIntervalString("2024-03-11T09:00Z/PT1H, 2024-03-11T12:00Z/PT1H", options).valid).toBe(true);
+		});
+	});
+
+	describe("validateIntervalFormat in IP mode", () => {
+		const options = { ip: true };
+
+		test("accepts IPv4 and IPv6 ranges", () => {
+			expect(validateIntervalFormat("10.0.0.0/8", options).valid).toBe(true);
+			expect(validateIntervalFormat("192.168.1.10-192.168.1.50", options).valid).toBe(true);
+			expect(validateIntervalFormat("2001:db8::/32", options).valid).toBe(true);
+		});
+
+		test("rejects invalid ranges", () => {
+			expect(validateIntervalFormat("10.0.0.256", options).error).toContain("Invalid IP range");
+			expect(validateIntervalFormat("10.0.0.1-::1", options).error).toContain("Invalid IP range");
+			expect(validateIntervalFormat("10.0.0.9-10.0.0.1", options).error).toContain("cannot be greater");
+		});
 	});
 
 	describe("validateIntervalString", () => {
@@ -148,6 +293,11 @@ describe("Validator Utilities", () => {
 			expect(result.error).toContain("Interval 3");
 		});
 
+		test("validates bracket intervals in comma-separated lists", () => {
+			expect(validateIntervalString("[10,20), 30-40, (50,60]").valid).toBe(true);
+			expect(validateIntervalString("[10,20), [30,30)").error).toContain("Interval 2");
+		});
+
 		test("handles empty intervals in sequence", () => {
 			const result = validateIntervalString("10-100,,200-300");
 
@@ -173,6 +323,12 @@ describe("Validator Utilities", () => {
 				expect(validateFileInput(dataWithStrings).valid).toBe(true);
 			});
 
+			test("validates boxes, which carry no payloads", () => {
+				expect(validateFileInput({ includes: ["10-20x5-8"], excludes: "12-14x6-7" }).valid).toBe(true);
+				expect(validateFileInput({ includes: [{ range: "10-20x5-8", data: "a" }] }).error).toContain("Boxes carry no payloads");
+				expect(validateFileInput({ includes: ["10-20x5-8"], excludes: ["12-14x6"] }).error).toContain("Invalid excludes: Box 1");
+			});
+
 			test("validates object without excludes", () => {
 				const data = {
 					includes: ["10-100"],
@@ -213,6 +369,19 @@ describe("Validator Utilities", () => {
 				expect(result.error).toContain("includes must be a string or array of strings");
 			});
 
+			test("validates payload-carrying entries", () => {
+				const data = {
+					includes: [{ range: "10-100", data: { label: "a" } }, "200-300"],
+					excludes: [{ range: "20-30" }],
+				};
+
+				expect(validateFileInput(data).valid).toBe(true);
+				expect(validateFileInput({ includes: [{ range: "10-x", data: 1 }] }).error).toContain("Invalid includes");
+				expect(validateFileInput({ includes: [{ data: 1 }] }).error).toContain(
+					"includes must be a string or array of strings and { range, data } objects"
+				);
+			});
+
 			test("rejects object with invalid excludes type", () => {
 				const data = {
 					includes: ["10-100"],
@@ -245,6 +414,12 @@ describe("Validator Utilities", () => {
 				expect(result.valid).toBe(false);
 				expect(result.error).toContain("Invalid excludes");
 			});
+
+			test("accepts and checks mergeGap and minLength fields", () => {
+				expect(validateFileInput({ includes: ["10-100"], mergeGap: 2, minLength: "5" }).valid).toBe(true);
+				expect(validateFileInput({ includes: ["10-100"], mergeGap: "PT5M" }).error).toContain('Invalid merge gap: "PT5M"');
+				expect(validateFileInput({ includes: ["10-100"], minLength: [5] }).error).toContain("minLength must be a number or string");
+			});
 		});
 
 		describe("Array of Objects Format", () => {
@@ -382,6 +557,70 @@ describe("Validator Utilities", () => {
 		});
 	});
 
+	describe("validateSetExpression", () => {
+		test("validates a well-formed expression", () => {
+			expect(validateSetExpression("(a | b) - c").valid).toBe(true);
+		});
+
+		test("rejects malformed expressions with position", () => {
+			const result = validateSetExpression("a & (b");
+
+			expect(result.valid).toBe(false);
+			expect(result.error).toContain('Unclosed "(" at position 5');
+		});
+
+		test("rejects unknown set names when names are given", () => {
+			const result = validateSetExpression("a | missing", ["a", "b"]);
+
+			expect(result.valid).toBe(false);
+			expect(result.error).toContain('Unknown set "missing" at position 5');
+		});
+	});
+
+	describe("validateFileInput with sets and expression", () => {
+		test("validates sets with an expression", () => {
+			const data = {
+				sets: { weekdays: ["1-5", "8-12"], holidays: "6-7" },
+				expression: "weekdays | holidays",
+			};
+
+			expect(validateFileInput(data).valid).toBe(true);
+		});
+
+		test("validates an optional domain", () => {
+			expect(validateFileInput({ sets: { a: "10-20" }, expression: "~a", domain: "0-100" }).valid).toBe(true);
+			expect(validateFileInput({ sets: { a: "10-20" }, expression: "~a", domain: "bad" }).error).toContain("Invalid domain");
+		});
+
+		test("rejects missing sets", () => {
+			const result = validateFileInput({ expression: "a | b" });
+
+			expect(result.valid).toBe(false);
+			expect(result.error).toContain('must contain a "sets" object');
+		});
+
+		test("rejects invalid set names and intervals", () => {
+			expect(validateFileInput({ sets: { "bad-name": "1-2" }, expression: "a" }).error).toContain('Invalid set name "bad-name"');
+			expect(validateFileInput({ sets: { a: "invalid" }, expression: "a" }).error).toContain('Invalid set "a"');
+			expect(validateFileInput({ sets: { a: 5 }, expression: "a" }).error).toContain("sets.a must be a string or array of strings");
+		});
+
+		test("rejects non-string expressions", () => {
+			expect(validateFileInput({ sets: { a: "1-2" }, expression: 42 }).error).toContain("expression must be a string");
+		});
+
+		test("rejects malformed expressions and unknown sets", () => {
+			expect(validateFileInput({ sets: { a: "1-2" }, expression: "a |" }).error).toContain("Invalid expression: Unexpected end");
+			expect(validateFileInput({ sets: { a: "1-2" }, expression: "a | b" }).error).toContain('Unknown set "b" at position 5');
+		});
+
+		test("allows mixing shapes in arrays", () => {
+			const data = [{ includes: "10-20" }, { sets: { a: "1-2" }, expression: "a" }];
+
+			expect(validateFileInput(data).valid).toBe(true);
+		});
+	});
+
 	describe("isFilePath", () => {
 		test("detects json file paths", () => {
 			expect(isFilePath("input.json")).toBe(true);
@@ -465,6 +704,26 @@ describe("Validator Utilities", () => {
 
 			expect(result.valid).toBe(true);
 		});
+
+		test("validates includes and excludes written as boxes", () => {
+			expect(validateCliArgs("10-20x5-8, 30-40x0-2", "12-14x6-7", null).valid).toBe(true);
+			expect(validateCliArgs("10-20x5-8", "14-12x6-7", null).error).toContain("Invalid excludes: Box 1");
+		});
+	});
+
+	describe("validateBoxString", () => {
+		test("accepts boxes in any notation", () => {
+			expect(validateBoxString("10-20x5-8, [0,10) × 5-8").valid).toBe(true);
+			expect(validateBoxString("0.5-1x0-2", { continuous: true }).valid).toBe(true);
+			expect(validateBoxString("").valid).toBe(true);
+		});
+
+		test("reports the box and dimension of an error", () => {
+			const result = validateBoxString("1-2x3-4, 5-8xabc");
+
+			expect(result.valid).toBe(false);
+			expect(result.error).toContain('Box 2: Invalid box "5-8xabc", dimension 2');
+		});
 	});
 
 	describe("Edge Cases and Complex Scenarios", () => {